@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+
+import { runCli } from "../lib/cli.js";
+
+const controller = new AbortController();
+process.once("SIGINT", () => controller.abort());
+
+runCli(process.argv.slice(2), { signal: controller.signal }).then(
+	(code) => {
+		process.exitCode = code;
+	},
+	(err) => {
+		console.error(err);
+		process.exitCode = 1;
+	}
+);
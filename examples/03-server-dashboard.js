@@ -1,47 +1,39 @@
-import { pingJava, pingBedrock } from "../index.js";
+import { pingMany } from "../index.js";
 
 const servers = [
-	{ type: "Java", host: "mc.hypixel.net" },
-	{ type: "Java", host: "play.cubecraft.net" },
-	{ type: "Java", host: "an-offline-java-server.com" },
-	{ type: "Bedrock", host: "geo.hivebedrock.network" },
-	{ type: "Bedrock", host: "buzz.insanitycraft.net" },
-	{ type: "Bedrock", host: "an.offline.bedrock.server" },
+	{ edition: "java", host: "mc.hypixel.net" },
+	{ edition: "java", host: "play.cubecraft.net" },
+	{ edition: "java", host: "an-offline-java-server.com" },
+	{ edition: "bedrock", host: "geo.hivebedrock.network" },
+	{ edition: "bedrock", host: "buzz.insanitycraft.net" },
+	{ edition: "bedrock", host: "an.offline.bedrock.server" },
 ];
 
 console.log("Pinging all servers...");
 
-// Create an array of ping promises
-const pingPromises = servers.map((server) => {
-	if (server.type === "Java") {
-		return pingJava(server.host, { timeout: 3000 });
-	} else {
-		return pingBedrock(server.host, { timeout: 3000 });
-	}
-});
-
-// Wait for all pings to complete (or fail)
-const results = await Promise.allSettled(pingPromises);
-
-// Process and display results
-const displayData = results.map((result, index) => {
-	const server = servers[index];
+// Ping at most 4 servers at once, results arrive as each ping completes
+const displayData = [];
+for await (const result of pingMany(servers, {
+	concurrency: 4,
+	timeout: 3000,
+})) {
+	const { target } = result;
 	if (result.status === "fulfilled") {
 		const data = result.value;
-		return {
-			Server: `${server.type} - ${server.host}`,
+		displayData.push({
+			Server: `${target.edition} - ${target.host}`,
 			Status: "✅ Online",
 			Players: `${data.players.online} / ${data.players.max}`,
 			Version: data.version.name ?? data.version.minecraft,
-		};
+		});
 	} else {
-		return {
-			Server: `${server.type} - ${server.host}`,
+		displayData.push({
+			Server: `${target.edition} - ${target.host}`,
 			Status: "❌ Offline",
 			Players: "N/A",
 			Version: `Error: ${result.reason.message.slice(0, 30)}...`,
-		};
+		});
 	}
-});
+}
 
 console.table(displayData);
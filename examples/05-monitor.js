@@ -0,0 +1,38 @@
+import { createMonitor } from "../index.js";
+
+const monitor = createMonitor(
+	[
+		{ edition: "java", host: "mc.hypixel.net" },
+		{ edition: "bedrock", host: "geo.hivebedrock.network" },
+	],
+	{ interval: 15000, jitter: 2000, offlineAfter: 2 }
+);
+
+const label = (target) => `${target.edition} - ${target.host}`;
+
+monitor.on("online", (target, result) => {
+	console.log(`✅ ${label(target)} is online: ${result.name}`);
+});
+monitor.on("offline", (target, error) => {
+	console.log(`❌ ${label(target)} is offline: ${error.message}`);
+});
+monitor.on("playerCountChange", (target, online, previous) => {
+	console.log(`👥 ${label(target)}: ${previous} → ${online} players`);
+});
+monitor.on("playerJoin", (target, player) => {
+	console.log(`➕ ${player.name} joined ${label(target)}`);
+});
+monitor.on("playerLeave", (target, player) => {
+	console.log(`➖ ${player.name} left ${label(target)}`);
+});
+monitor.on("versionChange", (target, version, previous) => {
+	console.log(`⬆️ ${label(target)}: ${previous.name} → ${version.name}`);
+});
+monitor.on("motdChange", (target, motd) => {
+	console.log(`📝 ${label(target)} has a new MOTD: ${motd}`);
+});
+
+// Stop after a minute, or on Ctrl+C
+const stop = () => monitor.stop();
+setTimeout(stop, 60000);
+process.once("SIGINT", stop);
@@ -1,2 +1,55 @@
 export { pingJava } from './lib/java.js';
-export { pingBedrock } from './lib/bedrock.js';
\ No newline at end of file
+export { pingBedrock, createBedrockPinger } from './lib/bedrock.js';
+export { queryServer } from './lib/query.js';
+export { pingMany } from './lib/batch.js';
+export { createMonitor } from './lib/monitor.js';
+export { createExporter } from './lib/exporter.js';
+export { ping } from './lib/ping.js';
+export { decodeForgeData } from './lib/forge.js';
+export { decodeFavicon, saveFavicon } from './lib/favicon.js';
+export { createCachingResolver } from './lib/dns.js';
+export { parseAddress } from './lib/address.js';
+export {
+	PacketReader,
+	PacketWriter,
+	PacketError,
+	readFrame,
+	createFrameDecoder,
+	MAX_PACKET_LENGTH,
+	MAX_STRING_LENGTH,
+	ERR_PACKET_BUFFER_UNDERFLOW,
+	ERR_PACKET_MALFORMED,
+	ERR_PACKET_INVALID_VALUE,
+} from './lib/packet.js';
+export {
+	createJavaStatusServer,
+	createBedrockPongServer,
+} from './lib/mock-server.js';
+export {
+	formatDescription,
+	formatBedrockText,
+	parseDescription,
+	flattenSpans,
+	toPlainText,
+	toAnsi,
+	toHtml,
+} from './lib/motd.js';
+export {
+	MinepingError,
+	TimeoutError,
+	ConnectionError,
+	DnsError,
+	ProtocolError,
+	InvalidArgumentError,
+	AbortError,
+	ERR_TIMEOUT,
+	ERR_CONNECTION_REFUSED,
+	ERR_CONNECTION_CLOSED,
+	ERR_NETWORK_ERROR,
+	ERR_DNS_FAILURE,
+	ERR_PROTOCOL_ERROR,
+	ERR_MALFORMED_RESPONSE,
+	ERR_INVALID_ARGUMENT,
+	ERR_PINGER_CLOSED,
+	ERR_ABORTED,
+} from './lib/errors.js';
\ No newline at end of file
@@ -0,0 +1,314 @@
+/**
+ * Parsing of the server addresses users type or paste, like the address field of the vanilla client.
+ */
+
+"use strict";
+
+import { isIP } from "node:net";
+import { domainToASCII } from "node:url";
+import { InvalidArgumentError } from "./errors.js";
+
+const URI_SCHEME = /^minecraft:\/\//i;
+// A label of a host name. Underscores are not valid in DNS host names, but are common in Docker and LAN setups
+const LABEL_PATTERN = /^[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9_])?$/;
+// A last label that URL parsers would read as part of an IPv4 address, e.g. "1.2.3" or "0x7f.1"
+const NUMERIC_LABEL_PATTERN = /^(?:\d+|0x[0-9a-f]*)$/i;
+const MAX_HOSTNAME_LENGTH = 253;
+
+/**
+ * IPv4 ranges, as a base address and a prefix length.
+ * @type {Array<[string, number]>}
+ */
+const IPV4_LOOPBACK = [["127.0.0.0", 8]];
+/** @type {Array<[string, number]>} */
+const IPV4_PRIVATE = [
+	["10.0.0.0", 8],
+	["172.16.0.0", 12],
+	["192.168.0.0", 16],
+	// Carrier-grade NAT
+	["100.64.0.0", 10],
+	// Link-local
+	["169.254.0.0", 16],
+];
+
+/**
+ * A server address, split and normalized.
+ * @typedef {object} ParsedAddress
+ * @property {string} host - The host name or IP address, without brackets or a trailing dot. Host names are lower-cased,
+ * and international ones are converted to Punycode. IPv6 addresses are written the way Node reports them, e.g. `::1`
+ * for `0:0:0:0:0:0:0:1`.
+ * @property {number} [port] - The port, only if the address had one.
+ * @property {"hostname" | "ipv4" | "ipv6"} type - What kind of host it is.
+ * @property {boolean} loopback - True for `localhost`, `127.0.0.0/8` and `::1`.
+ * @property {boolean} private - True for private, carrier-grade NAT and link-local ranges, e.g. `192.168.0.0/16` and `fc00::/7`.
+ * Host names are not resolved, so they are never private.
+ */
+
+/**
+ * The address argument of the ping functions: an address string to parse, or an address `parseAddress` returned.
+ * A port in the address takes precedence over the `port` option.
+ * @typedef {string | { host: string, port?: number }} AddressInput
+ */
+
+/**
+ * Reads an IPv4 address as an unsigned 32-bit number.
+ * @param {string} address
+ * @returns {number}
+ */
+const ipv4ToNumber = (address) =>
+	address.split(".").reduce((number, part) => number * 256 + Number(part), 0);
+
+/**
+ * Checks whether an IPv4 address is in one of the ranges.
+ * @param {string} address
+ * @param {Array<[string, number]>} ranges
+ * @returns {boolean}
+ */
+const inIPv4Ranges = (address, ranges) => {
+	const number = ipv4ToNumber(address);
+	return ranges.some(([base, prefix]) => {
+		const size = 2 ** (32 - prefix);
+		return Math.floor(number / size) === Math.floor(ipv4ToNumber(base) / size);
+	});
+};
+
+/**
+ * Expands an IPv6 address into its eight 16-bit groups.
+ * @param {string} address - A valid IPv6 address, without a zone index.
+ * @returns {number[]}
+ */
+const expandIPv6 = (address) => {
+	let text = address;
+	// An IPv4 address in the last 32 bits, e.g. "::ffff:192.0.2.1"
+	const ipv4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+	if (ipv4) {
+		const number = ipv4ToNumber(ipv4[1]);
+		text = `${text.slice(0, ipv4.index)}${Math.floor(number / 65536).toString(16)}:${(number % 65536).toString(16)}`;
+	}
+
+	const [head, tail] = text.split("::");
+	const parse = (part) =>
+		part ? part.split(":").map((group) => parseInt(group, 16)) : [];
+	const start = parse(head);
+	const end = tail === undefined ? [] : parse(tail);
+	return [
+		...start,
+		...new Array(8 - start.length - end.length).fill(0),
+		...end,
+	];
+};
+
+/**
+ * Writes an IPv6 address in the form Node reports for the sender of a datagram or a DNS record:
+ * lower-case, the longest run of two or more zero groups compressed, and an IPv4-mapped address in dotted notation.
+ * @param {string} address - A valid IPv6 address, possibly with a zone index.
+ * @returns {string}
+ */
+const normalizeIPv6 = (address) => {
+	const [ip, zone] = address.split("%");
+	const groups = expandIPv6(ip);
+
+	let best = { start: -1, length: 0 };
+	for (let start = 0; start < 8;) {
+		let end = start;
+		while (end < 8 && groups[end] === 0) end++;
+		if (end - start > best.length) best = { start, length: end - start };
+		start = end + 1;
+	}
+	if (best.length < 2) best = { start: -1, length: 0 };
+
+	// The same cases as inet_ntop: an IPv4-mapped or IPv4-compatible address, e.g. "::ffff:192.0.2.1" or "::192.0.2.1"
+	const dotted =
+		best.start === 0 &&
+		(best.length === 6 || (best.length === 5 && groups[5] === 0xffff));
+	const hex = (list) => list.map((group) => group.toString(16)).join(":");
+	const last = dotted
+		? [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join(
+				"."
+			)
+		: "";
+	const head = dotted ? groups.slice(0, 6) : groups;
+
+	let text;
+	if (best.start === -1) {
+		text = hex(head);
+	} else {
+		const tail = hex(head.slice(best.start + best.length));
+		text = `${hex(head.slice(0, best.start))}::${tail}`;
+	}
+	if (dotted) text += text.endsWith(":") ? last : `:${last}`;
+	return zone === undefined ? text : `${text}%${zone}`;
+};
+
+/**
+ * Classifies an IP address.
+ * @param {string} address
+ * @param {4 | 6} family
+ * @returns {{ loopback: boolean, private: boolean }}
+ */
+const classifyIP = (address, family) => {
+	if (family === 4) {
+		return {
+			loopback: inIPv4Ranges(address, IPV4_LOOPBACK),
+			private: inIPv4Ranges(address, IPV4_PRIVATE),
+		};
+	}
+
+	const groups = expandIPv6(address.split("%")[0]);
+	// An IPv4-mapped address, e.g. "::ffff:127.0.0.1", is classified as the IPv4 address it carries
+	if (
+		groups.slice(0, 5).every((group) => group === 0) &&
+		groups[5] === 0xffff
+	) {
+		return classifyIP(
+			[groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join(
+				"."
+			),
+			4
+		);
+	}
+	return {
+		loopback:
+			groups.slice(0, 7).every((group) => group === 0) && groups[7] === 1,
+		// Unique local (fc00::/7) and link-local (fe80::/10)
+		private: (groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) === 0xfe80,
+	};
+};
+
+/**
+ * Checks and normalizes a host name, converting an international one to Punycode.
+ * @param {string} hostname
+ * @param {string} input - The address as given, for error messages.
+ * @returns {string}
+ * @throws {InvalidArgumentError} If it is not a valid host name.
+ */
+const normalizeHostname = (hostname, input) => {
+	const invalid = (reason) =>
+		new InvalidArgumentError(`Invalid host: ${input}. ${reason}`);
+
+	const labels = hostname.split(".");
+	if (NUMERIC_LABEL_PATTERN.test(labels[labels.length - 1])) {
+		throw invalid("Expected a host name or an IP address.");
+	}
+	// Also lower-cases the name and checks the Punycode of labels starting with "xn--"
+	const ascii = domainToASCII(hostname);
+	if (ascii === "") {
+		throw invalid("It is not a valid international domain name.");
+	}
+	if (ascii.length > MAX_HOSTNAME_LENGTH) {
+		throw invalid(
+			`Host names are at most ${MAX_HOSTNAME_LENGTH} characters long.`
+		);
+	}
+	if (!ascii.split(".").every((label) => LABEL_PATTERN.test(label))) {
+		throw invalid(
+			"Host names are made of labels of letters, digits and hyphens separated by dots."
+		);
+	}
+	return ascii;
+};
+
+/**
+ * Parses a server address the way users type it, e.g. in the vanilla client's address field.
+ * Accepts `host`, `host:port`, a bare IPv6 address, `[ipv6]:port` and `minecraft://host:port` URIs.
+ * Surrounding whitespace and a trailing dot on host names are ignored.
+ * @param {string} input - The address to parse.
+ * @returns {ParsedAddress}
+ * @throws {InvalidArgumentError} If the address is empty, the host is not a valid host name or IP address,
+ * or the port is not a number between 1 and 65535.
+ */
+export function parseAddress(input) {
+	if (typeof input !== "string" || input.trim() === "") {
+		throw new InvalidArgumentError("Host argument is required.");
+	}
+
+	let text = input.trim();
+	if (URI_SCHEME.test(text)) {
+		// Ignore a path, query or fragment after the authority
+		text = text.replace(URI_SCHEME, "").split(/[/?#]/)[0];
+	}
+
+	let host = text;
+	/** @type {string | undefined} */
+	let port;
+	const bracketed = /^\[([^\]]*)\](?::(.*))?$/.exec(text);
+	if (bracketed) {
+		[, host, port] = bracketed;
+		if (isIP(host) !== 6) {
+			throw new InvalidArgumentError(
+				`Invalid host: ${input}. Only IPv6 addresses can be put in brackets.`
+			);
+		}
+	} else if (
+		text.indexOf(":") === text.lastIndexOf(":") &&
+		text.includes(":")
+	) {
+		// More than one colon without brackets is an IPv6 address without a port
+		[host, port] = text.split(":");
+	}
+
+	/** @type {ParsedAddress} */
+	let address;
+	const family = isIP(host);
+	if (family !== 0) {
+		address = {
+			host: family === 6 ? normalizeIPv6(host) : host,
+			type: family === 4 ? "ipv4" : "ipv6",
+			...classifyIP(host, family),
+		};
+	} else {
+		if (host === "" || /\s/.test(host)) {
+			throw new InvalidArgumentError(
+				`Invalid host: ${input}. Expected a host name or an IP address.`
+			);
+		}
+		const hostname = normalizeHostname(host.replace(/\.$/, ""), input);
+		address = {
+			host: hostname,
+			type: "hostname",
+			loopback: hostname === "localhost" || hostname.endsWith(".localhost"),
+			private: false,
+		};
+	}
+
+	if (port !== undefined) {
+		const number = Number(port);
+		if (!/^\d+$/.test(port) || number < 1 || number > 65535) {
+			throw new InvalidArgumentError(
+				`Invalid port: ${port}. Expected a number between 1 and 65535.`
+			);
+		}
+		address.port = number;
+	}
+	return address;
+}
+
+/**
+ * Reads the address argument of a ping function.
+ * @param {AddressInput} input
+ * @returns {ParsedAddress}
+ * @throws {InvalidArgumentError} If the address is invalid.
+ */
+export const toAddress = (input) => {
+	if (typeof input === "object" && input !== null) {
+		const address = parseAddress(input.host);
+		if (input.port === undefined) return address;
+		if (!Number.isInteger(input.port) || input.port < 1 || input.port > 65535) {
+			throw new InvalidArgumentError(
+				`Invalid port: ${input.port}. Expected a number between 1 and 65535.`
+			);
+		}
+		return { ...address, port: input.port };
+	}
+	return parseAddress(input);
+};
+
+/**
+ * Renders an address as `host:port`, with an IPv6 host in brackets, or as the bare host without a port.
+ * @param {{ host: string, port?: number }} address
+ * @returns {string}
+ */
+export const formatAddress = ({ host, port }) => {
+	if (port === undefined) return host;
+	return host.includes(":") ? `[${host}]:${port}` : `${host}:${port}`;
+};
@@ -0,0 +1,175 @@
+/**
+ * Batch pinging of many Java and Bedrock servers with bounded concurrency.
+ */
+
+"use strict";
+
+import createDebug from "debug";
+import { pingJava } from "./java.js";
+import { createBedrockPinger } from "./bedrock.js";
+import { InvalidArgumentError } from "./errors.js";
+import { shareSignal } from "./signal.js";
+
+const debug = createDebug("mineping:batch");
+
+const EDITIONS = ["java", "bedrock"];
+
+/**
+ * A server to ping. A bare string is treated as a host of the default edition.
+ * @typedef {object} PingTarget
+ * @property {string} host - The server address to ping. A port in it, as in `play.example.com:25566`, takes precedence over `port`.
+ * @property {number} [port] - The server port. Defaults to the edition's default port.
+ * @property {"java" | "bedrock"} [edition] - The edition of the server. Defaults to the batch's `edition` option.
+ */
+
+/**
+ * The outcome of pinging one target, shaped like a `Promise.allSettled` result.
+ * @typedef {{ target: PingTarget, status: "fulfilled", value: import("./java.js").JavaPingResponse | import("./bedrock.js").BedrockPingResponse } | { target: PingTarget, status: "rejected", reason: unknown }} PingManyResult
+ */
+
+/**
+ * @typedef {object} PingManyOptions
+ * @property {number} [concurrency=10] - The maximum number of pings in flight at once.
+ * @property {number} [timeout=5000] - The timeout in milliseconds for each ping.
+ * @property {"java" | "bedrock"} [edition="java"] - The edition of targets that do not specify one.
+ * @property {AbortSignal} [signal] - Aborts every ping of the batch. Pings that are cut short are reported as rejected with an `AbortError`.
+ * @property {import("./dns.js").MinepingResolver} [resolver] - Resolves the SRV records and host names of every ping. Pass a `createCachingResolver()` to share DNS answers across the batch.
+ */
+
+/**
+ * Turns a target into its object form and checks it.
+ * @param {string | PingTarget} target - The target as passed by the caller.
+ * @param {"java" | "bedrock"} defaultEdition - The edition to use if the target has none.
+ * @returns {PingTarget}
+ * @throws {InvalidArgumentError} If the target is malformed.
+ */
+export const normalizeTarget = (target, defaultEdition) => {
+	const normalized =
+		typeof target === "string"
+			? { host: target, edition: defaultEdition }
+			: { ...target, edition: target?.edition ?? defaultEdition };
+
+	if (typeof normalized.host !== "string" || normalized.host.trim() === "") {
+		throw new InvalidArgumentError("Host argument is required.");
+	}
+	if (!EDITIONS.includes(normalized.edition)) {
+		throw new InvalidArgumentError(
+			`Invalid edition: ${normalized.edition}. Expected one of: ${EDITIONS.join(", ")}.`
+		);
+	}
+
+	return normalized;
+};
+
+/**
+ * Pings a single target and settles the outcome, so it never rejects.
+ * @param {string | PingTarget} rawTarget - The target as passed by the caller.
+ * @param {PingManyOptions & { edition: "java" | "bedrock" }} options - The batch options.
+ * @param {() => import("./bedrock.js").BedrockPinger} getBedrockPinger - Returns the pinger shared by the batch.
+ * @returns {Promise<PingManyResult>}
+ */
+const pingTarget = async (
+	rawTarget,
+	{ timeout, edition, signal, resolver },
+	getBedrockPinger
+) => {
+	/** @type {PingTarget} */
+	let target = typeof rawTarget === "string" ? { host: rawTarget } : rawTarget;
+
+	try {
+		target = normalizeTarget(rawTarget, edition);
+		const ping =
+			target.edition === "bedrock" ? getBedrockPinger().ping : pingJava;
+		const options = { timeout };
+		if (target.port !== undefined) options.port = target.port;
+		if (signal) options.signal = signal;
+		if (resolver) options.resolver = resolver;
+		const value = await ping(target.host, options);
+		return { target, status: "fulfilled", value };
+	} catch (reason) {
+		debug(
+			"ping to %o failed: %s",
+			target,
+			reason instanceof Error ? reason.message : reason
+		);
+		return { target, status: "rejected", reason };
+	}
+};
+
+/**
+ * Pings many Java and Bedrock servers with a limit on how many run at once.
+ * Results are yielded as soon as each ping settles, in completion order.
+ * A failing target is reported as a rejected result and never stops the batch.
+ * @param {Iterable<string | PingTarget>} targets - The servers to ping.
+ * @param {PingManyOptions} [options={}] - Optional configuration.
+ * @returns {AsyncGenerator<PingManyResult, void, undefined>}
+ */
+export async function* pingMany(targets, options = {}) {
+	if (!targets || typeof targets[Symbol.iterator] !== "function") {
+		throw new InvalidArgumentError("Targets argument must be an iterable.");
+	}
+
+	const {
+		concurrency = 10,
+		timeout = 5000,
+		edition = "java",
+		signal,
+		resolver,
+	} = options;
+	if (!Number.isInteger(concurrency) || concurrency < 1) {
+		throw new InvalidArgumentError(
+			`Invalid concurrency: ${concurrency}. Expected a positive integer.`
+		);
+	}
+	debug("pinging targets with concurrency %d", concurrency);
+
+	const iterator = targets[Symbol.iterator]();
+	/** @type {Map<number, Promise<{ id: number, result: PingManyResult }>>} */
+	const running = new Map();
+	let nextId = 0;
+
+	// Every Bedrock ping of the batch shares one UDP socket
+	/** @type {import("./bedrock.js").BedrockPinger | null} */
+	let bedrockPinger = null;
+	const getBedrockPinger = () => {
+		if (!bedrockPinger) bedrockPinger = createBedrockPinger();
+		return bedrockPinger;
+	};
+
+	// Up to `concurrency` pings listen to the signal at once, so they share one that may have any number of listeners
+	const shared = signal ? shareSignal(signal) : undefined;
+
+	// Starts the next ping, returns false once every target has been started
+	const launch = () => {
+		const next = iterator.next();
+		if (next.done) return false;
+
+		const id = nextId++;
+		const task = pingTarget(
+			next.value,
+			{ timeout, edition, signal: shared?.signal, resolver },
+			getBedrockPinger
+		);
+		running.set(
+			id,
+			task.then((result) => ({ id, result }))
+		);
+		return true;
+	};
+
+	try {
+		while (running.size < concurrency && launch());
+
+		while (running.size > 0) {
+			const { id, result } = await Promise.race(running.values());
+			running.delete(id);
+			// Refill the pool before handing the result over, so the consumer does not stall it
+			launch();
+			yield result;
+		}
+	} finally {
+		// Also runs when the consumer stops iterating early
+		bedrockPinger?.close();
+		shared?.unlink();
+	}
+}
@@ -7,11 +7,27 @@
 
 import dgram from "node:dgram";
 import crypto from "node:crypto";
+import { isIP } from "node:net";
+import { lookup } from "node:dns/promises";
 import createDebug from "debug";
+import { formatBedrockText } from "./motd.js";
+import { toAddress } from "./address.js";
+import {
+	ERR_MALFORMED_RESPONSE,
+	ERR_PINGER_CLOSED,
+	DnsError,
+	InvalidArgumentError,
+	MinepingError,
+	ProtocolError,
+	TimeoutError,
+	createAbortError,
+	toMinepingError,
+} from "./errors.js";
 
 const debug = createDebug("mineping:bedrock");
 
 const MAGIC = "00ffff00fefefefefdfdfdfd12345678";
+const MAGIC_BUFFER = Buffer.from(MAGIC, "hex");
 const START_TIME = Date.now();
 const UNCONNECTED_PONG = 0x1c;
 
@@ -42,6 +58,8 @@ const UNCONNECTED_PONG = 0x1c;
  * @property {string} edition - The edition of the server (MCPE or MCEE).
  * @property {string} name - The primary name of the server (first line of MOTD).
  * @property {string} levelName - The name of the world or level being hosted.
+ * @property {import("./motd.js").FormattedText} formattedName - The name with its `§` codes parsed into styled spans and rendered as plain text, ANSI and HTML.
+ * @property {import("./motd.js").FormattedText} formattedLevelName - The level name, formatted the same way as `formattedName`.
  * @property {string} gamemode - The default gamemode of the server.
  * @property {{ protocol: number, minecraft: string }} version - Game and protocol versions.
  * @property {{ online: number, max: number }} players - Current and maximum player counts.
@@ -49,12 +67,26 @@ const UNCONNECTED_PONG = 0x1c;
  * @property {bigint} guid - The server's unique 64-bit GUID.
  * @property {boolean} [isNintendoLimited] - True if the server restricts Nintendo Switch players.
  * @property {boolean} [isEditorModeEnabled] - True if the server is in editor mode. See [Minecraft Editor Mode Documentation](https://learn.microsoft.com/en-us/minecraft/creator/documents/bedrockeditor/editoroverview?view=minecraft-bedrock-stable) for more details.
+ * @property {number} latency - Round-trip time in milliseconds, computed from the timestamp echoed in the pong.
+ * @property {BedrockPingTimings} [timings] - How long each phase of the ping took. Only present with the `timings` option.
+ */
+
+/**
+ * How long each phase of a Bedrock ping took, in milliseconds.
+ * @typedef {object} BedrockPingTimings
+ * @property {number} [dnsLookup] - The A/AAAA lookup of the host. Missing when pinging an IP address.
+ * @property {number} ping - From sending the Unconnected Ping until the pong arrived.
  */
 
 /**
  * @typedef {object} BedrockPingOptions
  * @property {number} [port=19132] - The server port to ping.
  * @property {number} [timeout=5000] - The timeout in milliseconds for the request.
+ * @property {4 | 6 | "auto"} [family="auto"] - The IP family to ping over. `auto` uses the first address the host resolves to.
+ * @property {boolean} [happyEyeballs=false] - With `family: "auto"`, race IPv6 and IPv4 when the host has both A and AAAA records, and take the first pong.
+ * @property {AbortSignal} [signal] - Stops waiting for the pong, rejecting with an `AbortError`.
+ * @property {boolean} [timings=false] - Whether to add a phase-by-phase `timings` breakdown to the response.
+ * @property {import("./dns.js").MinepingResolver} [resolver] - Resolves the host, e.g. a `createCachingResolver()`. Defaults to the system resolver.
  */
 
 /**
@@ -66,8 +98,8 @@ const UNCONNECTED_PONG = 0x1c;
 const createUnconnectedPingFrame = (timestamp) => {
 	const buffer = Buffer.alloc(33);
 	buffer.writeUInt8(0x01, 0); // Packet ID
-	buffer.writeBigInt64LE(BigInt(timestamp), 1); // Timestamp
-	Buffer.from(MAGIC, "hex").copy(buffer, 9); // OFFLINE_MESSAGE_DATA_ID (Magic bytes)
+	buffer.writeBigInt64BE(BigInt(timestamp), 1); // Timestamp (RakNet longs are big-endian)
+	MAGIC_BUFFER.copy(buffer, 9); // OFFLINE_MESSAGE_DATA_ID (Magic bytes)
 	Buffer.from(crypto.randomBytes(8)).copy(buffer, 25); // Client GUID
 	return buffer;
 };
@@ -76,14 +108,15 @@ const createUnconnectedPingFrame = (timestamp) => {
  * Parses the semicolon-delimited MOTD string into a structured object.
  * @param {string} motdString - The raw MOTD string from the server.
  * @returns {BedrockMotd} The parsed internal MOTD object.
- * @throws {Error} If the MOTD string is missing required fields.
+ * @throws {ProtocolError} If the MOTD string is missing required fields.
  */
 const parseMotd = (motdString) => {
 	const parts = motdString.split(";");
 
 	if (parts.length < 5) {
-		throw new Error(
-			`Invalid MOTD format: Expected at least 5 fields, but got ${parts.length}.`
+		throw new ProtocolError(
+			`Invalid MOTD format: Expected at least 5 fields, but got ${parts.length}.`,
+			ERR_MALFORMED_RESPONSE
 		);
 	}
 
@@ -130,13 +163,16 @@ const parseMotd = (motdString) => {
 /**
  * Transforms the raw MOTD object into a user-friendly, nested structure.
  * @param {BedrockMotd} motd - The parsed MOTD object.
+ * @param {number} latency - The measured round-trip time in milliseconds.
  * @returns {BedrockPingResponse} The final, user-facing response object.
  */
-const transformMotd = (motd) => {
+const transformMotd = (motd, latency) => {
 	return {
 		edition: motd.edition,
 		name: motd.name,
 		levelName: motd.subName,
+		formattedName: formatBedrockText(motd.name),
+		formattedLevelName: formatBedrockText(motd.subName),
 		gamemode: motd.gamemode,
 		version: {
 			protocol: motd.protocol,
@@ -153,6 +189,7 @@ const transformMotd = (motd) => {
 		guid: motd.serverGuid,
 		isNintendoLimited: motd.nintendoLimited,
 		isEditorModeEnabled: motd.editorMode,
+		latency,
 	};
 };
 
@@ -160,26 +197,39 @@ const transformMotd = (motd) => {
  * Extracts the MOTD string from an Unconnected Pong packet and parses it.
  * @param {Buffer} pongPacket - The raw pong packet from the server.
  * @returns {BedrockPingResponse} The final response object.
- * @throws {Error} If the packet is malformed.
+ * @throws {ProtocolError} If the packet is malformed.
  */
 const parseUnconnectedPong = (pongPacket) => {
 	if (!Buffer.isBuffer(pongPacket) || pongPacket.length < 35) {
-		throw new Error("Invalid pong packet: buffer is too small.");
+		throw new ProtocolError(
+			"Invalid pong packet: buffer is too small.",
+			ERR_MALFORMED_RESPONSE
+		);
 	}
 
 	const packetId = pongPacket.readUInt8(0);
 	if (packetId !== UNCONNECTED_PONG) {
-		throw new Error(
+		throw new ProtocolError(
 			`Unexpected packet ID: 0x${packetId.toString(16)}. Expected 0x1c.`
 		);
 	}
 
+	// Bytes 1-8 echo the timestamp we sent in the Unconnected Ping
+	const echoedTime = pongPacket.readBigInt64BE(1);
+	// Bytes 17-32 must carry the offline message magic, anything else is not a RakNet reply
+	if (!pongPacket.subarray(17, 33).equals(MAGIC_BUFFER)) {
+		throw new ProtocolError("Invalid pong packet: magic bytes do not match.");
+	}
+
 	// The MOTD string is prefixed with its length as a 16-bit big-endian integer
 	const motdLength = pongPacket.readUInt16BE(33);
 	const motdOffset = 35;
 
 	if (motdOffset + motdLength > pongPacket.length) {
-		throw new Error("Malformed pong packet: MOTD length exceeds buffer size.");
+		throw new ProtocolError(
+			"Malformed pong packet: MOTD length exceeds buffer size.",
+			ERR_MALFORMED_RESPONSE
+		);
 	}
 
 	const motdString = pongPacket.toString(
@@ -189,73 +239,344 @@ const parseUnconnectedPong = (pongPacket) => {
 	);
 	debug("received raw MOTD string: %s", motdString);
 
+	const latency = Date.now() - START_TIME - Number(echoedTime);
+	debug("measured latency is %dms", latency);
+
 	const rawMotd = parseMotd(motdString);
-	const motd = transformMotd(rawMotd);
+	const motd = transformMotd(rawMotd, latency);
 	return motd;
 };
 
 /**
- * Asynchronously pings a Minecraft Bedrock server.
+ * @typedef {object} BedrockPinger
+ * @property {(address: import("./address.js").AddressInput, options?: BedrockPingOptions) => Promise<BedrockPingResponse>} ping - Pings a server over the shared socket.
+ * @property {() => void} close - Closes the socket and rejects every outstanding ping.
+ */
+
+const FAMILIES = [4, 6, "auto"];
+
+/**
+ * Resolves a host to the addresses its ping should be sent to.
+ * Returns a single address, or one per family when racing them.
  * @param {string} host - The IP address or hostname of the server.
- * @param {BedrockPingOptions} [options={}] - Optional configuration.
- * @returns {Promise<BedrockPingResponse>} A promise that resolves with the server's parsed MOTD.
+ * @param {4 | 6 | "auto"} family - The IP family to resolve.
+ * @param {boolean} happyEyeballs - Whether to return both an IPv6 and an IPv4 address when available.
+ * @param {import("./dns.js").MinepingResolver} [resolver] - Resolves the host instead of the system resolver.
+ * @returns {Promise<Array<{ address: string, family: 4 | 6 }>>}
+ * @throws {InvalidArgumentError | DnsError} If the host has no address of the requested family.
  */
-export async function pingBedrock(host, options = {}) {
-	if (!host) {
-		throw new Error("Host argument is required.");
+const resolveAddresses = async (host, family, happyEyeballs, resolver) => {
+	const literalFamily = isIP(host);
+	if (literalFamily !== 0) {
+		if (family !== "auto" && family !== literalFamily) {
+			throw new InvalidArgumentError(
+				`Address ${host} is not an IPv${family} address.`
+			);
+		}
+		return [{ address: host, family: /** @type {4 | 6} */ (literalFamily) }];
 	}
 
-	const { port = 19132, timeout = 5000 } = options;
-	debug("pinging Bedrock server %s:%d with %dms timeout", host, port, timeout);
+	let records;
+	try {
+		const lookupOptions = {
+			all: /** @type {const} */ (true),
+			family: family === "auto" ? 0 : family,
+		};
+		records = resolver?.lookup
+			? await resolver.lookup(host, lookupOptions)
+			: await lookup(host, lookupOptions);
+	} catch (err) {
+		throw new DnsError(err instanceof Error ? err.message : String(err), {
+			host,
+			cause: err,
+		});
+	}
+	if (records.length === 0) {
+		throw new DnsError(
+			`No ${family === "auto" ? "IP" : `IPv${family}`} address found for ${host}.`,
+			{ host }
+		);
+	}
+	debug("resolved %s to %o", host, records);
 
-	return new Promise((resolve, reject) => {
-		const socket = dgram.createSocket("udp4");
+	if (family === "auto" && happyEyeballs) {
+		// IPv6 goes first, as Happy Eyeballs prefers it
+		const ipv6 = records.find((record) => record.family === 6);
+		const ipv4 = records.find((record) => record.family === 4);
+		if (ipv6 && ipv4) return [ipv6, ipv4];
+	}
 
-		// Prevent cleanup tasks from running more than once
-		// in case of multiple error callbacks
-		let isCleanupCompleted = false;
+	return [records[0]];
+};
+
+/**
+ * Creates a Bedrock pinger that multiplexes many outstanding pings over a single UDP socket per IP family.
+ * Pongs are matched to their pings by the sender's address and port plus the echoed timestamp,
+ * so thousands of servers can be pinged without opening a socket for each one.
+ * Sockets are opened on first use and stay open until `close()` is called.
+ * @returns {BedrockPinger}
+ */
+export function createBedrockPinger() {
+	/** @type {Map<4 | 6, dgram.Socket>} */
+	const sockets = new Map();
+	let isClosed = false;
 
-		// Set a manual timeout interval to ensure
-		// the connection will NEVER hang regardless of internal state
-		const timeoutTask = setTimeout(() => {
-			socket.emit("error", new Error("Socket timeout"));
-		}, timeout);
+	// Every ping that has not settled yet, including those still resolving their host
+	const requests = new Set();
+	// Pings waiting for a pong, keyed by the address and port they were sent to
+	/** @type {Map<string, Set<object>>} */
+	const awaitingPong = new Map();
 
-		// Idempotent function to handle cleanup tasks, we can safely call it multiple times without side effects
-		const cleanup = () => {
-			if (isCleanupCompleted) return;
-			isCleanupCompleted = true;
-			debug("cleaning up resources for %s:%d", host, port);
-			clearTimeout(timeoutTask);
-			socket.close();
-		};
+	// Stops waiting for a pong from one of the addresses a ping was sent to
+	const forgetTarget = (request, key) => {
+		request.targets.delete(key);
+		const waiting = awaitingPong.get(key);
+		if (waiting) {
+			waiting.delete(request);
+			if (waiting.size === 0) awaitingPong.delete(key);
+		}
+	};
+
+	// Idempotent function to settle a ping, we can safely call it multiple times without side effects
+	const settle = (request, err, response) => {
+		if (request.isSettled) return;
+		request.isSettled = true;
+		clearTimeout(request.timeoutTask);
+		request.signal?.removeEventListener("abort", request.onAbort);
+		requests.delete(request);
+		for (const key of [...request.targets.keys()]) {
+			forgetTarget(request, key);
+		}
+
+		if (err) {
+			request.reject(err);
+		} else {
+			request.resolve(response);
+		}
+	};
+
+	// Attaches the address a ping was sent to and the failed step to an error
+	const targetError = (key, phase, err) => {
+		const separator = key.lastIndexOf(":");
+		return toMinepingError(err, {
+			host: key.slice(0, separator),
+			port: Number(key.slice(separator + 1)),
+			phase,
+		});
+	};
+
+	// A ping raced over several addresses only fails once all of them have failed
+	const failTarget = (request, key, err) => {
+		forgetTarget(request, key);
+		if (request.targets.size === 0) settle(request, err);
+	};
+
+	const getSocket = (family) => {
+		const existing = sockets.get(family);
+		if (existing) return existing;
+
+		debug("opening shared udp%d socket", family);
+		const socket = dgram.createSocket(family === 6 ? "udp6" : "udp4");
+		sockets.set(family, socket);
 
-		// Generic error handler
+		// Generic error handler, fails every ping that depends on this socket
 		socket.on("error", (err) => {
-			debug("socket error for %s:%d - %s", host, port, err.message);
-			cleanup();
-			reject(err);
+			debug("udp%d socket error - %s", family, err.message);
+			socket.close();
+			sockets.delete(family);
+			for (const request of requests) {
+				for (const [key, targetFamily] of request.targets) {
+					if (targetFamily === family) {
+						failTarget(request, key, targetError(key, "read", err));
+					}
+				}
+			}
 		});
 
-		socket.on("message", (pongPacket) => {
-			debug("received %d bytes from %s:%d", pongPacket.length, host, port);
+		socket.on("message", (pongPacket, rinfo) => {
+			const key = `${rinfo.address}:${rinfo.port}`;
+			debug("received %d bytes from %s", pongPacket.length, key);
+
+			const waiting = awaitingPong.get(key);
+			if (!waiting || pongPacket.length < 9) {
+				debug("ignoring datagram that does not match any ping");
+				return;
+			}
+
+			const echoedTime = pongPacket.readBigInt64BE(1);
+			const request = [...waiting].find((r) => r.timestamp === echoedTime);
+			if (!request) {
+				debug("ignoring datagram with an unknown timestamp from %s", key);
+				return;
+			}
+
 			try {
-				const motd = parseUnconnectedPong(pongPacket);
-				cleanup();
-				resolve(motd);
+				const response = parseUnconnectedPong(pongPacket);
+				if (request.timings) {
+					request.timings.ping = Date.now() - request.sentAt;
+					response.timings = request.timings;
+				}
+				settle(request, null, response);
 			} catch (err) {
-				socket.emit("error", err);
+				// Anything that escapes the parser, like an invalid GUID, is still a bad pong
+				const parseError =
+					err instanceof MinepingError
+						? err
+						: new ProtocolError(err.message, ERR_MALFORMED_RESPONSE, {
+								cause: err,
+							});
+				settle(request, targetError(key, "read", parseError));
 			}
 		});
 
-		try {
-			const pingPacket = createUnconnectedPingFrame(Date.now() - START_TIME);
-			debug("sending Unconnected Ping packet to %s:%d", host, port);
-			debug("packet: %o", pingPacket);
-			socket.send(pingPacket, 0, pingPacket.length, port, host);
-		} catch (err) {
-			// Handle any immediate, synchronous errors that might occur when sending the ping packet
-			socket.emit("error", err);
+		return socket;
+	};
+
+	/**
+	 * @param {import("./address.js").AddressInput} address
+	 * @param {BedrockPingOptions} [options={}]
+	 * @returns {Promise<BedrockPingResponse>}
+	 */
+	const ping = async (address, options = {}) => {
+		const { host, port: explicitPort } = toAddress(address);
+		if (isClosed) {
+			throw new MinepingError("Pinger is closed.", ERR_PINGER_CLOSED);
+		}
+
+		const {
+			port: optionPort = 19132,
+			timeout = 5000,
+			family = "auto",
+			happyEyeballs = false,
+			signal,
+			timings = false,
+			resolver,
+		} = options;
+		const port = explicitPort ?? optionPort;
+		if (!FAMILIES.includes(family)) {
+			throw new InvalidArgumentError(
+				`Invalid family option: ${family}. Expected one of: ${FAMILIES.join(", ")}.`
+			);
+		}
+		if (signal?.aborted) {
+			throw createAbortError(signal, { host, port, phase: "dns" });
 		}
-	});
+		debug(
+			"pinging Bedrock server %s:%d with %dms timeout",
+			host,
+			port,
+			timeout
+		);
+
+		return new Promise((resolve, reject) => {
+			// Fails the ping wherever it currently is
+			const interrupt = (err) => {
+				// Until the ping is sent, the host is still being resolved
+				const [key] = request.targets.keys();
+				const phase = request.timestamp === null ? "dns" : "read";
+				settle(
+					request,
+					key
+						? targetError(key, phase, err)
+						: toMinepingError(err, { host, port, phase })
+				);
+			};
+
+			const request = {
+				resolve,
+				reject,
+				isSettled: false,
+				timestamp: null,
+				sentAt: 0,
+				/** @type {BedrockPingTimings | null} */
+				timings: timings ? {} : null,
+				// The keys of the addresses the ping was sent to, and their family
+				/** @type {Map<string, 4 | 6>} */
+				targets: new Map(),
+				// Set a manual timeout interval to ensure
+				// the ping will NEVER hang regardless of internal state
+				timeoutTask: setTimeout(() => {
+					interrupt(new TimeoutError("Socket timeout"));
+				}, timeout),
+				signal,
+				onAbort: () => interrupt(createAbortError(signal)),
+			};
+			requests.add(request);
+			signal?.addEventListener("abort", request.onAbort, { once: true });
+
+			const startedAt = Date.now();
+			resolveAddresses(host, family, happyEyeballs, resolver)
+				.then((addresses) => {
+					if (request.isSettled) return;
+
+					request.sentAt = Date.now();
+					if (request.timings && isIP(host) === 0) {
+						request.timings.dnsLookup = request.sentAt - startedAt;
+					}
+
+					const timestamp = Date.now() - START_TIME;
+					request.timestamp = BigInt(timestamp);
+					const pingPacket = createUnconnectedPingFrame(timestamp);
+
+					for (const { address, family: addressFamily } of addresses) {
+						const key = `${address}:${port}`;
+						request.targets.set(key, addressFamily);
+						if (!awaitingPong.has(key)) awaitingPong.set(key, new Set());
+						awaitingPong.get(key).add(request);
+
+						debug("sending Unconnected Ping packet to %s", key);
+						debug("packet: %o", pingPacket);
+						const socket = getSocket(addressFamily);
+						socket.send(
+							pingPacket,
+							0,
+							pingPacket.length,
+							port,
+							address,
+							(err) => {
+								if (err) {
+									failTarget(request, key, targetError(key, "connect", err));
+								}
+							}
+						);
+					}
+				})
+				.catch((err) => settle(request, toMinepingError(err, { host, port })));
+		});
+	};
+
+	const close = () => {
+		if (isClosed) return;
+		isClosed = true;
+		debug("closing shared sockets");
+		for (const socket of sockets.values()) {
+			socket.close();
+		}
+		sockets.clear();
+		for (const request of requests) {
+			settle(
+				request,
+				new MinepingError("Pinger is closed.", ERR_PINGER_CLOSED)
+			);
+		}
+	};
+
+	return { ping, close };
+}
+
+/**
+ * Asynchronously pings a Minecraft Bedrock server.
+ * @param {import("./address.js").AddressInput} address - The server address, e.g. `play.example.com` or `[2001:db8::1]:19133`.
+ * @param {BedrockPingOptions} [options={}] - Optional configuration.
+ * @returns {Promise<BedrockPingResponse>} A promise that resolves with the server's parsed MOTD.
+ * @throws {MinepingError} If the arguments are invalid or the ping fails. The `code` tells why.
+ */
+export async function pingBedrock(address, options = {}) {
+	// A one-off pinger keeps the socket from outliving the ping
+	const pinger = createBedrockPinger();
+	try {
+		return await pinger.ping(address, options);
+	} finally {
+		pinger.close();
+	}
 }
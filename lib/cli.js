@@ -0,0 +1,504 @@
+/**
+ * The `mineping` command line tool, shipped as the package's bin.
+ * Kept apart from `bin/mineping.js` so it can run against any output stream.
+ */
+
+"use strict";
+
+import createDebug from "debug";
+import { pingJava } from "./java.js";
+import { pingBedrock } from "./bedrock.js";
+import { queryServer } from "./query.js";
+import { ping, summarizeJava, summarizeBedrock } from "./ping.js";
+import { parseAddress, formatAddress } from "./address.js";
+import { shareSignal } from "./signal.js";
+import {
+	ERR_ABORTED,
+	ERR_CONNECTION_CLOSED,
+	ERR_CONNECTION_REFUSED,
+	ERR_DNS_FAILURE,
+	ERR_INVALID_ARGUMENT,
+	ERR_MALFORMED_RESPONSE,
+	ERR_NETWORK_ERROR,
+	ERR_PROTOCOL_ERROR,
+	ERR_TIMEOUT,
+	InvalidArgumentError,
+} from "./errors.js";
+
+const debug = createDebug("mineping:cli");
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * The exit codes of the tool. When several hosts fail, the first failing host in argument order decides.
+ */
+export const EXIT_CODES = {
+	/** Every host answered. */
+	OK: 0,
+	/** An unexpected error. */
+	ERROR: 1,
+	/** The command line is invalid. */
+	USAGE: 2,
+	/** A host could not be reached: it refused or dropped the connection, or its name did not resolve. */
+	OFFLINE: 3,
+	/** A host did not answer in time. */
+	TIMEOUT: 4,
+	/** A host answered, but not with a valid response. */
+	PROTOCOL: 5,
+	/** The run was interrupted, e.g. by Ctrl+C. */
+	INTERRUPTED: 130,
+};
+
+const EXIT_CODE_BY_ERROR_CODE = {
+	[ERR_TIMEOUT]: EXIT_CODES.TIMEOUT,
+	[ERR_CONNECTION_REFUSED]: EXIT_CODES.OFFLINE,
+	[ERR_CONNECTION_CLOSED]: EXIT_CODES.OFFLINE,
+	[ERR_NETWORK_ERROR]: EXIT_CODES.OFFLINE,
+	[ERR_DNS_FAILURE]: EXIT_CODES.OFFLINE,
+	[ERR_PROTOCOL_ERROR]: EXIT_CODES.PROTOCOL,
+	[ERR_MALFORMED_RESPONSE]: EXIT_CODES.PROTOCOL,
+	[ERR_INVALID_ARGUMENT]: EXIT_CODES.USAGE,
+	[ERR_ABORTED]: EXIT_CODES.INTERRUPTED,
+};
+
+const COMMANDS = ["java", "bedrock", "auto", "query"];
+
+/**
+ * The options the tool understands. Options with `value` take an argument, as `--name value` or `--name=value`.
+ * @type {Record<string, { short?: string, value?: boolean }>}
+ */
+const OPTIONS = {
+	port: { short: "p", value: true },
+	timeout: { short: "t", value: true },
+	watch: { short: "w", value: true },
+	json: {},
+	ndjson: {},
+	full: {},
+	help: { short: "h" },
+};
+
+const USAGE = `Usage: mineping <command> [options] <host[:port]>...
+
+Pings Minecraft servers and prints their status.
+
+Commands:
+  java      Ping Java Edition servers, following their SRV records
+  bedrock   Ping Bedrock Edition servers
+  auto      Ping servers of an unknown edition, trying both at once
+  query     Query servers with enable-query=true
+
+Options:
+  -p, --port <port>         The port of hosts given without one. Like a port
+                            in the address, it skips the SRV lookup
+  -t, --timeout <duration>  The timeout of each ping (default: 5s)
+  -w, --watch <duration>    Ping again at this interval until interrupted
+      --json                Print the results of each round as a JSON array
+      --ndjson              Print one JSON object per result and line
+      --full                Request the full stat (query only)
+  -h, --help                Show this help
+
+Durations are numbers with a unit of ms, s, m or h. Without a unit, the
+timeout is in milliseconds and the watch interval in seconds.
+
+Exit codes:
+  0    Every host answered
+  1    Unexpected error
+  2    Invalid command line
+  3    A host is offline: the connection was refused or lost, or DNS failed
+  4    A host timed out
+  5    A host answered with an invalid response
+  130  Interrupted`;
+
+/**
+ * @typedef {object} CliOptions
+ * @property {"java" | "bedrock" | "auto" | "query"} command - The subcommand.
+ * @property {Array<{ host: string, port?: number }>} targets - The hosts to ping, in argument order.
+ * @property {number} timeout - The timeout in milliseconds for each ping.
+ * @property {number} [watch] - The interval in milliseconds between two rounds, if watching.
+ * @property {"text" | "json" | "ndjson"} format - How to print the results.
+ * @property {boolean} full - Whether to request the full stat of a query.
+ * @property {boolean} help - Whether to print the usage instead.
+ */
+
+/**
+ * The outcome of pinging one host. `result` is a `PingResult`, or a `QueryResponse` for `query`.
+ * @typedef {{ host: string, port?: number, time: string, online: true, result: any } | { host: string, port?: number, time: string, online: false, error: { code: string | null, message: string, phase: string | null } }} CliRecord
+ */
+
+/**
+ * @typedef {object} CliStreams
+ * @property {{ write: (chunk: string) => unknown, isTTY?: boolean }} [stdout=process.stdout] - Where results are printed.
+ * @property {{ write: (chunk: string) => unknown }} [stderr=process.stderr] - Where errors are printed.
+ * @property {AbortSignal} [signal] - Stops the run, e.g. on SIGINT. In watch mode, this is the only way to end it.
+ */
+
+/**
+ * Parses a duration such as `500ms`, `5s`, `2m` or `1h`.
+ * @param {string} value
+ * @param {string} name - The name of the option in messages.
+ * @param {"ms" | "s"} defaultUnit - The unit of a bare number.
+ * @returns {number} The duration in milliseconds.
+ * @throws {InvalidArgumentError} If it is not a positive duration.
+ */
+const parseDuration = (value, name, defaultUnit) => {
+	const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(value);
+	const multipliers = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+	const duration = match
+		? Number(match[1]) * multipliers[match[2] || defaultUnit]
+		: NaN;
+	if (!(duration > 0)) {
+		throw new InvalidArgumentError(
+			`Invalid ${name}: ${value}. Expected a duration such as 500ms, 5s or 1m.`
+		);
+	}
+	return duration;
+};
+
+/**
+ * Parses the command line.
+ * @param {string[]} argv - The arguments, without the node executable and script.
+ * @returns {CliOptions}
+ * @throws {InvalidArgumentError} If the command line is invalid.
+ */
+export function parseArguments(argv) {
+	/** @type {Record<string, string | boolean>} */
+	const values = {};
+	/** @type {string[]} */
+	const positionals = [];
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (arg === "--") {
+			positionals.push(...argv.slice(i + 1));
+			break;
+		}
+		if (!arg.startsWith("-") || arg === "-") {
+			positionals.push(arg);
+			continue;
+		}
+
+		let name;
+		let inline;
+		if (arg.startsWith("--")) {
+			const equals = arg.indexOf("=");
+			name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+			inline = equals === -1 ? undefined : arg.slice(equals + 1);
+		} else {
+			name = Object.keys(OPTIONS).find(
+				(key) => OPTIONS[key].short === arg.slice(1)
+			);
+		}
+		if (!name || !Object.prototype.hasOwnProperty.call(OPTIONS, name)) {
+			throw new InvalidArgumentError(`Unknown option: ${arg}.`);
+		}
+
+		if (OPTIONS[name].value) {
+			const value = inline !== undefined ? inline : argv[++i];
+			if (value === undefined) {
+				throw new InvalidArgumentError(`Option --${name} needs a value.`);
+			}
+			values[name] = value;
+		} else if (inline !== undefined) {
+			throw new InvalidArgumentError(`Option --${name} does not take a value.`);
+		} else {
+			values[name] = true;
+		}
+	}
+
+	const help = values.help === true;
+	const [command, ...hosts] = positionals;
+	if (help && command === undefined) {
+		return {
+			command: "auto",
+			targets: [],
+			timeout: DEFAULT_TIMEOUT,
+			format: "text",
+			full: false,
+			help,
+		};
+	}
+
+	if (command === undefined) {
+		throw new InvalidArgumentError("Missing command.");
+	}
+	if (!COMMANDS.includes(command)) {
+		throw new InvalidArgumentError(
+			`Unknown command: ${command}. Expected one of: ${COMMANDS.join(", ")}.`
+		);
+	}
+	if (hosts.length === 0 && !help) {
+		throw new InvalidArgumentError("Missing host.");
+	}
+	if (values.json && values.ndjson) {
+		throw new InvalidArgumentError(
+			"Options --json and --ndjson cannot be used together."
+		);
+	}
+	if (values.full && command !== "query") {
+		throw new InvalidArgumentError(
+			"Option --full only applies to the query command."
+		);
+	}
+
+	let port;
+	if (values.port !== undefined) {
+		port = Number(values.port);
+		if (!/^\d+$/.test(String(values.port)) || port < 1 || port > 65535) {
+			throw new InvalidArgumentError(
+				`Invalid port: ${values.port}. Expected a number between 1 and 65535.`
+			);
+		}
+	}
+
+	return {
+		command: /** @type {CliOptions["command"]} */ (command),
+		targets: hosts.map((value) => {
+			const address = parseAddress(value);
+			const target = { host: address.host };
+			if (address.port !== undefined) {
+				target.port = address.port;
+			} else if (port !== undefined) {
+				target.port = port;
+			}
+			return target;
+		}),
+		timeout:
+			values.timeout === undefined
+				? DEFAULT_TIMEOUT
+				: parseDuration(String(values.timeout), "timeout", "ms"),
+		watch:
+			values.watch === undefined
+				? undefined
+				: parseDuration(String(values.watch), "watch interval", "s"),
+		format: values.json ? "json" : values.ndjson ? "ndjson" : "text",
+		full: values.full === true,
+		help,
+	};
+}
+
+/**
+ * Maps the error of a failed host to an exit code.
+ * @param {unknown} err
+ * @returns {number}
+ */
+export const getExitCode = (err) => {
+	const code = /** @type {{ code?: unknown }} */ (err)?.code;
+	return (
+		(typeof code === "string" && EXIT_CODE_BY_ERROR_CODE[code]) ||
+		EXIT_CODES.ERROR
+	);
+};
+
+/**
+ * Pings or queries one host with the subcommand.
+ * @param {CliOptions} options
+ * @param {{ host: string, port?: number }} target
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<any>}
+ */
+const runCommand = async (options, target, signal) => {
+	const { command, timeout, full } = options;
+	const pingOptions = { timeout };
+	if (signal) pingOptions.signal = signal;
+	// A port is passed as part of the address, so a Java host with a port skips the SRV lookup
+	const address = target.port === undefined ? target.host : target;
+
+	switch (command) {
+		case "java":
+			return summarizeJava(await pingJava(address, pingOptions));
+		case "bedrock":
+			return summarizeBedrock(await pingBedrock(address, pingOptions));
+		case "query":
+			return queryServer(address, { ...pingOptions, full });
+		default:
+			return ping(address, pingOptions);
+	}
+};
+
+/**
+ * Pings every host once, in parallel.
+ * @param {CliOptions} options
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<CliRecord[]>} One record per host, in argument order.
+ */
+const runRound = (options, signal) =>
+	Promise.all(
+		options.targets.map(async (target) => {
+			const base = { ...target, time: new Date().toISOString() };
+			try {
+				const result = await runCommand(options, target, signal);
+				return { ...base, online: true, result };
+			} catch (err) {
+				debug(
+					"%s failed: %s",
+					target.host,
+					err instanceof Error ? err.message : err
+				);
+				const { code = null, phase = null } = /** @type {any} */ (err) ?? {};
+				return {
+					...base,
+					online: false,
+					error: {
+						code,
+						phase,
+						message: err instanceof Error ? err.message : String(err),
+					},
+				};
+			}
+		})
+	);
+
+/**
+ * Renders a successful record as text.
+ * @param {CliOptions} options
+ * @param {any} record
+ * @param {boolean} color - Whether to keep the MOTD colors.
+ * @returns {string}
+ */
+const formatRecord = (options, record, color) => {
+	const { result } = record;
+	const address = formatAddress(record);
+
+	if (options.command === "query") {
+		const lines = [
+			`Host: ${address}`,
+			`MOTD: ${result.motd}`,
+			`Players: ${result.players.online}/${result.players.max}`,
+		];
+		if (result.version !== undefined) {
+			lines.push(`Version: ${result.version}`);
+		}
+		if (result.software !== undefined) {
+			lines.push(`Software: ${result.software}`);
+		}
+		if (result.map !== undefined) lines.push(`Map: ${result.map}`);
+		if (result.players.list?.length) {
+			lines.push(`Player list: ${result.players.list.join(", ")}`);
+		}
+		return lines.join("\n");
+	}
+
+	const motd =
+		result.edition === "java"
+			? result.raw.formattedDescription
+			: result.raw.formattedName;
+	const lines = [
+		`Host: ${address}`,
+		`Edition: ${result.edition}`,
+		`Version: ${result.version.name} (protocol: ${result.version.protocol})`,
+		`Players: ${result.players.online}/${result.players.max}`,
+	];
+	if (result.latency !== undefined) {
+		lines.push(`Latency: ${Math.round(result.latency)} ms`);
+	}
+	lines.push(`MOTD: ${color && motd ? motd.ansi : result.name}`);
+	return lines.join("\n");
+};
+
+/**
+ * Serializes the bigint values of results, such as the GUID of a Bedrock server, which `JSON.stringify` rejects.
+ * @param {string} _key
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+const jsonReplacer = (_key, value) =>
+	typeof value === "bigint" ? value.toString() : value;
+
+/**
+ * Prints the records of a round.
+ * @param {CliOptions} options
+ * @param {CliRecord[]} records
+ * @param {Required<Pick<CliStreams, "stdout" | "stderr">>} streams
+ */
+const printRound = (options, records, { stdout, stderr }) => {
+	if (options.format === "json") {
+		stdout.write(`${JSON.stringify(records, jsonReplacer, 2)}\n`);
+		return;
+	}
+	if (options.format === "ndjson") {
+		for (const record of records)
+			stdout.write(`${JSON.stringify(record, jsonReplacer)}\n`);
+		return;
+	}
+
+	const blocks = [];
+	for (const record of records) {
+		if (record.online) {
+			blocks.push(formatRecord(options, record, Boolean(stdout.isTTY)));
+		} else {
+			const { code, message } = record.error;
+			stderr.write(
+				`${formatAddress(record)}: ${message}${code ? ` (${code})` : ""}\n`
+			);
+		}
+	}
+	if (blocks.length > 0) stdout.write(`${blocks.join("\n\n")}\n`);
+};
+
+/**
+ * Waits for the next round of watch mode.
+ * @param {number} delay
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>} Resolves early if the signal is aborted.
+ */
+const sleep = (delay, signal) =>
+	new Promise((resolve) => {
+		const onAbort = () => {
+			clearTimeout(timer);
+			resolve();
+		};
+		const timer = setTimeout(() => {
+			signal?.removeEventListener("abort", onAbort);
+			resolve();
+		}, delay);
+		signal?.addEventListener("abort", onAbort, { once: true });
+	});
+
+/**
+ * Runs the `mineping` tool.
+ * Every host is pinged in parallel, and the results are printed in argument order.
+ * In watch mode, the hosts are pinged again at every interval until the signal is aborted,
+ * and the exit code is that of the last complete round.
+ * @param {string[]} argv - The arguments, without the node executable and script.
+ * @param {CliStreams} [streams={}] - Where to print, and how to stop.
+ * @returns {Promise<number>} The exit code, see `EXIT_CODES`.
+ */
+export async function runCli(argv, streams = {}) {
+	const { stdout = process.stdout, stderr = process.stderr, signal } = streams;
+
+	let options;
+	try {
+		options = parseArguments(argv);
+	} catch (err) {
+		if (!(err instanceof InvalidArgumentError)) throw err;
+		stderr.write(`mineping: ${err.message}\nTry mineping --help.\n`);
+		return EXIT_CODES.USAGE;
+	}
+	if (options.help) {
+		stdout.write(`${USAGE}\n`);
+		return EXIT_CODES.OK;
+	}
+	debug("running %s on %d host(s)", options.command, options.targets.length);
+
+	// Every host listens to the signal, so they share one that does not trip the listener limit of the caller's
+	const shared = signal ? shareSignal(signal) : undefined;
+	let exitCode = EXIT_CODES.INTERRUPTED;
+	do {
+		const records = await runRound(options, shared?.signal);
+		// A round cut short by the signal is not printed
+		if (signal?.aborted) break;
+
+		printRound(options, records, { stdout, stderr });
+		const failure = records.find((record) => !record.online);
+		exitCode = failure
+			? getExitCode(/** @type {any} */ (failure).error)
+			: EXIT_CODES.OK;
+
+		if (options.watch !== undefined) {
+			await sleep(options.watch, signal);
+		}
+	} while (options.watch !== undefined && !signal?.aborted);
+
+	shared?.unlink();
+	return exitCode;
+}
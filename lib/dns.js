@@ -0,0 +1,174 @@
+/**
+ * Pluggable DNS resolution, with a caching resolver for high-frequency pinging.
+ */
+
+"use strict";
+
+import { Resolver, lookup as systemLookup } from "node:dns/promises";
+import createDebug from "debug";
+
+const debug = createDebug("mineping:dns");
+
+// Errors that mean the name has no such record, which are worth caching
+const NEGATIVE_ERROR_CODES = ["ENODATA", "ENOTFOUND"];
+
+/**
+ * Anything that resolves host names, such as `dns.promises`, a `dns.promises.Resolver` or `createCachingResolver()`.
+ * Both methods are optional, the system resolver is used for whichever one is missing.
+ * @typedef {object} MinepingResolver
+ * @property {(hostname: string) => Promise<import("node:dns").SrvRecord[]>} [resolveSrv] - Resolves the SRV records of a name.
+ * @property {(hostname: string, options: { all: true, family: 0 | 4 | 6 }) => Promise<import("node:dns").LookupAddress[]>} [lookup] - Resolves a host name to its IPv4 and IPv6 addresses, like `dns.promises.lookup`.
+ */
+
+/**
+ * @typedef {object} CachingResolverOptions
+ * @property {string[]} [servers] - The DNS servers to query, as accepted by `dns.setServers()`. Defaults to the system's servers.
+ * @property {number} [timeout=5000] - The timeout in milliseconds for each try of a query.
+ * @property {number} [tries=3] - The number of tries for each query.
+ * @property {number} [defaultTtl=60] - How long, in seconds, to cache answers that come without a TTL. Node.js does not report the TTL of SRV records, nor of names answered by the system resolver.
+ * @property {number} [maxTtl=3600] - The longest time, in seconds, to cache any answer, whatever its TTL.
+ * @property {number} [negativeTtl=30] - How long, in seconds, to remember that a name has no such record.
+ */
+
+/**
+ * A resolver with both methods, `clear()` to empty its cache and `size`, the number of answers in it.
+ * Expired answers are dropped on the next query that misses the cache.
+ * @typedef {MinepingResolver & { resolveSrv: NonNullable<MinepingResolver["resolveSrv"]>, lookup: NonNullable<MinepingResolver["lookup"]>, clear: () => void, readonly size: number }} CachingResolver
+ */
+
+/**
+ * Creates a resolver that caches SRV records and addresses for as long as their TTL allows.
+ * Concurrent queries for the same name share a single request.
+ * Names the DNS servers do not know, like `localhost`, fall back to the system resolver.
+ * @param {CachingResolverOptions} [options={}] - Optional configuration.
+ * @returns {CachingResolver}
+ */
+export function createCachingResolver(options = {}) {
+	const {
+		servers,
+		timeout = 5000,
+		tries = 3,
+		defaultTtl = 60,
+		maxTtl = 3600,
+		negativeTtl = 30,
+	} = options;
+
+	const resolver = new Resolver({ timeout, tries });
+	if (servers) {
+		resolver.setServers(servers);
+	}
+
+	/** @type {Map<string, { expiresAt: number, promise: Promise<any> }>} */
+	const cache = new Map();
+
+	/**
+	 * Returns the cached answer for a key, or runs the query and caches its answer.
+	 * @template T
+	 * @param {string} key - The cache key.
+	 * @param {() => Promise<{ value: T, ttl: number }>} query - Runs the query, and tells for how many seconds its answer is valid.
+	 * @returns {Promise<T>}
+	 */
+	const cached = (key, query) => {
+		const entry = cache.get(key);
+		if (entry && entry.expiresAt > Date.now()) {
+			debug("cache hit for %s", key);
+			return entry.promise;
+		}
+
+		debug("cache miss for %s", key);
+		// Drop every expired entry, so a resolver shared by a long-running monitor does not keep them forever
+		const now = Date.now();
+		for (const [cachedKey, { expiresAt }] of cache) {
+			if (expiresAt <= now) cache.delete(cachedKey);
+		}
+
+		// Stays valid while the query is in flight, so concurrent callers share it
+		const newEntry = { expiresAt: Infinity, promise: null };
+		newEntry.promise = query().then(
+			({ value, ttl }) => {
+				newEntry.expiresAt = Date.now() + Math.min(ttl, maxTtl) * 1000;
+				return value;
+			},
+			(err) => {
+				if (NEGATIVE_ERROR_CODES.includes(err?.code)) {
+					newEntry.expiresAt = Date.now() + negativeTtl * 1000;
+				} else if (cache.get(key) === newEntry) {
+					// Do not remember timeouts and other transient failures
+					cache.delete(key);
+				}
+				throw err;
+			}
+		);
+		cache.set(key, newEntry);
+		return newEntry.promise;
+	};
+
+	/**
+	 * Resolves the addresses of one family along with their TTL.
+	 * @param {string} hostname
+	 * @param {4 | 6} family
+	 * @returns {Promise<{ records: import("node:dns").LookupAddress[], ttl: number }>}
+	 */
+	const resolveFamily = async (hostname, family) => {
+		const answers =
+			family === 4
+				? await resolver.resolve4(hostname, { ttl: true })
+				: await resolver.resolve6(hostname, { ttl: true });
+		return {
+			records: answers.map(({ address }) => ({ address, family })),
+			ttl: Math.min(...answers.map((answer) => answer.ttl)),
+		};
+	};
+
+	/** @type {CachingResolver["resolveSrv"]} */
+	const resolveSrv = (hostname) =>
+		cached(`SRV ${hostname}`, async () => ({
+			value: await resolver.resolveSrv(hostname),
+			ttl: defaultTtl,
+		}));
+
+	/** @type {CachingResolver["lookup"]} */
+	const lookup = (hostname, options) => {
+		const family = options?.family || 0;
+		const type = family === 0 ? "A/AAAA" : family === 4 ? "A" : "AAAA";
+		return cached(`${type} ${hostname}`, async () => {
+			const families = family === 0 ? [4, 6] : [family];
+			const results = await Promise.all(
+				families.map((f) =>
+					resolveFamily(hostname, /** @type {4 | 6} */ (f)).catch((err) => err)
+				)
+			);
+			const answers = results.filter(
+				(result) => !(result instanceof Error) && result.records.length > 0
+			);
+
+			if (answers.length > 0) {
+				return {
+					value: answers.flatMap((answer) => answer.records),
+					ttl: Math.min(...answers.map((answer) => answer.ttl)),
+				};
+			}
+
+			// Not known to the DNS servers, but maybe to the hosts file
+			debug(
+				"%s is unknown to the DNS servers, using the system resolver",
+				hostname
+			);
+			return {
+				value: await systemLookup(hostname, { all: true, family }),
+				ttl: defaultTtl,
+			};
+		});
+	};
+
+	const clear = () => cache.clear();
+
+	return {
+		resolveSrv,
+		lookup,
+		clear,
+		get size() {
+			return cache.size;
+		},
+	};
+}
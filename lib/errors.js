@@ -0,0 +1,175 @@
+/**
+ * Errors shared by every pinger, with machine-readable codes.
+ * TIMEOUT, CONNECTION_REFUSED, CONNECTION_CLOSED, NETWORK_ERROR and DNS_FAILURE mean the server could not be reached,
+ * PROTOCOL_ERROR and MALFORMED_RESPONSE mean it answered but misbehaved.
+ */
+
+"use strict";
+
+export const ERR_TIMEOUT = "TIMEOUT";
+export const ERR_CONNECTION_REFUSED = "CONNECTION_REFUSED";
+export const ERR_CONNECTION_CLOSED = "CONNECTION_CLOSED";
+export const ERR_NETWORK_ERROR = "NETWORK_ERROR";
+export const ERR_DNS_FAILURE = "DNS_FAILURE";
+export const ERR_PROTOCOL_ERROR = "PROTOCOL_ERROR";
+export const ERR_MALFORMED_RESPONSE = "MALFORMED_RESPONSE";
+export const ERR_INVALID_ARGUMENT = "INVALID_ARGUMENT";
+export const ERR_PINGER_CLOSED = "PINGER_CLOSED";
+export const ERR_ABORTED = "ABORTED";
+
+// Socket error codes that mean the host name could not be resolved
+const DNS_ERROR_CODES = ["ENOTFOUND", "EAI_AGAIN", "EAI_FAIL", "EAI_NONAME"];
+// Socket error codes that mean an established connection was lost
+const CLOSED_ERROR_CODES = ["ECONNRESET", "EPIPE", "ECONNABORTED"];
+
+/**
+ * The step of a ping that failed.
+ * @typedef {"dns" | "connect" | "handshake" | "read"} ErrorPhase
+ */
+
+/**
+ * @typedef {object} ErrorDetails
+ * @property {string} [host] - The resolved host the request was sent to.
+ * @property {number} [port] - The resolved port the request was sent to.
+ * @property {ErrorPhase} [phase] - The step of the ping that failed.
+ * @property {unknown} [cause] - The underlying error, if any.
+ */
+
+export class MinepingError extends Error {
+	/**
+	 * @param {string} message The error message.
+	 * @param {string} code The error code.
+	 * @param {ErrorDetails} [details={}] Where and why the request failed.
+	 */
+	constructor(message, code, details = {}) {
+		super(message);
+		this.name = "MinepingError";
+		this.code = code;
+		/** @type {string | undefined} */
+		this.host = details.host;
+		/** @type {number | undefined} */
+		this.port = details.port;
+		/** @type {ErrorPhase | undefined} */
+		this.phase = details.phase;
+		// Set by hand, the `cause` option of the Error constructor needs Node 16.9
+		/** @type {unknown} */
+		this.cause = details.cause;
+	}
+}
+
+export class TimeoutError extends MinepingError {
+	/**
+	 * @param {string} message The error message.
+	 * @param {ErrorDetails} [details={}] Where and why the request failed.
+	 */
+	constructor(message, details = {}) {
+		super(message, ERR_TIMEOUT, details);
+		this.name = "TimeoutError";
+	}
+}
+
+export class ConnectionError extends MinepingError {
+	/**
+	 * @param {string} message The error message.
+	 * @param {string} code The error code: CONNECTION_REFUSED, CONNECTION_CLOSED or NETWORK_ERROR.
+	 * @param {ErrorDetails} [details={}] Where and why the request failed.
+	 */
+	constructor(message, code, details = {}) {
+		super(message, code, details);
+		this.name = "ConnectionError";
+	}
+}
+
+export class DnsError extends MinepingError {
+	/**
+	 * @param {string} message The error message.
+	 * @param {ErrorDetails} [details={}] Where and why the request failed.
+	 */
+	constructor(message, details = {}) {
+		super(message, ERR_DNS_FAILURE, { ...details, phase: "dns" });
+		this.name = "DnsError";
+	}
+}
+
+export class ProtocolError extends MinepingError {
+	/**
+	 * @param {string} message The error message.
+	 * @param {string} [code=ERR_PROTOCOL_ERROR] The error code: PROTOCOL_ERROR or MALFORMED_RESPONSE.
+	 * @param {ErrorDetails} [details={}] Where and why the request failed.
+	 */
+	constructor(message, code = ERR_PROTOCOL_ERROR, details = {}) {
+		super(message, code, details);
+		this.name = "ProtocolError";
+	}
+}
+
+export class InvalidArgumentError extends MinepingError {
+	/**
+	 * @param {string} message The error message.
+	 */
+	constructor(message) {
+		super(message, ERR_INVALID_ARGUMENT);
+		this.name = "InvalidArgumentError";
+	}
+}
+
+export class AbortError extends MinepingError {
+	/**
+	 * @param {string} message The error message.
+	 * @param {ErrorDetails} [details={}] Where the request was aborted, and the signal's reason as the cause.
+	 */
+	constructor(message, details = {}) {
+		super(message, ERR_ABORTED, details);
+		this.name = "AbortError";
+	}
+}
+
+/**
+ * Creates the error a request rejects with when its signal is aborted.
+ * @param {AbortSignal} signal - The aborted signal. Its `reason`, if any, becomes the cause.
+ * @param {ErrorDetails} [details={}] - Where the request was aborted.
+ * @returns {AbortError}
+ */
+export function createAbortError(signal, details = {}) {
+	// `reason` is only set on Node.js 17.2 and later
+	return new AbortError("The operation was aborted.", {
+		...details,
+		cause: signal.reason,
+	});
+}
+
+/**
+ * Turns any error raised during a ping into a `MinepingError`.
+ * Socket errors are classified by their `code`, and errors that already are a `MinepingError`
+ * only get the details they are missing.
+ * @param {unknown} err - The error to convert.
+ * @param {ErrorDetails} [details={}] - Where the request failed.
+ * @returns {MinepingError}
+ */
+export function toMinepingError(err, details = {}) {
+	if (err instanceof MinepingError) {
+		if (err.host === undefined) err.host = details.host;
+		if (err.port === undefined) err.port = details.port;
+		if (err.phase === undefined) err.phase = details.phase;
+		return err;
+	}
+
+	const message = err instanceof Error ? err.message : String(err);
+	const code =
+		err instanceof Error && "code" in err ? String(err.code) : undefined;
+	const context = { ...details, cause: err };
+
+	if (code === "ECONNREFUSED") {
+		return new ConnectionError(message, ERR_CONNECTION_REFUSED, context);
+	}
+	if (DNS_ERROR_CODES.includes(code)) {
+		return new DnsError(message, context);
+	}
+	if (code === "ETIMEDOUT") {
+		return new TimeoutError(message, context);
+	}
+	if (CLOSED_ERROR_CODES.includes(code)) {
+		return new ConnectionError(message, ERR_CONNECTION_CLOSED, context);
+	}
+	return new ConnectionError(message, ERR_NETWORK_ERROR, context);
+}
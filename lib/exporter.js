@@ -0,0 +1,317 @@
+/**
+ * Prometheus exporter serving the status of Java and Bedrock servers over HTTP.
+ * @see https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+"use strict";
+
+import { createServer } from "node:http";
+import createDebug from "debug";
+import { pingMany, normalizeTarget } from "./batch.js";
+import { parseAddress, formatAddress } from "./address.js";
+import { summarizeJava, summarizeBedrock } from "./ping.js";
+import { InvalidArgumentError } from "./errors.js";
+
+const debug = createDebug("mineping:exporter");
+
+const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+const OPENMETRICS_CONTENT_TYPE =
+	"application/openmetrics-text; version=1.0.0; charset=utf-8";
+
+/**
+ * The gauges exported for every target, in output order.
+ * `value` reads the gauge from a successful ping, and returns undefined when the ping does not tell.
+ * @type {Array<{ name: string, help: string, value: (result: import("./ping.js").PingResult) => number | undefined }>}
+ */
+const METRICS = [
+	{
+		name: "minecraft_up",
+		help: "Whether the server answered the ping.",
+		value: () => 1,
+	},
+	{
+		name: "minecraft_players_online",
+		help: "The number of players online.",
+		value: (result) => result.players.online,
+	},
+	{
+		name: "minecraft_players_max",
+		help: "The maximum number of players.",
+		value: (result) => result.players.max,
+	},
+	{
+		name: "minecraft_latency_seconds",
+		help: "The round-trip time of the ping.",
+		value: (result) =>
+			result.latency === undefined ? undefined : result.latency / 1000,
+	},
+	{
+		name: "minecraft_protocol_version",
+		help: "The protocol version the server reports.",
+		value: (result) => result.version.protocol,
+	},
+];
+
+/**
+ * @typedef {object} ExporterOptions
+ * @property {Iterable<string | import("./batch.js").PingTarget>} [targets=[]] - The servers pinged on every scrape of `/metrics`.
+ * @property {"java" | "bedrock"} [edition="java"] - The edition of targets that do not specify one, and of `/probe` requests without an `edition` parameter.
+ * @property {number} [timeout=5000] - The timeout in milliseconds for each ping.
+ * @property {number} [concurrency=10] - The maximum number of pings in flight at once during a scrape.
+ * @property {number} [cacheTtl=0] - How long in milliseconds to reuse the result of a ping across scrapes. `0` pings on every scrape.
+ * @property {import("./dns.js").MinepingResolver} [resolver] - Resolves the SRV records and host names of every ping.
+ */
+
+/**
+ * The outcome of pinging one target during a scrape.
+ * @typedef {{ target: import("./batch.js").PingTarget, result: import("./ping.js").PingResult } | { target: import("./batch.js").PingTarget, error: unknown }} ProbeOutcome
+ */
+
+/**
+ * @typedef {object} Exporter
+ * @property {import("node:http").Server} server - The underlying HTTP server.
+ * @property {(targets?: Iterable<string | import("./batch.js").PingTarget>) => Promise<string>} collect - Pings the targets, the configured ones by default, and renders their metrics.
+ * @property {(port?: number, host?: string) => Promise<import("node:net").AddressInfo>} listen - Starts serving `/metrics` and `/probe`. The port defaults to a free one.
+ * @property {() => Promise<void>} close - Stops the HTTP server.
+ */
+
+/**
+ * Escapes a label value of the text exposition format.
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeLabel = (value) =>
+	value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+/**
+ * Renders the metrics of every outcome in the text exposition format.
+ * Every target gets `minecraft_up`, the other gauges are only present for targets that answered.
+ * @param {ProbeOutcome[]} outcomes
+ * @param {boolean} openMetrics - Whether to end the output with the `# EOF` marker OpenMetrics requires.
+ * @returns {string}
+ */
+function renderMetrics(outcomes, openMetrics) {
+	const lines = [];
+	for (const metric of METRICS) {
+		lines.push(`# HELP ${metric.name} ${metric.help}`);
+		lines.push(`# TYPE ${metric.name} gauge`);
+
+		for (const outcome of outcomes) {
+			const { target } = outcome;
+			const result = "result" in outcome ? outcome.result : null;
+			const value = result
+				? metric.value(result)
+				: metric === METRICS[0]
+					? 0
+					: undefined;
+			if (value === undefined) continue;
+
+			const labels = [
+				`host="${escapeLabel(formatAddress(target))}"`,
+				`edition="${target.edition}"`,
+				`version="${escapeLabel(result ? result.version.name : "")}"`,
+			];
+			lines.push(`${metric.name}{${labels.join(",")}} ${value}`);
+		}
+	}
+	if (openMetrics) lines.push("# EOF");
+	return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Normalizes a response like `ping` does, so both editions export the same gauges.
+ * @param {import("./batch.js").PingTarget} target
+ * @param {any} value - The response of `pingJava` or `pingBedrock`, depending on the edition.
+ * @returns {import("./ping.js").PingResult}
+ */
+const summarize = (target, value) =>
+	target.edition === "bedrock" ? summarizeBedrock(value) : summarizeJava(value);
+
+/**
+ * Creates a Prometheus exporter for Java and Bedrock servers. It serves:
+ * - `/metrics`: the metrics of the configured targets.
+ * - `/probe?target=host[:port]&edition=java|bedrock`: the metrics of the targets named in the query, in the style of
+ *   blackbox_exporter. `target` may be repeated.
+ *
+ * Targets are pinged when scraped, or answered from a cache with `cacheTtl`. A scrape that asks for
+ * `application/openmetrics-text` gets the OpenMetrics format.
+ * @param {ExporterOptions} [options={}] - Optional configuration.
+ * @returns {Exporter}
+ * @throws {InvalidArgumentError} If a configured target is invalid.
+ */
+export function createExporter(options = {}) {
+	const {
+		targets = [],
+		edition = "java",
+		timeout = 5000,
+		concurrency = 10,
+		cacheTtl = 0,
+		resolver,
+	} = options;
+	const configuredTargets = [...targets].map((target) =>
+		normalizeTarget(target, edition)
+	);
+
+	/** @type {Map<string, { expiresAt: number, outcome: ProbeOutcome }>} */
+	const cache = new Map();
+	const cacheKey = (target) =>
+		`${target.edition}:${target.host}:${target.port ?? ""}`;
+
+	/**
+	 * Pings the targets that are not cached, and returns every outcome in the order of the targets.
+	 * A target listed twice is pinged and returned once, as a scrape must not hold the same series twice.
+	 * @param {import("./batch.js").PingTarget[]} targetList
+	 * @returns {Promise<ProbeOutcome[]>}
+	 */
+	const probe = async (targetList) => {
+		const list = [
+			...new Map(
+				targetList.map((target) => [cacheKey(target), target])
+			).values(),
+		];
+		const now = Date.now();
+		// `/probe` accepts any target, so expired entries are dropped rather than left to pile up
+		for (const [key, entry] of cache) {
+			if (entry.expiresAt <= now) cache.delete(key);
+		}
+		// Read before pinging, as a concurrent scrape may drop these entries meanwhile
+		/** @type {Map<string, ProbeOutcome>} */
+		const outcomes = new Map();
+		for (const target of list) {
+			const entry = cache.get(cacheKey(target));
+			if (entry) outcomes.set(cacheKey(target), entry.outcome);
+		}
+		const stale = list.filter((target) => !outcomes.has(cacheKey(target)));
+		debug(
+			"scraping %d targets, %d from the cache",
+			list.length,
+			list.length - stale.length
+		);
+
+		for await (const settled of pingMany(stale, {
+			concurrency,
+			timeout,
+			edition,
+			resolver,
+		})) {
+			const { target } = settled;
+			/** @type {ProbeOutcome} */
+			const outcome =
+				settled.status === "fulfilled"
+					? { target, result: summarize(target, settled.value) }
+					: { target, error: settled.reason };
+			outcomes.set(cacheKey(target), outcome);
+			if (cacheTtl > 0) {
+				cache.set(cacheKey(target), {
+					expiresAt: Date.now() + cacheTtl,
+					outcome,
+				});
+			}
+		}
+
+		return list.map(
+			(target) => /** @type {ProbeOutcome} */ (outcomes.get(cacheKey(target)))
+		);
+	};
+
+	/** @type {Exporter["collect"]} */
+	const collect = async (list = configuredTargets) =>
+		renderMetrics(
+			await probe([...list].map((target) => normalizeTarget(target, edition))),
+			false
+		);
+
+	/**
+	 * Answers a scrape.
+	 * @param {import("node:http").IncomingMessage} req
+	 * @param {import("node:http").ServerResponse} res
+	 */
+	const handle = async (req, res) => {
+		const url = new URL(req.url || "/", "http://localhost");
+		debug("%s %s", req.method, url.pathname + url.search);
+
+		/**
+		 * @param {number} status
+		 * @param {string} body
+		 * @param {string} [contentType]
+		 */
+		const send = (status, body, contentType = "text/plain; charset=utf-8") => {
+			res.writeHead(status, { "Content-Type": contentType });
+			res.end(body);
+		};
+
+		if (req.method !== "GET" && req.method !== "HEAD") {
+			send(405, "Method not allowed.\n");
+			return;
+		}
+
+		let list;
+		if (url.pathname === "/metrics") {
+			list = configuredTargets;
+		} else if (url.pathname === "/probe") {
+			const values = url.searchParams.getAll("target");
+			if (values.length === 0) {
+				send(400, "Missing target parameter.\n");
+				return;
+			}
+			try {
+				list = values.map((value) =>
+					normalizeTarget(
+						{
+							// The port stays in the address, so a Java target with a port skips the SRV lookup
+							host: formatAddress(parseAddress(value)),
+							edition: url.searchParams.get("edition") || edition,
+						},
+						edition
+					)
+				);
+			} catch (err) {
+				if (!(err instanceof InvalidArgumentError)) throw err;
+				send(400, `${err.message}\n`);
+				return;
+			}
+		} else {
+			send(404, "Not found. Try /metrics or /probe?target=host.\n");
+			return;
+		}
+
+		const openMetrics = (req.headers.accept || "").includes(
+			"application/openmetrics-text"
+		);
+		send(
+			200,
+			renderMetrics(await probe(list), openMetrics),
+			openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE
+		);
+	};
+
+	const server = createServer((req, res) => {
+		handle(req, res).catch((err) => {
+			debug("scrape failed: %s", err.message);
+			if (!res.headersSent) res.writeHead(500);
+			res.end();
+		});
+	});
+
+	/** @type {Exporter["listen"]} */
+	const listen = (port = 0, host) =>
+		new Promise((resolve, reject) => {
+			server.once("error", reject);
+			server.listen(port, host, () => {
+				server.off("error", reject);
+				const address = /** @type {import("node:net").AddressInfo} */ (
+					server.address()
+				);
+				debug("exporter listening on port %d", address.port);
+				resolve(address);
+			});
+		});
+
+	/** @type {Exporter["close"]} */
+	const close = () =>
+		new Promise((resolve, reject) => {
+			server.close((err) => (err ? reject(err) : resolve()));
+		});
+
+	return { server, collect, listen, close };
+}
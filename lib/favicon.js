@@ -0,0 +1,105 @@
+/**
+ * Decoding and export of the favicon in a Java Status Response.
+ * @see https://minecraft.wiki/w/Java_Edition_protocol/Server_List_Ping#Status_Response
+ */
+
+"use strict";
+
+import crypto from "node:crypto";
+import { writeFile } from "node:fs/promises";
+import createDebug from "debug";
+
+const debug = createDebug("mineping:favicon");
+
+const DATA_URI_PREFIX = "data:image/png;base64,";
+const PNG_SIGNATURE = Buffer.from([
+	0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+// The signature, then the IHDR chunk's length, type, width and height
+const PNG_HEADER_LENGTH = 24;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+// The size the vanilla client expects
+const FAVICON_SIZE = 64;
+
+/**
+ * The outcome of decoding a favicon. A favicon that cannot be decoded is reported
+ * with `valid: false` and the reason in `warnings`, it never throws.
+ * @typedef {{ valid: true, data: Buffer, width: number, height: number, hash: string, warnings: string[] } | { valid: false, warnings: string[] }} DecodedFavicon
+ */
+
+/**
+ * Decodes a favicon data URI, such as `JavaPingResponse.favicon`, into PNG bytes.
+ * Checks the `data:image/png;base64,` prefix, the PNG signature and the image size from the IHDR chunk.
+ * A favicon that is not 64x64 is still decoded, with a warning, as the vanilla client would not show it.
+ * @param {unknown} favicon - The favicon data URI.
+ * @returns {DecodedFavicon} The PNG bytes, their size and a SHA-256 hash for change detection, or why they could not be decoded.
+ */
+export function decodeFavicon(favicon) {
+	/** @type {string[]} */
+	const warnings = [];
+	/**
+	 * @param {string} reason
+	 * @returns {DecodedFavicon}
+	 */
+	const invalid = (reason) => {
+		debug("cannot decode favicon: %s", reason);
+		warnings.push(reason);
+		return { valid: false, warnings };
+	};
+
+	if (typeof favicon !== "string") {
+		return invalid(`Favicon should be a string, got ${typeof favicon}.`);
+	}
+	if (!favicon.startsWith(DATA_URI_PREFIX)) {
+		return invalid(`Favicon should start with "${DATA_URI_PREFIX}".`);
+	}
+
+	let base64 = favicon.slice(DATA_URI_PREFIX.length);
+	// Some older servers wrap the Base64 string over several lines
+	if (/\s/.test(base64)) {
+		warnings.push("Favicon contains whitespace, which was ignored.");
+		base64 = base64.replace(/\s/g, "");
+	}
+	if (!BASE64_PATTERN.test(base64)) {
+		return invalid("Favicon is not valid Base64.");
+	}
+
+	const data = Buffer.from(base64, "base64");
+	if (
+		data.length < PNG_HEADER_LENGTH ||
+		!data.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)
+	) {
+		return invalid("Favicon is not a PNG image.");
+	}
+	if (data.toString("latin1", 12, 16) !== "IHDR") {
+		return invalid("Favicon is not a valid PNG image: missing IHDR chunk.");
+	}
+
+	const width = data.readUInt32BE(16);
+	const height = data.readUInt32BE(20);
+	if (width !== FAVICON_SIZE || height !== FAVICON_SIZE) {
+		warnings.push(
+			`Favicon is ${width}x${height}, expected ${FAVICON_SIZE}x${FAVICON_SIZE}.`
+		);
+	}
+
+	const hash = crypto.createHash("sha256").update(data).digest("hex");
+	return { valid: true, data, width, height, hash, warnings };
+}
+
+/**
+ * Decodes a favicon data URI and writes the PNG image to a file.
+ * A favicon that cannot be decoded is not written, and is reported like `decodeFavicon` does.
+ * @param {unknown} favicon - The favicon data URI.
+ * @param {string} path - Where to write the PNG file.
+ * @returns {Promise<DecodedFavicon>} The decoded favicon, once it has been written.
+ * @throws {Error} If the file cannot be written.
+ */
+export async function saveFavicon(favicon, path) {
+	const decoded = decodeFavicon(favicon);
+	if (decoded.valid) {
+		debug("writing %d byte favicon to %s", decoded.data.length, path);
+		await writeFile(path, decoded.data);
+	}
+	return decoded;
+}
@@ -0,0 +1,244 @@
+/**
+ * Decoder for the mod lists that Forge and NeoForge servers add to the Status Response.
+ * The binary format of FML3 mirrors Forge's `ServerStatusPing`.
+ */
+
+"use strict";
+
+import {
+	ERR_PACKET_BUFFER_UNDERFLOW,
+	PacketError,
+	PacketReader,
+} from "./packet.js";
+import { ERR_MALFORMED_RESPONSE, ProtocolError } from "./errors.js";
+
+// The version Forge announces for mods that clients do not need, see NetworkConstants.IGNORESERVERONLY
+const SERVER_ONLY_MARKER = "OHNOES";
+
+/**
+ * @typedef {object} ForgeMod
+ * @property {string} modId - The mod ID, e.g. `"jei"`.
+ * @property {string} version - The mod version. Empty for server-only mods.
+ * @property {boolean} serverOnly - True if clients do not need the mod to join.
+ */
+
+/**
+ * @typedef {object} ForgeChannel
+ * @property {string} name - The channel name, e.g. `"jei:channel"`.
+ * @property {string} version - The channel version.
+ * @property {boolean} required - True if clients must have the channel to join.
+ */
+
+/**
+ * The mods and network channels a modded server announces.
+ * @typedef {object} ForgeModList
+ * @property {number} fmlNetworkVersion - The FML network version: 1 for `modinfo`, 2 or 3 for `forgeData`.
+ * @property {ForgeMod[]} mods - The mods the server runs.
+ * @property {ForgeChannel[]} channels - The network channels the server registers. Always empty for FML1.
+ * @property {boolean} truncated - True if the server cut the list short to keep the response small.
+ */
+
+/**
+ * Unpacks the `d` string of FML3, which stores 15 bits in each UTF-16 character.
+ * The first two characters hold the length of the data in bytes.
+ * @param {string} encoded - The `forgeData.d` string.
+ * @returns {Buffer} The packed bytes.
+ * @throws {ProtocolError} If the string is too short for the length it announces.
+ */
+function decodeOptimized(encoded) {
+	if (encoded.length < 2) {
+		throw new ProtocolError(
+			"Malformed Forge data: missing length header.",
+			ERR_MALFORMED_RESPONSE
+		);
+	}
+
+	const size = encoded.charCodeAt(0) | (encoded.charCodeAt(1) << 15);
+	// Every character after the header carries 15 bits
+	if (Math.floor(((encoded.length - 2) * 15) / 8) < size) {
+		throw new ProtocolError(
+			`Malformed Forge data: expected ${size} bytes, but the string is too short.`,
+			ERR_MALFORMED_RESPONSE
+		);
+	}
+
+	const bytes = Buffer.alloc(size);
+	let written = 0;
+	let buffer = 0;
+	let bitsInBuffer = 0;
+	for (let i = 2; i < encoded.length && written < size; i++) {
+		buffer |= (encoded.charCodeAt(i) & 0x7fff) << bitsInBuffer;
+		bitsInBuffer += 15;
+		while (bitsInBuffer >= 8 && written < size) {
+			bytes[written++] = buffer & 0xff;
+			buffer >>>= 8;
+			bitsInBuffer -= 8;
+		}
+	}
+	return bytes;
+}
+
+/**
+ * Reads the binary mod list of FML3.
+ * @param {Buffer} data - The bytes unpacked from the `d` string.
+ * @returns {ForgeModList}
+ * @throws {ProtocolError} If the data ends early or is malformed.
+ */
+function readOptimizedModList(data) {
+	const reader = new PacketReader(data);
+
+	try {
+		const truncated = reader.readBoolean();
+		const modCount = reader.readUnsignedShort();
+
+		/** @type {ForgeMod[]} */
+		const mods = [];
+		/** @type {ForgeChannel[]} */
+		const channels = [];
+		for (let i = 0; i < modCount; i++) {
+			// The channel count, shifted left to make room for the server-only flag
+			const flags = reader.readVarInt();
+			const serverOnly = (flags & 0b1) !== 0;
+			const modId = reader.readString();
+			const version = serverOnly ? "" : reader.readString();
+			mods.push({ modId, version, serverOnly });
+
+			for (let j = 0; j < flags >>> 1; j++) {
+				const path = reader.readString();
+				channels.push({
+					name: `${modId}:${path}`,
+					version: reader.readString(),
+					required: reader.readBoolean(),
+				});
+			}
+		}
+
+		// Channels whose namespace does not belong to any mod, e.g. "minecraft:register"
+		const otherChannelCount = reader.readVarInt();
+		for (let i = 0; i < otherChannelCount; i++) {
+			channels.push({
+				name: reader.readString(),
+				version: reader.readString(),
+				required: reader.readBoolean(),
+			});
+		}
+
+		return { fmlNetworkVersion: 3, mods, channels, truncated };
+	} catch (err) {
+		if (err instanceof PacketError) {
+			throw new ProtocolError(
+				err.code === ERR_PACKET_BUFFER_UNDERFLOW
+					? "Malformed Forge data: unexpected end of data."
+					: `Malformed Forge data: ${err.message}`,
+				ERR_MALFORMED_RESPONSE,
+				{ cause: err }
+			);
+		}
+		throw err;
+	}
+}
+
+/**
+ * Checks that a field of the mod list has the expected shape.
+ * @param {boolean} condition - Whether the field is valid.
+ * @param {string} field - The name of the field in the message.
+ * @throws {ProtocolError} If it is not.
+ */
+const expectField = (condition, field) => {
+	if (!condition) {
+		throw new ProtocolError(
+			`Malformed Forge data: invalid ${field}.`,
+			ERR_MALFORMED_RESPONSE
+		);
+	}
+};
+
+/**
+ * Decodes the mod list of a modded server from its Status Response.
+ * Understands `modinfo` (FML1, Forge 1.7 to 1.12), `forgeData` (FML2, Forge 1.13 to 1.17)
+ * and `forgeData` with the compressed `d` string (FML3, Forge 1.18 and later, and NeoForge).
+ * @param {{ modinfo?: unknown, forgeData?: unknown }} response - The Status Response, e.g. a `JavaPingResponse`.
+ * @returns {ForgeModList | null} The mod list, or null if the server did not announce one.
+ * @throws {ProtocolError} If the mod list is malformed.
+ */
+export function decodeForgeData(response) {
+	const { forgeData, modinfo } = response ?? {};
+
+	if (forgeData !== undefined && forgeData !== null) {
+		expectField(typeof forgeData === "object", "forgeData");
+		const data = /** @type {Record<string, any>} */ (forgeData);
+		const isOptimized = typeof data.d === "string";
+		const fmlNetworkVersion = Number(
+			data.fmlNetworkVersion ?? (isOptimized ? 3 : 2)
+		);
+		expectField(Number.isInteger(fmlNetworkVersion), "fmlNetworkVersion");
+
+		if (isOptimized) {
+			const modList = readOptimizedModList(decodeOptimized(data.d));
+			return {
+				...modList,
+				fmlNetworkVersion,
+				truncated: modList.truncated || data.truncated === true,
+			};
+		}
+
+		const mods = data.mods ?? [];
+		const channels = data.channels ?? [];
+		expectField(Array.isArray(mods), "forgeData.mods");
+		expectField(Array.isArray(channels), "forgeData.channels");
+
+		return {
+			fmlNetworkVersion,
+			mods: mods.map((mod, index) => {
+				expectField(
+					typeof mod?.modId === "string",
+					`forgeData.mods[${index}].modId`
+				);
+				const marker = typeof mod.modmarker === "string" ? mod.modmarker : "";
+				const serverOnly = marker.startsWith(SERVER_ONLY_MARKER);
+				return {
+					modId: mod.modId,
+					version: serverOnly ? "" : marker,
+					serverOnly,
+				};
+			}),
+			channels: channels.map((channel, index) => {
+				expectField(
+					typeof channel?.res === "string",
+					`forgeData.channels[${index}].res`
+				);
+				return {
+					name: channel.res,
+					version: String(channel.version ?? ""),
+					required: channel.required === true,
+				};
+			}),
+			truncated: data.truncated === true,
+		};
+	}
+
+	if (modinfo !== undefined && modinfo !== null) {
+		expectField(typeof modinfo === "object", "modinfo");
+		const modList = /** @type {Record<string, any>} */ (modinfo).modList ?? [];
+		expectField(Array.isArray(modList), "modinfo.modList");
+
+		return {
+			fmlNetworkVersion: 1,
+			mods: modList.map((mod, index) => {
+				expectField(
+					typeof mod?.modid === "string",
+					`modinfo.modList[${index}].modid`
+				);
+				return {
+					modId: mod.modid,
+					version: String(mod.version ?? ""),
+					serverOnly: false,
+				};
+			}),
+			channels: [],
+			truncated: false,
+		};
+	}
+
+	return null;
+}
@@ -8,10 +8,39 @@
 import { createConnection, isIP } from "node:net";
 import { Resolver } from "node:dns/promises";
 import createDebug from "debug";
-import * as varint from "./varint.js";
+import {
+	ERR_CONNECTION_CLOSED,
+	ERR_MALFORMED_RESPONSE,
+	AbortError,
+	ConnectionError,
+	DnsError,
+	InvalidArgumentError,
+	ProtocolError,
+	TimeoutError,
+	createAbortError,
+	toMinepingError,
+} from "./errors.js";
+import { formatDescription } from "./motd.js";
+import {
+	MAX_PACKET_LENGTH,
+	PacketError,
+	PacketReader,
+	PacketWriter,
+	readFrame,
+} from "./packet.js";
+import { toAddress } from "./address.js";
+import { validateJavaStatus } from "./schema.js";
+import { decodeForgeData } from "./forge.js";
 
 const debug = createDebug("mineping:java");
 
+// The protocol version sent in the legacy ping, 74 is the last one used by 1.6.4
+const LEGACY_PROTOCOL_VERSION = 74;
+const LEGACY_KICK_PACKET = 0xff;
+const LEGACY_MODES = ["never", "fallback", "only"];
+// The longest server address the Handshake may carry
+const MAX_HOST_LENGTH = 255;
+
 /**
  * Represents the structured and user-friendly response from a server ping.
  * The fields and their optionality are based on the protocol documentation.
@@ -20,16 +49,74 @@ const debug = createDebug("mineping:java");
  * @property {{ name: string, protocol: number }} version - Contains the server's version name and protocol number.
  * @property {{ max: number, online: number, sample?: Array<{ name: string, id: string }> }} [players] - Player count and a sample of online players.
  * @property {object | string} [description] - The server's Message of the Day (MOTD).
- * @property {string} [favicon] - A Base64-encoded 64x64 PNG image data URI.
+ * @property {import("./motd.js").FormattedText} formattedDescription - The description normalized into styled spans and rendered as plain text, ANSI and HTML.
+ * @property {string} [favicon] - A Base64-encoded 64x64 PNG image data URI. Use `decodeFavicon` to check and decode it.
  * @property {boolean} [enforcesSecureChat] - True if the server requires clients to have a Mojang-signed public key.
  * @property {boolean} [preventsChatReports] - True if a mod is installed to disable chat reporting.
+ * @property {number} [latency] - Round-trip time of the Ping Request/Pong Response exchange in milliseconds (the whole exchange for legacy pings). Missing if the server did not answer the ping.
+ * @property {JavaPingTimings} [timings] - How long each phase of the ping took. Only present with the `timings` option.
+ * @property {JavaSrvReport} [srv] - Which SRV target answered and which ones failed before it. Only present if the host has SRV records.
+ * @property {import("./forge.js").ForgeModList} [forge] - The mods and channels of a Forge or NeoForge server, decoded from `modinfo` or `forgeData`. Only present if the server announced them.
+ * @property {string[]} [warnings] - One message per field of the response that was coerced or removed because it did not match these types. Only present if any was.
+ */
+
+/**
+ * @typedef {object} JavaSrvReport
+ * @property {{ host: string, port: number }} target - The SRV target that answered.
+ * @property {Array<{ host: string, port: number, error: import("./errors.js").MinepingError }>} failed - The targets tried before it, in order, with the error each one failed with.
+ */
+
+/**
+ * How long each phase of a Java ping took, in milliseconds.
+ * A phase is missing if it was skipped or never completed.
+ * @typedef {object} JavaPingTimings
+ * @property {number} [srvLookup] - The SRV record lookup.
+ * @property {number} [dnsLookup] - The A/AAAA lookup of the host to connect to. Missing when connecting to an IP address.
+ * @property {number} [connect] - Establishing the TCP connection.
+ * @property {number} [firstByte] - From the connection until the first byte of the response.
+ * @property {number} [response] - From the connection until the whole status response has arrived.
+ * @property {number} [ping] - The Ping Request/Pong Response round trip. Missing for legacy pings.
  */
 
 /**
  * @typedef {object} JavaPingOptions
  * @property {number} [port=25565] - The fallback port if an SRV record is not found.
- * @property {number} [timeout=5000] - The connection timeout in milliseconds.
+ * @property {number} [timeout=5000] - The connection timeout in milliseconds, for the whole ping after the SRV lookup.
+ * It is shared by the SRV targets and, with `legacy: "fallback"`, by the modern and legacy ping of each target:
+ * every attempt gets an equal part of the time left, so one that hangs leaves time for the others.
  * @property {number} [protocolVersion=-1] - The protocol version to use in the handshake. `-1` is for auto-detection.
+ * @property {"never" | "fallback" | "only"} [legacy="never"] - Whether to use the pre-1.7 legacy Server List Ping: never, only after the modern ping fails, or exclusively.
+ * @property {AbortSignal} [signal] - Aborts the SRV lookup and the connection, rejecting with an `AbortError`.
+ * @property {number} [dnsTimeout] - The timeout in milliseconds for each try of the SRV lookup and for the A/AAAA lookup. Defaults to `timeout`.
+ * @property {number} [connectTimeout] - The timeout in milliseconds for establishing the TCP connection.
+ * @property {number} [readTimeout] - The timeout in milliseconds for the response once connected.
+ * @property {boolean} [timings=false] - Whether to add a phase-by-phase `timings` breakdown to the response.
+ * @property {import("./dns.js").MinepingResolver} [resolver] - Resolves the SRV record and the host to connect to, e.g. a `createCachingResolver()`. Defaults to the system resolver.
+ * @property {boolean} [strict=false] - Whether to reject a status response with fields that do not match `JavaPingResponse`, instead of repairing them and listing them in `warnings`.
+ */
+
+/**
+ * The options shared by the modern and the legacy request.
+ * @typedef {object} RequestOptions
+ * @property {number} timeout - The overall connection timeout in milliseconds
+ * @property {number} [dnsTimeout] - The timeout in milliseconds for the A/AAAA lookup
+ * @property {number} [connectTimeout] - The timeout in milliseconds for the TCP connection
+ * @property {number} [readTimeout] - The timeout in milliseconds for the response once connected
+ * @property {AbortSignal} [signal] - Aborts the request
+ * @property {JavaPingTimings} timings - Filled in as the phases complete
+ * @property {SocketLookup} [lookup] - Resolves the host to connect to, instead of the system resolver
+ */
+
+/**
+ * What a request got from a server. The latency is kept apart from the status, so the server cannot set it.
+ * @typedef {object} StatusResult
+ * @property {object} status - The status as the server sent it, not yet validated
+ * @property {number} [latency] - The measured latency, missing if the server did not answer the ping
+ */
+
+/**
+ * The callback-style lookup function accepted by `net.createConnection`.
+ * @typedef {(hostname: string, options: { family?: number, all?: boolean }, callback: (err: Error | null, address?: string | import("node:dns").LookupAddress[], family?: number) => void) => void} SocketLookup
  */
 
 /**
@@ -40,18 +127,13 @@ const debug = createDebug("mineping:java");
  * @returns {Buffer} The complete Handshake packet
  */
 function createHandshakePacket(host, port, protocolVersion) {
-	const hostBuffer = varint.encodeString(host);
-
-	const payload = [
-		varint.encodeVarInt(0x00), // Packet ID
-		varint.encodeVarInt(protocolVersion),
-		varint.encodeVarInt(hostBuffer.length),
-		hostBuffer,
-		varint.encodeUShort(port),
-		varint.encodeVarInt(1), // Next state: 1 for Status
-	];
-
-	return varint.concatPackets(payload);
+	return new PacketWriter()
+		.writeVarInt(0x00) // Packet ID
+		.writeVarInt(protocolVersion)
+		.writeString(host, MAX_HOST_LENGTH)
+		.writeUnsignedShort(port)
+		.writeVarInt(1) // Next state: 1 for Status
+		.toPacket();
 }
 
 /**
@@ -59,148 +141,364 @@ function createHandshakePacket(host, port, protocolVersion) {
  * @returns {Buffer} The complete Status Request packet
  */
 function createStatusRequestPacket() {
-	const payload = [
-		varint.encodeVarInt(0x00), // Packet ID
-	];
-	return varint.concatPackets(payload);
+	return new PacketWriter()
+		.writeVarInt(0x00) // Packet ID
+		.toPacket();
 }
 
 /**
- * Attempts to parse the server status response from the buffer.
+ * Creates the Ping Request packet.
+ * @param {bigint} payload The value the server is expected to echo back
+ * @returns {Buffer} The complete Ping Request packet
+ */
+function createPingRequestPacket(payload) {
+	return new PacketWriter()
+		.writeVarInt(0x01) // Packet ID
+		.writeLong(payload)
+		.toPacket();
+}
+
+/**
+ * Attempts to parse a Status Response (0x00) or Pong Response (0x01) packet from the buffer.
  * @param {Buffer} buffer The incoming data buffer
- * @returns {{ response: JavaPingResponse, remainder: Buffer } | null} The parsed response and the remaining buffer, or null if the packet is incomplete
+ * @returns {{ packetId: 0x00, response: JavaPingResponse, remainder: Buffer } | { packetId: 0x01, payload: bigint, remainder: Buffer } | null} The parsed packet and the remaining buffer, or null if the packet is incomplete
+ * @throws {ProtocolError} If the packet is unexpected or malformed
  */
 function processResponse(buffer) {
-	let offset = 0;
-
 	try {
-		const packetLengthResult = varint.decodeVarInt(buffer, offset);
-		const packetLength = packetLengthResult.value;
-		offset += packetLengthResult.bytesRead;
-
-		// Check if the full packet has arrived yet.
-		if (buffer.length < offset + packetLength) {
+		const frame = readFrame(buffer, MAX_PACKET_LENGTH);
+		if (!frame) {
 			debug("packet incomplete, waiting for more data");
-			return null; // Incomplete packet, wait for more data.
+			return null;
 		}
 
-		const packetIdResult = varint.decodeVarInt(buffer, offset);
-		if (packetIdResult.value !== 0x00) {
-			throw new Error(
-				`Unexpected packet ID: ${packetIdResult.value}. Expected 0x00.`
-			);
-		}
-		offset += packetIdResult.bytesRead;
+		const reader = new PacketReader(frame.packet);
+		const packetId = reader.readVarInt();
 
-		const jsonLengthResult = varint.decodeVarInt(buffer, offset);
-		const jsonLength = jsonLengthResult.value;
-		offset += jsonLengthResult.bytesRead;
+		if (packetId === 0x01) {
+			// The Pong Response carries the same 8-byte long that was sent in the Ping Request.
+			if (reader.remaining !== 8) {
+				throw new ProtocolError(
+					`Invalid pong packet: expected an 8-byte payload, got ${reader.remaining} bytes.`,
+					ERR_MALFORMED_RESPONSE
+				);
+			}
+			debug("received pong response");
+			return {
+				packetId,
+				payload: reader.readLong(),
+				remainder: frame.remainder,
+			};
+		}
 
-		if (buffer.length < offset + jsonLength) {
-			debug("JSON string incomplete, waiting for more data");
-			return null; // Incomplete JSON string, wait for more data.
+		if (packetId !== 0x00) {
+			throw new ProtocolError(
+				`Unexpected packet ID: ${packetId}. Expected 0x00 or 0x01.`
+			);
 		}
 
-		const jsonString = buffer
-			.subarray(offset, offset + jsonLength)
-			.toString("utf8");
+		// Favicons and mod lists make some responses longer than the 32767 characters vanilla allows
+		const jsonString = reader.readString(MAX_PACKET_LENGTH);
 		debug("received raw JSON response");
-		const response = JSON.parse(jsonString);
+		let response;
+		try {
+			response = JSON.parse(jsonString);
+		} catch (err) {
+			throw new ProtocolError(
+				`Malformed status response: ${err.message}`,
+				ERR_MALFORMED_RESPONSE,
+				{ cause: err }
+			);
+		}
 
 		// Return the response and any data that came after this packet.
-		const remainder = buffer.subarray(offset + jsonLength);
-
-		return { response, remainder };
+		return { packetId, response, remainder: frame.remainder };
 	} catch (err) {
-		// If the buffer is too short for a VarInt, it's a recoverable state.
-		if (err instanceof varint.VarIntError) {
-			if (err.code === varint.ERR_VARINT_BUFFER_UNDERFLOW) {
-				debug("buffer underflow while parsing VarInt, waiting for more data");
-				return null; // Wait for more data.
-			}
-			// For malformed VarInts or JSON, throw the error to reject the promise.
-			throw err;
+		// The packet has fully arrived, so a field that runs past its end is malformed
+		if (err instanceof PacketError) {
+			throw new ProtocolError(err.message, ERR_MALFORMED_RESPONSE, {
+				cause: err,
+			});
 		}
 		throw err;
 	}
 }
 
 /**
- * Asynchronously Pings a Minecraft Java Edition server.
- * This function performs an SRV lookup and then attempts to connect and retrieve the server status.
- * @param {string} host - The server address to ping.
- * @param {JavaPingOptions} [options={}] - Optional configuration.
- * @returns {Promise<JavaPingResponse>} A promise that resolves with the server's status.
+ * Encodes a string as UTF-16BE, the encoding used by the legacy protocol.
+ * @param {string} value The string to encode
+ * @returns {Buffer}
  */
-export async function pingJava(host, options = {}) {
-	if (typeof host !== "string" || host.trim() === "") {
-		throw new Error("Host argument is required.");
-	}
+function encodeUTF16BE(value) {
+	return Buffer.from(value, "utf16le").swap16();
+}
 
-	const {
-		port: fallbackPort = 25565,
-		timeout = 5000,
-		protocolVersion = -1,
-	} = options;
-	debug("pinging Java server %s with options: %o", host, options);
+/**
+ * Creates the legacy (1.6) Server List Ping packet.
+ * See [Legacy Server List Ping Documentation](https://minecraft.wiki/w/Java_Edition_protocol/Server_List_Ping#1.6) for more details.
+ * @param {string} host The hostname to connect to
+ * @param {number} port The port to connect to
+ * @returns {Buffer} The complete legacy ping packet
+ */
+function createLegacyPingPacket(host, port) {
+	const channel = encodeUTF16BE("MC|PingHost");
+	const hostBuffer = encodeUTF16BE(host);
 
-	let targetHost = host;
-	let targetPort = fallbackPort;
+	// Protocol version, host length and host, then the port as an int
+	const data = Buffer.alloc(7 + hostBuffer.length);
+	data.writeUInt8(LEGACY_PROTOCOL_VERSION, 0);
+	data.writeUInt16BE(host.length, 1);
+	hostBuffer.copy(data, 3);
+	data.writeInt32BE(port, 3 + hostBuffer.length);
 
-	// A list of hostnames that should never have an SRV lookup.
-	const nonSrvLookableHostnames = ["localhost"];
+	const header = Buffer.alloc(5);
+	header.writeUInt8(0xfe, 0); // Server List Ping
+	header.writeUInt8(0x01, 1); // Server List Ping payload
+	header.writeUInt8(0xfa, 2); // Plugin Message
+	header.writeUInt16BE(channel.length / 2, 3); // Channel name length in characters
 
-	// Check if the host is a valid IP address (v4 or v6).
-	// net.isIP() returns 0 for invalid IPs, 4 for IPv4, and 6 for IPv6.
-	const isDirectIp = isIP(host) !== 0;
-	const isNonLookableHostname = nonSrvLookableHostnames.includes(
-		host.toLowerCase()
-	);
+	const dataLength = Buffer.alloc(2);
+	dataLength.writeUInt16BE(data.length, 0);
 
-	if (isDirectIp || isNonLookableHostname) {
-		debug(
-			"host '%s' is a direct IP or a non-lookable hostname, skipping SRV lookup.",
-			host
-		);
+	return Buffer.concat([header, channel, dataLength, data]);
+}
+
+/**
+ * Maps the string from a legacy kick packet onto the regular response shape.
+ * Handles both the 1.4+ format (`§1\0protocol\0version\0motd\0online\0max`)
+ * and the older Beta 1.8 to 1.3 format (`motd§online§max`).
+ * @param {string} payload The decoded kick string
+ * @returns {JavaPingResponse}
+ * @throws {ProtocolError} If the string does not match either format
+ */
+function parseLegacyKickString(payload) {
+	let response;
+
+	if (payload.startsWith("§1\0")) {
+		const [, protocol, version, motd, online, max] = payload.split("\0");
+		response = {
+			version: { name: version, protocol: Number(protocol) },
+			players: { online: Number(online), max: Number(max) },
+			description: motd,
+		};
 	} else {
-		try {
-			debug(
-				"attempting SRV lookup for _minecraft._tcp.%s with %dms timeout",
-				host,
-				timeout
+		// The MOTD comes first, so split from the end in case it contains '§'
+		const parts = payload.split("§");
+		if (parts.length < 3) {
+			throw new ProtocolError(
+				`Invalid legacy kick payload: Expected at least 3 fields, but got ${parts.length}.`,
+				ERR_MALFORMED_RESPONSE
 			);
-			const resolver = new Resolver({ timeout, tries: 3 });
-			const srvRecords = await resolver.resolveSrv(`_minecraft._tcp.${host}`);
-			if (srvRecords.length > 0) {
-				targetHost = srvRecords[0].name;
-				targetPort = srvRecords[0].port;
-				debug(
-					"SRV lookup successful, new target: %s:%d",
-					targetHost,
-					targetPort
-				);
-			}
-		} catch (err) {
-			// Common errors like ENODATA, ENOTFOUND, or a DNS timeout (ETIMEOUT) are expected
-			// when a server does not have an SRV record, so we ignore them and proceed.
-			const nonFatalDnsCodes = ["ENODATA", "ENOTFOUND", "ETIMEOUT"];
-			if (
-				err instanceof Error &&
-				"code" in err &&
-				nonFatalDnsCodes.includes(err.code)
-			) {
-				debug("SRV lookup for %s failed (%s), using fallback.", host, err.code);
-			} else {
-				// Re-throw anything else to fail the operation
-				debug("SRV lookup for %s failed unexpectedly, re-throwing.", host, err);
-				throw err;
-			}
 		}
+		const max = parts.pop();
+		const online = parts.pop();
+		response = {
+			// These versions do not report their version or protocol
+			version: { name: "", protocol: -1 },
+			players: { online: Number(online), max: Number(max) },
+			description: parts.join("§"),
+		};
+	}
+
+	if (
+		response.description === undefined ||
+		Number.isNaN(response.version.protocol) ||
+		Number.isNaN(response.players.online) ||
+		Number.isNaN(response.players.max)
+	) {
+		throw new ProtocolError(
+			"Invalid legacy kick payload: malformed fields.",
+			ERR_MALFORMED_RESPONSE
+		);
+	}
+
+	return response;
+}
+
+/**
+ * Attempts to parse the legacy kick packet from the buffer.
+ * @param {Buffer} buffer The incoming data buffer
+ * @returns {JavaPingResponse | null} The parsed response, or null if the packet is incomplete
+ * @throws {ProtocolError} If the packet is not a kick packet or is malformed
+ */
+function processLegacyResponse(buffer) {
+	if (buffer.length < 1) return null;
+
+	const packetId = buffer.readUInt8(0);
+	if (packetId !== LEGACY_KICK_PACKET) {
+		throw new ProtocolError(
+			`Unexpected legacy packet ID: 0x${packetId.toString(16)}. Expected 0xff.`
+		);
+	}
+
+	if (buffer.length < 3) {
+		debug("legacy kick packet header incomplete, waiting for more data");
+		return null;
+	}
+
+	// The string length is given in UTF-16 code units, not bytes
+	const length = buffer.readUInt16BE(1);
+	if (buffer.length < 3 + length * 2) {
+		debug("legacy kick string incomplete, waiting for more data");
+		return null;
+	}
+
+	const payload = Buffer.from(buffer.subarray(3, 3 + length * 2))
+		.swap16()
+		.toString("utf16le");
+	debug("received raw legacy kick string");
+
+	return parseLegacyKickString(payload);
+}
+
+/**
+ * Adapts the promise-based `lookup` of a resolver to the callback style `net.createConnection` expects.
+ * @param {import("./dns.js").MinepingResolver} resolver The resolver to use
+ * @returns {SocketLookup}
+ */
+function toSocketLookup(resolver) {
+	return (hostname, options, callback) => {
+		resolver
+			.lookup(hostname, {
+				all: true,
+				family: /** @type {0 | 4 | 6} */ (options.family || 0),
+			})
+			.then((records) => {
+				if (records.length === 0) {
+					const err = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+					callback(Object.assign(err, { code: "ENOTFOUND" }));
+				} else if (options.all) {
+					callback(null, records);
+				} else {
+					callback(null, records[0].address, records[0].family);
+				}
+			}, callback);
+	};
+}
+
+/**
+ * Orders SRV records the way RFC 2782 asks clients to try them:
+ * lowest priority first, and a weighted random pick among records of the same priority.
+ * @param {import("node:dns").SrvRecord[]} records The records to order
+ * @returns {import("node:dns").SrvRecord[]} A new array with the records in the order to try them
+ */
+function orderSrvRecords(records) {
+	/** @type {Map<number, import("node:dns").SrvRecord[]>} */
+	const byPriority = new Map();
+	for (const record of records) {
+		if (!byPriority.has(record.priority)) byPriority.set(record.priority, []);
+		byPriority.get(record.priority).push(record);
+	}
+
+	const ordered = [];
+	for (const priority of [...byPriority.keys()].sort((a, b) => a - b)) {
+		// Zero-weight records go first, so they are only picked when the random number is 0
+		const remaining = byPriority
+			.get(priority)
+			.sort((a, b) => Number(a.weight !== 0) - Number(b.weight !== 0));
+
+		while (remaining.length > 0) {
+			const totalWeight = remaining.reduce((sum, r) => sum + r.weight, 0);
+			const pick = Math.floor(Math.random() * (totalWeight + 1));
+			let runningSum = 0;
+			const index = remaining.findIndex(
+				(r) => (runningSum += r.weight) >= pick
+			);
+			ordered.push(...remaining.splice(index, 1));
+		}
+	}
+	return ordered;
+}
+
+/**
+ * Follows a connection through its phases, arms the timeout of each phase and records how long it took.
+ * @param {import("node:net").Socket} socket The socket to follow
+ * @param {string} targetHost The host the socket connects to
+ * @param {RequestOptions} options The request options
+ * @returns {{ readonly phase: import("./errors.js").ErrorPhase, connected: () => void, received: () => void, sinceConnect: () => number, clear: () => void }}
+ */
+function trackPhases(
+	socket,
+	targetHost,
+	{ dnsTimeout, connectTimeout, readTimeout, timings }
+) {
+	/** @type {import("./errors.js").ErrorPhase} */
+	let phase = isIP(targetHost) === 0 ? "dns" : "connect";
+	let phaseStartedAt = Date.now();
+	let connectedAt = 0;
+	let phaseTimer;
+
+	// Fails the connection if the current phase runs longer than its own timeout
+	const arm = (ms, message) => {
+		clearTimeout(phaseTimer);
+		if (ms === undefined) return;
+		phaseTimer = setTimeout(() => {
+			socket.emit("error", new TimeoutError(message));
+		}, ms);
+	};
+
+	if (phase === "dns") {
+		arm(dnsTimeout, "DNS lookup timeout");
+		// Only emitted when the host has to be resolved
+		socket.on("lookup", () => {
+			timings.dnsLookup = Date.now() - phaseStartedAt;
+			phaseStartedAt = Date.now();
+			phase = "connect";
+			arm(connectTimeout, "Connect timeout");
+		});
+	} else {
+		arm(connectTimeout, "Connect timeout");
 	}
 
+	return {
+		get phase() {
+			return phase;
+		},
+		connected: () => {
+			connectedAt = Date.now();
+			timings.connect = connectedAt - phaseStartedAt;
+			phase = "handshake";
+			arm(readTimeout, "Read timeout");
+		},
+		received: () => {
+			if (phase === "read") return;
+			timings.firstByte = Date.now() - connectedAt;
+			phase = "read";
+		},
+		sinceConnect: () => Date.now() - connectedAt,
+		clear: () => clearTimeout(phaseTimer),
+	};
+}
+
+/**
+ * Connects to the server and performs the Handshake, Status Request and Ping Request exchange.
+ * @param {string} host The hostname sent in the handshake
+ * @param {string} targetHost The resolved host to connect to
+ * @param {number} targetPort The resolved port to connect to
+ * @param {RequestOptions & { protocolVersion: number }} options The timeouts, the protocol version to use in the handshake and where to record the timings
+ * @returns {Promise<StatusResult>}
+ * @throws {import("./errors.js").MinepingError} If the server cannot be reached or misbehaves
+ */
+function requestStatus(host, targetHost, targetPort, options) {
+	const { timeout, protocolVersion, signal, timings, lookup } = options;
 	return new Promise((resolve, reject) => {
+		if (signal?.aborted) {
+			reject(
+				createAbortError(signal, {
+					host: targetHost,
+					port: targetPort,
+					phase: "connect",
+				})
+			);
+			return;
+		}
+
 		debug("creating TCP connection to %s:%d", targetHost, targetPort);
-		const socket = createConnection({ host: targetHost, port: targetPort });
+		const socket = createConnection(
+			lookup
+				? { host: targetHost, port: targetPort, lookup }
+				: { host: targetHost, port: targetPort }
+		);
 
 		// Prevent cleanup tasks from running more than once
 		// in case of multiple error callbacks
@@ -209,15 +507,22 @@ export async function pingJava(host, options = {}) {
 		// Set a manual timeout interval to ensure
 		// the connection will NEVER hang regardless of internal state
 		const timeoutTask = setTimeout(() => {
-			socket.emit("error", new Error("Socket timeout"));
+			socket.emit("error", new TimeoutError("Socket timeout"));
 		}, timeout);
 
+		const onAbort = () => socket.emit("error", createAbortError(signal));
+		signal?.addEventListener("abort", onAbort, { once: true });
+
+		const tracker = trackPhases(socket, targetHost, options);
+
 		// Idempotent function to handle cleanup tasks, we can safely call it multiple times without side effects
 		const cleanup = () => {
 			if (isCleanupCompleted) return;
 			isCleanupCompleted = true;
 			debug("cleaning up resources for %s:%d", targetHost, targetPort);
 			clearTimeout(timeoutTask);
+			tracker.clear();
+			signal?.removeEventListener("abort", onAbort);
 			socket.destroy();
 		};
 
@@ -225,18 +530,48 @@ export async function pingJava(host, options = {}) {
 		// This prevents the runtime from delaying the write at all
 		socket.setNoDelay(true);
 
+		const details = () => ({
+			host: targetHost,
+			port: targetPort,
+			phase: tracker.phase,
+		});
+
+		// The status response, kept while we wait for the pong
+		/** @type {object | null} */
+		let statusResponse = null;
+		let pingPayload = 0n;
+		let pingSentAt = 0;
+
 		// Generic error handler
 		socket.on("error", (err) => {
 			debug("socket error for %s:%d - %s", targetHost, targetPort, err.message);
 			cleanup();
-			reject(err);
+			// The status has already arrived, so only the latency is lost.
+			// An abort still rejects, the caller no longer wants the result.
+			if (statusResponse && !(err instanceof AbortError)) {
+				debug("no pong received, resolving without latency");
+				resolve({ status: statusResponse });
+				return;
+			}
+			reject(toMinepingError(err, details()));
 		});
 
 		socket.on("close", () => {
 			if (!isCleanupCompleted) {
 				debug("socket for %s:%d closed prematurely", targetHost, targetPort);
 				cleanup();
-				reject(new Error("Socket closed unexpectedly without a response."));
+				if (statusResponse) {
+					debug("no pong received, resolving without latency");
+					resolve({ status: statusResponse });
+					return;
+				}
+				reject(
+					new ConnectionError(
+						"Socket closed unexpectedly without a response.",
+						ERR_CONNECTION_CLOSED,
+						details()
+					)
+				);
 			}
 		});
 
@@ -246,6 +581,7 @@ export async function pingJava(host, options = {}) {
 				targetHost,
 				targetPort
 			);
+			tracker.connected();
 			try {
 				const handshakePacket = createHandshakePacket(
 					host,
@@ -270,14 +606,46 @@ export async function pingJava(host, options = {}) {
 				incomingBuffer.length + data.length
 			);
 			incomingBuffer = Buffer.concat([incomingBuffer, data]);
+			tracker.received();
 
 			try {
-				const result = processResponse(incomingBuffer);
-				if (result) {
-					debug("successfully parsed full response");
-					// We successfully parsed a response. Clean up before resolving.
+				// A single chunk may hold both the status response and the pong.
+				let result;
+				while ((result = processResponse(incomingBuffer))) {
+					incomingBuffer = result.remainder;
+
+					if (result.packetId === 0x00) {
+						if (statusResponse) {
+							throw new ProtocolError("Received a second status response.");
+						}
+						debug("successfully parsed full response, sending ping request");
+						statusResponse = result.response;
+						timings.response = tracker.sinceConnect();
+						// Like the vanilla client, use the current time as the payload.
+						pingSentAt = Date.now();
+						pingPayload = BigInt(pingSentAt);
+						socket.write(createPingRequestPacket(pingPayload));
+						continue;
+					}
+
+					if (!statusResponse) {
+						throw new ProtocolError(
+							"Received a pong response before the status."
+						);
+					}
+					if (result.payload !== pingPayload) {
+						throw new ProtocolError(
+							`Pong payload mismatch: expected ${pingPayload}, got ${result.payload}.`
+						);
+					}
+
+					const latency = Date.now() - pingSentAt;
+					debug("received matching pong, latency is %dms", latency);
+					timings.ping = latency;
+					// We have everything we need. Clean up before resolving.
 					cleanup();
-					resolve(result.response);
+					resolve({ status: statusResponse, latency });
+					return;
 				}
 				// If result is null, we just wait for more data to arrive.
 			} catch (err) {
@@ -286,3 +654,432 @@ export async function pingJava(host, options = {}) {
 		});
 	});
 }
+
+/**
+ * Connects to the server and performs the legacy Server List Ping.
+ * @param {string} host The hostname sent in the ping
+ * @param {string} targetHost The resolved host to connect to
+ * @param {number} targetPort The resolved port to connect to
+ * @param {RequestOptions} options The timeouts and where to record the timings
+ * @returns {Promise<StatusResult>}
+ * @throws {import("./errors.js").MinepingError} If the server cannot be reached or misbehaves
+ */
+function requestLegacyStatus(host, targetHost, targetPort, options) {
+	const { timeout, signal, timings, lookup } = options;
+	return new Promise((resolve, reject) => {
+		if (signal?.aborted) {
+			reject(
+				createAbortError(signal, {
+					host: targetHost,
+					port: targetPort,
+					phase: "connect",
+				})
+			);
+			return;
+		}
+
+		debug("creating legacy TCP connection to %s:%d", targetHost, targetPort);
+		const socket = createConnection(
+			lookup
+				? { host: targetHost, port: targetPort, lookup }
+				: { host: targetHost, port: targetPort }
+		);
+
+		// Prevent cleanup tasks from running more than once
+		// in case of multiple error callbacks
+		let isCleanupCompleted = false;
+
+		// Set a manual timeout interval to ensure
+		// the connection will NEVER hang regardless of internal state
+		const timeoutTask = setTimeout(() => {
+			socket.emit("error", new TimeoutError("Socket timeout"));
+		}, timeout);
+
+		const onAbort = () => socket.emit("error", createAbortError(signal));
+		signal?.addEventListener("abort", onAbort, { once: true });
+
+		const tracker = trackPhases(socket, targetHost, options);
+
+		// Idempotent function to handle cleanup tasks, we can safely call it multiple times without side effects
+		const cleanup = () => {
+			if (isCleanupCompleted) return;
+			isCleanupCompleted = true;
+			debug("cleaning up legacy resources for %s:%d", targetHost, targetPort);
+			clearTimeout(timeoutTask);
+			tracker.clear();
+			signal?.removeEventListener("abort", onAbort);
+			socket.destroy();
+		};
+
+		socket.setNoDelay(true);
+
+		const details = () => ({
+			host: targetHost,
+			port: targetPort,
+			phase: tracker.phase,
+		});
+
+		let pingSentAt = 0;
+
+		// Generic error handler
+		socket.on("error", (err) => {
+			debug(
+				"legacy socket error for %s:%d - %s",
+				targetHost,
+				targetPort,
+				err.message
+			);
+			cleanup();
+			reject(toMinepingError(err, details()));
+		});
+
+		socket.on("close", () => {
+			if (!isCleanupCompleted) {
+				debug(
+					"legacy socket for %s:%d closed prematurely",
+					targetHost,
+					targetPort
+				);
+				cleanup();
+				reject(
+					new ConnectionError(
+						"Socket closed unexpectedly without a response.",
+						ERR_CONNECTION_CLOSED,
+						details()
+					)
+				);
+			}
+		});
+
+		socket.on("connect", () => {
+			debug(
+				"legacy socket connected to %s:%d, sending legacy ping...",
+				targetHost,
+				targetPort
+			);
+			tracker.connected();
+			try {
+				pingSentAt = Date.now();
+				socket.write(createLegacyPingPacket(host, targetPort));
+			} catch (err) {
+				// Handle synchronous errors during packet creation/writing
+				socket.emit("error", err);
+			}
+		});
+
+		let incomingBuffer = Buffer.alloc(0);
+
+		socket.on("data", (data) => {
+			incomingBuffer = Buffer.concat([incomingBuffer, data]);
+			tracker.received();
+
+			try {
+				const response = processLegacyResponse(incomingBuffer);
+				if (response) {
+					// The legacy protocol has no ping packet, so time the whole exchange
+					const latency = Date.now() - pingSentAt;
+					timings.response = tracker.sinceConnect();
+					debug("successfully parsed legacy response");
+					cleanup();
+					resolve({ status: response, latency });
+				}
+				// If response is null, we just wait for more data to arrive.
+			} catch (err) {
+				socket.emit("error", err);
+			}
+		});
+	});
+}
+
+/**
+ * Asynchronously Pings a Minecraft Java Edition server.
+ * This function performs an SRV lookup and then attempts to connect and retrieve the server status.
+ * An address with a port, like `play.example.com:25566`, is pinged on that port without an SRV lookup,
+ * as the vanilla client does.
+ * @param {import("./address.js").AddressInput} address - The server address to ping, e.g. `play.example.com` or `[2001:db8::1]:25566`.
+ * @param {JavaPingOptions} [options={}] - Optional configuration.
+ * @returns {Promise<JavaPingResponse>} A promise that resolves with the server's status.
+ * @throws {import("./errors.js").MinepingError} If the arguments are invalid or the ping fails. The `code` tells why.
+ */
+export async function pingJava(address, options = {}) {
+	const { host, port: explicitPort, type } = toAddress(address);
+
+	const {
+		port: fallbackPort = 25565,
+		timeout = 5000,
+		protocolVersion = -1,
+		legacy = "never",
+		signal,
+		dnsTimeout = timeout,
+		connectTimeout,
+		readTimeout,
+		resolver,
+		strict = false,
+	} = options;
+	debug("pinging Java server %s with options: %o", host, options);
+
+	if (!LEGACY_MODES.includes(legacy)) {
+		throw new InvalidArgumentError(
+			`Invalid legacy option: ${legacy}. Expected one of: ${LEGACY_MODES.join(", ")}.`
+		);
+	}
+	if (signal?.aborted) {
+		throw createAbortError(signal, { host, phase: "dns" });
+	}
+
+	// The addresses to try in turn, the host itself unless it has SRV records
+	let targets = [{ name: host, port: explicitPort ?? fallbackPort }];
+	let hasSrvRecords = false;
+	/** @type {number | undefined} */
+	let srvLookup;
+
+	// A list of hostnames that should never have an SRV lookup.
+	const nonSrvLookableHostnames = ["localhost"];
+
+	const isDirectIp = type !== "hostname";
+	const isNonLookableHostname = nonSrvLookableHostnames.includes(host);
+
+	if (isDirectIp || isNonLookableHostname) {
+		debug(
+			"host '%s' is a direct IP or a non-lookable hostname, skipping SRV lookup.",
+			host
+		);
+	} else if (explicitPort !== undefined) {
+		debug("address has port %d, skipping SRV lookup.", explicitPort);
+	} else {
+		try {
+			debug(
+				"attempting SRV lookup for _minecraft._tcp.%s with %dms timeout",
+				host,
+				dnsTimeout
+			);
+			const srvResolver = resolver?.resolveSrv
+				? resolver
+				: new Resolver({ timeout: dnsTimeout, tries: 3 });
+			const lookupStartedAt = Date.now();
+			const lookupPromise = srvResolver.resolveSrv(`_minecraft._tcp.${host}`);
+
+			let onAbort;
+			const abortPromise = new Promise((resolve, reject) => {
+				onAbort = () => {
+					// Only a resolver of our own is cancelled, a shared one may have other lookups in flight
+					if (srvResolver !== resolver) srvResolver.cancel();
+					reject(createAbortError(signal, { host, phase: "dns" }));
+				};
+			});
+			signal?.addEventListener("abort", onAbort, { once: true });
+
+			let srvRecords;
+			try {
+				srvRecords = await Promise.race([lookupPromise, abortPromise]);
+			} finally {
+				srvLookup = Date.now() - lookupStartedAt;
+				signal?.removeEventListener("abort", onAbort);
+			}
+			// A target of "." means the service is not offered through SRV
+			const usableRecords = srvRecords.filter((record) => record.name !== ".");
+			if (usableRecords.length > 0) {
+				targets = orderSrvRecords(usableRecords);
+				hasSrvRecords = true;
+				debug(
+					"SRV lookup successful, targets: %o",
+					targets.map((target) => `${target.name}:${target.port}`)
+				);
+			}
+		} catch (err) {
+			if (signal?.aborted) {
+				throw createAbortError(signal, { host, phase: "dns" });
+			}
+			// Common errors like ENODATA, ENOTFOUND, or a DNS timeout (ETIMEOUT) are expected
+			// when a server does not have an SRV record, so we ignore them and proceed.
+			const nonFatalDnsCodes = ["ENODATA", "ENOTFOUND", "ETIMEOUT"];
+			if (
+				err instanceof Error &&
+				"code" in err &&
+				nonFatalDnsCodes.includes(err.code)
+			) {
+				debug("SRV lookup for %s failed (%s), using fallback.", host, err.code);
+			} else {
+				// Re-throw anything else to fail the operation
+				debug("SRV lookup for %s failed unexpectedly, re-throwing.", host, err);
+				throw new DnsError(
+					`SRV lookup for ${host} failed: ${
+						err instanceof Error ? err.message : err
+					}`,
+					{ host, cause: err }
+				);
+			}
+		}
+	}
+
+	const lookup = resolver?.lookup ? toSocketLookup(resolver) : undefined;
+
+	// Every target is tried within the same overall timeout, split between the attempts still to make,
+	// so that a target or a modern ping that hangs leaves time for the next target or the legacy ping
+	const deadline = Date.now() + timeout;
+	const attemptsPerTarget = legacy === "fallback" ? 2 : 1;
+
+	// Each attempt records its own timings, on top of the shared SRV lookup
+	/** @type {JavaPingTimings} */
+	let timings;
+	/**
+	 * @param {number} attemptsLeft The number of attempts that may still be made, including this one
+	 * @returns {RequestOptions}
+	 */
+	const requestOptions = (attemptsLeft) => {
+		timings = srvLookup === undefined ? {} : { srvLookup };
+		return {
+			timeout: Math.max(deadline - Date.now(), 0) / attemptsLeft,
+			dnsTimeout,
+			connectTimeout,
+			readTimeout,
+			signal,
+			timings,
+			lookup,
+		};
+	};
+
+	/**
+	 * Pings one target, with the legacy ping as configured.
+	 * @param {string} targetHost The host to connect to
+	 * @param {number} targetPort The port to connect to
+	 * @param {number} targetsLeft The number of targets still to try, including this one
+	 * @returns {Promise<StatusResult>}
+	 */
+	const pingTarget = async (targetHost, targetPort, targetsLeft) => {
+		const attemptsLeft = targetsLeft * attemptsPerTarget;
+		if (legacy === "only") {
+			return requestLegacyStatus(
+				host,
+				targetHost,
+				targetPort,
+				requestOptions(attemptsLeft)
+			);
+		}
+
+		try {
+			return await requestStatus(host, targetHost, targetPort, {
+				...requestOptions(attemptsLeft),
+				protocolVersion,
+			});
+		} catch (err) {
+			if (legacy !== "fallback" || err instanceof AbortError) throw err;
+
+			debug(
+				"modern ping to %s:%d failed (%s), falling back to legacy ping",
+				targetHost,
+				targetPort,
+				err instanceof Error ? err.message : err
+			);
+			try {
+				return await requestLegacyStatus(
+					host,
+					targetHost,
+					targetPort,
+					requestOptions(attemptsLeft - 1)
+				);
+			} catch (legacyErr) {
+				debug(
+					"legacy ping failed as well (%s), reporting the original error",
+					legacyErr instanceof Error ? legacyErr.message : legacyErr
+				);
+				throw err;
+			}
+		}
+	};
+
+	/**
+	 * Checks the response of a target against the `JavaPingResponse` types, formats its description and decodes its mod list.
+	 * @param {object} raw The response as the server sent it
+	 * @param {{ name: string, port: number }} target The target that sent it
+	 * @returns {JavaPingResponse}
+	 */
+	const validate = (raw, target) => {
+		let result;
+		try {
+			result = validateJavaStatus(raw, { strict });
+		} catch (err) {
+			throw toMinepingError(err, {
+				host: target.name,
+				port: target.port,
+				phase: "read",
+			});
+		}
+		const validated = /** @type {JavaPingResponse} */ (result.response);
+
+		try {
+			validated.formattedDescription = formatDescription(validated.description);
+		} catch (err) {
+			throw toMinepingError(err, {
+				host: target.name,
+				port: target.port,
+				phase: "read",
+			});
+		}
+
+		try {
+			const forge = decodeForgeData(validated);
+			if (forge) validated.forge = forge;
+		} catch (err) {
+			if (strict) {
+				throw toMinepingError(err, {
+					host: target.name,
+					port: target.port,
+					phase: "read",
+				});
+			}
+			result.warnings.push(`${err.message} The mod list was skipped.`);
+		}
+
+		if (result.warnings.length > 0) {
+			debug("repaired the status response: %o", result.warnings);
+			validated.warnings = result.warnings;
+		}
+		return validated;
+	};
+
+	/** @type {JavaPingResponse} */
+	let response;
+	/** @type {JavaSrvReport["failed"]} */
+	const failed = [];
+	for (const [index, target] of targets.entries()) {
+		try {
+			const { status, latency } = await pingTarget(
+				target.name,
+				target.port,
+				targets.length - index
+			);
+			response = validate(status, target);
+			if (latency !== undefined) response.latency = latency;
+			break;
+		} catch (err) {
+			// Stop at the last target, once the time is up, or when the caller gave up
+			if (
+				index === targets.length - 1 ||
+				Date.now() >= deadline ||
+				err instanceof AbortError
+			) {
+				throw err;
+			}
+			debug(
+				"SRV target %s:%d failed (%s), trying the next one",
+				target.name,
+				target.port,
+				err.message
+			);
+			failed.push({ host: target.name, port: target.port, error: err });
+		}
+	}
+
+	if (hasSrvRecords) {
+		const target = targets[failed.length];
+		response.srv = {
+			target: { host: target.name, port: target.port },
+			failed,
+		};
+	}
+	if (options.timings) {
+		response.timings = timings;
+	}
+	return response;
+}
@@ -0,0 +1,411 @@
+/**
+ * Local mock servers that speak the real protocols over loopback sockets, for integration testing.
+ * @see https://minecraft.wiki/w/Java_Edition_protocol/Server_List_Ping
+ * @see https://minecraft.wiki/w/RakNet
+ */
+
+"use strict";
+
+import { createServer, isIP } from "node:net";
+import dgram from "node:dgram";
+import crypto from "node:crypto";
+import createDebug from "debug";
+import * as varint from "./varint.js";
+import { InvalidArgumentError } from "./errors.js";
+
+const debug = createDebug("mineping:mock-server");
+
+const JAVA_BEHAVIORS = [
+	"normal",
+	"fragmented",
+	"wrongPacketId",
+	"oversizedLength",
+	"truncatedJson",
+	"hang",
+	"closeEarly",
+];
+
+// Far above the 2097151 bytes a vanilla packet may hold
+const OVERSIZED_PACKET_LENGTH = 2 ** 28;
+
+const BEDROCK_BEHAVIORS = ["normal", "drop", "garbage", "shortMotd"];
+
+const MAGIC_BUFFER = Buffer.from("00ffff00fefefefefdfdfdfd12345678", "hex");
+const UNCONNECTED_PING = 0x01;
+const UNCONNECTED_PING_OPEN_CONNECTIONS = 0x02;
+const UNCONNECTED_PONG = 0x1c;
+
+/**
+ * How the mock Java server answers:
+ * - `normal`: like a vanilla server.
+ * - `fragmented`: writes every response one byte at a time.
+ * - `wrongPacketId`: answers the Status Request with packet ID 0x05.
+ * - `oversizedLength`: prefixes the Status Response with a length far above the protocol limit.
+ * - `truncatedJson`: sends a well-framed Status Response holding only half of the JSON.
+ * - `hang`: accepts the connection and never answers.
+ * - `closeEarly`: closes the connection as soon as the Status Request arrives.
+ * @typedef {"normal" | "fragmented" | "wrongPacketId" | "oversizedLength" | "truncatedJson" | "hang" | "closeEarly"} JavaServerBehavior
+ */
+
+/**
+ * @typedef {object} JavaStatusServerOptions
+ * @property {object | string} [status] - The Status Response payload, as an object or a raw JSON string. Defaults to a vanilla 1.21.5 server with no players online.
+ * @property {number} [latencyMs=0] - How long to wait before answering each packet, in milliseconds.
+ * @property {JavaServerBehavior} [behavior="normal"] - How to answer, see `JavaServerBehavior`.
+ * @property {string} [host="127.0.0.1"] - The address to listen on.
+ * @property {number} [port=0] - The port to listen on. `0` picks a free port.
+ */
+
+/**
+ * A mock Java server listening on a loopback socket.
+ * @typedef {object} JavaStatusServer
+ * @property {string} host - The address the server listens on.
+ * @property {number} port - The port the server listens on.
+ * @property {import("node:net").Server} server - The underlying TCP server.
+ * @property {() => Promise<void>} close - Drops every open connection and stops listening.
+ */
+
+/** @type {object} */
+const DEFAULT_JAVA_STATUS = {
+	version: { name: "1.21.5", protocol: 770 },
+	players: { max: 20, online: 0 },
+	description: "A Minecraft Server",
+};
+
+/**
+ * Creates the Status Response packet for the given behavior.
+ * @param {string} json The JSON payload
+ * @param {JavaServerBehavior} behavior How to answer
+ * @returns {Buffer}
+ */
+function createStatusResponsePacket(json, behavior) {
+	const jsonBuffer = varint.encodeString(
+		behavior === "truncatedJson" ? json.slice(0, json.length >> 1) : json
+	);
+	const payload = Buffer.concat([
+		varint.encodeVarInt(behavior === "wrongPacketId" ? 0x05 : 0x00), // Packet ID
+		varint.encodeVarInt(jsonBuffer.length),
+		jsonBuffer,
+	]);
+
+	if (behavior === "oversizedLength") {
+		return Buffer.concat([
+			varint.encodeVarInt(OVERSIZED_PACKET_LENGTH),
+			payload,
+		]);
+	}
+	return varint.concatPackets([payload]);
+}
+
+/**
+ * Reads the next length-prefixed packet from the buffer.
+ * @param {Buffer} buffer The incoming data buffer
+ * @returns {{ packetId: number, body: Buffer, remainder: Buffer } | null} The packet, or null if it is incomplete
+ * @throws {varint.VarIntError} If a VarInt is malformed
+ */
+function readPacket(buffer) {
+	try {
+		const length = varint.decodeVarInt(buffer, 0);
+		const end = length.bytesRead + length.value;
+		if (buffer.length < end) return null;
+
+		const packetId = varint.decodeVarInt(buffer, length.bytesRead);
+		return {
+			packetId: packetId.value,
+			body: buffer.subarray(length.bytesRead + packetId.bytesRead, end),
+			remainder: buffer.subarray(end),
+		};
+	} catch (err) {
+		if (
+			err instanceof varint.VarIntError &&
+			err.code === varint.ERR_VARINT_BUFFER_UNDERFLOW
+		) {
+			return null;
+		}
+		throw err;
+	}
+}
+
+/**
+ * Starts a mock Java server that answers the Handshake, Status Request and Ping Request
+ * packets of the Server List Ping, or misbehaves in one of the ways real servers and proxies do.
+ * It listens on a real loopback socket, so pings against it exercise the whole network path.
+ * @param {JavaStatusServerOptions} [options={}] - Optional configuration.
+ * @returns {Promise<JavaStatusServer>} A promise that resolves once the server is listening.
+ * @throws {InvalidArgumentError} If the behavior is unknown.
+ */
+export async function createJavaStatusServer(options = {}) {
+	const {
+		status = DEFAULT_JAVA_STATUS,
+		latencyMs = 0,
+		behavior = "normal",
+		host = "127.0.0.1",
+		port = 0,
+	} = options;
+
+	if (!JAVA_BEHAVIORS.includes(behavior)) {
+		throw new InvalidArgumentError(
+			`Invalid behavior: ${behavior}. Expected one of: ${JAVA_BEHAVIORS.join(", ")}.`
+		);
+	}
+
+	const json = typeof status === "string" ? status : JSON.stringify(status);
+	/** @type {Set<import("node:net").Socket>} */
+	const sockets = new Set();
+
+	const server = createServer((socket) => {
+		sockets.add(socket);
+		socket.on("close", () => sockets.delete(socket));
+		// The client may give up first, which is none of the server's business
+		socket.on("error", (err) => debug("connection error: %s", err.message));
+		debug(
+			"accepted connection from %s:%d",
+			socket.remoteAddress,
+			socket.remotePort
+		);
+
+		/**
+		 * Sends a packet after the configured latency, byte by byte if fragmented.
+		 * @param {Buffer} packet
+		 */
+		const send = (packet) => {
+			setTimeout(() => {
+				if (socket.destroyed) return;
+				if (behavior !== "fragmented") {
+					socket.write(packet);
+					return;
+				}
+
+				let offset = 0;
+				const writeNext = () => {
+					if (socket.destroyed || offset >= packet.length) return;
+					socket.write(packet.subarray(offset, ++offset));
+					setImmediate(writeNext);
+				};
+				writeNext();
+			}, latencyMs);
+		};
+
+		let handshaken = false;
+		let incomingBuffer = Buffer.alloc(0);
+
+		socket.on("data", (data) => {
+			incomingBuffer = Buffer.concat([incomingBuffer, data]);
+			if (behavior === "hang") return;
+
+			try {
+				let packet;
+				while ((packet = readPacket(incomingBuffer))) {
+					incomingBuffer = packet.remainder;
+
+					if (!handshaken) {
+						if (packet.packetId !== 0x00) {
+							throw new Error(
+								`Expected a handshake, got packet ID ${packet.packetId}.`
+							);
+						}
+						debug("received handshake");
+						handshaken = true;
+						continue;
+					}
+
+					if (packet.packetId === 0x00) {
+						debug("received status request");
+						if (behavior === "closeEarly") {
+							socket.destroy();
+							return;
+						}
+						send(createStatusResponsePacket(json, behavior));
+					} else if (packet.packetId === 0x01) {
+						debug("received ping request, echoing its payload");
+						send(
+							varint.concatPackets([varint.encodeVarInt(0x01), packet.body])
+						);
+					} else {
+						throw new Error(`Unexpected packet ID ${packet.packetId}.`);
+					}
+				}
+			} catch (err) {
+				debug("closing connection: %s", err.message);
+				socket.destroy();
+			}
+		});
+	});
+
+	await new Promise((resolve, reject) => {
+		server.once("error", reject);
+		server.listen(port, host, () => {
+			server.off("error", reject);
+			resolve(undefined);
+		});
+	});
+
+	const address = /** @type {import("node:net").AddressInfo} */ (
+		server.address()
+	);
+	debug(
+		"mock Java server listening on %s:%d with behavior %s",
+		host,
+		address.port,
+		behavior
+	);
+
+	const close = () =>
+		new Promise((resolve) => {
+			for (const socket of sockets) socket.destroy();
+			server.close(() => resolve(undefined));
+		});
+
+	return { host, port: address.port, server, close };
+}
+
+/**
+ * How the mock Bedrock server answers:
+ * - `normal`: like a vanilla server.
+ * - `drop`: ignores every ping, as if the datagrams were lost.
+ * - `garbage`: echoes the timestamp, followed by random bytes instead of the GUID, magic and MOTD.
+ * - `shortMotd`: sends only the first three fields of the MOTD.
+ * @typedef {"normal" | "drop" | "garbage" | "shortMotd"} BedrockServerBehavior
+ */
+
+/**
+ * @typedef {object} BedrockPongServerOptions
+ * @property {string} [motd] - The semicolon-delimited MOTD to send. Defaults to a vanilla 1.21.84 server announcing its own GUID and port.
+ * @property {bigint} [guid] - The server GUID to send. Defaults to a random one.
+ * @property {number} [latencyMs=0] - How long to wait before answering each ping, in milliseconds.
+ * @property {BedrockServerBehavior} [behavior="normal"] - How to answer, see `BedrockServerBehavior`.
+ * @property {string} [host="127.0.0.1"] - The address to listen on. An IPv6 address opens a udp6 socket.
+ * @property {number} [port=0] - The port to listen on. `0` picks a free port.
+ */
+
+/**
+ * A mock Bedrock server listening on a loopback socket.
+ * @typedef {object} BedrockPongServer
+ * @property {string} host - The address the server listens on.
+ * @property {number} port - The port the server listens on.
+ * @property {bigint} guid - The server GUID sent in every pong.
+ * @property {import("node:dgram").Socket} socket - The underlying UDP socket.
+ * @property {() => Promise<void>} close - Closes the socket.
+ */
+
+/**
+ * Creates an Unconnected Pong packet.
+ * See [Unconnected Pong Documentation](https://minecraft.wiki/w/RakNet#Unconnected_Pong) for more details.
+ * @param {Buffer} timestamp - The 8-byte timestamp echoed from the ping
+ * @param {bigint} guid - The server GUID
+ * @param {string} motd - The semicolon-delimited MOTD
+ * @returns {Buffer}
+ */
+function createUnconnectedPongPacket(timestamp, guid, motd) {
+	const motdBuffer = Buffer.from(motd, "utf-8");
+	const buffer = Buffer.alloc(35 + motdBuffer.length);
+	buffer.writeUInt8(UNCONNECTED_PONG, 0); // Packet ID
+	timestamp.copy(buffer, 1); // Echoed timestamp
+	buffer.writeBigInt64BE(guid, 9); // Server GUID
+	MAGIC_BUFFER.copy(buffer, 17); // OFFLINE_MESSAGE_DATA_ID (Magic bytes)
+	buffer.writeUInt16BE(motdBuffer.length, 33); // MOTD length
+	motdBuffer.copy(buffer, 35);
+	return buffer;
+}
+
+/**
+ * Starts a mock Bedrock server that answers Unconnected Ping packets (0x01 and 0x02)
+ * with an Unconnected Pong, or misbehaves in one of the ways real servers and networks do.
+ * It listens on a real loopback socket, so pings against it exercise the whole network path.
+ * @param {BedrockPongServerOptions} [options={}] - Optional configuration.
+ * @returns {Promise<BedrockPongServer>} A promise that resolves once the socket is bound.
+ * @throws {InvalidArgumentError} If the behavior is unknown.
+ */
+export async function createBedrockPongServer(options = {}) {
+	const {
+		guid = crypto.randomBytes(8).readBigInt64BE(0),
+		latencyMs = 0,
+		behavior = "normal",
+		host = "127.0.0.1",
+		port = 0,
+	} = options;
+
+	if (!BEDROCK_BEHAVIORS.includes(behavior)) {
+		throw new InvalidArgumentError(
+			`Invalid behavior: ${behavior}. Expected one of: ${BEDROCK_BEHAVIORS.join(", ")}.`
+		);
+	}
+
+	const socket = dgram.createSocket(isIP(host) === 6 ? "udp6" : "udp4");
+
+	await new Promise((resolve, reject) => {
+		socket.once("error", reject);
+		socket.bind(port, host, () => {
+			socket.off("error", reject);
+			resolve(undefined);
+		});
+	});
+
+	const boundPort = socket.address().port;
+	const motd =
+		options.motd ??
+		`MCPE;Dedicated Server;800;1.21.84;0;10;${guid};Bedrock level;Survival;1;${boundPort};${boundPort};0;`;
+
+	let closed = false;
+	socket.on("error", (err) => debug("socket error: %s", err.message));
+	socket.on("message", (packet, rinfo) => {
+		const packetId = packet.length === 33 ? packet.readUInt8(0) : -1;
+		if (
+			(packetId !== UNCONNECTED_PING &&
+				packetId !== UNCONNECTED_PING_OPEN_CONNECTIONS) ||
+			!packet.subarray(9, 25).equals(MAGIC_BUFFER)
+		) {
+			debug(
+				"ignoring %d bytes from %s:%d",
+				packet.length,
+				rinfo.address,
+				rinfo.port
+			);
+			return;
+		}
+
+		debug("received unconnected ping from %s:%d", rinfo.address, rinfo.port);
+		if (behavior === "drop") return;
+
+		const timestamp = packet.subarray(1, 9);
+		let pong;
+		if (behavior === "garbage") {
+			pong = Buffer.concat([
+				Buffer.from([UNCONNECTED_PONG]),
+				timestamp,
+				crypto.randomBytes(40),
+			]);
+		} else if (behavior === "shortMotd") {
+			pong = createUnconnectedPongPacket(
+				timestamp,
+				guid,
+				motd.split(";").slice(0, 3).join(";")
+			);
+		} else {
+			pong = createUnconnectedPongPacket(timestamp, guid, motd);
+		}
+
+		setTimeout(() => {
+			if (closed) return;
+			socket.send(pong, rinfo.port, rinfo.address, (err) => {
+				if (err) debug("failed to send pong: %s", err.message);
+			});
+		}, latencyMs);
+	});
+
+	debug(
+		"mock Bedrock server listening on %s:%d with behavior %s",
+		host,
+		boundPort,
+		behavior
+	);
+
+	const close = () =>
+		new Promise((resolve) => {
+			if (closed) return resolve(undefined);
+			closed = true;
+			socket.close(() => resolve(undefined));
+		});
+
+	return { host, port: boundPort, guid, socket, close };
+}
@@ -0,0 +1,281 @@
+/**
+ * Continuous monitoring of Java and Bedrock servers, reporting changes as events.
+ */
+
+"use strict";
+
+import { EventEmitter } from "node:events";
+import createDebug from "debug";
+import { pingJava } from "./java.js";
+import { createBedrockPinger } from "./bedrock.js";
+import { normalizeTarget } from "./batch.js";
+import { summarizeJava, summarizeBedrock } from "./ping.js";
+import { InvalidArgumentError } from "./errors.js";
+import { createSharedController } from "./signal.js";
+
+const debug = createDebug("mineping:monitor");
+
+/**
+ * @typedef {object} MonitorBackoffOptions
+ * @property {number} [factor=2] - How much longer to wait after each consecutive failure.
+ * @property {number} [maxInterval=300000] - The longest time in milliseconds to wait between two polls of a failing target.
+ */
+
+/**
+ * @typedef {object} MonitorOptions
+ * @property {number} [interval=30000] - The time in milliseconds between two polls of a target.
+ * @property {number} [jitter=0] - A random delay of up to this many milliseconds added to every poll, so targets do not all poll at once.
+ * @property {MonitorBackoffOptions | false} [backoff={}] - How failing targets back off, or `false` to keep polling them at `interval`.
+ * @property {number} [offlineAfter=3] - The number of consecutive failures after which a target is reported offline.
+ * @property {number} [timeout=5000] - The timeout in milliseconds for each ping.
+ * @property {"java" | "bedrock"} [edition="java"] - The edition of targets that do not specify one.
+ * @property {import("./dns.js").MinepingResolver} [resolver] - Resolves the SRV records and host names of every ping.
+ */
+
+/**
+ * What the monitor knows about a target.
+ * @typedef {object} MonitorState
+ * @property {import("./batch.js").PingTarget} target - The target.
+ * @property {"unknown" | "online" | "offline"} status - `unknown` until the first success or until `offlineAfter` failures.
+ * @property {number} failures - The number of consecutive failed polls.
+ * @property {import("./ping.js").PingResult | null} last - The result of the last successful poll.
+ */
+
+/**
+ * A monitor polling its targets until `stop()` is called. It emits, with the target as the first argument:
+ * - `online(target, result)`: the target answered for the first time, or again after being offline.
+ * - `offline(target, error)`: the target failed `offlineAfter` polls in a row.
+ * - `update(target, result)`: the target answered a poll.
+ * - `failure(target, error, failures)`: a poll failed, with the number of consecutive failures so far.
+ * - `playerJoin(target, player)` and `playerLeave(target, player)`: a player appeared in or left `players.sample`.
+ * - `playerCountChange(target, online, previous)`: the number of online players changed.
+ * - `versionChange(target, version, previous)`: the version name or protocol changed.
+ * - `motdChange(target, motd, previous)`: the MOTD changed, as plain text.
+ * - `error(err)`: a listener of another event threw. Without an `error` listener, this is ignored.
+ * @typedef {EventEmitter & { stop: () => void, getStates: () => MonitorState[] }} Monitor
+ */
+
+/**
+ * Reads the player sample of a Java result. Bedrock servers do not send one.
+ * @param {import("./ping.js").PingResult} result
+ * @returns {Array<{ name: string, id: string }>}
+ */
+const getSample = (result) =>
+	result.edition === "java" ? (result.raw.players?.sample ?? []) : [];
+
+/**
+ * Creates a monitor that pings every target at a regular interval and reports what changes.
+ * Polls start right away. A failing target is polled less and less often, and is only reported
+ * offline after `offlineAfter` consecutive failures, so a single lost ping does not cause a flap.
+ * Player joins and leaves are diffed from `players.sample`, which most servers cap at 12 players.
+ * @param {Iterable<string | import("./batch.js").PingTarget>} targets - The servers to monitor.
+ * @param {MonitorOptions} [options={}] - Optional configuration.
+ * @returns {Monitor}
+ * @throws {InvalidArgumentError} If a target or an option is invalid.
+ */
+export function createMonitor(targets, options = {}) {
+	if (!targets || typeof targets[Symbol.iterator] !== "function") {
+		throw new InvalidArgumentError("Targets argument must be an iterable.");
+	}
+
+	const {
+		interval = 30000,
+		jitter = 0,
+		backoff = {},
+		offlineAfter = 3,
+		timeout = 5000,
+		edition = "java",
+		resolver,
+	} = options;
+	if (!(interval > 0)) {
+		throw new InvalidArgumentError(
+			`Invalid interval: ${interval}. Expected a positive number.`
+		);
+	}
+	if (!Number.isInteger(offlineAfter) || offlineAfter < 1) {
+		throw new InvalidArgumentError(
+			`Invalid offlineAfter: ${offlineAfter}. Expected a positive integer.`
+		);
+	}
+	const { factor = 2, maxInterval = 300000 } = backoff || {};
+
+	/** @type {Array<MonitorState & { timer?: ReturnType<typeof setTimeout> }>} */
+	const states = [...targets].map((target) => ({
+		target: normalizeTarget(target, edition),
+		status: "unknown",
+		failures: 0,
+		last: null,
+	}));
+
+	const monitor = /** @type {Monitor} */ (new EventEmitter());
+	// Every poll in flight listens to this signal
+	const controller = createSharedController();
+	let stopped = false;
+
+	// Every Bedrock ping of the monitor shares one UDP socket
+	/** @type {import("./bedrock.js").BedrockPinger | null} */
+	let bedrockPinger = null;
+
+	/**
+	 * Pings a target and normalizes the result.
+	 * @param {import("./batch.js").PingTarget} target
+	 * @returns {Promise<import("./ping.js").PingResult>}
+	 */
+	const pingTarget = async (target) => {
+		const pingOptions = { timeout, signal: controller.signal };
+		if (target.port !== undefined) pingOptions.port = target.port;
+		if (resolver) pingOptions.resolver = resolver;
+
+		if (target.edition === "bedrock") {
+			if (!bedrockPinger) bedrockPinger = createBedrockPinger();
+			return summarizeBedrock(
+				await bedrockPinger.ping(target.host, pingOptions)
+			);
+		}
+		return summarizeJava(await pingJava(target.host, pingOptions));
+	};
+
+	/**
+	 * Emits an event for everything that changed between two results.
+	 * @param {import("./batch.js").PingTarget} target
+	 * @param {import("./ping.js").PingResult} result
+	 * @param {import("./ping.js").PingResult} previous
+	 */
+	const emitChanges = (target, result, previous) => {
+		if (
+			result.version.name !== previous.version.name ||
+			result.version.protocol !== previous.version.protocol
+		) {
+			monitor.emit("versionChange", target, result.version, previous.version);
+		}
+		if (result.name !== previous.name) {
+			monitor.emit("motdChange", target, result.name, previous.name);
+		}
+		if (result.players.online !== previous.players.online) {
+			monitor.emit(
+				"playerCountChange",
+				target,
+				result.players.online,
+				previous.players.online
+			);
+		}
+
+		const sample = getSample(result);
+		const previousSample = getSample(previous);
+		const ids = new Set(sample.map((player) => player.id));
+		const previousIds = new Set(previousSample.map((player) => player.id));
+		for (const player of sample) {
+			if (!previousIds.has(player.id))
+				monitor.emit("playerJoin", target, player);
+		}
+		for (const player of previousSample) {
+			if (!ids.has(player.id)) monitor.emit("playerLeave", target, player);
+		}
+	};
+
+	/**
+	 * Schedules the next poll of a target, later and later while it keeps failing.
+	 * @param {MonitorState & { timer?: ReturnType<typeof setTimeout> }} state
+	 */
+	const schedule = (state) => {
+		if (stopped) return;
+		const delay =
+			state.failures > 0 && backoff
+				? Math.min(interval * factor ** state.failures, maxInterval)
+				: interval;
+		state.timer = setTimeout(() => run(state), delay + Math.random() * jitter);
+	};
+
+	/**
+	 * Runs a poll. A listener that throws is reported as an `error` event, and does not stop the monitor.
+	 * Without an `error` listener, it is only logged, as emitting `error` would throw out of the promise.
+	 * @param {MonitorState & { timer?: ReturnType<typeof setTimeout> }} state
+	 */
+	const run = (state) => {
+		poll(state).catch((err) => {
+			if (monitor.listenerCount("error") > 0) {
+				monitor.emit("error", err);
+			} else {
+				debug(
+					"listener failed without an error listener: %s",
+					err instanceof Error ? err.message : err
+				);
+			}
+		});
+	};
+
+	/**
+	 * Polls a target once and reports what happened.
+	 * @param {MonitorState & { timer?: ReturnType<typeof setTimeout> }} state
+	 */
+	const poll = async (state) => {
+		const { target } = state;
+		let result;
+		let error;
+		try {
+			result = await pingTarget(target);
+		} catch (err) {
+			error = err;
+		}
+		if (stopped) return;
+
+		try {
+			if (result) {
+				debug("%s:%s answered", target.edition, target.host);
+				const wasOnline = state.status === "online";
+				const previous = state.last;
+				state.status = "online";
+				state.failures = 0;
+				state.last = result;
+
+				if (!wasOnline) {
+					monitor.emit("online", target, result);
+				} else if (previous) {
+					emitChanges(target, result, previous);
+				}
+				monitor.emit("update", target, result);
+			} else {
+				state.failures++;
+				debug(
+					"%s:%s failed %d time(s) in a row: %s",
+					target.edition,
+					target.host,
+					state.failures,
+					error instanceof Error ? error.message : error
+				);
+				monitor.emit("failure", target, error, state.failures);
+
+				if (state.status !== "offline" && state.failures >= offlineAfter) {
+					state.status = "offline";
+					monitor.emit("offline", target, error);
+				}
+			}
+		} finally {
+			schedule(state);
+		}
+	};
+
+	for (const state of states) {
+		state.timer = setTimeout(() => run(state), Math.random() * jitter);
+	}
+	debug("monitoring %d targets every %dms", states.length, interval);
+
+	monitor.stop = () => {
+		if (stopped) return;
+		stopped = true;
+		debug("stopping monitor");
+		for (const state of states) clearTimeout(state.timer);
+		controller.abort();
+		bedrockPinger?.close();
+	};
+
+	monitor.getStates = () =>
+		states.map(({ target, status, failures, last }) => ({
+			target,
+			status,
+			failures,
+			last,
+		}));
+
+	return monitor;
+}
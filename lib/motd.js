@@ -0,0 +1,555 @@
+/**
+ * Parser and renderers for Minecraft text components and legacy `§` formatting codes.
+ * @see https://minecraft.wiki/w/Text_component_format
+ * @see https://minecraft.wiki/w/Formatting_codes
+ */
+
+"use strict";
+
+import { ERR_MALFORMED_RESPONSE, ProtocolError } from "./errors.js";
+
+/**
+ * The named colors of the Java Edition palette, keyed by name.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const NAMED_COLORS = Object.freeze({
+	black: "#000000",
+	dark_blue: "#0000AA",
+	dark_green: "#00AA00",
+	dark_aqua: "#00AAAA",
+	dark_red: "#AA0000",
+	dark_purple: "#AA00AA",
+	gold: "#FFAA00",
+	gray: "#AAAAAA",
+	dark_gray: "#555555",
+	blue: "#5555FF",
+	green: "#55FF55",
+	aqua: "#55FFFF",
+	red: "#FF5555",
+	light_purple: "#FF55FF",
+	yellow: "#FFFF55",
+	white: "#FFFFFF",
+});
+
+/**
+ * The Java Edition legacy color codes, keyed by the character following `§`.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const JAVA_COLOR_CODES = Object.freeze({
+	0: NAMED_COLORS.black,
+	1: NAMED_COLORS.dark_blue,
+	2: NAMED_COLORS.dark_green,
+	3: NAMED_COLORS.dark_aqua,
+	4: NAMED_COLORS.dark_red,
+	5: NAMED_COLORS.dark_purple,
+	6: NAMED_COLORS.gold,
+	7: NAMED_COLORS.gray,
+	8: NAMED_COLORS.dark_gray,
+	9: NAMED_COLORS.blue,
+	a: NAMED_COLORS.green,
+	b: NAMED_COLORS.aqua,
+	c: NAMED_COLORS.red,
+	d: NAMED_COLORS.light_purple,
+	e: NAMED_COLORS.yellow,
+	f: NAMED_COLORS.white,
+});
+
+/**
+ * The Bedrock Edition legacy color codes, keyed by the character following `§`.
+ * Extends the Java Edition codes with the Minecoin and material colors.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const BEDROCK_COLOR_CODES = Object.freeze({
+	...JAVA_COLOR_CODES,
+	g: "#DDD605", // minecoin_gold
+	h: "#E3D4D1", // material_quartz
+	i: "#CECACA", // material_iron
+	j: "#443A3B", // material_netherite
+	m: "#971607", // material_redstone
+	n: "#B4684D", // material_copper
+	p: "#DEB12D", // material_gold
+	q: "#47A036", // material_emerald
+	s: "#2CBAA8", // material_diamond
+	t: "#21497B", // material_lapis
+	u: "#9A5CC6", // material_amethyst
+	v: "#EB7114", // material_resin
+});
+
+/**
+ * The set of legacy `§` codes understood by one edition.
+ * @typedef {object} LegacyFormatting
+ * @property {Readonly<Record<string, string>>} colors - Color codes and their `#RRGGBB` colors.
+ * @property {Readonly<Record<string, "bold" | "italic" | "underlined" | "strikethrough" | "obfuscated">>} formats - Formatting codes and the style property they turn on.
+ * @property {boolean} colorResetsFormatting - Whether a color code also clears active formatting.
+ */
+
+/**
+ * The legacy codes of Java Edition.
+ * @type {Readonly<LegacyFormatting>}
+ */
+export const JAVA_FORMATTING = Object.freeze({
+	colors: JAVA_COLOR_CODES,
+	formats: Object.freeze({
+		k: "obfuscated",
+		l: "bold",
+		m: "strikethrough",
+		n: "underlined",
+		o: "italic",
+	}),
+	colorResetsFormatting: true,
+});
+
+/**
+ * The legacy codes of Bedrock Edition.
+ * `§m` and `§n` are material colors there, so it has no strikethrough or underline,
+ * and formatting stays active across color changes.
+ * @type {Readonly<LegacyFormatting>}
+ */
+export const BEDROCK_FORMATTING = Object.freeze({
+	colors: BEDROCK_COLOR_CODES,
+	formats: Object.freeze({
+		k: "obfuscated",
+		l: "bold",
+		o: "italic",
+	}),
+	colorResetsFormatting: false,
+});
+
+// The vanilla client reads components as NBT, which it stops reading at this depth
+const MAX_COMPONENT_DEPTH = 512;
+
+const FORMAT_PROPERTIES = /** @type {const} */ ([
+	"bold",
+	"italic",
+	"underlined",
+	"strikethrough",
+	"obfuscated",
+]);
+
+/**
+ * A fully resolved style, with everything inherited from parent components already applied.
+ * @typedef {object} MotdStyle
+ * @property {string} [color] - The text color as a `#RRGGBB` hex string, or undefined for the default color.
+ * @property {boolean} bold
+ * @property {boolean} italic
+ * @property {boolean} underlined
+ * @property {boolean} strikethrough
+ * @property {boolean} obfuscated
+ */
+
+/**
+ * A run of text sharing a single style.
+ * @typedef {MotdStyle & { text: string }} MotdSpan
+ */
+
+/**
+ * A node of the normalized component tree. Its text is rendered before its children.
+ * @typedef {MotdSpan & { children: MotdNode[] }} MotdNode
+ */
+
+/**
+ * Every rendering of a piece of formatted text.
+ * @typedef {object} FormattedText
+ * @property {string} clean - The text with all formatting removed.
+ * @property {MotdSpan[]} spans - The styled spans, in order.
+ * @property {string} ansi - The text with ANSI escape codes for terminals.
+ * @property {string} html - The text as escaped HTML `<span>` elements.
+ */
+
+/**
+ * @typedef {object} MotdParseOptions
+ * @property {LegacyFormatting} [formatting] - The legacy `§` codes to recognize. Defaults to `JAVA_FORMATTING`.
+ */
+
+/** @type {MotdStyle} */
+const DEFAULT_STYLE = Object.freeze({
+	color: undefined,
+	bold: false,
+	italic: false,
+	underlined: false,
+	strikethrough: false,
+	obfuscated: false,
+});
+
+/**
+ * Extracts only the style fields of a node.
+ * @param {MotdStyle} node
+ * @returns {MotdStyle}
+ */
+const pickStyle = (node) => ({
+	color: node.color,
+	bold: node.bold,
+	italic: node.italic,
+	underlined: node.underlined,
+	strikethrough: node.strikethrough,
+	obfuscated: node.obfuscated,
+});
+
+/**
+ * Resolves a component's color against the inherited one.
+ * @param {unknown} color - The `color` field of a component.
+ * @param {string | undefined} inherited - The parent's resolved color.
+ * @returns {string | undefined}
+ */
+const resolveColor = (color, inherited) => {
+	if (typeof color !== "string") return inherited;
+	if (color === "reset") return undefined;
+	if (/^#[0-9a-f]{6}$/i.test(color)) return color.toUpperCase();
+	return NAMED_COLORS[color] ?? inherited;
+};
+
+/**
+ * Applies a component's own style fields on top of the inherited style.
+ * @param {Record<string, unknown>} component - The raw component object.
+ * @param {MotdStyle} inherited - The parent's resolved style.
+ * @returns {MotdStyle}
+ */
+const resolveStyle = (component, inherited) => {
+	const style = {
+		...inherited,
+		color: resolveColor(component.color, inherited.color),
+	};
+	for (const property of FORMAT_PROPERTIES) {
+		if (typeof component[property] === "boolean") {
+			style[property] = component[property];
+		}
+	}
+	return style;
+};
+
+/**
+ * Splits a string containing legacy `§` codes into styled nodes.
+ * On Java Edition a color code also clears any formatting, and `§r` returns to the base style.
+ * @param {string} text - The text to split.
+ * @param {MotdStyle} base - The style the text starts with.
+ * @param {LegacyFormatting} formatting - The legacy codes to recognize.
+ * @returns {MotdNode[]}
+ */
+const parseLegacyText = (text, base, formatting) => {
+	/** @type {MotdNode[]} */
+	const nodes = [];
+	let style = base;
+	let buffer = "";
+
+	const flush = () => {
+		if (buffer === "") return;
+		nodes.push({ ...style, text: buffer, children: [] });
+		buffer = "";
+	};
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (char !== "§" || i + 1 >= text.length) {
+			buffer += char;
+			continue;
+		}
+
+		const code = text[i + 1].toLowerCase();
+		if (code in formatting.colors) {
+			flush();
+			style = formatting.colorResetsFormatting
+				? { ...DEFAULT_STYLE, color: formatting.colors[code] }
+				: { ...style, color: formatting.colors[code] };
+		} else if (code in formatting.formats) {
+			flush();
+			style = { ...style, [formatting.formats[code]]: true };
+		} else if (code === "r") {
+			flush();
+			style = base;
+		}
+		// Unknown codes are dropped, just like the client does
+		i++;
+	}
+	flush();
+
+	return nodes;
+};
+
+/**
+ * Creates a node holding plain or `§`-formatted text.
+ * @param {string} text - The text of the node.
+ * @param {MotdStyle} style - The node's resolved style.
+ * @param {LegacyFormatting} formatting - The legacy codes to recognize.
+ * @returns {MotdNode}
+ */
+const createTextNode = (text, style, formatting) => {
+	if (!text.includes("§")) {
+		return { ...style, text, children: [] };
+	}
+	return {
+		...style,
+		text: "",
+		children: parseLegacyText(text, style, formatting),
+	};
+};
+
+/**
+ * Expands a `translate` component using its `fallback` or key as the format string.
+ * Supports `%s`, positional `%1$s` and the `%%` escape.
+ * @param {Record<string, unknown>} component - The raw component object.
+ * @param {MotdStyle} style - The component's resolved style.
+ * @param {LegacyFormatting} formatting - The legacy codes to recognize.
+ * @param {number} depth - How deeply the component is nested.
+ * @returns {MotdNode[]}
+ */
+const expandTranslation = (component, style, formatting, depth) => {
+	const format =
+		typeof component.fallback === "string"
+			? component.fallback
+			: String(component.translate);
+	const args = Array.isArray(component.with) ? component.with : [];
+
+	/** @type {MotdNode[]} */
+	const nodes = [];
+	const pattern = /%(?:(\d+)\$)?([s%])/g;
+	let lastIndex = 0;
+	let nextArg = 0;
+	let match;
+
+	while ((match = pattern.exec(format))) {
+		nodes.push(
+			createTextNode(format.slice(lastIndex, match.index), style, formatting)
+		);
+		lastIndex = pattern.lastIndex;
+
+		if (match[2] === "%") {
+			nodes.push({ ...style, text: "%", children: [] });
+			continue;
+		}
+		const index = match[1] ? Number(match[1]) - 1 : nextArg++;
+		if (index < args.length) {
+			nodes.push(parseComponent(args[index], style, formatting, depth + 1));
+		}
+	}
+	nodes.push(createTextNode(format.slice(lastIndex), style, formatting));
+
+	return nodes;
+};
+
+/**
+ * Recursively normalizes a raw component into a node.
+ * @param {unknown} component - A string, array or component object.
+ * @param {MotdStyle} inherited - The parent's resolved style.
+ * @param {LegacyFormatting} formatting - The legacy codes to recognize.
+ * @param {number} [depth=0] - How deeply the component is nested.
+ * @returns {MotdNode}
+ * @throws {ProtocolError} If the component is nested deeper than `MAX_COMPONENT_DEPTH`.
+ */
+const parseComponent = (component, inherited, formatting, depth = 0) => {
+	if (depth > MAX_COMPONENT_DEPTH) {
+		throw new ProtocolError(
+			`Text component nested deeper than ${MAX_COMPONENT_DEPTH} levels.`,
+			ERR_MALFORMED_RESPONSE
+		);
+	}
+	if (component === null || component === undefined) {
+		return { ...inherited, text: "", children: [] };
+	}
+
+	if (typeof component !== "object") {
+		return createTextNode(String(component), inherited, formatting);
+	}
+
+	// An array is a component whose first element is the parent of the others
+	if (Array.isArray(component)) {
+		if (component.length === 0) {
+			return { ...inherited, text: "", children: [] };
+		}
+		const [first, ...rest] = component;
+		const parent = parseComponent(first, inherited, formatting, depth + 1);
+		for (const child of rest) {
+			parent.children.push(
+				parseComponent(child, pickStyle(parent), formatting, depth + 1)
+			);
+		}
+		return parent;
+	}
+
+	const raw = /** @type {Record<string, unknown>} */ (component);
+	const style = resolveStyle(raw, inherited);
+
+	/** @type {MotdNode} */
+	let node;
+	if (raw.text !== undefined && raw.text !== null) {
+		node = createTextNode(String(raw.text), style, formatting);
+	} else if (raw.translate !== undefined) {
+		node = {
+			...style,
+			text: "",
+			children: expandTranslation(raw, style, formatting, depth),
+		};
+	} else if (typeof raw.keybind === "string") {
+		node = { ...style, text: raw.keybind, children: [] };
+	} else if (typeof raw.selector === "string") {
+		node = { ...style, text: raw.selector, children: [] };
+	} else if (
+		raw.score &&
+		typeof raw.score === "object" &&
+		"value" in raw.score
+	) {
+		node = { ...style, text: String(raw.score.value), children: [] };
+	} else {
+		node = { ...style, text: "", children: [] };
+	}
+
+	if (Array.isArray(raw.extra)) {
+		for (const child of raw.extra) {
+			node.children.push(parseComponent(child, style, formatting, depth + 1));
+		}
+	}
+
+	return node;
+};
+
+/**
+ * Normalizes a server description into a tree of styled nodes with inheritance resolved.
+ * Accepts plain strings with legacy `§` codes, text component objects and component arrays.
+ * @param {unknown} description - The raw description, e.g. `JavaPingResponse.description`.
+ * @param {MotdParseOptions} [options={}] - Optional configuration.
+ * @returns {MotdNode} The root node.
+ * @throws {ProtocolError} If components are nested more than 512 levels deep.
+ */
+export function parseDescription(description, options = {}) {
+	const { formatting = JAVA_FORMATTING } = options;
+	return parseComponent(description, DEFAULT_STYLE, formatting);
+}
+
+/**
+ * Flattens a node tree into a list of spans in rendering order.
+ * Empty spans are dropped and adjacent spans with the same style are merged.
+ * @param {MotdNode} root - The root node.
+ * @returns {MotdSpan[]}
+ */
+export function flattenSpans(root) {
+	/** @type {MotdSpan[]} */
+	const spans = [];
+
+	const visit = (node) => {
+		if (node.text !== "") {
+			const style = pickStyle(node);
+			const last = spans[spans.length - 1];
+			if (
+				last &&
+				FORMAT_PROPERTIES.every((p) => last[p] === style[p]) &&
+				last.color === style.color
+			) {
+				last.text += node.text;
+			} else {
+				spans.push({ ...style, text: node.text });
+			}
+		}
+		node.children.forEach(visit);
+	};
+	visit(root);
+
+	return spans;
+}
+
+/**
+ * Renders spans as plain text.
+ * @param {MotdSpan[]} spans - The spans to render.
+ * @returns {string}
+ */
+export function toPlainText(spans) {
+	return spans.map((span) => span.text).join("");
+}
+
+/**
+ * Renders spans as text with 24-bit ANSI escape codes for terminals.
+ * Obfuscated text has no terminal equivalent and is rendered as is.
+ * @param {MotdSpan[]} spans - The spans to render.
+ * @returns {string}
+ */
+export function toAnsi(spans) {
+	let output = "";
+	for (const span of spans) {
+		const codes = [];
+		if (span.color) {
+			const value = parseInt(span.color.slice(1), 16);
+			codes.push(
+				`38;2;${(value >> 16) & 0xff};${(value >> 8) & 0xff};${value & 0xff}`
+			);
+		}
+		if (span.bold) codes.push("1");
+		if (span.italic) codes.push("3");
+		if (span.underlined) codes.push("4");
+		if (span.strikethrough) codes.push("9");
+
+		output +=
+			codes.length > 0
+				? `\x1b[0;${codes.join(";")}m${span.text}`
+				: `\x1b[0m${span.text}`;
+	}
+	return output === "" ? "" : `${output}\x1b[0m`;
+}
+
+/**
+ * Escapes the characters that have a meaning in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = (text) =>
+	text
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+
+/**
+ * Renders spans as escaped HTML, one `<span>` with inline styles per span.
+ * Line breaks become `<br>` and obfuscated spans get the `obfuscated` class.
+ * @param {MotdSpan[]} spans - The spans to render.
+ * @returns {string}
+ */
+export function toHtml(spans) {
+	return spans
+		.map((span) => {
+			const styles = [];
+			if (span.color) styles.push(`color: ${span.color}`);
+			if (span.bold) styles.push("font-weight: bold");
+			if (span.italic) styles.push("font-style: italic");
+
+			const decorations = [];
+			if (span.underlined) decorations.push("underline");
+			if (span.strikethrough) decorations.push("line-through");
+			if (decorations.length > 0) {
+				styles.push(`text-decoration: ${decorations.join(" ")}`);
+			}
+
+			const attributes = [];
+			if (span.obfuscated) attributes.push(' class="obfuscated"');
+			if (styles.length > 0) attributes.push(` style="${styles.join("; ")}"`);
+
+			const text = escapeHtml(span.text).replace(/\r?\n/g, "<br>");
+			return `<span${attributes.join("")}>${text}</span>`;
+		})
+		.join("");
+}
+
+/**
+ * Parses a description and renders it in every supported format.
+ * @param {unknown} description - The raw description, e.g. `JavaPingResponse.description`.
+ * @param {MotdParseOptions} [options={}] - Optional configuration.
+ * @returns {FormattedText}
+ * @throws {ProtocolError} If components are nested more than 512 levels deep.
+ */
+export function formatDescription(description, options = {}) {
+	const spans = flattenSpans(parseDescription(description, options));
+	return {
+		clean: toPlainText(spans),
+		spans,
+		ansi: toAnsi(spans),
+		html: toHtml(spans),
+	};
+}
+
+/**
+ * Parses Bedrock Edition text, such as a server name or level name, and renders it in every supported format.
+ * Uses the Bedrock palette, including the Minecoin and material colors.
+ * @param {string} text - The text with legacy `§` codes.
+ * @returns {FormattedText}
+ */
+export function formatBedrockText(text) {
+	return formatDescription(text, { formatting: BEDROCK_FORMATTING });
+}
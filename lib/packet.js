@@ -0,0 +1,597 @@
+/**
+ * Typed reader and writer for Java Edition packets, and a decoder that splits a TCP stream into packets.
+ * Built on the VarInt helpers of varint.js, for tooling that speaks more than the Status state.
+ * @see https://minecraft.wiki/w/Java_Edition_protocol/Data_types
+ * @see https://minecraft.wiki/w/Java_Edition_protocol/Packets#Packet_format
+ */
+
+"use strict";
+
+import { Transform } from "node:stream";
+import * as varint from "./varint.js";
+
+export const ERR_PACKET_BUFFER_UNDERFLOW = "PACKET_BUFFER_UNDERFLOW";
+export const ERR_PACKET_MALFORMED = "PACKET_MALFORMED";
+export const ERR_PACKET_INVALID_VALUE = "PACKET_INVALID_VALUE";
+
+// The largest packet the protocol allows, the most a 3-byte VarInt can hold
+export const MAX_PACKET_LENGTH = 2097151;
+// The default maximum length of a String, in UTF-16 code units
+export const MAX_STRING_LENGTH = 32767;
+
+// The bit widths of the X, Z and Y coordinates packed in a Position
+const POSITION_XZ_BITS = 26;
+const POSITION_Y_BITS = 12;
+
+const UUID_PATTERN = /^[0-9a-f]{32}$/i;
+
+export class PacketError extends Error {
+	/**
+	 * @param {string} message The error message.
+	 * @param {string} code The error code: PACKET_BUFFER_UNDERFLOW, PACKET_MALFORMED or PACKET_INVALID_VALUE.
+	 * @param {unknown} [cause] The underlying error, if any.
+	 */
+	constructor(message, code, cause) {
+		super(message);
+		this.name = "PacketError";
+		this.code = code;
+		// Set by hand, the `cause` option of the Error constructor needs Node 16.9
+		/** @type {unknown} */
+		this.cause = cause;
+	}
+}
+
+/**
+ * A block position in the world.
+ * @typedef {object} Position
+ * @property {number} x - Between -33554432 and 33554431.
+ * @property {number} y - Between -2048 and 2047.
+ * @property {number} z - Between -33554432 and 33554431.
+ */
+
+/**
+ * @typedef {object} FrameDecoderOptions
+ * @property {number} [maxLength=2097151] - The largest packet to accept, in bytes. A longer length prefix fails the stream.
+ */
+
+/**
+ * Turns an error of varint.js into a `PacketError` with the matching code.
+ * @param {unknown} err
+ * @returns {unknown}
+ */
+const fromVarIntError = (err) => {
+	if (!(err instanceof varint.VarIntError)) return err;
+	const code = {
+		[varint.ERR_VARINT_BUFFER_UNDERFLOW]: ERR_PACKET_BUFFER_UNDERFLOW,
+		[varint.ERR_VARINT_MALFORMED]: ERR_PACKET_MALFORMED,
+		[varint.ERR_VARINT_ENCODE_TOO_LARGE]: ERR_PACKET_INVALID_VALUE,
+	}[err.code];
+	return new PacketError(err.message, code || ERR_PACKET_MALFORMED, err);
+};
+
+/**
+ * Checks that an integer is within a range before it is written.
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @param {string} type - The name of the type in the message.
+ * @throws {PacketError} If it is not.
+ */
+const checkRange = (value, min, max, type) => {
+	if (!Number.isInteger(value) || value < min || value > max) {
+		throw new PacketError(
+			`Invalid ${type}: ${value}. Expected an integer between ${min} and ${max}.`,
+			ERR_PACKET_INVALID_VALUE
+		);
+	}
+};
+
+/**
+ * Reads the fields of a packet in order, moving a cursor forward.
+ * Reading past the end throws a `PacketError` with the `PACKET_BUFFER_UNDERFLOW` code, and leaves the cursor where it was.
+ */
+export class PacketReader {
+	/**
+	 * @param {Buffer} buffer The packet to read, usually without its length prefix.
+	 * @param {number} [offset=0] Where to start reading.
+	 */
+	constructor(buffer, offset = 0) {
+		/** @type {Buffer} */
+		this.buffer = buffer;
+		/** @type {number} */
+		this.offset = offset;
+	}
+
+	/**
+	 * The number of bytes left to read.
+	 * @returns {number}
+	 */
+	get remaining() {
+		return this.buffer.length - this.offset;
+	}
+
+	/**
+	 * Moves the cursor past a field of the given length, and returns where the field starts.
+	 * @param {number} length The length of the field in bytes.
+	 * @param {string} [type="a field"] The name of the type in the message.
+	 * @returns {number}
+	 * @throws {PacketError} If fewer bytes are left.
+	 */
+	skip(length, type = "a field") {
+		if (length > this.remaining) {
+			throw new PacketError(
+				`Buffer underflow: Cannot read ${type} of ${length} bytes, only ${this.remaining} left.`,
+				ERR_PACKET_BUFFER_UNDERFLOW
+			);
+		}
+		const start = this.offset;
+		this.offset += length;
+		return start;
+	}
+
+	/**
+	 * Reads a VarInt.
+	 * @returns {number}
+	 * @throws {PacketError} If the buffer ends early or the VarInt is malformed.
+	 */
+	readVarInt() {
+		try {
+			const { value, bytesRead } = varint.decodeVarInt(
+				this.buffer,
+				this.offset
+			);
+			this.offset += bytesRead;
+			return value;
+		} catch (err) {
+			throw fromVarIntError(err);
+		}
+	}
+
+	/**
+	 * Reads a VarLong.
+	 * @returns {bigint}
+	 * @throws {PacketError} If the buffer ends early or the VarLong is malformed.
+	 */
+	readVarLong() {
+		try {
+			const { value, bytesRead } = varint.decodeVarLong(
+				this.buffer,
+				this.offset
+			);
+			this.offset += bytesRead;
+			return value;
+		} catch (err) {
+			throw fromVarIntError(err);
+		}
+	}
+
+	/**
+	 * Reads a Boolean. Any byte other than 0 is true.
+	 * @returns {boolean}
+	 */
+	readBoolean() {
+		return this.buffer.readUInt8(this.skip(1, "a Boolean")) !== 0;
+	}
+
+	/**
+	 * Reads a signed Byte.
+	 * @returns {number}
+	 */
+	readByte() {
+		return this.buffer.readInt8(this.skip(1, "a Byte"));
+	}
+
+	/**
+	 * Reads an Unsigned Byte.
+	 * @returns {number}
+	 */
+	readUnsignedByte() {
+		return this.buffer.readUInt8(this.skip(1, "an Unsigned Byte"));
+	}
+
+	/**
+	 * Reads a big-endian signed Short.
+	 * @returns {number}
+	 */
+	readShort() {
+		return this.buffer.readInt16BE(this.skip(2, "a Short"));
+	}
+
+	/**
+	 * Reads a big-endian Unsigned Short, such as a port.
+	 * @returns {number}
+	 */
+	readUnsignedShort() {
+		return this.buffer.readUInt16BE(this.skip(2, "an Unsigned Short"));
+	}
+
+	/**
+	 * Reads a big-endian signed Int.
+	 * @returns {number}
+	 */
+	readInt() {
+		return this.buffer.readInt32BE(this.skip(4, "an Int"));
+	}
+
+	/**
+	 * Reads a big-endian signed Long.
+	 * @returns {bigint}
+	 */
+	readLong() {
+		return this.buffer.readBigInt64BE(this.skip(8, "a Long"));
+	}
+
+	/**
+	 * Reads a String: a VarInt byte length, then UTF-8.
+	 * @param {number} [maxLength=32767] The longest string to accept, in UTF-16 code units, like the vanilla codec.
+	 * @returns {string}
+	 * @throws {PacketError} If the buffer ends early, or the string is longer than `maxLength`.
+	 */
+	readString(maxLength = MAX_STRING_LENGTH) {
+		const start = this.offset;
+		const length = this.readVarInt();
+		if (length < 0) {
+			this.offset = start;
+			throw new PacketError(
+				`Invalid String length: ${length}.`,
+				ERR_PACKET_MALFORMED
+			);
+		}
+		// A code unit takes at most 3 bytes of UTF-8
+		if (length > maxLength * 3) {
+			this.offset = start;
+			throw new PacketError(
+				`String of ${length} bytes is longer than the maximum of ${maxLength} characters.`,
+				ERR_PACKET_MALFORMED
+			);
+		}
+
+		let begin;
+		try {
+			begin = this.skip(length, "a String");
+		} catch (err) {
+			this.offset = start;
+			throw err;
+		}
+		const value = this.buffer.toString("utf8", begin, begin + length);
+		if (value.length > maxLength) {
+			this.offset = start;
+			throw new PacketError(
+				`String of ${value.length} characters is longer than the maximum of ${maxLength}.`,
+				ERR_PACKET_MALFORMED
+			);
+		}
+		return value;
+	}
+
+	/**
+	 * Reads a UUID: two big-endian Longs.
+	 * @returns {string} The UUID in its dashed form, e.g. `069a79f4-44e9-4726-a5be-fca90e38aaf5`.
+	 */
+	readUUID() {
+		const start = this.skip(16, "a UUID");
+		const hex = this.buffer.toString("hex", start, start + 16);
+		return [
+			hex.slice(0, 8),
+			hex.slice(8, 12),
+			hex.slice(12, 16),
+			hex.slice(16, 20),
+			hex.slice(20),
+		].join("-");
+	}
+
+	/**
+	 * Reads a Position, packed in a Long as X (26 bits), Z (26 bits) and Y (12 bits), the layout since 1.14.
+	 * @returns {Position}
+	 */
+	readPosition() {
+		const packed = this.buffer.readBigInt64BE(this.skip(8, "a Position"));
+		const xzBits = BigInt(POSITION_XZ_BITS);
+		const yBits = BigInt(POSITION_Y_BITS);
+		return {
+			x: Number(BigInt.asIntN(POSITION_XZ_BITS, packed >> (xzBits + yBits))),
+			y: Number(BigInt.asIntN(POSITION_Y_BITS, packed)),
+			z: Number(BigInt.asIntN(POSITION_XZ_BITS, packed >> yBits)),
+		};
+	}
+
+	/**
+	 * Reads raw bytes.
+	 * @param {number} length The number of bytes.
+	 * @returns {Buffer} A view of the packet, not a copy.
+	 */
+	readBytes(length) {
+		const start = this.skip(length, "a Byte Array");
+		return this.buffer.subarray(start, start + length);
+	}
+
+	/**
+	 * Reads every byte that is left.
+	 * @returns {Buffer} A view of the packet, not a copy.
+	 */
+	readRemaining() {
+		return this.readBytes(this.remaining);
+	}
+}
+
+/**
+ * Builds a packet field by field. Every `write` method returns the writer, so calls can be chained.
+ */
+export class PacketWriter {
+	constructor() {
+		/** @type {Buffer[]} */
+		this.chunks = [];
+	}
+
+	/**
+	 * Appends raw bytes.
+	 * @param {Buffer} bytes
+	 * @returns {this}
+	 */
+	writeBytes(bytes) {
+		this.chunks.push(bytes);
+		return this;
+	}
+
+	/**
+	 * Appends a VarInt.
+	 * @param {number} value A signed 32-bit integer.
+	 * @returns {this}
+	 * @throws {PacketError} If the value does not fit in 32 bits.
+	 */
+	writeVarInt(value) {
+		checkRange(value, -(2 ** 31), 2 ** 31 - 1, "VarInt");
+		return this.writeBytes(varint.encodeVarInt(value));
+	}
+
+	/**
+	 * Appends a VarLong.
+	 * @param {bigint | number} value A signed 64-bit integer.
+	 * @returns {this}
+	 * @throws {PacketError} If the value does not fit in 64 bits.
+	 */
+	writeVarLong(value) {
+		if (BigInt(value) >= 2n ** 63n) {
+			throw new PacketError(
+				`Invalid VarLong: ${value}. Expected a signed 64-bit integer.`,
+				ERR_PACKET_INVALID_VALUE
+			);
+		}
+		try {
+			return this.writeBytes(varint.encodeVarLong(value));
+		} catch (err) {
+			throw fromVarIntError(err);
+		}
+	}
+
+	/**
+	 * Appends a Boolean.
+	 * @param {boolean} value
+	 * @returns {this}
+	 */
+	writeBoolean(value) {
+		return this.writeBytes(Buffer.from([value ? 1 : 0]));
+	}
+
+	/**
+	 * Appends a signed Byte.
+	 * @param {number} value
+	 * @returns {this}
+	 */
+	writeByte(value) {
+		checkRange(value, -128, 127, "Byte");
+		const buf = Buffer.alloc(1);
+		buf.writeInt8(value, 0);
+		return this.writeBytes(buf);
+	}
+
+	/**
+	 * Appends an Unsigned Byte.
+	 * @param {number} value
+	 * @returns {this}
+	 */
+	writeUnsignedByte(value) {
+		checkRange(value, 0, 255, "Unsigned Byte");
+		return this.writeBytes(Buffer.from([value]));
+	}
+
+	/**
+	 * Appends a big-endian signed Short.
+	 * @param {number} value
+	 * @returns {this}
+	 */
+	writeShort(value) {
+		checkRange(value, -32768, 32767, "Short");
+		const buf = Buffer.alloc(2);
+		buf.writeInt16BE(value, 0);
+		return this.writeBytes(buf);
+	}
+
+	/**
+	 * Appends a big-endian Unsigned Short, such as a port.
+	 * @param {number} value
+	 * @returns {this}
+	 */
+	writeUnsignedShort(value) {
+		checkRange(value, 0, 65535, "Unsigned Short");
+		return this.writeBytes(varint.encodeUShort(value));
+	}
+
+	/**
+	 * Appends a big-endian signed Int.
+	 * @param {number} value
+	 * @returns {this}
+	 */
+	writeInt(value) {
+		checkRange(value, -(2 ** 31), 2 ** 31 - 1, "Int");
+		const buf = Buffer.alloc(4);
+		buf.writeInt32BE(value, 0);
+		return this.writeBytes(buf);
+	}
+
+	/**
+	 * Appends a big-endian signed Long.
+	 * @param {bigint | number} value
+	 * @returns {this}
+	 */
+	writeLong(value) {
+		const big = BigInt(value);
+		if (big < -(2n ** 63n) || big >= 2n ** 63n) {
+			throw new PacketError(
+				`Invalid Long: ${value}. Expected a signed 64-bit integer.`,
+				ERR_PACKET_INVALID_VALUE
+			);
+		}
+		const buf = Buffer.alloc(8);
+		buf.writeBigInt64BE(big, 0);
+		return this.writeBytes(buf);
+	}
+
+	/**
+	 * Appends a String: a VarInt byte length, then UTF-8.
+	 * @param {string} value
+	 * @param {number} [maxLength=32767] The longest string to accept, in UTF-16 code units.
+	 * @returns {this}
+	 * @throws {PacketError} If the string is longer than `maxLength`.
+	 */
+	writeString(value, maxLength = MAX_STRING_LENGTH) {
+		if (value.length > maxLength) {
+			throw new PacketError(
+				`String of ${value.length} characters is longer than the maximum of ${maxLength}.`,
+				ERR_PACKET_INVALID_VALUE
+			);
+		}
+		const bytes = varint.encodeString(value);
+		return this.writeVarInt(bytes.length).writeBytes(bytes);
+	}
+
+	/**
+	 * Appends a UUID.
+	 * @param {string} value The UUID, with or without dashes.
+	 * @returns {this}
+	 * @throws {PacketError} If it is not a UUID.
+	 */
+	writeUUID(value) {
+		const hex = String(value).replace(/-/g, "");
+		if (!UUID_PATTERN.test(hex)) {
+			throw new PacketError(
+				`Invalid UUID: ${value}.`,
+				ERR_PACKET_INVALID_VALUE
+			);
+		}
+		return this.writeBytes(Buffer.from(hex, "hex"));
+	}
+
+	/**
+	 * Appends a Position, packed the way `PacketReader.readPosition` reads it.
+	 * @param {Position} position
+	 * @returns {this}
+	 * @throws {PacketError} If a coordinate is out of range.
+	 */
+	writePosition({ x, y, z }) {
+		const xzLimit = 2 ** (POSITION_XZ_BITS - 1);
+		const yLimit = 2 ** (POSITION_Y_BITS - 1);
+		checkRange(x, -xzLimit, xzLimit - 1, "Position x");
+		checkRange(y, -yLimit, yLimit - 1, "Position y");
+		checkRange(z, -xzLimit, xzLimit - 1, "Position z");
+
+		const packed =
+			(BigInt.asUintN(POSITION_XZ_BITS, BigInt(x)) <<
+				BigInt(POSITION_XZ_BITS + POSITION_Y_BITS)) |
+			(BigInt.asUintN(POSITION_XZ_BITS, BigInt(z)) << BigInt(POSITION_Y_BITS)) |
+			BigInt.asUintN(POSITION_Y_BITS, BigInt(y));
+		const buf = Buffer.alloc(8);
+		buf.writeBigUInt64BE(packed, 0);
+		return this.writeBytes(buf);
+	}
+
+	/**
+	 * Returns the fields written so far.
+	 * @returns {Buffer}
+	 */
+	toBuffer() {
+		return Buffer.concat(this.chunks);
+	}
+
+	/**
+	 * Returns the fields written so far, prefixed with their length, ready to be sent.
+	 * @returns {Buffer}
+	 */
+	toPacket() {
+		return varint.concatPackets(this.chunks);
+	}
+}
+
+/**
+ * Splits the first packet off a buffer of received bytes.
+ * @param {Buffer} buffer The bytes received so far.
+ * @param {number} [maxLength=2097151] The largest packet to accept, in bytes.
+ * @returns {{ packet: Buffer, remainder: Buffer } | null} The packet without its length prefix and the bytes after it,
+ * or null if the packet has not fully arrived yet.
+ * @throws {PacketError} If the length prefix is malformed or above `maxLength`.
+ */
+export function readFrame(buffer, maxLength = MAX_PACKET_LENGTH) {
+	const reader = new PacketReader(buffer);
+	let length;
+	try {
+		length = reader.readVarInt();
+	} catch (err) {
+		if (err instanceof PacketError && err.code === ERR_PACKET_BUFFER_UNDERFLOW)
+			return null;
+		throw err;
+	}
+
+	// A bogus length would otherwise keep us buffering forever
+	if (length < 0 || length > maxLength) {
+		throw new PacketError(
+			`Invalid packet length: ${length}. Expected at most ${maxLength} bytes.`,
+			ERR_PACKET_MALFORMED
+		);
+	}
+	if (reader.remaining < length) return null;
+
+	const packet = reader.readBytes(length);
+	return { packet, remainder: reader.readRemaining() };
+}
+
+/**
+ * Creates a stream that splits the bytes of a TCP connection into packets.
+ * Write the received chunks to it, e.g. with `socket.pipe(decoder)`, and read one Buffer per packet,
+ * without its length prefix. The stream fails with a `PacketError` on a bad length prefix,
+ * or if it ends in the middle of a packet.
+ * @param {FrameDecoderOptions} [options={}] - Optional configuration.
+ * @returns {Transform}
+ */
+export function createFrameDecoder(options = {}) {
+	const { maxLength = MAX_PACKET_LENGTH } = options;
+	let pending = Buffer.alloc(0);
+
+	return new Transform({
+		readableObjectMode: true,
+		transform(chunk, _encoding, callback) {
+			pending = pending.length === 0 ? chunk : Buffer.concat([pending, chunk]);
+			try {
+				let frame;
+				while ((frame = readFrame(pending, maxLength))) {
+					this.push(frame.packet);
+					pending = frame.remainder;
+				}
+				callback();
+			} catch (err) {
+				callback(err);
+			}
+		},
+		flush(callback) {
+			if (pending.length === 0) {
+				callback();
+				return;
+			}
+			callback(
+				new PacketError(
+					`Stream ended with ${pending.length} bytes of an incomplete packet.`,
+					ERR_PACKET_BUFFER_UNDERFLOW
+				)
+			);
+		},
+	});
+}
@@ -0,0 +1,167 @@
+/**
+ * Edition auto-detection on top of the Java and Bedrock pingers.
+ */
+
+"use strict";
+
+import createDebug from "debug";
+import { pingJava } from "./java.js";
+import { pingBedrock } from "./bedrock.js";
+import {
+	ERR_MALFORMED_RESPONSE,
+	ERR_PROTOCOL_ERROR,
+	AbortError,
+	MinepingError,
+	createAbortError,
+	toMinepingError,
+} from "./errors.js";
+import { toAddress } from "./address.js";
+
+const debug = createDebug("mineping:ping");
+
+/**
+ * The fields every edition reports, normalized to the same shape.
+ * @typedef {object} PingSummary
+ * @property {string} name - The server name without formatting codes. The MOTD for Java, the first MOTD line for Bedrock.
+ * @property {{ name: string, protocol: number }} version - The game version name and protocol number.
+ * @property {{ online: number, max: number }} players - Current and maximum player counts.
+ * @property {number} [latency] - Round-trip time in milliseconds, if it could be measured.
+ */
+
+/**
+ * The result of an auto-detected ping. `edition` tells which raw response is attached.
+ * @typedef {PingSummary & ({ edition: "java", raw: import("./java.js").JavaPingResponse } | { edition: "bedrock", raw: import("./bedrock.js").BedrockPingResponse })} PingResult
+ */
+
+/**
+ * @typedef {object} PingOptions
+ * @property {number} [port] - The port to try for both editions. Defaults to 25565 (after the SRV lookup) for Java and 19132 for Bedrock.
+ * @property {number} [timeout=5000] - The timeout in milliseconds for each attempt.
+ * @property {AbortSignal} [signal] - Aborts both attempts, rejecting with an `AbortError`.
+ * @property {import("./dns.js").MinepingResolver} [resolver] - Resolves the SRV record and host names for both attempts.
+ */
+
+/**
+ * Normalizes a Java response.
+ * @param {import("./java.js").JavaPingResponse} raw
+ * @returns {PingResult}
+ */
+export const summarizeJava = (raw) => ({
+	edition: "java",
+	name: raw.formattedDescription.clean,
+	version: { name: raw.version.name, protocol: raw.version.protocol },
+	players: { online: raw.players?.online ?? 0, max: raw.players?.max ?? 0 },
+	latency: raw.latency,
+	raw,
+});
+
+/**
+ * Normalizes a Bedrock response.
+ * @param {import("./bedrock.js").BedrockPingResponse} raw
+ * @returns {PingResult}
+ */
+export const summarizeBedrock = (raw) => ({
+	edition: "bedrock",
+	name: raw.formattedName.clean,
+	version: { name: raw.version.minecraft, protocol: raw.version.protocol },
+	players: { online: raw.players.online, max: raw.players.max },
+	latency: raw.latency,
+	raw,
+});
+
+/**
+ * Pings a server whose edition is unknown.
+ * Java (with its SRV lookup) and Bedrock are tried in parallel, and the first one to answer wins.
+ * @param {import("./address.js").AddressInput} address - The server address to ping, e.g. `play.example.com` or `play.example.com:25566`.
+ * @param {PingOptions} [options={}] - Optional configuration.
+ * @returns {Promise<PingResult>} A promise that resolves with the normalized status and the raw response.
+ * @throws {MinepingError} If neither edition answers. It carries the code, target and phase of the attempt that got
+ * furthest: one where the server answered but misbehaved, otherwise the Java attempt.
+ */
+export async function ping(address, options = {}) {
+	const { host, port: explicitPort } = toAddress(address);
+	// Both attempts see the port of the address, so Java skips its SRV lookup
+	const target =
+		explicitPort === undefined ? host : { host, port: explicitPort };
+
+	const { port, timeout = 5000, signal, resolver } = options;
+	if (signal?.aborted) {
+		throw createAbortError(signal, { host });
+	}
+	// Cancels the losing attempt once the other one answered, and both if the caller aborts
+	const controller = new AbortController();
+	const onAbort = () => controller.abort(signal.reason);
+	signal?.addEventListener("abort", onAbort, { once: true });
+
+	const attemptOptions = { timeout, signal: controller.signal };
+	if (port !== undefined) attemptOptions.port = port;
+	if (resolver) attemptOptions.resolver = resolver;
+	debug("auto-detecting edition of %s with options: %o", host, options);
+
+	const attempts = [
+		pingJava(target, attemptOptions).then(summarizeJava),
+		pingBedrock(target, attemptOptions).then(summarizeBedrock),
+	];
+
+	// Resolve with the first success, reject only once every attempt has failed
+	const result = new Promise((resolve, reject) => {
+		const editions = ["java", "bedrock"];
+		/** @type {MinepingError[]} */
+		const errors = [];
+		let failures = 0;
+
+		attempts.forEach((attempt, index) => {
+			attempt.then(
+				(summary) => {
+					debug("%s answered as %s", host, summary.edition);
+					resolve(summary);
+					controller.abort();
+				},
+				(err) => {
+					const error = toMinepingError(err);
+					debug(
+						"%s attempt for %s failed: %s",
+						editions[index],
+						host,
+						error.message
+					);
+					errors[index] = error;
+
+					// Both attempts share the signal, so there is nothing left to wait for
+					if (error instanceof AbortError) {
+						reject(error);
+						return;
+					}
+
+					if (++failures === attempts.length) {
+						// A server that answered the wrong way tells more than one that did not answer
+						const cause =
+							errors.find(
+								(e) =>
+									e.code === ERR_PROTOCOL_ERROR ||
+									e.code === ERR_MALFORMED_RESPONSE
+							) || errors[0];
+						reject(
+							new MinepingError(
+								`Server did not answer as Java (${errors[0].message}) or Bedrock (${errors[1].message}).`,
+								cause.code,
+								{
+									host: cause.host,
+									port: cause.port,
+									phase: cause.phase,
+									cause,
+								}
+							)
+						);
+					}
+				}
+			);
+		});
+	});
+
+	try {
+		return await result;
+	} finally {
+		signal?.removeEventListener("abort", onAbort);
+	}
+}
@@ -0,0 +1,401 @@
+/**
+ * Implementation of the GameSpy4 (UT3) Query protocol.
+ * Both Java and Bedrock servers answer it when `enable-query` is turned on.
+ * @see https://minecraft.wiki/w/Query
+ */
+
+"use strict";
+
+import dgram from "node:dgram";
+import crypto from "node:crypto";
+import { isIP } from "node:net";
+import { lookup } from "node:dns/promises";
+import createDebug from "debug";
+import {
+	ERR_MALFORMED_RESPONSE,
+	DnsError,
+	ProtocolError,
+	TimeoutError,
+	createAbortError,
+	toMinepingError,
+} from "./errors.js";
+import { toAddress } from "./address.js";
+
+const debug = createDebug("mineping:query");
+
+const MAGIC = 0xfefd;
+const TYPE_HANDSHAKE = 0x09;
+const TYPE_STAT = 0x00;
+// "splitnum\0\x80\0" precedes the K/V section of a full stat response
+const FULL_STAT_KV_PADDING = 11;
+// "\x01player_\0\0" precedes the player section of a full stat response
+const FULL_STAT_PLAYER_PADDING = 10;
+
+/**
+ * Represents the structured and user-friendly response from a server query.
+ * Fields marked as full-only are only present when the full stat was requested.
+ * @typedef {object} QueryResponse
+ * @property {string} motd - The server's Message of the Day (`hostname`).
+ * @property {string} gameType - The game type, always "SMP".
+ * @property {string} [gameId] - The game ID, "MINECRAFT" for Java and "MINECRAFTPE" for Bedrock. Full-only.
+ * @property {string} [version] - The server's version name. Full-only.
+ * @property {string} [software] - The server software, e.g. "CraftBukkit on Bukkit 1.2.5-R4.0". Full-only.
+ * @property {string[]} [plugins] - The installed plugins with their versions, e.g. "WorldEdit 5.3". Full-only.
+ * @property {string} map - The name of the default world.
+ * @property {{ online: number, max: number, list?: string[] }} players - Player counts and, for the full stat, the names of every online player.
+ * @property {{ ip: string, port: number }} host - The address the server is bound to.
+ * @property {Record<string, string>} [data] - Every key/value pair from the full stat, including non-standard ones. Full-only.
+ */
+
+/**
+ * @typedef {object} QueryOptions
+ * @property {number} [port=25565] - The server's query port.
+ * @property {number} [timeout=5000] - The timeout in milliseconds for the whole exchange, including the lookup of a hostname.
+ * @property {boolean} [full=false] - Whether to request the full stat instead of the basic stat.
+ * @property {AbortSignal} [signal] - Aborts the query, rejecting with an `AbortError`.
+ */
+
+/**
+ * Creates a Query request packet.
+ * @param {number} type - The request type (0x09 for handshake, 0x00 for stat).
+ * @param {number} sessionId - The session ID the server will echo back.
+ * @param {Buffer} [payload] - Anything that follows the session ID.
+ * @returns {Buffer}
+ */
+const createRequestPacket = (type, sessionId, payload = Buffer.alloc(0)) => {
+	const header = Buffer.alloc(7);
+	header.writeUInt16BE(MAGIC, 0);
+	header.writeUInt8(type, 2);
+	header.writeInt32BE(sessionId, 3);
+	return Buffer.concat([header, payload]);
+};
+
+/**
+ * Creates a Stat request packet.
+ * The full stat is requested by padding the packet with four zero bytes.
+ * @param {number} sessionId - The session ID the server will echo back.
+ * @param {number} challengeToken - The token received in the handshake.
+ * @param {boolean} full - Whether to request the full stat.
+ * @returns {Buffer}
+ */
+const createStatRequestPacket = (sessionId, challengeToken, full) => {
+	const payload = Buffer.alloc(full ? 8 : 4);
+	payload.writeInt32BE(challengeToken, 0);
+	return createRequestPacket(TYPE_STAT, sessionId, payload);
+};
+
+/**
+ * Reads a null-terminated string from the buffer.
+ * @param {Buffer} buffer - The buffer to read from.
+ * @param {number} offset - The starting offset.
+ * @returns {{ value: string, offset: number }} The string and the offset just past its terminator.
+ * @throws {ProtocolError} If the string is not terminated.
+ */
+const readString = (buffer, offset) => {
+	const end = buffer.indexOf(0x00, offset);
+	if (end === -1) {
+		throw new ProtocolError(
+			"Malformed query response: unterminated string.",
+			ERR_MALFORMED_RESPONSE
+		);
+	}
+	return { value: buffer.toString("utf-8", offset, end), offset: end + 1 };
+};
+
+/**
+ * Parses the challenge token out of a Handshake response.
+ * @param {Buffer} packet - The raw packet without its type and session ID.
+ * @returns {number} The challenge token as a signed 32-bit integer.
+ * @throws {ProtocolError} If the token is not a number.
+ */
+const parseHandshakeResponse = (packet) => {
+	const { value } = readString(packet, 0);
+	const token = Number(value);
+	if (value === "" || !Number.isInteger(token)) {
+		throw new ProtocolError(
+			`Invalid challenge token: ${value}.`,
+			ERR_MALFORMED_RESPONSE
+		);
+	}
+	// The token is sent as a decimal string but written back as an int32
+	return token | 0;
+};
+
+/**
+ * Splits the `plugins` value into the server software and the plugin list.
+ * The format is `Software: Plugin1 1.0; Plugin2 2.0`, or just the software if there are no plugins.
+ * @param {string} value - The raw `plugins` value.
+ * @returns {{ software?: string, plugins: string[] }}
+ */
+const parsePlugins = (value) => {
+	if (!value) return { software: undefined, plugins: [] };
+
+	const separator = value.indexOf(": ");
+	if (separator === -1) return { software: value, plugins: [] };
+
+	return {
+		software: value.slice(0, separator),
+		plugins: value
+			.slice(separator + 2)
+			.split("; ")
+			.filter((plugin) => plugin !== ""),
+	};
+};
+
+/**
+ * Parses a basic Stat response.
+ * @param {Buffer} packet - The raw packet without its type and session ID.
+ * @returns {QueryResponse}
+ * @throws {ProtocolError} If the packet is malformed.
+ */
+const parseBasicStat = (packet) => {
+	let offset = 0;
+	const fields = [];
+	for (let i = 0; i < 5; i++) {
+		const result = readString(packet, offset);
+		fields.push(result.value);
+		offset = result.offset;
+	}
+
+	if (offset + 2 > packet.length) {
+		throw new ProtocolError(
+			"Malformed query response: missing host port.",
+			ERR_MALFORMED_RESPONSE
+		);
+	}
+	// The one little-endian field in the protocol
+	const hostPort = packet.readUInt16LE(offset);
+	const { value: hostIp } = readString(packet, offset + 2);
+
+	const [motd, gameType, map, online, max] = fields;
+	return {
+		motd,
+		gameType,
+		map,
+		players: { online: Number(online), max: Number(max) },
+		host: { ip: hostIp, port: hostPort },
+	};
+};
+
+/**
+ * Parses a full Stat response.
+ * @param {Buffer} packet - The raw packet without its type and session ID.
+ * @returns {QueryResponse}
+ * @throws {ProtocolError} If the packet is malformed.
+ */
+const parseFullStat = (packet) => {
+	let offset = FULL_STAT_KV_PADDING;
+
+	/** @type {Record<string, string>} */
+	const data = {};
+	// The K/V section ends with an empty key
+	while (true) {
+		const key = readString(packet, offset);
+		offset = key.offset;
+		if (key.value === "") break;
+
+		const value = readString(packet, offset);
+		offset = value.offset;
+		data[key.value] = value.value;
+	}
+
+	offset += FULL_STAT_PLAYER_PADDING;
+	if (offset > packet.length) {
+		throw new ProtocolError(
+			"Malformed query response: missing player section.",
+			ERR_MALFORMED_RESPONSE
+		);
+	}
+
+	const list = [];
+	// The player section ends with an empty name
+	while (offset < packet.length) {
+		const name = readString(packet, offset);
+		offset = name.offset;
+		if (name.value === "") break;
+		list.push(name.value);
+	}
+
+	const { software, plugins } = parsePlugins(data.plugins);
+	return {
+		motd: data.hostname,
+		gameType: data.gametype,
+		gameId: data.game_id,
+		version: data.version,
+		software,
+		plugins,
+		map: data.map,
+		players: {
+			online: Number(data.numplayers),
+			max: Number(data.maxplayers),
+			list,
+		},
+		host: { ip: data.hostip, port: Number(data.hostport) },
+		data,
+	};
+};
+
+/**
+ * Resolves the host to the address the query is sent to. Its family decides between a udp4 and a udp6 socket.
+ * @param {string} host - The IP address or hostname of the server.
+ * @returns {Promise<{ address: string, family: number }>}
+ * @throws {DnsError} If the host does not resolve.
+ */
+const resolveAddress = async (host) => {
+	const family = isIP(host);
+	if (family !== 0) return { address: host, family };
+	try {
+		return await lookup(host);
+	} catch (err) {
+		throw new DnsError(err instanceof Error ? err.message : String(err), {
+			host,
+			cause: err,
+		});
+	}
+};
+
+/**
+ * Asynchronously queries a Minecraft server using the Query protocol.
+ * The server must have `enable-query=true` in its `server.properties`.
+ * @param {import("./address.js").AddressInput} address - The server address, e.g. `play.example.com` or `play.example.com:25575`.
+ * @param {QueryOptions} [options={}] - Optional configuration.
+ * @returns {Promise<QueryResponse>} A promise that resolves with the server's stat.
+ * @throws {import("./errors.js").MinepingError} If the arguments are invalid or the query fails. The `code` tells why.
+ */
+export async function queryServer(address, options = {}) {
+	const { host, port: explicitPort } = toAddress(address);
+	const {
+		port: optionPort = 25565,
+		timeout = 5000,
+		full = false,
+		signal,
+	} = options;
+	const port = explicitPort ?? optionPort;
+	if (signal?.aborted) {
+		throw createAbortError(signal, { host, port, phase: "handshake" });
+	}
+	debug(
+		"querying server %s:%d (%s stat) with %dms timeout",
+		host,
+		port,
+		full ? "full" : "basic",
+		timeout
+	);
+
+	return new Promise((resolve, reject) => {
+		/** @type {dgram.Socket | undefined} */
+		let socket;
+		// Only the lower 4 bits of each byte are used by the server
+		const sessionId = crypto.randomBytes(4).readInt32BE(0) & 0x0f0f0f0f;
+
+		// Prevent cleanup tasks from running more than once
+		// in case of multiple error callbacks
+		let isCleanupCompleted = false;
+
+		// A hostname is looked up first, then the handshake phase lasts until the challenge token arrives
+		/** @type {import("./errors.js").ErrorPhase} */
+		let phase = isIP(host) === 0 ? "dns" : "handshake";
+
+		// Idempotent function to handle cleanup tasks, we can safely call it multiple times without side effects
+		const cleanup = () => {
+			if (isCleanupCompleted) return;
+			isCleanupCompleted = true;
+			debug("cleaning up resources for %s:%d", host, port);
+			clearTimeout(timeoutTask);
+			signal?.removeEventListener("abort", onAbort);
+			socket?.close();
+		};
+
+		// Generic error handler
+		const fail = (err) => {
+			debug("query error for %s:%d - %s", host, port, err.message);
+			cleanup();
+			reject(toMinepingError(err, { host, port, phase }));
+		};
+
+		// Set a manual timeout interval to ensure
+		// the connection will NEVER hang regardless of internal state
+		const timeoutTask = setTimeout(() => {
+			fail(new TimeoutError("Socket timeout"));
+		}, timeout);
+
+		const onAbort = () => fail(createAbortError(signal));
+		signal?.addEventListener("abort", onAbort, { once: true });
+
+		resolveAddress(host).then(({ address, family }) => {
+			if (isCleanupCompleted) return;
+			phase = "handshake";
+			const udpSocket = dgram.createSocket(family === 6 ? "udp6" : "udp4");
+			socket = udpSocket;
+
+			const send = (packet) => {
+				udpSocket.send(packet, 0, packet.length, port, address);
+			};
+
+			udpSocket.on("error", fail);
+
+			udpSocket.on("message", (packet, rinfo) => {
+				// Anyone can send to the socket, so a datagram from elsewhere is not the server's answer
+				if (rinfo.address !== address || rinfo.port !== port) {
+					debug("ignoring datagram from %s:%d", rinfo.address, rinfo.port);
+					return;
+				}
+				debug("received %d bytes from %s:%d", packet.length, host, port);
+				try {
+					if (!Buffer.isBuffer(packet) || packet.length < 5) {
+						throw new ProtocolError(
+							"Invalid query response: buffer is too small.",
+							ERR_MALFORMED_RESPONSE
+						);
+					}
+
+					const type = packet.readUInt8(0);
+					// Likely the late answer to an earlier query from the same port, so keep waiting for ours
+					if (packet.readInt32BE(1) !== sessionId) {
+						debug(
+							"ignoring datagram with another session ID from %s:%d",
+							host,
+							port
+						);
+						return;
+					}
+					const body = packet.subarray(5);
+
+					if (type === TYPE_HANDSHAKE) {
+						const challengeToken = parseHandshakeResponse(body);
+						debug("received challenge token, sending stat request");
+						phase = "read";
+						send(createStatRequestPacket(sessionId, challengeToken, full));
+						return;
+					}
+
+					if (type === TYPE_STAT) {
+						const response = full ? parseFullStat(body) : parseBasicStat(body);
+						cleanup();
+						resolve(response);
+						return;
+					}
+
+					throw new ProtocolError(
+						`Unexpected packet type: 0x${type.toString(16)}. Expected 0x09 or 0x00.`
+					);
+				} catch (err) {
+					fail(err);
+				}
+			});
+
+			try {
+				debug(
+					"sending Handshake packet to %s:%d over udp%d",
+					address,
+					port,
+					family
+				);
+				send(createRequestPacket(TYPE_HANDSHAKE, sessionId));
+			} catch (err) {
+				// Handle any immediate, synchronous errors that might occur when sending the handshake
+				fail(err);
+			}
+		}, fail);
+	});
+}
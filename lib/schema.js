@@ -0,0 +1,237 @@
+/**
+ * Validation and normalization of the Java Status Response against the shape of `JavaPingResponse`.
+ * @see https://minecraft.wiki/w/Java_Edition_protocol/Server_List_Ping#Status_Response
+ */
+
+"use strict";
+
+import { ERR_MALFORMED_RESPONSE, ProtocolError } from "./errors.js";
+
+// Player UUIDs, with or without dashes
+const UUID_PATTERN =
+	/^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+const INTEGER_PATTERN = /^-?\d+$/;
+// The fields of `JavaPingResponse` that the library sets itself, and a server must not
+const LIBRARY_FIELDS = [
+	"formattedDescription",
+	"latency",
+	"timings",
+	"srv",
+	"forge",
+	"warnings",
+];
+
+/**
+ * @typedef {object} ValidationOptions
+ * @property {boolean} [strict=false] - Whether to reject a response with any bad field, instead of repairing it.
+ */
+
+/**
+ * @typedef {object} ValidationResult
+ * @property {object} response - The response, with every bad field coerced or removed.
+ * @property {string[]} warnings - One message per field that had to be repaired.
+ */
+
+/**
+ * Describes a value for an error message.
+ * @param {unknown} value
+ * @returns {string}
+ */
+const describe = (value) =>
+	value === undefined ? "nothing" : (JSON.stringify(value) ?? String(value));
+
+/**
+ * Checks a raw Status Response and brings it in line with `JavaPingResponse`.
+ * In lenient mode, numbers sent as strings are coerced, negative counts are clamped to zero,
+ * and fields that cannot be repaired are removed, with a warning for each change.
+ * In strict mode, any bad field rejects the response. Unknown fields are kept in both modes,
+ * except those the library sets itself, such as `latency` and `formattedDescription`, which are always removed.
+ * @param {unknown} raw - The parsed JSON of the Status Response.
+ * @param {ValidationOptions} [options={}] - Optional configuration.
+ * @returns {ValidationResult}
+ * @throws {ProtocolError} If the response is not an object, or in strict mode if any field is bad.
+ */
+export function validateJavaStatus(raw, options = {}) {
+	const { strict = false } = options;
+
+	if (typeof raw !== "object" || raw === null || Array.isArray(raw)) {
+		throw new ProtocolError(
+			`Invalid status response: expected a JSON object, got ${describe(raw)}.`,
+			ERR_MALFORMED_RESPONSE
+		);
+	}
+
+	/** @type {string[]} */
+	const problems = [];
+	/** @type {string[]} */
+	const warnings = [];
+
+	/**
+	 * Records a bad field and how it was repaired.
+	 * @param {string} problem - What is wrong with the field.
+	 * @param {string} repair - What lenient mode did about it.
+	 */
+	const report = (problem, repair) => {
+		problems.push(problem);
+		warnings.push(`${problem}; ${repair}.`);
+	};
+
+	/**
+	 * Reads an integer, accepting one sent as a string.
+	 * @param {unknown} value
+	 * @param {string} path - The name of the field in messages.
+	 * @param {number} fallback - The value to use if it is not an integer.
+	 * @param {number} [min] - The smallest valid value, smaller ones are clamped.
+	 * @returns {number}
+	 */
+	const readInteger = (value, path, fallback, min = -Infinity) => {
+		let number;
+		if (typeof value === "number" && Number.isInteger(value)) {
+			number = value;
+		} else if (typeof value === "string" && INTEGER_PATTERN.test(value)) {
+			number = Number(value);
+			report(`${path} should be a number, got ${describe(value)}`, "coerced");
+		} else {
+			report(
+				`${path} should be an integer, got ${describe(value)}`,
+				`used ${fallback}`
+			);
+			return fallback;
+		}
+
+		if (number < min) {
+			report(
+				`${path} should not be below ${min}, got ${number}`,
+				`used ${min}`
+			);
+			return min;
+		}
+		return number;
+	};
+
+	const response = { ...raw };
+	for (const field of LIBRARY_FIELDS) delete response[field];
+
+	// Required by the protocol, but missing on some proxies
+	const { version } = response;
+	if (typeof version !== "object" || version === null) {
+		report(
+			`version should be an object, got ${describe(version)}`,
+			'used { name: "", protocol: -1 }'
+		);
+		response.version = { name: "", protocol: -1 };
+	} else {
+		let { name } = version;
+		if (typeof name !== "string") {
+			report(
+				`version.name should be a string, got ${describe(name)}`,
+				typeof name === "number" ? "coerced" : 'used ""'
+			);
+			name = typeof name === "number" ? String(name) : "";
+		}
+		response.version = {
+			...version,
+			name,
+			protocol: readInteger(version.protocol, "version.protocol", -1),
+		};
+	}
+
+	if (response.players !== undefined) {
+		const { players } = response;
+		if (typeof players !== "object" || players === null) {
+			report(
+				`players should be an object, got ${describe(players)}`,
+				"removed"
+			);
+			delete response.players;
+		} else {
+			response.players = {
+				...players,
+				max: readInteger(players.max, "players.max", 0, 0),
+				online: readInteger(players.online, "players.online", 0, 0),
+			};
+
+			if (players.sample !== undefined) {
+				if (!Array.isArray(players.sample)) {
+					report(
+						`players.sample should be an array, got ${describe(players.sample)}`,
+						"removed"
+					);
+					delete response.players.sample;
+				} else {
+					response.players.sample = players.sample.filter((entry, index) => {
+						const path = `players.sample[${index}]`;
+						if (typeof entry !== "object" || entry === null) {
+							report(
+								`${path} should be an object, got ${describe(entry)}`,
+								"removed"
+							);
+							return false;
+						}
+						if (typeof entry.name !== "string") {
+							report(
+								`${path}.name should be a string, got ${describe(entry.name)}`,
+								"removed the entry"
+							);
+							return false;
+						}
+						if (typeof entry.id !== "string" || !UUID_PATTERN.test(entry.id)) {
+							report(
+								`${path}.id should be a UUID, got ${describe(entry.id)}`,
+								"removed the entry"
+							);
+							return false;
+						}
+						return true;
+					});
+				}
+			}
+		}
+	}
+
+	const { description } = response;
+	if (
+		description !== undefined &&
+		typeof description !== "string" &&
+		(typeof description !== "object" || description === null)
+	) {
+		const coercible =
+			typeof description === "number" || typeof description === "boolean";
+		report(
+			`description should be a string or a text component, got ${describe(description)}`,
+			coercible ? "coerced" : "removed"
+		);
+		if (coercible) {
+			response.description = String(description);
+		} else {
+			delete response.description;
+		}
+	}
+
+	if (response.favicon !== undefined && typeof response.favicon !== "string") {
+		report(
+			`favicon should be a string, got ${describe(response.favicon)}`,
+			"removed"
+		);
+		delete response.favicon;
+	}
+
+	for (const flag of ["enforcesSecureChat", "preventsChatReports"]) {
+		if (response[flag] !== undefined && typeof response[flag] !== "boolean") {
+			report(
+				`${flag} should be a boolean, got ${describe(response[flag])}`,
+				"removed"
+			);
+			delete response[flag];
+		}
+	}
+
+	if (strict && problems.length > 0) {
+		throw new ProtocolError(
+			`Invalid status response: ${problems.join("; ")}.`,
+			ERR_MALFORMED_RESPONSE
+		);
+	}
+
+	return { response, warnings };
+}
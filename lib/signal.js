@@ -0,0 +1,40 @@
+/**
+ * Abort signals shared by every ping of a batch, a monitor or a CLI run.
+ */
+
+"use strict";
+
+import { EventEmitter } from "node:events";
+
+/**
+ * Creates an AbortController whose signal any number of pings may listen to at once.
+ * Each ping in flight adds an abort listener, and Node.js warns about a leak past 10 listeners on a signal.
+ * @returns {AbortController}
+ */
+export function createSharedController() {
+	const controller = new AbortController();
+	// Only Node.js 15.4 and later have it, and only they warn about the listeners of an EventTarget
+	EventEmitter.setMaxListeners?.(0, controller.signal);
+	return controller;
+}
+
+/**
+ * Follows the signal of a caller with a shared signal, so that a batch adds one listener to the caller's signal
+ * however many pings it runs at once.
+ * @param {AbortSignal} signal - The signal of the caller.
+ * @returns {{ signal: AbortSignal, unlink: () => void }} The shared signal, and a function that stops following the caller's.
+ */
+export function shareSignal(signal) {
+	const controller = createSharedController();
+	if (signal.aborted) {
+		controller.abort(signal.reason);
+		return { signal: controller.signal, unlink: () => {} };
+	}
+
+	const onAbort = () => controller.abort(signal.reason);
+	signal.addEventListener("abort", onAbort, { once: true });
+	return {
+		signal: controller.signal,
+		unlink: () => signal.removeEventListener("abort", onAbort),
+	};
+}
@@ -136,3 +136,63 @@ export function decodeVarInt(buffer, offset = 0) {
 		ERR_VARINT_MALFORMED
 	);
 }
+
+/**
+ * Encodes a 64-bit integer into a VarLong buffer.
+ * VarLongs are never longer than 10 bytes. Negative values are encoded as their two's complement.
+ * @param {bigint | number} value The integer to encode
+ * @returns {Buffer} The encoded VarLong as a buffer
+ * @throws {VarIntError} if the value does not fit in 64 bits
+ */
+export function encodeVarLong(value) {
+	const big = BigInt(value);
+	if (big < -(2n ** 63n) || big >= 2n ** 64n) {
+		throw new VarIntError(
+			"Value too large for a 10-byte VarLong",
+			ERR_VARINT_ENCODE_TOO_LARGE
+		);
+	}
+
+	const bytes = [];
+	let val = BigInt.asUintN(64, big);
+	do {
+		const byte = Number(val & 0x7fn);
+		val >>= 7n;
+		bytes.push(val === 0n ? byte : byte | 0x80);
+	} while (val !== 0n);
+
+	return Buffer.from(bytes);
+}
+
+/**
+ * Decodes a VarLong from a buffer.
+ * Returns the decoded value as a signed 64-bit BigInt and the number of bytes it consumed.
+ * @param {Buffer} buffer The buffer to read from
+ * @param {number} [offset=0] The starting offset in the buffer
+ * @returns {{ value: bigint, bytesRead: number }}
+ * @throws {VarIntError} if the buffer is too short or the VarLong is malformed
+ */
+export function decodeVarLong(buffer, offset = 0) {
+	let val = 0n;
+	// Max 10 bytes for a VarLong
+	for (let i = 0; i < 10; i++) {
+		if (offset + i >= buffer.length) {
+			throw new VarIntError(
+				"Buffer underflow: Incomplete VarLong, expected more bytes.",
+				ERR_VARINT_BUFFER_UNDERFLOW
+			);
+		}
+
+		const byte = buffer.readUInt8(offset + i);
+		val |= BigInt(byte & 0x7f) << BigInt(7 * i);
+
+		if ((byte & 0x80) === 0) {
+			return { value: BigInt.asIntN(64, val), bytesRead: i + 1 };
+		}
+	}
+
+	throw new VarIntError(
+		"VarLong is too big or malformed: 10 bytes read with continuation bit still set.",
+		ERR_VARINT_MALFORMED
+	);
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import { parseAddress } from "../lib/address.js";
+
+describe("address.js", () => {
+	it.each([
+		["play.example.com", { host: "play.example.com", type: "hostname" }],
+		[
+			"play.example.com:25566",
+			{ host: "play.example.com", port: 25566, type: "hostname" },
+		],
+		["  Play.Example.COM.  ", { host: "play.example.com", type: "hostname" }],
+		["2001:db8::1", { host: "2001:db8::1", type: "ipv6" }],
+		["[2001:db8::1]:19133", { host: "2001:db8::1", port: 19133, type: "ipv6" }],
+		["[2001:db8::1]", { host: "2001:db8::1", type: "ipv6" }],
+		["0:0:0:0:0:0:0:1", { host: "::1", type: "ipv6" }],
+		["[0::1]:19133", { host: "::1", port: 19133, type: "ipv6" }],
+		["2001:DB8:0:0:1:0:0:1", { host: "2001:db8::1:0:0:1", type: "ipv6" }],
+		["::ffff:7f00:1", { host: "::ffff:127.0.0.1", type: "ipv6" }],
+		["FE80::1%eth0", { host: "fe80::1%eth0", type: "ipv6" }],
+		["203.0.113.7:25565", { host: "203.0.113.7", port: 25565, type: "ipv4" }],
+		[
+			"minecraft://play.example.com:25570/",
+			{ host: "play.example.com", port: 25570, type: "hostname" },
+		],
+		["MINECRAFT://[::1]", { host: "::1", type: "ipv6" }],
+		["bücher.example", { host: "xn--bcher-kva.example", type: "hostname" }],
+		[
+			"xn--bcher-kva.example",
+			{ host: "xn--bcher-kva.example", type: "hostname" },
+		],
+		["mc_server", { host: "mc_server", type: "hostname" }],
+	])("should parse %j", (input, expected) => {
+		const address = parseAddress(input);
+		expect(address).toMatchObject(expected);
+		if (!("port" in expected)) expect(address).not.toHaveProperty("port");
+	});
+
+	it.each([
+		["localhost", true, false],
+		["dev.localhost", true, false],
+		["127.0.0.1", true, false],
+		["127.42.0.1", true, false],
+		["::1", true, false],
+		["::ffff:127.0.0.1", true, false],
+		["10.0.0.1", false, true],
+		["172.16.0.1", false, true],
+		["172.31.255.255", false, true],
+		["172.32.0.1", false, false],
+		["192.168.1.10", false, true],
+		["100.64.0.1", false, true],
+		["169.254.1.1", false, true],
+		["::ffff:192.168.1.10", false, true],
+		["fd12:3456::1", false, true],
+		["fe80::1", false, true],
+		["203.0.113.7", false, false],
+		["2001:db8::1", false, false],
+		["play.example.com", false, false],
+	])("should classify %s", (input, loopback, isPrivate) => {
+		expect(parseAddress(input)).toMatchObject({
+			loopback,
+			private: isPrivate,
+		});
+	});
+
+	it.each([
+		["", "Host argument is required."],
+		["   ", "Host argument is required."],
+		[null, "Host argument is required."],
+		["play example.com", "Invalid host: play example.com."],
+		[":25565", "Invalid host: :25565."],
+		["1.2.3", "Invalid host: 1.2.3."],
+		["-play.example.com", "Invalid host: -play.example.com."],
+		["play..example.com", "Invalid host: play..example.com."],
+		[`${"a".repeat(64)}.example.com`, "Invalid host"],
+		["xn--zz.example", "not a valid international domain name"],
+		["[play.example.com]:25565", "Only IPv6 addresses"],
+		["play.example.com:0", "Invalid port: 0."],
+		["play.example.com:65536", "Invalid port: 65536."],
+		["play.example.com:port", "Invalid port: port."],
+		["[2001:db8::1]:", "Invalid port: ."],
+	])("should reject %j", (input, message) => {
+		expect(() => parseAddress(input)).toThrow(message);
+		expect(() => parseAddress(input)).toThrow(
+			expect.objectContaining({ code: "INVALID_ARGUMENT" })
+		);
+	});
+});
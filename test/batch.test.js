@@ -0,0 +1,212 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { pingMany } from "../lib/batch.js";
+import { pingJava } from "../lib/java.js";
+import { createBedrockPinger } from "../lib/bedrock.js";
+
+vi.mock("../lib/java.js");
+vi.mock("../lib/bedrock.js");
+
+/**
+ * Creates a promise that can be settled from the outside.
+ * @returns {{ promise: Promise<any>, resolve: Function, reject: Function }}
+ */
+function deferred() {
+	let resolve, reject;
+	const promise = new Promise((res, rej) => {
+		resolve = res;
+		reject = rej;
+	});
+	return { promise, resolve, reject };
+}
+
+/**
+ * Collects every result of an async iterator.
+ * @param {AsyncIterable<any>} iterable
+ * @returns {Promise<any[]>}
+ */
+async function collect(iterable) {
+	const results = [];
+	for await (const result of iterable) {
+		results.push(result);
+	}
+	return results;
+}
+
+describe("batch.js", () => {
+	const pingBedrock = vi.fn();
+	const closePinger = vi.fn();
+
+	beforeEach(() => {
+		vi.resetAllMocks();
+		createBedrockPinger.mockReturnValue({
+			ping: pingBedrock,
+			close: closePinger,
+		});
+	});
+
+	it("should ping Java and Bedrock targets and report every outcome", async () => {
+		pingJava.mockResolvedValue({ version: { name: "1.21", protocol: 767 } });
+		pingBedrock.mockRejectedValue(new Error("Socket timeout"));
+
+		const results = await collect(
+			pingMany(
+				[
+					"java.example.com",
+					{ host: "bedrock.example.com", edition: "bedrock", port: 19133 },
+				],
+				{ timeout: 1000 }
+			)
+		);
+
+		expect(pingJava).toHaveBeenCalledWith("java.example.com", {
+			timeout: 1000,
+		});
+		expect(pingBedrock).toHaveBeenCalledWith("bedrock.example.com", {
+			port: 19133,
+			timeout: 1000,
+		});
+		expect(createBedrockPinger).toHaveBeenCalledTimes(1);
+		expect(closePinger).toHaveBeenCalledTimes(1);
+		expect(results).toEqual(
+			expect.arrayContaining([
+				{
+					target: { host: "java.example.com", edition: "java" },
+					status: "fulfilled",
+					value: { version: { name: "1.21", protocol: 767 } },
+				},
+				{
+					target: {
+						host: "bedrock.example.com",
+						edition: "bedrock",
+						port: 19133,
+					},
+					status: "rejected",
+					reason: new Error("Socket timeout"),
+				},
+			])
+		);
+	});
+
+	it("should share one Bedrock pinger across the batch", async () => {
+		pingBedrock.mockResolvedValue({});
+		const hosts = ["a.example.com", "b.example.com", "c.example.com"];
+
+		const iterator = pingMany(hosts, { edition: "bedrock", concurrency: 2 });
+		await iterator.next();
+		// Stopping early still closes the pinger
+		await iterator.return();
+
+		expect(createBedrockPinger).toHaveBeenCalledTimes(1);
+		expect(closePinger).toHaveBeenCalledTimes(1);
+	});
+
+	it("should not open a Bedrock pinger for Java-only batches", async () => {
+		pingJava.mockResolvedValue({});
+		await collect(pingMany(["a.example.com"]));
+		expect(createBedrockPinger).not.toHaveBeenCalled();
+	});
+
+	it("should use the edition option for bare hosts", async () => {
+		pingBedrock.mockResolvedValue({});
+		await collect(pingMany(["a.example.com"], { edition: "bedrock" }));
+		expect(pingBedrock).toHaveBeenCalledTimes(1);
+		expect(pingJava).not.toHaveBeenCalled();
+	});
+
+	it("should never run more pings than the concurrency limit", async () => {
+		let inFlight = 0;
+		let maxInFlight = 0;
+		pingJava.mockImplementation(async () => {
+			inFlight++;
+			maxInFlight = Math.max(maxInFlight, inFlight);
+			await new Promise((resolve) => setTimeout(resolve, 5));
+			inFlight--;
+			return {};
+		});
+
+		const hosts = Array.from({ length: 7 }, (_, i) => `${i}.example.com`);
+		const results = await collect(pingMany(hosts, { concurrency: 3 }));
+
+		expect(results).toHaveLength(7);
+		expect(pingJava).toHaveBeenCalledTimes(7);
+		expect(maxInFlight).toBe(3);
+	});
+
+	it("should not warn about abort listeners with more pings in flight than the default limit", async () => {
+		const emitWarning = vi.spyOn(process, "emitWarning");
+		pingJava.mockImplementation(
+			(host, { signal }) =>
+				new Promise((resolve, reject) => {
+					signal.addEventListener("abort", () => reject(signal.reason), {
+						once: true,
+					});
+				})
+		);
+		const controller = new AbortController();
+
+		const hosts = Array.from({ length: 15 }, (_, i) => `${i}.example.com`);
+		const iterator = pingMany(hosts, {
+			concurrency: 15,
+			signal: controller.signal,
+		});
+		const first = iterator.next();
+		await vi.waitFor(() => expect(pingJava).toHaveBeenCalledTimes(15));
+		controller.abort();
+
+		expect((await first).value.status).toBe("rejected");
+		expect(await collect(iterator)).toHaveLength(14);
+		expect(emitWarning).not.toHaveBeenCalled();
+		emitWarning.mockRestore();
+	});
+
+	it("should yield results in completion order", async () => {
+		const slow = deferred();
+		const fast = deferred();
+		pingJava
+			.mockReturnValueOnce(slow.promise)
+			.mockReturnValueOnce(fast.promise);
+
+		const iterator = pingMany(["slow.example.com", "fast.example.com"]);
+		const first = iterator.next();
+		fast.resolve({ name: "fast" });
+
+		expect((await first).value.target.host).toBe("fast.example.com");
+		slow.resolve({ name: "slow" });
+		expect((await iterator.next()).value.target.host).toBe("slow.example.com");
+		expect((await iterator.next()).done).toBe(true);
+	});
+
+	it("should report invalid targets without rejecting the batch", async () => {
+		pingJava.mockResolvedValue({});
+
+		const results = await collect(
+			pingMany([
+				"",
+				{ host: "x.example.com", edition: "pocket" },
+				"ok.example.com",
+			])
+		);
+
+		expect(results.map((result) => result.status)).toEqual([
+			"rejected",
+			"rejected",
+			"fulfilled",
+		]);
+		expect(results[0].reason.message).toBe("Host argument is required.");
+		expect(results[1].reason.message).toMatch("Invalid edition");
+	});
+
+	describe("errors", () => {
+		it("should reject an invalid concurrency", async () => {
+			await expect(pingMany([], { concurrency: 0 }).next()).rejects.toThrow(
+				"Invalid concurrency"
+			);
+		});
+
+		it("should reject targets that are not iterable", async () => {
+			await expect(pingMany(null).next()).rejects.toThrow(
+				"Targets argument must be an iterable"
+			);
+		});
+	});
+});
@@ -1,8 +1,13 @@
 import dgram from "node:dgram";
+import { lookup } from "node:dns/promises";
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
-import { pingBedrock } from "../lib/bedrock.js";
+import { pingBedrock, createBedrockPinger } from "../lib/bedrock.js";
 
 vi.mock("node:dgram");
+vi.mock("node:dns/promises", () => ({ lookup: vi.fn() }));
+
+// The address every hostname resolves to
+const ADDRESS = "203.0.113.7";
 
 describe("bedrock.js", () => {
 	let mockSocket;
@@ -26,6 +31,7 @@ describe("bedrock.js", () => {
 		};
 
 		dgram.createSocket = vi.fn().mockReturnValue(mockSocket);
+		lookup.mockResolvedValue([{ address: ADDRESS, family: 4 }]);
 		vi.useFakeTimers();
 	});
 
@@ -34,32 +40,55 @@ describe("bedrock.js", () => {
 		vi.useRealTimers();
 	});
 
+	// Reads the timestamp from an Unconnected Ping that was sent.
+	const getSentTimestamp = (call = 0) =>
+		mockSocket.send.mock.calls[call][0].readBigInt64BE(1);
+
+	// Waits until the host has been resolved and the ping sent,
+	// flushing microtasks only so the fake clock does not move.
+	const waitForSend = async (times = 1) => {
+		for (let i = 0; i < 100; i++) {
+			if (mockSocket.send.mock.calls.length >= times) break;
+			await Promise.resolve();
+		}
+		expect(mockSocket.send).toHaveBeenCalledTimes(times);
+	};
+
 	it("should ping a 3rd party server and parse MOTD", async () => {
 		const host = "play.example.com";
 		const options = { port: 25565, timeout: 10000 };
 		const pingPromise = pingBedrock(host, options);
+		await waitForSend();
 
 		const motd =
 			"MCPE;§l§bＯａｓｙｓ§fＰＥ  §eГриф§7, §cДуэли§7, §aКейсы;0;1337;1070;1999;-138584171542148188;oasys-pe.ru;Adventure;1";
-		const mockPongPacket = createMockPongPacket(motd);
+		const mockPongPacket = createMockPongPacket(motd, getSentTimestamp());
 
-		mockSocket.emit("message", mockPongPacket);
+		vi.advanceTimersByTime(25);
+		mockSocket.emit("message", mockPongPacket, {
+			address: ADDRESS,
+			port: options.port,
+		});
 
 		const result = await pingPromise;
 
 		expect(dgram.createSocket).toHaveBeenCalledWith("udp4");
+		expect(lookup).toHaveBeenCalledWith(host, { all: true, family: 0 });
 		expect(mockSocket.send).toHaveBeenCalledWith(
 			expect.any(Buffer),
 			0,
 			33,
 			options.port,
-			host
+			ADDRESS,
+			expect.any(Function)
 		);
 		expect(mockSocket.close).toHaveBeenCalled();
 		expect(result).toEqual({
 			edition: "MCPE",
 			name: "§l§bＯａｓｙｓ§fＰＥ  §eГриф§7, §cДуэли§7, §aКейсы",
 			levelName: "oasys-pe.ru",
+			formattedName: expect.any(Object),
+			formattedLevelName: expect.any(Object),
 			gamemode: "Adventure",
 			version: {
 				protocol: 0,
@@ -76,35 +105,47 @@ describe("bedrock.js", () => {
 			guid: -138584171542148188n,
 			isNintendoLimited: false,
 			isEditorModeEnabled: undefined,
+			latency: 25,
 		});
+		expect(result.formattedName.clean).toBe(result.name.replace(/§./g, ""));
+		expect(result.formattedLevelName.clean).toBe("oasys-pe.ru");
 	});
 
 	it("should ping a BDS server with default `server.properties` and parse MOTD", async () => {
 		const host = "play.example.com";
 		const options = { port: 25565, timeout: 10000 };
 		const pingPromise = pingBedrock(host, options);
+		await waitForSend();
 
 		const motd =
 			"MCPE;Dedicated Server;800;1.21.84;0;10;11546321190880321782;Bedrock level;Survival;1;19132;19133;0;";
-		const mockPongPacket = createMockPongPacket(motd);
+		const mockPongPacket = createMockPongPacket(motd, getSentTimestamp());
 
-		mockSocket.emit("message", mockPongPacket);
+		vi.advanceTimersByTime(25);
+		mockSocket.emit("message", mockPongPacket, {
+			address: ADDRESS,
+			port: options.port,
+		});
 
 		const result = await pingPromise;
 
 		expect(dgram.createSocket).toHaveBeenCalledWith("udp4");
+		expect(lookup).toHaveBeenCalledWith(host, { all: true, family: 0 });
 		expect(mockSocket.send).toHaveBeenCalledWith(
 			expect.any(Buffer),
 			0,
 			33,
 			options.port,
-			host
+			ADDRESS,
+			expect.any(Function)
 		);
 		expect(mockSocket.close).toHaveBeenCalled();
 		expect(result).toEqual({
 			edition: "MCPE",
 			name: "Dedicated Server",
 			levelName: "Bedrock level",
+			formattedName: expect.any(Object),
+			formattedLevelName: expect.any(Object),
 			gamemode: "Survival",
 			version: {
 				protocol: 800,
@@ -121,6 +162,335 @@ describe("bedrock.js", () => {
 			guid: 11546321190880321782n,
 			isNintendoLimited: false,
 			isEditorModeEnabled: false,
+			latency: 25,
+		});
+	});
+
+	describe("createBedrockPinger", () => {
+		const motd = "MCPE;Server;800;1.21.84;0;10;1;Bedrock level;Survival";
+
+		it("should multiplex pings over one socket and match pongs by address", async () => {
+			lookup.mockImplementation(async (host) => [
+				{
+					address: host === "a.example.com" ? "198.51.100.1" : "198.51.100.2",
+					family: 4,
+				},
+			]);
+			const pinger = createBedrockPinger();
+
+			const first = pinger.ping("a.example.com");
+			const second = pinger.ping("b.example.com", { port: 19133 });
+			await waitForSend(2);
+
+			// Answer out of order, the second server replies first
+			mockSocket.emit(
+				"message",
+				createMockPongPacket(motd.replace("Server", "B"), getSentTimestamp(1)),
+				{ address: "198.51.100.2", port: 19133 }
+			);
+			mockSocket.emit(
+				"message",
+				createMockPongPacket(motd.replace("Server", "A"), getSentTimestamp(0)),
+				{ address: "198.51.100.1", port: 19132 }
+			);
+
+			expect((await first).name).toBe("A");
+			expect((await second).name).toBe("B");
+			expect(dgram.createSocket).toHaveBeenCalledTimes(1);
+			expect(mockSocket.close).not.toHaveBeenCalled();
+
+			pinger.close();
+			expect(mockSocket.close).toHaveBeenCalledTimes(1);
+		});
+
+		it("should ignore datagrams that do not match a ping", async () => {
+			const pinger = createBedrockPinger();
+			const pingPromise = pinger.ping("play.example.com");
+			await waitForSend();
+
+			// Wrong sender, then the wrong timestamp
+			mockSocket.emit(
+				"message",
+				createMockPongPacket(motd, getSentTimestamp()),
+				{ address: "192.0.2.1", port: 19132 }
+			);
+			mockSocket.emit(
+				"message",
+				createMockPongPacket(motd, getSentTimestamp() + 1n),
+				{ address: ADDRESS, port: 19132 }
+			);
+			mockSocket.emit(
+				"message",
+				createMockPongPacket(motd, getSentTimestamp()),
+				{ address: ADDRESS, port: 19132 }
+			);
+
+			expect((await pingPromise).name).toBe("Server");
+			pinger.close();
+		});
+
+		it("should time out each ping separately", async () => {
+			const pinger = createBedrockPinger();
+			const short = pinger.ping("play.example.com", { timeout: 1000 });
+			const long = pinger.ping("play.example.com", { timeout: 3000 });
+			await waitForSend(2);
+
+			vi.advanceTimersByTime(1000);
+			await expect(short).rejects.toThrow("Socket timeout");
+
+			mockSocket.emit(
+				"message",
+				createMockPongPacket(motd, getSentTimestamp(1)),
+				{ address: ADDRESS, port: 19132 }
+			);
+			expect((await long).name).toBe("Server");
+			pinger.close();
+		});
+
+		it("should reject outstanding pings when closed", async () => {
+			const pinger = createBedrockPinger();
+			const pingPromise = pinger.ping("play.example.com");
+			pinger.close();
+
+			await expect(pingPromise).rejects.toThrow("Pinger is closed");
+			await expect(pinger.ping("play.example.com")).rejects.toThrow(
+				"Pinger is closed"
+			);
+		});
+	});
+
+	it("should resolve the host with the given resolver", async () => {
+		const resolver = {
+			lookup: vi
+				.fn()
+				.mockResolvedValue([{ address: "198.51.100.9", family: 4 }]),
+		};
+		const pingPromise = pingBedrock("play.example.com", { resolver });
+		await waitForSend();
+
+		expect(resolver.lookup).toHaveBeenCalledWith("play.example.com", {
+			all: true,
+			family: 0,
+		});
+		expect(lookup).not.toHaveBeenCalled();
+		expect(mockSocket.send.mock.calls[0][4]).toBe("198.51.100.9");
+
+		mockSocket.emit(
+			"message",
+			createMockPongPacket(
+				"MCPE;Server;800;1.21.84;0;10;1;Bedrock level;Survival",
+				getSentTimestamp()
+			),
+			{ address: "198.51.100.9", port: 19132 }
+		);
+		expect((await pingPromise).name).toBe("Server");
+	});
+
+	it("should report timings when asked to", async () => {
+		let resolveLookup;
+		lookup.mockReturnValue(
+			new Promise((resolve) => {
+				resolveLookup = resolve;
+			})
+		);
+		const pingPromise = pingBedrock("play.example.com", { timings: true });
+
+		vi.advanceTimersByTime(6);
+		resolveLookup([{ address: ADDRESS, family: 4 }]);
+		await waitForSend();
+
+		vi.advanceTimersByTime(30);
+		mockSocket.emit(
+			"message",
+			createMockPongPacket(
+				"MCPE;Server;800;1.21.84;0;10;1;Bedrock level;Survival",
+				getSentTimestamp()
+			),
+			{ address: ADDRESS, port: 19132 }
+		);
+
+		expect((await pingPromise).timings).toEqual({ dnsLookup: 6, ping: 30 });
+	});
+
+	describe("IPv6", () => {
+		const motd = "MCPE;Server;800;1.21.84;0;10;1;Bedrock level;Survival";
+
+		it("should ping an IPv6 literal over a udp6 socket", async () => {
+			const pingPromise = pingBedrock("2001:db8::1");
+			await waitForSend();
+
+			expect(lookup).not.toHaveBeenCalled();
+			expect(dgram.createSocket).toHaveBeenCalledWith("udp6");
+			mockSocket.emit(
+				"message",
+				createMockPongPacket(motd, getSentTimestamp()),
+				{ address: "2001:db8::1", port: 19132 }
+			);
+
+			expect((await pingPromise).name).toBe("Server");
+		});
+
+		it("should ping the port of a bracketed IPv6 address", async () => {
+			const pingPromise = pingBedrock("[2001:db8::1]:19133", { port: 19132 });
+			await waitForSend();
+
+			expect(mockSocket.send).toHaveBeenCalledWith(
+				expect.any(Buffer),
+				0,
+				33,
+				19133,
+				"2001:db8::1",
+				expect.any(Function)
+			);
+			mockSocket.emit(
+				"message",
+				createMockPongPacket(motd, getSentTimestamp()),
+				{ address: "2001:db8::1", port: 19133 }
+			);
+
+			expect((await pingPromise).name).toBe("Server");
+		});
+
+		it("should match the pong of an IPv6 literal written in another form", async () => {
+			const pingPromise = pingBedrock("[2001:0DB8:0:0:0:0:0:1]:19133");
+			await waitForSend();
+
+			mockSocket.emit(
+				"message",
+				createMockPongPacket(motd, getSentTimestamp()),
+				{ address: "2001:db8::1", port: 19133 }
+			);
+
+			expect((await pingPromise).name).toBe("Server");
+		});
+
+		it("should resolve only AAAA records with family 6", async () => {
+			lookup.mockResolvedValue([{ address: "2001:db8::2", family: 6 }]);
+			const pingPromise = pingBedrock("play.example.com", { family: 6 });
+			await waitForSend();
+
+			expect(lookup).toHaveBeenCalledWith("play.example.com", {
+				all: true,
+				family: 6,
+			});
+			expect(dgram.createSocket).toHaveBeenCalledWith("udp6");
+			mockSocket.emit(
+				"message",
+				createMockPongPacket(motd, getSentTimestamp()),
+				{ address: "2001:db8::2", port: 19132 }
+			);
+
+			expect((await pingPromise).name).toBe("Server");
+		});
+
+		it("should race both families with happy eyeballs", async () => {
+			lookup.mockResolvedValue([
+				{ address: ADDRESS, family: 4 },
+				{ address: "2001:db8::3", family: 6 },
+			]);
+			const pingPromise = pingBedrock("play.example.com", {
+				happyEyeballs: true,
+			});
+			await waitForSend(2);
+
+			expect(dgram.createSocket).toHaveBeenCalledWith("udp6");
+			expect(dgram.createSocket).toHaveBeenCalledWith("udp4");
+			expect(mockSocket.send.mock.calls[0][4]).toBe("2001:db8::3");
+			expect(mockSocket.send.mock.calls[1][4]).toBe(ADDRESS);
+
+			// IPv6 is unreachable, the IPv4 pong still wins
+			mockSocket.send.mock.calls[0][5](new Error("ENETUNREACH"));
+			mockSocket.emit(
+				"message",
+				createMockPongPacket(motd, getSentTimestamp(1)),
+				{ address: ADDRESS, port: 19132 }
+			);
+
+			expect((await pingPromise).name).toBe("Server");
+		});
+
+		it("should reject once every raced family has failed", async () => {
+			lookup.mockResolvedValue([
+				{ address: ADDRESS, family: 4 },
+				{ address: "2001:db8::3", family: 6 },
+			]);
+			const pingPromise = pingBedrock("play.example.com", {
+				happyEyeballs: true,
+			});
+			await waitForSend(2);
+
+			mockSocket.send.mock.calls[0][5](new Error("ENETUNREACH"));
+			mockSocket.send.mock.calls[1][5](new Error("EHOSTUNREACH"));
+
+			await expect(pingPromise).rejects.toThrow("EHOSTUNREACH");
+		});
+
+		it("should reject a literal of the wrong family", async () => {
+			await expect(pingBedrock("2001:db8::1", { family: 4 })).rejects.toThrow(
+				"Address 2001:db8::1 is not an IPv4 address."
+			);
+		});
+
+		it("should reject an invalid family option", async () => {
+			await expect(
+				pingBedrock("play.example.com", { family: 5 })
+			).rejects.toThrow("Invalid family option");
+		});
+	});
+
+	describe("abort", () => {
+		it("should fail immediately for an already aborted signal", async () => {
+			const controller = new AbortController();
+			controller.abort();
+
+			await expect(
+				pingBedrock("play.example.com", { signal: controller.signal })
+			).rejects.toMatchObject({ name: "AbortError", code: "ABORTED" });
+			expect(dgram.createSocket).not.toHaveBeenCalled();
+			expect(lookup).not.toHaveBeenCalled();
+		});
+
+		it("should stop waiting for the pong", async () => {
+			const controller = new AbortController();
+			const pingPromise = pingBedrock("play.example.com", {
+				signal: controller.signal,
+			});
+			await waitForSend();
+
+			controller.abort();
+
+			await expect(pingPromise).rejects.toMatchObject({
+				code: "ABORTED",
+				host: ADDRESS,
+				port: 19132,
+				phase: "read",
+			});
+			expect(mockSocket.close).toHaveBeenCalled();
+		});
+
+		it("should only abort its own ping on a shared pinger", async () => {
+			const pinger = createBedrockPinger();
+			const controller = new AbortController();
+			const aborted = pinger.ping("play.example.com", {
+				signal: controller.signal,
+			});
+			const kept = pinger.ping("play.example.com");
+			await waitForSend(2);
+
+			controller.abort();
+			await expect(aborted).rejects.toMatchObject({ code: "ABORTED" });
+
+			mockSocket.emit(
+				"message",
+				createMockPongPacket(
+					"MCPE;Server;800;1.21.84;0;10;1;Bedrock level;Survival",
+					getSentTimestamp(1)
+				),
+				{ address: ADDRESS, port: 19132 }
+			);
+			expect((await kept).name).toBe("Server");
+			expect(mockSocket.close).not.toHaveBeenCalled();
+			pinger.close();
 		});
 	});
 
@@ -129,34 +499,85 @@ describe("bedrock.js", () => {
 			await expect(pingBedrock(null)).rejects.toThrow(
 				"Host argument is required"
 			);
+			await expect(pingBedrock(null)).rejects.toMatchObject({
+				code: "INVALID_ARGUMENT",
+			});
 		});
 
 		it("should reject on socket timeout", async () => {
 			const pingPromise = pingBedrock("play.example.com", { timeout: 1000 });
+			await waitForSend();
 
 			vi.advanceTimersByTime(1000);
 
 			await expect(pingPromise).rejects.toThrow("Socket timeout");
+			await expect(pingPromise).rejects.toMatchObject({
+				code: "TIMEOUT",
+				host: ADDRESS,
+				port: 19132,
+				phase: "read",
+			});
 			expect(mockSocket.close).toHaveBeenCalled();
 		});
 
+		it("should report a failed lookup as a DNS failure", async () => {
+			lookup.mockRejectedValue(
+				Object.assign(new Error("getaddrinfo ENOTFOUND"), { code: "ENOTFOUND" })
+			);
+
+			await expect(pingBedrock("missing.example.com")).rejects.toMatchObject({
+				name: "DnsError",
+				code: "DNS_FAILURE",
+				host: "missing.example.com",
+				phase: "dns",
+			});
+		});
+
 		it("should reject on a generic socket error", async () => {
 			const pingPromise = pingBedrock("play.example.com");
+			await waitForSend();
 
-			// Simulate a DNS or network error by emitting it.
+			// Simulate a network error by emitting it.
 			mockSocket.emit("error", new Error("EHOSTUNREACH"));
 
 			await expect(pingPromise).rejects.toThrow("EHOSTUNREACH");
 		});
 
+		it("should reject a pong without the offline message magic", async () => {
+			const pingPromise = pingBedrock("play.example.com");
+			await waitForSend();
+
+			const strayPacket = createMockPongPacket(
+				"MCPE;Dedicated Server;800;1.21.84;0;10;1;Bedrock level;Survival",
+				getSentTimestamp(),
+				"00".repeat(16)
+			);
+			mockSocket.emit("message", strayPacket, {
+				address: ADDRESS,
+				port: 19132,
+			});
+
+			await expect(pingPromise).rejects.toThrow("magic bytes do not match");
+			await expect(pingPromise).rejects.toMatchObject({
+				code: "PROTOCOL_ERROR",
+				host: ADDRESS,
+				port: 19132,
+			});
+			expect(mockSocket.close).toHaveBeenCalled();
+		});
+
 		it("should only reject once, even if multiple errors occur", async () => {
 			const pingPromise = pingBedrock("play.example.com");
+			await waitForSend();
 
 			// Fire a socket error first.
 			mockSocket.emit("error", new Error("First error"));
 
 			// Then, try to trigger another error by sending a bad message.
-			mockSocket.emit("message", Buffer.alloc(0));
+			mockSocket.emit("message", Buffer.alloc(0), {
+				address: ADDRESS,
+				port: 19132,
+			});
 
 			await expect(pingPromise).rejects.toThrow("First error");
 			expect(mockSocket.close).toHaveBeenCalledTimes(1);
@@ -164,12 +585,25 @@ describe("bedrock.js", () => {
 	});
 });
 
-function createMockPongPacket(motd) {
+/**
+ * Creates a mock Unconnected Pong packet.
+ * Structure: [Packet ID] [Echoed Time] [Server GUID] [Magic] [MOTD Length] [MOTD]
+ * @param {string} motd The semicolon-delimited MOTD string
+ * @param {bigint} [timestamp=0n] The timestamp echoed from the ping
+ * @param {string} [magic] The hex-encoded magic bytes
+ * @returns {Buffer}
+ */
+function createMockPongPacket(
+	motd,
+	timestamp = 0n,
+	magic = "00ffff00fefefefefdfdfdfd12345678"
+) {
 	const motdBuffer = Buffer.from(motd, "utf-8");
 	const packet = Buffer.alloc(35 + motdBuffer.length);
 	packet.writeUInt8(0x1c, 0);
-	packet.writeBigInt64LE(BigInt(Date.now()), 1);
-	Buffer.from("00ffff00fefefefefdfdfdfd12345678", "hex").copy(packet, 9);
+	packet.writeBigInt64BE(timestamp, 1);
+	packet.writeBigInt64BE(0x1234n, 9);
+	Buffer.from(magic, "hex").copy(packet, 17);
 	packet.writeUInt16BE(motdBuffer.length, 33);
 	motdBuffer.copy(packet, 35);
 	return packet;
@@ -0,0 +1,454 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { runCli, parseArguments, EXIT_CODES } from "../lib/cli.js";
+import { pingJava } from "../lib/java.js";
+import { pingBedrock } from "../lib/bedrock.js";
+import { queryServer } from "../lib/query.js";
+import { Resolver } from "node:dns/promises";
+import {
+	createBedrockPongServer,
+	createJavaStatusServer,
+} from "../lib/mock-server.js";
+import {
+	ConnectionError,
+	ProtocolError,
+	TimeoutError,
+	ERR_CONNECTION_REFUSED,
+} from "../lib/errors.js";
+
+vi.mock("../lib/java.js");
+vi.mock("../lib/bedrock.js");
+vi.mock("../lib/query.js");
+vi.mock("node:dns/promises", () => ({ Resolver: vi.fn(), lookup: vi.fn() }));
+
+const javaResponse = {
+	version: { name: "1.21.5", protocol: 770 },
+	players: { max: 20, online: 3 },
+	description: "§aA Java Server",
+	formattedDescription: {
+		clean: "A Java Server",
+		ansi: "\u001b[32mA Java Server\u001b[0m",
+	},
+	latency: 12,
+};
+
+const bedrockResponse = {
+	edition: "MCPE",
+	name: "A Bedrock Server",
+	formattedName: { clean: "A Bedrock Server", ansi: "A Bedrock Server" },
+	version: { protocol: 800, minecraft: "1.21.84" },
+	players: { online: 1, max: 10 },
+	latency: 8,
+};
+
+/**
+ * Creates a stream that records what is written to it.
+ */
+const createStream = (isTTY = false) => {
+	const chunks = [];
+	return {
+		isTTY,
+		write: (chunk) => chunks.push(chunk),
+		get output() {
+			return chunks.join("");
+		},
+	};
+};
+
+describe("cli.js", () => {
+	let stdout;
+	let stderr;
+
+	beforeEach(() => {
+		vi.resetAllMocks();
+		stdout = createStream();
+		stderr = createStream();
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	describe("parseArguments", () => {
+		it("should parse the command, hosts and options", () => {
+			expect(
+				parseArguments([
+					"java",
+					"mc.example.com",
+					"play.example.com:25570",
+					"[2001:db8::1]:25566",
+					"--timeout=2s",
+					"-w",
+					"30",
+					"--ndjson",
+				])
+			).toEqual({
+				command: "java",
+				targets: [
+					{ host: "mc.example.com" },
+					{ host: "play.example.com", port: 25570 },
+					{ host: "2001:db8::1", port: 25566 },
+				],
+				timeout: 2000,
+				watch: 30000,
+				format: "ndjson",
+				full: false,
+				help: false,
+			});
+		});
+
+		it("should apply --port to hosts given without one", () => {
+			expect(
+				parseArguments(["bedrock", "-p", "19133", "a.example.com", "b:19200"])
+					.targets
+			).toEqual([
+				{ host: "a.example.com", port: 19133 },
+				{ host: "b", port: 19200 },
+			]);
+		});
+
+		it("should read a bare timeout as milliseconds", () => {
+			expect(parseArguments(["java", "-t", "1500", "host"]).timeout).toBe(1500);
+		});
+
+		it.each([
+			[[], "Missing command."],
+			[["ping", "host"], "Unknown command: ping."],
+			[["java"], "Missing host."],
+			[["-j", "-b", "host"], "Unknown option: -j."],
+			[["java", "host", "--port", "70000"], "Invalid port: 70000."],
+			[["java", "host:0"], "Invalid port: 0."],
+			[["java", "host", "--watch", "soon"], "Invalid watch interval: soon."],
+			[["java", "host", "--timeout"], "Option --timeout needs a value."],
+			[["java", "host", "--json=yes"], "Option --json does not take a value."],
+			[["java", "host", "--json", "--ndjson"], "cannot be used together"],
+			[["java", "host", "--full"], "only applies to the query command"],
+		])("should reject %j", (argv, message) => {
+			expect(() => parseArguments(argv)).toThrow(message);
+		});
+	});
+
+	it("should print the status of a Java server", async () => {
+		pingJava.mockResolvedValue(javaResponse);
+
+		const code = await runCli(["java", "mc.example.com:25570"], {
+			stdout,
+			stderr,
+		});
+
+		expect(code).toBe(EXIT_CODES.OK);
+		expect(pingJava).toHaveBeenCalledWith(
+			{ host: "mc.example.com", port: 25570 },
+			{ timeout: 5000 }
+		);
+		expect(stdout.output).toBe(
+			[
+				"Host: mc.example.com:25570",
+				"Edition: java",
+				"Version: 1.21.5 (protocol: 770)",
+				"Players: 3/20",
+				"Latency: 12 ms",
+				"MOTD: A Java Server",
+				"",
+			].join("\n")
+		);
+		expect(stderr.output).toBe("");
+	});
+
+	it("should keep the MOTD colors on a terminal", async () => {
+		pingJava.mockResolvedValue(javaResponse);
+		stdout = createStream(true);
+
+		await runCli(["java", "mc.example.com"], { stdout, stderr });
+
+		expect(stdout.output).toContain("MOTD: \u001b[32mA Java Server\u001b[0m");
+	});
+
+	it("should print one JSON array with every host in argument order", async () => {
+		pingBedrock.mockImplementation(async (host) => {
+			if (host === "down.example.com") {
+				throw new ConnectionError(
+					"Connection refused",
+					ERR_CONNECTION_REFUSED,
+					{
+						phase: "connect",
+					}
+				);
+			}
+			return bedrockResponse;
+		});
+
+		const code = await runCli(
+			["bedrock", "--json", "down.example.com", "bedrock.example.com"],
+			{ stdout, stderr }
+		);
+
+		expect(code).toBe(EXIT_CODES.OFFLINE);
+		expect(JSON.parse(stdout.output)).toEqual([
+			{
+				host: "down.example.com",
+				time: expect.any(String),
+				online: false,
+				error: {
+					code: "CONNECTION_REFUSED",
+					phase: "connect",
+					message: "Connection refused",
+				},
+			},
+			{
+				host: "bedrock.example.com",
+				time: expect.any(String),
+				online: true,
+				result: expect.objectContaining({
+					edition: "bedrock",
+					name: "A Bedrock Server",
+					players: { online: 1, max: 10 },
+				}),
+			},
+		]);
+	});
+
+	it("should print errors to stderr in text mode", async () => {
+		pingJava.mockRejectedValue(
+			new TimeoutError("Socket timeout", { phase: "read" })
+		);
+
+		const code = await runCli(["java", "mc.example.com:25570"], {
+			stdout,
+			stderr,
+		});
+
+		expect(code).toBe(EXIT_CODES.TIMEOUT);
+		expect(stdout.output).toBe("");
+		expect(stderr.output).toBe(
+			"mc.example.com:25570: Socket timeout (TIMEOUT)\n"
+		);
+	});
+
+	it.each([
+		[
+			"an offline host",
+			new ConnectionError("refused", ERR_CONNECTION_REFUSED),
+			EXIT_CODES.OFFLINE,
+		],
+		["a timeout", new TimeoutError("timeout"), EXIT_CODES.TIMEOUT],
+		["a protocol error", new ProtocolError("bad packet"), EXIT_CODES.PROTOCOL],
+		["an unexpected error", new Error("boom"), EXIT_CODES.ERROR],
+	])("should exit with a distinct code for %s", async (_, error, expected) => {
+		pingJava.mockRejectedValue(error);
+
+		expect(await runCli(["java", "host"], { stdout, stderr })).toBe(expected);
+	});
+
+	it("should exit with the code of the first failing host", async () => {
+		pingJava.mockImplementation(async (host) => {
+			if (host === "slow") throw new TimeoutError("timeout");
+			if (host === "broken") throw new ProtocolError("bad packet");
+			return javaResponse;
+		});
+
+		expect(
+			await runCli(["java", "ok", "broken", "slow"], { stdout, stderr })
+		).toBe(EXIT_CODES.PROTOCOL);
+	});
+
+	it("should detect the edition with auto", async () => {
+		pingJava.mockRejectedValue(new TimeoutError("timeout"));
+		pingBedrock.mockResolvedValue(bedrockResponse);
+
+		const code = await runCli(["auto", "--ndjson", "play.example.com"], {
+			stdout,
+			stderr,
+		});
+
+		expect(code).toBe(EXIT_CODES.OK);
+		expect(JSON.parse(stdout.output).result.edition).toBe("bedrock");
+	});
+
+	it("should query a server with the full stat", async () => {
+		queryServer.mockResolvedValue({
+			motd: "A Query Server",
+			gameType: "SMP",
+			version: "1.21.5",
+			software: "Paper",
+			map: "world",
+			players: { online: 2, max: 20, list: ["Alex", "Steve"] },
+		});
+
+		const code = await runCli(
+			["query", "--full", "-t", "1s", "mc.example.com"],
+			{ stdout, stderr }
+		);
+
+		expect(code).toBe(EXIT_CODES.OK);
+		expect(queryServer).toHaveBeenCalledWith("mc.example.com", {
+			timeout: 1000,
+			full: true,
+		});
+		expect(stdout.output).toBe(
+			[
+				"Host: mc.example.com",
+				"MOTD: A Query Server",
+				"Players: 2/20",
+				"Version: 1.21.5",
+				"Software: Paper",
+				"Map: world",
+				"Player list: Alex, Steve",
+				"",
+			].join("\n")
+		);
+	});
+
+	it("should print the usage on an invalid command line", async () => {
+		expect(await runCli(["java"], { stdout, stderr })).toBe(EXIT_CODES.USAGE);
+		expect(stderr.output).toBe(
+			"mineping: Missing host.\nTry mineping --help.\n"
+		);
+		expect(pingJava).not.toHaveBeenCalled();
+	});
+
+	it("should print the help", async () => {
+		expect(await runCli(["--help"], { stdout, stderr })).toBe(EXIT_CODES.OK);
+		expect(stdout.output).toContain("Usage: mineping <command>");
+	});
+
+	it("should not warn about abort listeners with more than 10 hosts", async () => {
+		const emitWarning = vi.spyOn(process, "emitWarning");
+		pingJava.mockImplementation(
+			(host, { signal }) =>
+				new Promise((resolve, reject) => {
+					signal.addEventListener("abort", () => reject(signal.reason), {
+						once: true,
+					});
+				})
+		);
+		const controller = new AbortController();
+		const hosts = Array.from({ length: 15 }, (_, i) => `${i}.example.com`);
+
+		const run = runCli(["java", ...hosts], {
+			stdout,
+			stderr,
+			signal: controller.signal,
+		});
+		await vi.waitFor(() => expect(pingJava).toHaveBeenCalledTimes(15));
+		controller.abort();
+
+		expect(await run).toBe(EXIT_CODES.INTERRUPTED);
+		expect(emitWarning).not.toHaveBeenCalled();
+		emitWarning.mockRestore();
+	});
+
+	it("should ping again at every interval until aborted in watch mode", async () => {
+		vi.useFakeTimers();
+		pingJava
+			.mockResolvedValueOnce(javaResponse)
+			.mockRejectedValueOnce(new TimeoutError("timeout"))
+			.mockResolvedValue(javaResponse);
+		const controller = new AbortController();
+
+		const run = runCli(["java", "--ndjson", "--watch", "5s", "host"], {
+			stdout,
+			stderr,
+			signal: controller.signal,
+		});
+		await vi.advanceTimersByTimeAsync(0);
+		expect(pingJava).toHaveBeenCalledTimes(1);
+
+		await vi.advanceTimersByTimeAsync(5000);
+		expect(pingJava).toHaveBeenCalledTimes(2);
+		expect(pingJava).toHaveBeenLastCalledWith("host", {
+			timeout: 5000,
+			signal: expect.any(AbortSignal),
+		});
+
+		controller.abort();
+		// The exit code is that of the last round
+		expect(await run).toBe(EXIT_CODES.TIMEOUT);
+		expect(
+			stdout.output
+				.trim()
+				.split("\n")
+				.map((line) => JSON.parse(line).online)
+		).toEqual([true, false]);
+	});
+
+	describe("against a mock Bedrock server", () => {
+		let server;
+
+		beforeEach(async () => {
+			const java = await vi.importActual("../lib/java.js");
+			const bedrock = await vi.importActual("../lib/bedrock.js");
+			pingJava.mockImplementation(java.pingJava);
+			pingBedrock.mockImplementation(bedrock.pingBedrock);
+			server = await createBedrockPongServer({ guid: 1234567890123456789n });
+		});
+
+		afterEach(async () => {
+			await server.close();
+		});
+
+		it("should print the GUID as a string with --json", async () => {
+			const code = await runCli(
+				["bedrock", "--json", "-t", "1s", `127.0.0.1:${server.port}`],
+				{ stdout, stderr }
+			);
+
+			expect(code).toBe(EXIT_CODES.OK);
+			const [record] = JSON.parse(stdout.output);
+			expect(record.online).toBe(true);
+			expect(record.result.raw.guid).toBe("1234567890123456789");
+		});
+
+		it("should print the GUID as a string with --ndjson", async () => {
+			const code = await runCli(
+				["auto", "--ndjson", "-t", "1s", `127.0.0.1:${server.port}`],
+				{ stdout, stderr }
+			);
+
+			expect(code).toBe(EXIT_CODES.OK);
+			const lines = stdout.output.trim().split("\n");
+			expect(lines).toHaveLength(1);
+			const record = JSON.parse(lines[0]);
+			expect(record.result.edition).toBe("bedrock");
+			expect(record.result.raw.guid).toBe("1234567890123456789");
+		});
+	});
+
+	describe("against a mock Java server behind an SRV record", () => {
+		let server;
+		const resolveSrv = vi.fn();
+
+		beforeEach(async () => {
+			const java = await vi.importActual("../lib/java.js");
+			pingJava.mockImplementation(java.pingJava);
+			server = await createJavaStatusServer();
+			resolveSrv.mockResolvedValue([
+				{ name: "127.0.0.1", port: server.port, priority: 0, weight: 0 },
+			]);
+			Resolver.mockImplementation(() => ({ resolveSrv, cancel: vi.fn() }));
+		});
+
+		afterEach(async () => {
+			await server.close();
+		});
+
+		it("should follow the SRV record of a host without a port", async () => {
+			const code = await runCli(["java", "-t", "1s", "play.invalid"], {
+				stdout,
+				stderr,
+			});
+
+			expect(code).toBe(EXIT_CODES.OK);
+			expect(resolveSrv).toHaveBeenCalledWith("_minecraft._tcp.play.invalid");
+		});
+
+		it("should skip the SRV lookup for a host with a port", async () => {
+			const code = await runCli(
+				["java", "--json", "-t", "1s", "play.invalid:25566"],
+				{ stdout, stderr }
+			);
+
+			expect(code).toBe(EXIT_CODES.OFFLINE);
+			expect(resolveSrv).not.toHaveBeenCalled();
+		});
+	});
+});
@@ -0,0 +1,183 @@
+import { Resolver, lookup } from "node:dns/promises";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createCachingResolver } from "../lib/dns.js";
+
+vi.mock("node:dns/promises", () => ({ Resolver: vi.fn(), lookup: vi.fn() }));
+
+/**
+ * Creates a DNS error like the ones Node.js rejects with.
+ * @param {string} code The DNS error code
+ * @returns {Error}
+ */
+function createDnsError(code) {
+	return Object.assign(new Error(`query ${code}`), { code });
+}
+
+describe("dns.js", () => {
+	let mockResolver;
+
+	beforeEach(() => {
+		mockResolver = {
+			setServers: vi.fn(),
+			resolveSrv: vi.fn(),
+			resolve4: vi.fn(),
+			resolve6: vi.fn(),
+		};
+		Resolver.mockImplementation(() => mockResolver);
+		vi.useFakeTimers();
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+		vi.useRealTimers();
+	});
+
+	it("should query the configured DNS servers", () => {
+		createCachingResolver({ servers: ["1.1.1.1"], timeout: 1000, tries: 2 });
+		expect(Resolver).toHaveBeenCalledWith({ timeout: 1000, tries: 2 });
+		expect(mockResolver.setServers).toHaveBeenCalledWith(["1.1.1.1"]);
+	});
+
+	it("should cache SRV records for the default TTL", async () => {
+		const records = [{ name: "mc.example.com", port: 25565 }];
+		mockResolver.resolveSrv.mockResolvedValue(records);
+		const resolver = createCachingResolver({ defaultTtl: 60 });
+
+		expect(await resolver.resolveSrv("_minecraft._tcp.example.com")).toBe(
+			records
+		);
+		vi.advanceTimersByTime(59_000);
+		await resolver.resolveSrv("_minecraft._tcp.example.com");
+		expect(mockResolver.resolveSrv).toHaveBeenCalledTimes(1);
+
+		vi.advanceTimersByTime(1_000);
+		await resolver.resolveSrv("_minecraft._tcp.example.com");
+		expect(mockResolver.resolveSrv).toHaveBeenCalledTimes(2);
+	});
+
+	it("should share a query that is still in flight", async () => {
+		mockResolver.resolveSrv.mockResolvedValue([]);
+		const resolver = createCachingResolver();
+
+		await Promise.all([
+			resolver.resolveSrv("_minecraft._tcp.example.com"),
+			resolver.resolveSrv("_minecraft._tcp.example.com"),
+		]);
+		expect(mockResolver.resolveSrv).toHaveBeenCalledTimes(1);
+	});
+
+	it("should cache addresses for their lowest TTL", async () => {
+		mockResolver.resolve4.mockResolvedValue([
+			{ address: "203.0.113.7", ttl: 300 },
+		]);
+		mockResolver.resolve6.mockResolvedValue([
+			{ address: "2001:db8::7", ttl: 120 },
+		]);
+		const resolver = createCachingResolver();
+
+		expect(
+			await resolver.lookup("mc.example.com", { all: true, family: 0 })
+		).toEqual([
+			{ address: "203.0.113.7", family: 4 },
+			{ address: "2001:db8::7", family: 6 },
+		]);
+
+		vi.advanceTimersByTime(119_000);
+		await resolver.lookup("mc.example.com", { all: true, family: 0 });
+		expect(mockResolver.resolve4).toHaveBeenCalledTimes(1);
+
+		vi.advanceTimersByTime(1_000);
+		await resolver.lookup("mc.example.com", { all: true, family: 0 });
+		expect(mockResolver.resolve4).toHaveBeenCalledTimes(2);
+	});
+
+	it("should cap the TTL at maxTtl", async () => {
+		mockResolver.resolve4.mockResolvedValue([
+			{ address: "203.0.113.7", ttl: 86400 },
+		]);
+		const resolver = createCachingResolver({ maxTtl: 10 });
+
+		await resolver.lookup("mc.example.com", { all: true, family: 4 });
+		vi.advanceTimersByTime(10_000);
+		await resolver.lookup("mc.example.com", { all: true, family: 4 });
+
+		expect(mockResolver.resolve4).toHaveBeenCalledTimes(2);
+		expect(mockResolver.resolve6).not.toHaveBeenCalled();
+	});
+
+	it("should remember missing records for the negative TTL", async () => {
+		mockResolver.resolveSrv.mockRejectedValue(createDnsError("ENODATA"));
+		const resolver = createCachingResolver({ negativeTtl: 30 });
+
+		for (let i = 0; i < 2; i++) {
+			await expect(
+				resolver.resolveSrv("_minecraft._tcp.example.com")
+			).rejects.toMatchObject({ code: "ENODATA" });
+		}
+		expect(mockResolver.resolveSrv).toHaveBeenCalledTimes(1);
+
+		vi.advanceTimersByTime(30_000);
+		await expect(
+			resolver.resolveSrv("_minecraft._tcp.example.com")
+		).rejects.toThrow();
+		expect(mockResolver.resolveSrv).toHaveBeenCalledTimes(2);
+	});
+
+	it("should not remember transient failures", async () => {
+		mockResolver.resolveSrv
+			.mockRejectedValueOnce(createDnsError("ETIMEOUT"))
+			.mockResolvedValueOnce([]);
+		const resolver = createCachingResolver();
+
+		await expect(
+			resolver.resolveSrv("_minecraft._tcp.example.com")
+		).rejects.toMatchObject({ code: "ETIMEOUT" });
+		expect(await resolver.resolveSrv("_minecraft._tcp.example.com")).toEqual(
+			[]
+		);
+	});
+
+	it("should fall back to the system resolver for unknown names", async () => {
+		mockResolver.resolve4.mockRejectedValue(createDnsError("ENOTFOUND"));
+		mockResolver.resolve6.mockRejectedValue(createDnsError("ENOTFOUND"));
+		lookup.mockResolvedValue([{ address: "127.0.0.1", family: 4 }]);
+		const resolver = createCachingResolver();
+
+		expect(
+			await resolver.lookup("localhost", { all: true, family: 0 })
+		).toEqual([{ address: "127.0.0.1", family: 4 }]);
+		expect(lookup).toHaveBeenCalledWith("localhost", { all: true, family: 0 });
+	});
+
+	it("should drop expired entries when caching new ones", async () => {
+		mockResolver.resolveSrv.mockRejectedValue(createDnsError("ENOTFOUND"));
+		const resolver = createCachingResolver({ negativeTtl: 30 });
+
+		await expect(
+			resolver.resolveSrv("_minecraft._tcp.old.example.com")
+		).rejects.toThrow();
+		expect(resolver.size).toBe(1);
+		vi.advanceTimersByTime(30_000);
+		await expect(
+			resolver.resolveSrv("_minecraft._tcp.new.example.com")
+		).rejects.toThrow();
+		expect(resolver.size).toBe(1);
+
+		await expect(
+			resolver.resolveSrv("_minecraft._tcp.old.example.com")
+		).rejects.toThrow();
+		expect(mockResolver.resolveSrv).toHaveBeenCalledTimes(3);
+		expect(resolver.size).toBe(2);
+	});
+
+	it("should forget everything on clear", async () => {
+		mockResolver.resolveSrv.mockResolvedValue([]);
+		const resolver = createCachingResolver();
+
+		await resolver.resolveSrv("_minecraft._tcp.example.com");
+		resolver.clear();
+		await resolver.resolveSrv("_minecraft._tcp.example.com");
+
+		expect(mockResolver.resolveSrv).toHaveBeenCalledTimes(2);
+	});
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import * as errors from "../lib/errors.js";
+
+/**
+ * Creates a socket error like the ones Node.js emits.
+ * @param {string} code The system error code
+ * @returns {Error}
+ */
+function createSocketError(code) {
+	return Object.assign(new Error(`connect ${code}`), { code });
+}
+
+describe("errors.js", () => {
+	it("should keep the code, target, phase and cause", () => {
+		const cause = new Error("boom");
+		const err = new errors.ProtocolError(
+			"Bad packet",
+			errors.ERR_MALFORMED_RESPONSE,
+			{ host: "127.0.0.1", port: 25565, phase: "read", cause }
+		);
+
+		expect(err).toBeInstanceOf(errors.MinepingError);
+		expect(err).toBeInstanceOf(Error);
+		expect(err).toMatchObject({
+			name: "ProtocolError",
+			message: "Bad packet",
+			code: "MALFORMED_RESPONSE",
+			host: "127.0.0.1",
+			port: 25565,
+			phase: "read",
+			cause,
+		});
+	});
+
+	it("should always report DNS failures in the dns phase", () => {
+		expect(new errors.DnsError("No address", { phase: "read" }).phase).toBe(
+			"dns"
+		);
+	});
+
+	it.each([
+		["ECONNREFUSED", "ConnectionError", "CONNECTION_REFUSED"],
+		["ENOTFOUND", "DnsError", "DNS_FAILURE"],
+		["EAI_AGAIN", "DnsError", "DNS_FAILURE"],
+		["ETIMEDOUT", "TimeoutError", "TIMEOUT"],
+		["ECONNRESET", "ConnectionError", "CONNECTION_CLOSED"],
+		["EHOSTUNREACH", "ConnectionError", "NETWORK_ERROR"],
+	])("should classify %s socket errors", (systemCode, name, code) => {
+		const cause = createSocketError(systemCode);
+		const err = errors.toMinepingError(cause, {
+			host: "127.0.0.1",
+			port: 25565,
+			phase: "connect",
+		});
+
+		expect(err).toMatchObject({ name, code, host: "127.0.0.1", cause });
+		expect(err.message).toBe(cause.message);
+	});
+
+	it("should only fill in the missing details of a MinepingError", () => {
+		const original = new errors.TimeoutError("Socket timeout", {
+			phase: "read",
+		});
+		const err = errors.toMinepingError(original, {
+			host: "127.0.0.1",
+			port: 19132,
+			phase: "connect",
+		});
+
+		expect(err).toBe(original);
+		expect(err).toMatchObject({
+			host: "127.0.0.1",
+			port: 19132,
+			phase: "read",
+		});
+	});
+});
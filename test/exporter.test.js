@@ -0,0 +1,278 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createExporter } from "../lib/exporter.js";
+import { pingJava } from "../lib/java.js";
+import { createBedrockPinger } from "../lib/bedrock.js";
+import { Resolver } from "node:dns/promises";
+import { createJavaStatusServer } from "../lib/mock-server.js";
+
+vi.mock("../lib/java.js");
+vi.mock("../lib/bedrock.js");
+vi.mock("node:dns/promises", () => ({ Resolver: vi.fn(), lookup: vi.fn() }));
+
+const javaResponse = {
+	version: { name: "1.21.5", protocol: 770 },
+	players: { max: 20, online: 3 },
+	description: "A Java Server",
+	formattedDescription: { clean: "A Java Server" },
+	latency: 12,
+};
+
+const bedrockResponse = {
+	edition: "MCPE",
+	name: "A Bedrock Server",
+	formattedName: { clean: "A Bedrock Server" },
+	version: { protocol: 800, minecraft: "1.21.84" },
+	players: { online: 1, max: 10 },
+	latency: 8,
+};
+
+describe("exporter.js", () => {
+	const pingBedrock = vi.fn();
+	let exporter;
+
+	beforeEach(() => {
+		vi.resetAllMocks();
+		createBedrockPinger.mockReturnValue({ ping: pingBedrock, close: vi.fn() });
+	});
+
+	afterEach(async () => {
+		if (exporter?.server.listening) await exporter.close();
+		exporter = undefined;
+	});
+
+	it("should render the metrics of every configured target", async () => {
+		pingJava.mockImplementation(async (host) => {
+			if (host === "down.example.com") throw new Error("ECONNREFUSED");
+			return javaResponse;
+		});
+		pingBedrock.mockResolvedValue(bedrockResponse);
+		exporter = createExporter({
+			targets: [
+				"mc.example.com",
+				{ host: "bedrock.example.com", edition: "bedrock", port: 19133 },
+				"down.example.com",
+			],
+		});
+
+		expect(await exporter.collect()).toBe(
+			[
+				"# HELP minecraft_up Whether the server answered the ping.",
+				"# TYPE minecraft_up gauge",
+				'minecraft_up{host="mc.example.com",edition="java",version="1.21.5"} 1',
+				'minecraft_up{host="bedrock.example.com:19133",edition="bedrock",version="1.21.84"} 1',
+				'minecraft_up{host="down.example.com",edition="java",version=""} 0',
+				"# HELP minecraft_players_online The number of players online.",
+				"# TYPE minecraft_players_online gauge",
+				'minecraft_players_online{host="mc.example.com",edition="java",version="1.21.5"} 3',
+				'minecraft_players_online{host="bedrock.example.com:19133",edition="bedrock",version="1.21.84"} 1',
+				"# HELP minecraft_players_max The maximum number of players.",
+				"# TYPE minecraft_players_max gauge",
+				'minecraft_players_max{host="mc.example.com",edition="java",version="1.21.5"} 20',
+				'minecraft_players_max{host="bedrock.example.com:19133",edition="bedrock",version="1.21.84"} 10',
+				"# HELP minecraft_latency_seconds The round-trip time of the ping.",
+				"# TYPE minecraft_latency_seconds gauge",
+				'minecraft_latency_seconds{host="mc.example.com",edition="java",version="1.21.5"} 0.012',
+				'minecraft_latency_seconds{host="bedrock.example.com:19133",edition="bedrock",version="1.21.84"} 0.008',
+				"# HELP minecraft_protocol_version The protocol version the server reports.",
+				"# TYPE minecraft_protocol_version gauge",
+				'minecraft_protocol_version{host="mc.example.com",edition="java",version="1.21.5"} 770',
+				'minecraft_protocol_version{host="bedrock.example.com:19133",edition="bedrock",version="1.21.84"} 800',
+				"",
+			].join("\n")
+		);
+	});
+
+	it("should escape label values", async () => {
+		pingJava.mockResolvedValue({
+			...javaResponse,
+			version: { name: 'Velocity "3.4"\\', protocol: 770 },
+		});
+		exporter = createExporter({ targets: ["mc.example.com"] });
+
+		expect(await exporter.collect()).toContain(
+			'minecraft_up{host="mc.example.com",edition="java",version="Velocity \\"3.4\\"\\\\"} 1'
+		);
+	});
+
+	it("should leave out the latency when it is unknown", async () => {
+		const { latency, ...withoutLatency } = javaResponse;
+		pingJava.mockResolvedValue(withoutLatency);
+		exporter = createExporter({ targets: ["mc.example.com"] });
+
+		expect(await exporter.collect()).not.toContain(
+			"minecraft_latency_seconds{"
+		);
+	});
+
+	it("should ping on every scrape by default", async () => {
+		pingJava.mockResolvedValue(javaResponse);
+		exporter = createExporter({ targets: ["mc.example.com"] });
+
+		await exporter.collect();
+		await exporter.collect();
+
+		expect(pingJava).toHaveBeenCalledTimes(2);
+	});
+
+	it("should reuse cached results within the cache TTL", async () => {
+		vi.useFakeTimers();
+		try {
+			pingJava.mockResolvedValue(javaResponse);
+			exporter = createExporter({
+				targets: ["mc.example.com"],
+				cacheTtl: 10000,
+			});
+
+			await exporter.collect();
+			vi.advanceTimersByTime(9999);
+			await exporter.collect();
+			expect(pingJava).toHaveBeenCalledTimes(1);
+
+			vi.advanceTimersByTime(1);
+			await exporter.collect();
+			expect(pingJava).toHaveBeenCalledTimes(2);
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it("should answer overlapping scrapes while cached results expire", async () => {
+		vi.useFakeTimers();
+		try {
+			pingJava.mockImplementation(async (host) => {
+				if (host === "slow.example.com") {
+					await new Promise((resolve) => setTimeout(resolve, 500));
+				}
+				return javaResponse;
+			});
+			exporter = createExporter({ cacheTtl: 200 });
+			await exporter.collect(["fast.example.com"]);
+
+			// The first scrape reads fast.example.com from the cache, then waits for slow.example.com
+			const first = exporter.collect(["fast.example.com", "slow.example.com"]);
+			await vi.advanceTimersByTimeAsync(300);
+			// The second scrape drops the expired fast.example.com meanwhile
+			const second = exporter.collect(["other.example.com"]);
+			await vi.advanceTimersByTimeAsync(500);
+
+			expect(await first).toContain(
+				'minecraft_up{host="fast.example.com",edition="java"'
+			);
+			expect(await second).toContain('host="other.example.com"');
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	describe("HTTP server", () => {
+		let baseUrl;
+
+		beforeEach(async () => {
+			pingJava.mockResolvedValue(javaResponse);
+			pingBedrock.mockResolvedValue(bedrockResponse);
+			exporter = createExporter({
+				targets: ["mc.example.com"],
+				timeout: 1000,
+			});
+			const { port } = await exporter.listen(0, "127.0.0.1");
+			baseUrl = `http://127.0.0.1:${port}`;
+		});
+
+		it("should serve the configured targets on /metrics", async () => {
+			const res = await fetch(`${baseUrl}/metrics`);
+
+			expect(res.status).toBe(200);
+			expect(res.headers.get("content-type")).toBe(
+				"text/plain; version=0.0.4; charset=utf-8"
+			);
+			expect(await res.text()).toContain(
+				'minecraft_up{host="mc.example.com",edition="java",version="1.21.5"} 1'
+			);
+			expect(pingJava).toHaveBeenCalledWith("mc.example.com", {
+				timeout: 1000,
+			});
+		});
+
+		it("should probe the targets named in the query", async () => {
+			const res = await fetch(
+				`${baseUrl}/probe?target=play.example.com:19133&target=[2001:db8::1]&edition=bedrock`
+			);
+			const body = await res.text();
+
+			expect(res.status).toBe(200);
+			expect(pingBedrock).toHaveBeenCalledWith("play.example.com:19133", {
+				timeout: 1000,
+			});
+			expect(pingBedrock).toHaveBeenCalledWith("2001:db8::1", {
+				timeout: 1000,
+			});
+			expect(body).toContain(
+				'minecraft_up{host="play.example.com:19133",edition="bedrock",version="1.21.84"} 1'
+			);
+			expect(pingJava).not.toHaveBeenCalled();
+		});
+
+		it("should skip the SRV lookup for a target with a port", async () => {
+			const java = await vi.importActual("../lib/java.js");
+			pingJava.mockImplementation(java.pingJava);
+			const server = await createJavaStatusServer();
+			const resolveSrv = vi
+				.fn()
+				.mockResolvedValue([
+					{ name: "127.0.0.1", port: server.port, priority: 0, weight: 0 },
+				]);
+			Resolver.mockImplementation(() => ({ resolveSrv, cancel: vi.fn() }));
+
+			try {
+				const withSrv = await fetch(`${baseUrl}/probe?target=play.invalid`);
+				expect(await withSrv.text()).toContain(
+					'minecraft_up{host="play.invalid",edition="java",version="1.21.5"} 1'
+				);
+				expect(resolveSrv).toHaveBeenCalledTimes(1);
+
+				const withPort = await fetch(
+					`${baseUrl}/probe?target=play.invalid:25566`
+				);
+				expect(await withPort.text()).toContain(
+					'minecraft_up{host="play.invalid:25566",edition="java",version=""} 0'
+				);
+				expect(resolveSrv).toHaveBeenCalledTimes(1);
+			} finally {
+				await server.close();
+			}
+		});
+
+		it("should render a target named twice once", async () => {
+			const res = await fetch(
+				`${baseUrl}/probe?target=play.example.com&target=play.example.com`
+			);
+			const body = await res.text();
+
+			expect(pingJava).toHaveBeenCalledTimes(1);
+			expect(body.match(/^minecraft_up\{/gm)).toHaveLength(1);
+		});
+
+		it("should answer in the OpenMetrics format when asked to", async () => {
+			const res = await fetch(`${baseUrl}/metrics`, {
+				headers: { Accept: "application/openmetrics-text; version=1.0.0" },
+			});
+
+			expect(res.headers.get("content-type")).toBe(
+				"application/openmetrics-text; version=1.0.0; charset=utf-8"
+			);
+			expect((await res.text()).endsWith("# EOF\n")).toBe(true);
+		});
+
+		it.each([
+			["/probe", 400, "Missing target parameter."],
+			["/probe?target=mc.example.com&edition=pocket", 400, "Invalid edition"],
+			["/probe?target=mc.example.com:70000", 400, "Invalid port: 70000"],
+			["/", 404, "Not found."],
+		])("should answer %s with %d", async (path, status, message) => {
+			const res = await fetch(`${baseUrl}${path}`);
+
+			expect(res.status).toBe(status);
+			expect(await res.text()).toContain(message);
+		});
+	});
+});
@@ -0,0 +1,136 @@
+import { writeFile } from "node:fs/promises";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { decodeFavicon, saveFavicon } from "../lib/favicon.js";
+
+vi.mock("node:fs/promises");
+
+/**
+ * Creates the start of a PNG image: its signature and IHDR chunk.
+ * @param {number} width
+ * @param {number} height
+ * @returns {Buffer}
+ */
+function createPngHeader(width, height) {
+	const ihdr = Buffer.alloc(25);
+	ihdr.writeUInt32BE(13, 0); // Chunk length
+	ihdr.write("IHDR", 4, "latin1");
+	ihdr.writeUInt32BE(width, 8);
+	ihdr.writeUInt32BE(height, 12);
+	ihdr.writeUInt8(8, 16); // Bit depth
+	ihdr.writeUInt8(6, 17); // Color type: RGBA
+	return Buffer.concat([
+		Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+		ihdr,
+	]);
+}
+
+/**
+ * Wraps bytes in a favicon data URI.
+ * @param {Buffer} data
+ * @returns {string}
+ */
+const toDataUri = (data) => `data:image/png;base64,${data.toString("base64")}`;
+
+describe("favicon.js", () => {
+	beforeEach(() => {
+		vi.resetAllMocks();
+	});
+
+	it("should decode a 64x64 favicon", () => {
+		const png = createPngHeader(64, 64);
+		const result = decodeFavicon(toDataUri(png));
+
+		expect(result).toEqual({
+			valid: true,
+			data: png,
+			width: 64,
+			height: 64,
+			hash: expect.stringMatching(/^[0-9a-f]{64}$/),
+			warnings: [],
+		});
+	});
+
+	it("should give the same hash to the same image only", () => {
+		const favicon = toDataUri(createPngHeader(64, 64));
+		const other = toDataUri(createPngHeader(32, 32));
+
+		expect(decodeFavicon(favicon).hash).toBe(decodeFavicon(favicon).hash);
+		expect(decodeFavicon(favicon).hash).not.toBe(decodeFavicon(other).hash);
+	});
+
+	it("should warn about an unexpected size", () => {
+		const result = decodeFavicon(toDataUri(createPngHeader(128, 128)));
+
+		expect(result).toMatchObject({
+			valid: true,
+			width: 128,
+			height: 128,
+			warnings: ["Favicon is 128x128, expected 64x64."],
+		});
+	});
+
+	it("should ignore line breaks in the Base64 string", () => {
+		const base64 = createPngHeader(64, 64).toString("base64");
+		const result = decodeFavicon(
+			`data:image/png;base64,${base64.slice(0, 20)}\n${base64.slice(20)}`
+		);
+
+		expect(result).toMatchObject({
+			valid: true,
+			warnings: ["Favicon contains whitespace, which was ignored."],
+		});
+	});
+
+	it.each([
+		[undefined, "Favicon should be a string, got undefined."],
+		[
+			"data:image/jpeg;base64,AAAA",
+			'Favicon should start with "data:image/png;base64,".',
+		],
+		["data:image/png;base64,not-base64!", "Favicon is not valid Base64."],
+		[
+			toDataUri(Buffer.from("GIF89a, definitely not a PNG")),
+			"Favicon is not a PNG image.",
+		],
+		[
+			toDataUri(
+				Buffer.concat([
+					createPngHeader(64, 64).subarray(0, 12),
+					Buffer.from("IDAT00000000"),
+				])
+			),
+			"Favicon is not a valid PNG image: missing IHDR chunk.",
+		],
+	])("should report %j as invalid without throwing", (favicon, warning) => {
+		expect(decodeFavicon(favicon)).toEqual({
+			valid: false,
+			warnings: [warning],
+		});
+	});
+
+	describe("saveFavicon", () => {
+		it("should write the PNG image to disk", async () => {
+			const png = createPngHeader(64, 64);
+
+			const result = await saveFavicon(toDataUri(png), "/tmp/server.png");
+
+			expect(result.valid).toBe(true);
+			expect(writeFile).toHaveBeenCalledWith("/tmp/server.png", png);
+		});
+
+		it("should not write an invalid favicon", async () => {
+			const result = await saveFavicon("data:text/plain,hi", "/tmp/server.png");
+
+			expect(result.valid).toBe(false);
+			expect(writeFile).not.toHaveBeenCalled();
+		});
+
+		it("should reject if the file cannot be written", async () => {
+			writeFile.mockRejectedValue(new Error("EACCES: permission denied"));
+
+			await expect(
+				saveFavicon(toDataUri(createPngHeader(64, 64)), "/root/server.png")
+			).rejects.toThrow("EACCES");
+		});
+	});
+});
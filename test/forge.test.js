@@ -0,0 +1,192 @@
+import { describe, it, expect } from "vitest";
+import { decodeForgeData } from "../lib/forge.js";
+import * as varint from "../lib/varint.js";
+
+describe("forge.js", () => {
+	it("should return null for a vanilla response", () => {
+		expect(
+			decodeForgeData({ version: { name: "1.21.5", protocol: 770 } })
+		).toBeNull();
+	});
+
+	it("should decode an FML1 modinfo", () => {
+		expect(
+			decodeForgeData({
+				modinfo: {
+					type: "FML",
+					modList: [
+						{ modid: "mcp", version: "9.19" },
+						{ modid: "FML", version: "8.0.99.99" },
+					],
+				},
+			})
+		).toEqual({
+			fmlNetworkVersion: 1,
+			mods: [
+				{ modId: "mcp", version: "9.19", serverOnly: false },
+				{ modId: "FML", version: "8.0.99.99", serverOnly: false },
+			],
+			channels: [],
+			truncated: false,
+		});
+	});
+
+	it("should decode an FML2 forgeData", () => {
+		expect(
+			decodeForgeData({
+				forgeData: {
+					channels: [
+						{ res: "jei:channel", version: "1.0.0", required: true },
+						{ res: "minecraft:register", version: "FML2", required: false },
+					],
+					mods: [
+						{ modId: "forge", modmarker: "36.2.39" },
+						{ modId: "spark", modmarker: "OHNOES😱😱" },
+					],
+					fmlNetworkVersion: 2,
+				},
+			})
+		).toEqual({
+			fmlNetworkVersion: 2,
+			mods: [
+				{ modId: "forge", version: "36.2.39", serverOnly: false },
+				{ modId: "spark", version: "", serverOnly: true },
+			],
+			channels: [
+				{ name: "jei:channel", version: "1.0.0", required: true },
+				{ name: "minecraft:register", version: "FML2", required: false },
+			],
+			truncated: false,
+		});
+	});
+
+	it("should decode the compressed FML3 mod list", () => {
+		const data = Buffer.concat([
+			Buffer.from([0x01]), // Truncated
+			Buffer.from([0x00, 0x02]), // Mod count
+			// forge, with one channel
+			varint.encodeVarInt(1 << 1),
+			writeString("forge"),
+			writeString("47.2.0"),
+			writeString("tier_sorting"),
+			writeString("1.0"),
+			Buffer.from([0x00]),
+			// A server-only mod, without a version
+			varint.encodeVarInt(0b1),
+			writeString("spark"),
+			// Channels of no mod
+			varint.encodeVarInt(1),
+			writeString("minecraft:register"),
+			writeString("FML3"),
+			Buffer.from([0x01]),
+		]);
+
+		expect(
+			decodeForgeData({
+				forgeData: {
+					channels: [],
+					mods: [],
+					fmlNetworkVersion: 3,
+					truncated: false,
+					d: encodeOptimized(data),
+				},
+			})
+		).toEqual({
+			fmlNetworkVersion: 3,
+			mods: [
+				{ modId: "forge", version: "47.2.0", serverOnly: false },
+				{ modId: "spark", version: "", serverOnly: true },
+			],
+			channels: [
+				{ name: "forge:tier_sorting", version: "1.0", required: false },
+				{ name: "minecraft:register", version: "FML3", required: true },
+			],
+			truncated: true,
+		});
+	});
+
+	it("should decode mod lists of every length", () => {
+		// Exercises every alignment of bytes within the 15-bit characters
+		for (let count = 0; count < 16; count++) {
+			const mods = Array.from({ length: count }, (_, i) => `mod${i}`);
+			const data = Buffer.concat([
+				Buffer.from([0x00]),
+				Buffer.from([0x00, count]),
+				...mods.flatMap((modId) => [
+					varint.encodeVarInt(0),
+					writeString(modId),
+					writeString("1.0.0"),
+				]),
+				varint.encodeVarInt(0),
+			]);
+
+			const result = decodeForgeData({
+				forgeData: { d: encodeOptimized(data) },
+			});
+			expect(result.mods.map((mod) => mod.modId)).toEqual(mods);
+		}
+	});
+
+	describe("errors", () => {
+		it("should reject a compressed list shorter than announced", () => {
+			const d = encodeOptimized(Buffer.alloc(40)).slice(0, 10);
+			expect(() => decodeForgeData({ forgeData: { d } })).toThrow(
+				expect.objectContaining({
+					code: "MALFORMED_RESPONSE",
+					message: expect.stringContaining("the string is too short"),
+				})
+			);
+		});
+
+		it("should reject a compressed list that ends early", () => {
+			// Announces one mod, but holds none
+			const d = encodeOptimized(Buffer.from([0x00, 0x00, 0x01]));
+			expect(() => decodeForgeData({ forgeData: { d } })).toThrow(
+				"Malformed Forge data"
+			);
+		});
+
+		it("should reject mods without an ID", () => {
+			expect(() =>
+				decodeForgeData({ forgeData: { mods: [{ modmarker: "1.0" }] } })
+			).toThrow("Malformed Forge data: invalid forgeData.mods[0].modId.");
+			expect(() => decodeForgeData({ modinfo: { modList: "none" } })).toThrow(
+				"Malformed Forge data: invalid modinfo.modList."
+			);
+		});
+	});
+});
+
+/**
+ * Writes a string the way Forge does: a VarInt byte length, then UTF-8.
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function writeString(value) {
+	const bytes = Buffer.from(value, "utf8");
+	return Buffer.concat([varint.encodeVarInt(bytes.length), bytes]);
+}
+
+/**
+ * Packs bytes into a string of 15-bit characters, like Forge's encodeOptimized.
+ * @param {Buffer} data
+ * @returns {string}
+ */
+function encodeOptimized(data) {
+	let result = String.fromCharCode(data.length & 0x7fff, data.length >>> 15);
+	let buffer = 0;
+	let bitsInBuffer = 0;
+	for (const byte of data) {
+		buffer |= byte << bitsInBuffer;
+		bitsInBuffer += 8;
+		if (bitsInBuffer >= 15) {
+			result += String.fromCharCode(buffer & 0x7fff);
+			buffer >>>= 15;
+			bitsInBuffer -= 15;
+		}
+	}
+	if (bitsInBuffer > 0) {
+		result += String.fromCharCode(buffer & 0x7fff);
+	}
+	return result;
+}
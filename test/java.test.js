@@ -1,16 +1,14 @@
 import net from "node:net";
+import { Resolver } from "node:dns/promises";
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import { pingJava } from "../lib/java.js";
 import * as varint from "../lib/varint.js";
 
 const mockResolveSrv = vi.fn();
+const mockCancel = vi.fn();
 
 vi.mock("node:net");
-vi.mock("node:dns/promises", () => ({
-	Resolver: vi.fn().mockImplementation(() => ({
-		resolveSrv: mockResolveSrv,
-	})),
-}));
+vi.mock("node:dns/promises", () => ({ Resolver: vi.fn() }));
 
 describe("pingJava", () => {
 	let mockSocket;
@@ -20,6 +18,11 @@ describe("pingJava", () => {
 		mockResolveSrv.mockClear();
 		// Simulate no SRV record found by default.
 		mockResolveSrv.mockResolvedValue([]);
+		// Set here, as restoring the mocks after each test drops the implementation
+		Resolver.mockImplementation(() => ({
+			resolveSrv: mockResolveSrv,
+			cancel: mockCancel,
+		}));
 
 		const mockHandlers = {};
 		mockSocket = {
@@ -43,6 +46,16 @@ describe("pingJava", () => {
 		vi.useRealTimers();
 	});
 
+	// Waits until the given number of connections have been opened,
+	// flushing microtasks only so the fake clock does not move.
+	const waitForConnection = async (times) => {
+		for (let i = 0; i < 100; i++) {
+			if (net.createConnection.mock.calls.length >= times) break;
+			await Promise.resolve();
+		}
+		expect(net.createConnection).toHaveBeenCalledTimes(times);
+	};
+
 	it("should ping a server and handle a chunked response", async () => {
 		const host = "mc.hypixel.net";
 		const options = { port: 25565 };
@@ -78,13 +91,668 @@ describe("pingJava", () => {
 		mockSocket.emit("data", chunk1);
 		mockSocket.emit("data", chunk2);
 
+		// The status response triggers a ping request
+		expect(mockSocket.write).toHaveBeenCalledTimes(3);
+		const pingPacket = mockSocket.write.mock.calls[2][0];
+		const payload = pingPacket.readBigInt64BE(pingPacket.length - 8);
+
+		vi.advanceTimersByTime(42);
+		mockSocket.emit("data", createMockPongResponse(payload));
+
 		const result = await pingPromise;
-		expect(result).toEqual(mockResponse);
+		expect(result).toEqual({
+			...mockResponse,
+			latency: 42,
+			formattedDescription: expect.any(Object),
+		});
+		expect(result.formattedDescription.clean).toBe("A Minecraft Server");
+	});
+
+	it("should parse a status response and pong arriving in the same chunk", async () => {
+		const pingPromise = pingJava("localhost");
+		await vi.runAllTicks();
+		mockSocket.emit("connect");
+
+		const mockResponse = { version: { name: "1.21", protocol: 765 } };
+		const statusPacket = createMockJavaResponse(mockResponse);
+		// The ping payload is the current time, which is frozen by the fake timers
+		const pongPacket = createMockPongResponse(BigInt(Date.now()));
+		mockSocket.emit("data", Buffer.concat([statusPacket, pongPacket]));
+
+		const result = await pingPromise;
+		expect(result).toEqual({
+			...mockResponse,
+			latency: 0,
+			formattedDescription: expect.any(Object),
+		});
+	});
+
+	it("should resolve without latency if the socket closes before the pong", async () => {
+		const pingPromise = pingJava("localhost");
+		await vi.runAllTicks();
+		mockSocket.emit("connect");
+
+		const mockResponse = { version: { name: "1.21", protocol: 765 } };
+		mockSocket.emit("data", createMockJavaResponse(mockResponse));
+		mockSocket.emit("close");
+
+		const result = await pingPromise;
+		expect(result).toEqual({
+			...mockResponse,
+			formattedDescription: expect.any(Object),
+		});
+		expect(result).not.toHaveProperty("latency");
+	});
+
+	it("should not let the server set the fields the library owns", async () => {
+		const pingPromise = pingJava("localhost");
+		await vi.runAllTicks();
+		mockSocket.emit("connect");
+
+		const mockResponse = { version: { name: "1.21", protocol: 765 } };
+		mockSocket.emit(
+			"data",
+			createMockJavaResponse({
+				...mockResponse,
+				description: "Hostile",
+				latency: "none",
+				srv: { target: 1 },
+				timings: "slow",
+				forge: [],
+				warnings: "nope",
+				formattedDescription: { clean: "Spoofed" },
+			})
+		);
+		mockSocket.emit("close");
+
+		const result = await pingPromise;
+		expect(result).toEqual({
+			...mockResponse,
+			description: "Hostile",
+			formattedDescription: expect.objectContaining({ clean: "Hostile" }),
+		});
+	});
+
+	it("should resolve without latency if the pong payload does not match", async () => {
+		const pingPromise = pingJava("localhost");
+		await vi.runAllTicks();
+		mockSocket.emit("connect");
+
+		const mockResponse = { version: { name: "1.21", protocol: 765 } };
+		mockSocket.emit("data", createMockJavaResponse(mockResponse));
+		mockSocket.emit("data", createMockPongResponse(123n));
+
+		const result = await pingPromise;
+		expect(result).toEqual({
+			...mockResponse,
+			formattedDescription: expect.any(Object),
+		});
+		expect(mockSocket.destroy).toHaveBeenCalled();
+	});
+
+	describe("legacy", () => {
+		it("should parse a 1.4+ legacy kick packet", async () => {
+			const pingPromise = pingJava("localhost", { legacy: "only" });
+			await vi.runAllTicks();
+			mockSocket.emit("connect");
+
+			const packet = mockSocket.write.mock.calls[0][0];
+			expect(packet.subarray(0, 3)).toEqual(Buffer.from([0xfe, 0x01, 0xfa]));
+
+			mockSocket.emit(
+				"data",
+				createMockLegacyKick(
+					"§1\u000078\u00001.6.4\u0000A Legacy Server\u00003\u000020"
+				)
+			);
+
+			const result = await pingPromise;
+			expect(result).toEqual({
+				version: { name: "1.6.4", protocol: 78 },
+				players: { online: 3, max: 20 },
+				description: "A Legacy Server",
+				latency: 0,
+				formattedDescription: expect.any(Object),
+			});
+		});
+
+		it("should parse a 1.3-era legacy kick packet", async () => {
+			const pingPromise = pingJava("localhost", { legacy: "only" });
+			await vi.runAllTicks();
+			mockSocket.emit("connect");
+			mockSocket.emit("data", createMockLegacyKick("An §aOld§r Server§5§10"));
+
+			const result = await pingPromise;
+			expect(result).toEqual({
+				version: { name: "", protocol: -1 },
+				players: { online: 5, max: 10 },
+				description: "An §aOld§r Server",
+				latency: 0,
+				formattedDescription: expect.any(Object),
+			});
+			expect(result.formattedDescription.clean).toBe("An Old Server");
+		});
+
+		it("should fall back to the legacy ping when the modern ping fails", async () => {
+			const pingPromise = pingJava("localhost", { legacy: "fallback" });
+			await vi.runAllTicks();
+			mockSocket.emit("connect");
+			mockSocket.emit("close");
+
+			await vi.waitFor(() =>
+				expect(net.createConnection).toHaveBeenCalledTimes(2)
+			);
+			mockSocket.emit("connect");
+			mockSocket.emit(
+				"data",
+				createMockLegacyKick(
+					"§1\u000078\u00001.6.4\u0000Fallback\u00000\u00001"
+				)
+			);
+
+			const result = await pingPromise;
+			expect(result.description).toBe("Fallback");
+		});
+
+		it("should leave time for the legacy ping when the modern ping times out", async () => {
+			const pingPromise = pingJava("localhost", {
+				legacy: "fallback",
+				timeout: 1000,
+			});
+			await waitForConnection(1);
+			mockSocket.emit("connect");
+			// The modern ping gets half of the timeout
+			vi.advanceTimersByTime(500);
+
+			await waitForConnection(2);
+			mockSocket.emit("connect");
+			mockSocket.emit(
+				"data",
+				createMockLegacyKick(
+					"§1\u000078\u00001.6.4\u0000Fallback\u00000\u00001"
+				)
+			);
+
+			const result = await pingPromise;
+			expect(result.description).toBe("Fallback");
+		});
+
+		it("should reject an invalid legacy option", async () => {
+			await expect(
+				pingJava("localhost", { legacy: "sometimes" })
+			).rejects.toThrow("Invalid legacy option");
+		});
+	});
+
+	describe("SRV", () => {
+		const records = [
+			{ name: "backup.example.com", port: 25567, priority: 20, weight: 0 },
+			{ name: "small.example.com", port: 25565, priority: 10, weight: 10 },
+			{ name: "big.example.com", port: 25566, priority: 10, weight: 90 },
+		];
+
+		const refuse = () =>
+			mockSocket.emit(
+				"error",
+				Object.assign(new Error("connect ECONNREFUSED"), {
+					code: "ECONNREFUSED",
+				})
+			);
+
+		beforeEach(() => {
+			net.isIP.mockReturnValue(0);
+			mockResolveSrv.mockResolvedValue(records);
+			// Picks the middle of the total weight: 50 out of 0-100
+			vi.spyOn(Math, "random").mockReturnValue(0.5);
+		});
+
+		it("should fail over to the next target in RFC 2782 order", async () => {
+			const pingPromise = pingJava("mc.example.com");
+
+			await waitForConnection(1);
+			expect(net.createConnection).toHaveBeenLastCalledWith({
+				host: "big.example.com",
+				port: 25566,
+			});
+			refuse();
+
+			await waitForConnection(2);
+			expect(net.createConnection).toHaveBeenLastCalledWith({
+				host: "small.example.com",
+				port: 25565,
+			});
+			mockSocket.emit("connect");
+			mockSocket.emit(
+				"data",
+				createMockJavaResponse({ version: { name: "1.21", protocol: 765 } })
+			);
+			mockSocket.emit("close");
+
+			const result = await pingPromise;
+			expect(result.srv).toEqual({
+				target: { host: "small.example.com", port: 25565 },
+				failed: [
+					{
+						host: "big.example.com",
+						port: 25566,
+						error: expect.objectContaining({ code: "CONNECTION_REFUSED" }),
+					},
+				],
+			});
+		});
+
+		it("should reject with the last error once every target failed", async () => {
+			const pingPromise = pingJava("mc.example.com");
+
+			for (let i = 1; i <= 3; i++) {
+				await waitForConnection(i);
+				refuse();
+			}
+
+			await expect(pingPromise).rejects.toMatchObject({
+				code: "CONNECTION_REFUSED",
+				host: "backup.example.com",
+			});
+		});
+
+		it("should split the overall timeout between targets", async () => {
+			const pingPromise = pingJava("mc.example.com", { timeout: 900 });
+			pingPromise.catch(() => {});
+
+			// Each hanging target gets an equal part of the time left
+			await waitForConnection(1);
+			vi.advanceTimersByTime(299);
+			expect(net.createConnection).toHaveBeenCalledTimes(1);
+			vi.advanceTimersByTime(1);
+
+			await waitForConnection(2);
+			vi.advanceTimersByTime(300);
+			await waitForConnection(3);
+			vi.advanceTimersByTime(300);
+
+			await expect(pingPromise).rejects.toMatchObject({
+				code: "TIMEOUT",
+				host: "backup.example.com",
+			});
+		});
+
+		it("should skip the SRV lookup for an address with a port", async () => {
+			const pingPromise = pingJava("mc.example.com:25570", { port: 25565 });
+
+			await waitForConnection(1);
+			expect(mockResolveSrv).not.toHaveBeenCalled();
+			expect(net.createConnection).toHaveBeenCalledWith({
+				host: "mc.example.com",
+				port: 25570,
+			});
+			mockSocket.emit("close");
+			await expect(pingPromise).rejects.toThrow();
+		});
+
+		it("should ignore a target of '.'", async () => {
+			mockResolveSrv.mockResolvedValue([
+				{ name: ".", port: 0, priority: 0, weight: 0 },
+			]);
+			const pingPromise = pingJava("mc.example.com");
+
+			await waitForConnection(1);
+			expect(net.createConnection).toHaveBeenCalledWith({
+				host: "mc.example.com",
+				port: 25565,
+			});
+			mockSocket.emit("close");
+			await expect(pingPromise).rejects.toThrow();
+		});
+	});
+
+	describe("resolver", () => {
+		it("should resolve the SRV record and the host with the given resolver", async () => {
+			net.isIP.mockReturnValue(0);
+			const resolver = {
+				resolveSrv: vi
+					.fn()
+					.mockResolvedValue([
+						{ name: "srv.example.com", port: 25570, priority: 0, weight: 0 },
+					]),
+				lookup: vi
+					.fn()
+					.mockResolvedValue([{ address: "203.0.113.7", family: 4 }]),
+			};
+			const pingPromise = pingJava("mc.example.com", { resolver });
+			await waitForConnection(1);
+
+			expect(resolver.resolveSrv).toHaveBeenCalledWith(
+				"_minecraft._tcp.mc.example.com"
+			);
+			expect(Resolver).not.toHaveBeenCalled();
+
+			// The socket resolves the host through the lookup function it is given
+			const { host, port, lookup } = net.createConnection.mock.calls[0][0];
+			expect({ host, port }).toEqual({ host: "srv.example.com", port: 25570 });
+			const callback = vi.fn();
+			lookup("srv.example.com", { family: 0 }, callback);
+			await vi.runAllTicks();
+			expect(resolver.lookup).toHaveBeenCalledWith("srv.example.com", {
+				all: true,
+				family: 0,
+			});
+			expect(callback).toHaveBeenCalledWith(null, "203.0.113.7", 4);
+
+			mockSocket.emit("close");
+			await expect(pingPromise).rejects.toThrow();
+		});
+
+		it("should not cancel a shared resolver on abort", async () => {
+			net.isIP.mockReturnValue(0);
+			const resolver = {
+				resolveSrv: vi.fn().mockReturnValue(new Promise(() => {})),
+				cancel: vi.fn(),
+			};
+			const controller = new AbortController();
+			const pingPromise = pingJava("mc.example.com", {
+				resolver,
+				signal: controller.signal,
+			});
+			await vi.runAllTicks();
+
+			controller.abort();
+
+			await expect(pingPromise).rejects.toMatchObject({ code: "ABORTED" });
+			expect(resolver.cancel).not.toHaveBeenCalled();
+		});
+	});
+
+	describe("timings", () => {
+		it("should report how long each phase took", async () => {
+			net.isIP.mockReturnValue(0);
+			mockResolveSrv.mockImplementation(async () => {
+				vi.advanceTimersByTime(7);
+				return [
+					{ name: "srv.example.com", port: 25570, priority: 0, weight: 0 },
+				];
+			});
+			const pingPromise = pingJava("mc.example.com", { timings: true });
+			await waitForConnection(1);
+
+			vi.advanceTimersByTime(3);
+			mockSocket.emit("lookup", null, "203.0.113.7", 4, "srv.example.com");
+			vi.advanceTimersByTime(5);
+			mockSocket.emit("connect");
+
+			const statusPacket = createMockJavaResponse({
+				version: { name: "1.21", protocol: 765 },
+			});
+			vi.advanceTimersByTime(11);
+			mockSocket.emit("data", statusPacket.subarray(0, 10));
+			vi.advanceTimersByTime(4);
+			mockSocket.emit("data", statusPacket.subarray(10));
+
+			const pingPacket = mockSocket.write.mock.calls[2][0];
+			vi.advanceTimersByTime(20);
+			mockSocket.emit(
+				"data",
+				createMockPongResponse(pingPacket.readBigInt64BE(pingPacket.length - 8))
+			);
+
+			const result = await pingPromise;
+			expect(result.timings).toEqual({
+				srvLookup: 7,
+				dnsLookup: 3,
+				connect: 5,
+				firstByte: 11,
+				response: 15,
+				ping: 20,
+			});
+		});
+
+		it("should use the DNS timeout for the SRV lookup", async () => {
+			net.isIP.mockReturnValue(0);
+			const pingPromise = pingJava("mc.example.com", { dnsTimeout: 250 });
+			await waitForConnection(1);
+
+			expect(Resolver).toHaveBeenCalledWith({ timeout: 250, tries: 3 });
+			mockSocket.emit("close");
+			await expect(pingPromise).rejects.toThrow();
+		});
+
+		it("should reject when connecting takes longer than the connect timeout", async () => {
+			const pingPromise = pingJava("localhost", { connectTimeout: 100 });
+			await vi.runAllTicks();
+
+			vi.advanceTimersByTime(100);
+
+			await expect(pingPromise).rejects.toMatchObject({
+				message: "Connect timeout",
+				code: "TIMEOUT",
+				phase: "connect",
+			});
+		});
+
+		it("should reject when the response takes longer than the read timeout", async () => {
+			const pingPromise = pingJava("localhost", {
+				connectTimeout: 100,
+				readTimeout: 200,
+			});
+			await vi.runAllTicks();
+
+			vi.advanceTimersByTime(90);
+			mockSocket.emit("connect");
+			// The connect timeout no longer applies once connected
+			vi.advanceTimersByTime(199);
+			expect(mockSocket.destroy).not.toHaveBeenCalled();
+			vi.advanceTimersByTime(1);
+
+			await expect(pingPromise).rejects.toMatchObject({
+				message: "Read timeout",
+				code: "TIMEOUT",
+				phase: "handshake",
+			});
+		});
+	});
+
+	describe("abort", () => {
+		it("should fail immediately for an already aborted signal", async () => {
+			const controller = new AbortController();
+			controller.abort();
+
+			await expect(
+				pingJava("localhost", { signal: controller.signal })
+			).rejects.toMatchObject({ name: "AbortError", code: "ABORTED" });
+			expect(net.createConnection).not.toHaveBeenCalled();
+		});
+
+		it("should abort the connection and clean up", async () => {
+			const controller = new AbortController();
+			const pingPromise = pingJava("localhost", { signal: controller.signal });
+			await vi.runAllTicks();
+			mockSocket.emit("connect");
+
+			controller.abort();
+
+			await expect(pingPromise).rejects.toMatchObject({
+				code: "ABORTED",
+				host: "localhost",
+				phase: "handshake",
+			});
+			expect(mockSocket.destroy).toHaveBeenCalled();
+		});
+
+		it("should reject an abort after the status instead of resolving it", async () => {
+			const controller = new AbortController();
+			const pingPromise = pingJava("localhost", { signal: controller.signal });
+			await vi.runAllTicks();
+			mockSocket.emit("connect");
+			mockSocket.emit(
+				"data",
+				createMockJavaResponse({ version: { name: "1.21", protocol: 767 } })
+			);
+
+			controller.abort();
+
+			await expect(pingPromise).rejects.toMatchObject({ code: "ABORTED" });
+		});
+
+		it("should cancel the SRV lookup", async () => {
+			net.isIP.mockReturnValue(0);
+			// Like the real resolver, cancelling rejects the pending lookup
+			mockResolveSrv.mockReturnValue(
+				new Promise((resolve, reject) => {
+					mockCancel.mockImplementationOnce(() =>
+						reject(
+							Object.assign(new Error("querySrv ECANCELLED"), {
+								code: "ECANCELLED",
+							})
+						)
+					);
+				})
+			);
+			const controller = new AbortController();
+			const pingPromise = pingJava("mc.example.com", {
+				signal: controller.signal,
+			});
+			await vi.runAllTicks();
+
+			controller.abort();
+
+			await expect(pingPromise).rejects.toMatchObject({
+				code: "ABORTED",
+				phase: "dns",
+			});
+			expect(mockCancel).toHaveBeenCalled();
+			expect(net.createConnection).not.toHaveBeenCalled();
+		});
+
+		it("should not fall back to the legacy ping once aborted", async () => {
+			const controller = new AbortController();
+			const pingPromise = pingJava("localhost", {
+				legacy: "fallback",
+				signal: controller.signal,
+			});
+			await vi.runAllTicks();
+
+			controller.abort();
+
+			await expect(pingPromise).rejects.toMatchObject({ code: "ABORTED" });
+			expect(net.createConnection).toHaveBeenCalledTimes(1);
+		});
+	});
+
+	describe("validation", () => {
+		const badResponse = {
+			version: { name: "1.21", protocol: 765 },
+			players: { max: 20, online: "5" },
+		};
+
+		it("should repair a bad status response and list the warnings", async () => {
+			const pingPromise = pingJava("localhost");
+			await vi.runAllTicks();
+			mockSocket.emit("connect");
+			mockSocket.emit("data", createMockJavaResponse(badResponse));
+			mockSocket.emit("close");
+
+			const result = await pingPromise;
+			expect(result.players).toEqual({ max: 20, online: 5 });
+			expect(result.warnings).toEqual([
+				'players.online should be a number, got "5"; coerced.',
+			]);
+		});
+
+		it("should decode the mod list of a Forge server", async () => {
+			const pingPromise = pingJava("localhost");
+			await vi.runAllTicks();
+			mockSocket.emit("connect");
+			mockSocket.emit(
+				"data",
+				createMockJavaResponse({
+					version: { name: "1.16.5", protocol: 754 },
+					forgeData: {
+						channels: [],
+						mods: [{ modId: "forge", modmarker: "36.2.39" }],
+						fmlNetworkVersion: 2,
+					},
+				})
+			);
+			mockSocket.emit("close");
+
+			const result = await pingPromise;
+			expect(result.forge).toEqual({
+				fmlNetworkVersion: 2,
+				mods: [{ modId: "forge", version: "36.2.39", serverOnly: false }],
+				channels: [],
+				truncated: false,
+			});
+			expect(result.warnings).toBeUndefined();
+		});
+
+		it("should skip a malformed mod list with a warning", async () => {
+			const pingPromise = pingJava("localhost");
+			await vi.runAllTicks();
+			mockSocket.emit("connect");
+			mockSocket.emit(
+				"data",
+				createMockJavaResponse({
+					version: { name: "1.20.1", protocol: 763 },
+					forgeData: { d: "\u0040" },
+				})
+			);
+			mockSocket.emit("close");
+
+			const result = await pingPromise;
+			expect(result.forge).toBeUndefined();
+			expect(result.warnings).toEqual([
+				"Malformed Forge data: missing length header. The mod list was skipped.",
+			]);
+		});
+
+		it("should reject a description nested too deeply", async () => {
+			// Built as text, as JSON.stringify would overflow the stack itself
+			const description = `${'{"extra":['.repeat(20000)}"deep"${"]}".repeat(20000)}`;
+			const pingPromise = pingJava("localhost");
+			await vi.runAllTicks();
+			mockSocket.emit("connect");
+			mockSocket.emit(
+				"data",
+				createMockJavaResponse(
+					`{"version":{"name":"1.21","protocol":765},"description":${description}}`
+				)
+			);
+			mockSocket.emit("close");
+
+			await expect(pingPromise).rejects.toMatchObject({
+				name: "ProtocolError",
+				code: "MALFORMED_RESPONSE",
+				message: "Text component nested deeper than 512 levels.",
+				host: "localhost",
+				port: 25565,
+				phase: "read",
+			});
+		});
+
+		it("should reject a bad status response in strict mode", async () => {
+			const pingPromise = pingJava("localhost", { strict: true });
+			await vi.runAllTicks();
+			mockSocket.emit("connect");
+			mockSocket.emit("data", createMockJavaResponse(badResponse));
+			mockSocket.emit("close");
+
+			await expect(pingPromise).rejects.toMatchObject({
+				name: "ProtocolError",
+				code: "MALFORMED_RESPONSE",
+				message:
+					'Invalid status response: players.online should be a number, got "5".',
+				host: "localhost",
+				port: 25565,
+				phase: "read",
+			});
+		});
 	});
 
 	describe("errors", () => {
 		it("should throw an error if host is not provided", async () => {
 			await expect(pingJava(null)).rejects.toThrow("Host argument is required");
+			await expect(pingJava(null)).rejects.toMatchObject({
+				code: "INVALID_ARGUMENT",
+			});
 		});
 
 		it("should reject on socket timeout", async () => {
@@ -93,13 +761,63 @@ describe("pingJava", () => {
 			mockSocket.emit("connect");
 			vi.advanceTimersByTime(1000);
 			await expect(pingPromise).rejects.toThrow("Socket timeout");
+			await expect(pingPromise).rejects.toMatchObject({
+				code: "TIMEOUT",
+				host: "localhost",
+				port: 25565,
+				phase: "handshake",
+			});
 		});
 
 		it("should reject on connection error", async () => {
 			const pingPromise = pingJava("localhost");
 			await vi.runAllTicks();
-			mockSocket.emit("error", new Error("ECONNREFUSED"));
+			const refused = Object.assign(new Error("connect ECONNREFUSED"), {
+				code: "ECONNREFUSED",
+			});
+			mockSocket.emit("error", refused);
 			await expect(pingPromise).rejects.toThrow("ECONNREFUSED");
+			await expect(pingPromise).rejects.toMatchObject({
+				name: "ConnectionError",
+				code: "CONNECTION_REFUSED",
+				phase: "connect",
+				cause: refused,
+			});
+		});
+
+		it("should reject a malformed status response", async () => {
+			const pingPromise = pingJava("localhost");
+			await vi.runAllTicks();
+			mockSocket.emit("connect");
+
+			const json = Buffer.from("{not json", "utf8");
+			mockSocket.emit(
+				"data",
+				varint.concatPackets([
+					varint.encodeVarInt(0x00),
+					varint.encodeVarInt(json.length),
+					json,
+				])
+			);
+
+			await expect(pingPromise).rejects.toMatchObject({
+				name: "ProtocolError",
+				code: "MALFORMED_RESPONSE",
+				phase: "read",
+			});
+		});
+
+		it("should report a failing SRV lookup as a DNS failure", async () => {
+			// node:net is mocked, so make the host look like a name
+			net.isIP.mockReturnValue(0);
+			mockResolveSrv.mockRejectedValue(
+				Object.assign(new Error("querySrv ESERVFAIL"), { code: "ESERVFAIL" })
+			);
+			await expect(pingJava("mc.example.com")).rejects.toMatchObject({
+				code: "DNS_FAILURE",
+				host: "mc.example.com",
+				phase: "dns",
+			});
 		});
 
 		it("should reject if the socket closes prematurely without a response", async () => {
@@ -116,6 +834,9 @@ describe("pingJava", () => {
 			await expect(pingPromise).rejects.toThrow(
 				"Socket closed unexpectedly without a response."
 			);
+			await expect(pingPromise).rejects.toMatchObject({
+				code: "CONNECTION_CLOSED",
+			});
 		});
 
 		it("should only reject once, even if multiple errors occur", async () => {
@@ -131,14 +852,40 @@ describe("pingJava", () => {
 /**
  * Creates a mock Java status response packet according to the protocol.
  * Structure: [Overall Length] [Packet ID] [JSON Length] [JSON String]
- * @param {object} response The JSON response object
+ * @param {object | string} response The JSON response object, or its JSON text
  * @returns {Buffer}
  */
 function createMockJavaResponse(response) {
-	const jsonString = JSON.stringify(response);
+	const jsonString =
+		typeof response === "string" ? response : JSON.stringify(response);
 	const jsonBuffer = varint.encodeString(jsonString);
 	const jsonLength = varint.encodeVarInt(jsonBuffer.length);
 	const packetId = varint.encodeVarInt(0x00);
 	const payloadParts = [packetId, jsonLength, jsonBuffer];
 	return varint.concatPackets(payloadParts);
 }
+
+/**
+ * Creates a mock Java pong response packet according to the protocol.
+ * Structure: [Overall Length] [Packet ID] [Long Payload]
+ * @param {bigint} payload The payload echoed from the ping request
+ * @returns {Buffer}
+ */
+function createMockPongResponse(payload) {
+	const payloadBuffer = Buffer.alloc(8);
+	payloadBuffer.writeBigInt64BE(payload, 0);
+	return varint.concatPackets([varint.encodeVarInt(0x01), payloadBuffer]);
+}
+
+/**
+ * Creates a mock legacy kick packet according to the protocol.
+ * Structure: [0xFF] [String Length] [UTF-16BE String]
+ * @param {string} payload The kick string
+ * @returns {Buffer}
+ */
+function createMockLegacyKick(payload) {
+	const header = Buffer.alloc(3);
+	header.writeUInt8(0xff, 0);
+	header.writeUInt16BE(payload.length, 1);
+	return Buffer.concat([header, Buffer.from(payload, "utf16le").swap16()]);
+}
@@ -0,0 +1,190 @@
+import { describe, it, expect, afterEach } from "vitest";
+import {
+	createJavaStatusServer,
+	createBedrockPongServer,
+} from "../lib/mock-server.js";
+import { pingJava } from "../lib/java.js";
+import { pingBedrock } from "../lib/bedrock.js";
+
+describe("mock-server.js", () => {
+	describe("createJavaStatusServer", () => {
+		let server;
+
+		afterEach(async () => {
+			await server?.close();
+			server = undefined;
+		});
+
+		/**
+		 * Pings the mock server over loopback.
+		 * @param {object} [options] Extra options for pingJava
+		 */
+		const pingServer = (options = {}) =>
+			pingJava(server.host, { port: server.port, timeout: 1000, ...options });
+
+		it("should answer the status and ping requests", async () => {
+			server = await createJavaStatusServer({
+				status: {
+					version: { name: "1.21.5", protocol: 770 },
+					players: { max: 100, online: 7 },
+					description: "§aLoopback",
+				},
+			});
+
+			const response = await pingServer();
+
+			expect(response.version).toEqual({ name: "1.21.5", protocol: 770 });
+			expect(response.players).toEqual({ max: 100, online: 7 });
+			expect(response.formattedDescription.clean).toBe("Loopback");
+			expect(response.latency).toBeGreaterThanOrEqual(0);
+		});
+
+		it("should send a raw JSON status as is", async () => {
+			server = await createJavaStatusServer({
+				status: '{"version":{"name":"Proxy","protocol":47},"description":""}',
+			});
+
+			expect((await pingServer()).version.name).toBe("Proxy");
+		});
+
+		it("should delay every answer by the given latency", async () => {
+			server = await createJavaStatusServer({ latencyMs: 50 });
+
+			const response = await pingServer();
+
+			expect(response.latency).toBeGreaterThanOrEqual(45);
+		});
+
+		it("should survive responses written one byte at a time", async () => {
+			server = await createJavaStatusServer({
+				behavior: "fragmented",
+				status: { version: { name: "1.8.9", protocol: 47 }, description: "x" },
+			});
+
+			expect((await pingServer()).version.protocol).toBe(47);
+		});
+
+		it.each([
+			["wrongPacketId", "PROTOCOL_ERROR", "Unexpected packet ID: 5"],
+			["oversizedLength", "MALFORMED_RESPONSE", "Invalid packet length"],
+			["truncatedJson", "MALFORMED_RESPONSE", "Malformed status response"],
+			["closeEarly", "CONNECTION_CLOSED", "Socket closed unexpectedly"],
+		])("should reject a %s response", async (behavior, code, message) => {
+			server = await createJavaStatusServer({ behavior });
+
+			await expect(pingServer()).rejects.toMatchObject({
+				code,
+				message: expect.stringContaining(message),
+			});
+		});
+
+		it("should time out against a server that hangs", async () => {
+			server = await createJavaStatusServer({ behavior: "hang" });
+
+			await expect(pingServer({ timeout: 200 })).rejects.toMatchObject({
+				code: "TIMEOUT",
+				phase: "handshake",
+			});
+		});
+
+		it("should throw on an unknown behavior", async () => {
+			await expect(
+				createJavaStatusServer({ behavior: "explode" })
+			).rejects.toMatchObject({ code: "INVALID_ARGUMENT" });
+		});
+	});
+
+	describe("createBedrockPongServer", () => {
+		let server;
+
+		afterEach(async () => {
+			await server?.close();
+			server = undefined;
+		});
+
+		/**
+		 * Pings the mock server over loopback.
+		 * @param {object} [options] Extra options for pingBedrock
+		 */
+		const pingServer = (options = {}) =>
+			pingBedrock(server.host, {
+				port: server.port,
+				timeout: 1000,
+				...options,
+			});
+
+		it("should answer with a pong carrying the MOTD and GUID", async () => {
+			server = await createBedrockPongServer({
+				motd: "MCPE;§aLoopback;800;1.21.84;3;10;42;Test level;Creative;0;19132;19133;0;",
+				guid: 42n,
+			});
+
+			const response = await pingServer();
+
+			expect(response).toMatchObject({
+				edition: "MCPE",
+				name: "§aLoopback",
+				levelName: "Test level",
+				gamemode: "Creative",
+				version: { protocol: 800, minecraft: "1.21.84" },
+				players: { online: 3, max: 10 },
+				port: { v4: 19132, v6: 19133 },
+				guid: 42n,
+			});
+			expect(response.formattedName.clean).toBe("Loopback");
+			expect(response.latency).toBeGreaterThanOrEqual(0);
+		});
+
+		it("should announce its own GUID and port by default", async () => {
+			server = await createBedrockPongServer();
+
+			const response = await pingServer();
+
+			expect(response.guid).toBe(server.guid);
+			expect(response.port.v4).toBe(server.port);
+		});
+
+		it("should answer over IPv6", async () => {
+			try {
+				server = await createBedrockPongServer({ host: "::1" });
+			} catch {
+				// IPv6 is not available on this machine
+				return;
+			}
+
+			expect((await pingServer({ family: 6 })).guid).toBe(server.guid);
+		});
+
+		it("should delay every pong by the given latency", async () => {
+			server = await createBedrockPongServer({ latencyMs: 50 });
+
+			expect((await pingServer()).latency).toBeGreaterThanOrEqual(45);
+		});
+
+		it.each([
+			["garbage", "PROTOCOL_ERROR", "magic bytes do not match"],
+			["shortMotd", "MALFORMED_RESPONSE", "Expected at least 5 fields"],
+		])("should reject a %s pong", async (behavior, code, message) => {
+			server = await createBedrockPongServer({ behavior });
+
+			await expect(pingServer()).rejects.toMatchObject({
+				code,
+				message: expect.stringContaining(message),
+			});
+		});
+
+		it("should time out when the pings are dropped", async () => {
+			server = await createBedrockPongServer({ behavior: "drop" });
+
+			await expect(pingServer({ timeout: 200 })).rejects.toMatchObject({
+				code: "TIMEOUT",
+			});
+		});
+
+		it("should throw on an unknown behavior", async () => {
+			await expect(
+				createBedrockPongServer({ behavior: "explode" })
+			).rejects.toMatchObject({ code: "INVALID_ARGUMENT" });
+		});
+	});
+});
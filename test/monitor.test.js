@@ -0,0 +1,335 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createMonitor } from "../lib/monitor.js";
+import { pingJava } from "../lib/java.js";
+import { createBedrockPinger } from "../lib/bedrock.js";
+
+vi.mock("../lib/java.js");
+vi.mock("../lib/bedrock.js");
+
+/**
+ * Creates a Java response as pingJava resolves it.
+ * @param {object} [overrides]
+ */
+function javaResponse({
+	version = "1.21.5",
+	motd = "A Minecraft Server",
+	sample = [],
+	online = sample.length,
+} = {}) {
+	return {
+		version: { name: version, protocol: 770 },
+		players: { max: 20, online, sample },
+		description: motd,
+		formattedDescription: { clean: motd },
+		latency: 10,
+	};
+}
+
+const steve = { name: "Steve", id: "8667ba71-b85a-4004-af54-457a9734eed7" };
+const alex = { name: "Alex", id: "ec561538-f3fd-461d-aff5-086b22154bce" };
+
+describe("monitor.js", () => {
+	const pingBedrock = vi.fn();
+	const closePinger = vi.fn();
+	let monitor;
+
+	beforeEach(() => {
+		vi.resetAllMocks();
+		vi.useFakeTimers();
+		createBedrockPinger.mockReturnValue({
+			ping: pingBedrock,
+			close: closePinger,
+		});
+	});
+
+	afterEach(() => {
+		monitor?.stop();
+		monitor = undefined;
+		vi.useRealTimers();
+	});
+
+	/**
+	 * Records every event the monitor emits, in order.
+	 * @returns {Array<[string, ...any[]]>}
+	 */
+	const record = () => {
+		const events = [];
+		for (const name of [
+			"online",
+			"offline",
+			"playerJoin",
+			"playerLeave",
+			"playerCountChange",
+			"versionChange",
+			"motdChange",
+		]) {
+			monitor.on(name, (target, ...args) => events.push([name, ...args]));
+		}
+		return events;
+	};
+
+	it("should report a target online after its first answer", async () => {
+		pingJava.mockResolvedValue(javaResponse());
+		monitor = createMonitor(["mc.example.com"], { interval: 1000 });
+		const events = record();
+		const update = vi.fn();
+		monitor.on("update", update);
+
+		await vi.advanceTimersByTimeAsync(0);
+
+		expect(pingJava).toHaveBeenCalledWith("mc.example.com", {
+			timeout: 5000,
+			signal: expect.any(AbortSignal),
+		});
+		expect(events).toEqual([
+			["online", expect.objectContaining({ edition: "java" })],
+		]);
+		expect(update).toHaveBeenCalledTimes(1);
+		expect(monitor.getStates()).toEqual([
+			{
+				target: { host: "mc.example.com", edition: "java" },
+				status: "online",
+				failures: 0,
+				last: expect.objectContaining({ name: "A Minecraft Server" }),
+			},
+		]);
+	});
+
+	it("should poll again after the interval", async () => {
+		pingJava.mockResolvedValue(javaResponse());
+		monitor = createMonitor(["mc.example.com"], { interval: 1000 });
+
+		await vi.advanceTimersByTimeAsync(0);
+		await vi.advanceTimersByTimeAsync(999);
+		expect(pingJava).toHaveBeenCalledTimes(1);
+		await vi.advanceTimersByTimeAsync(1);
+		expect(pingJava).toHaveBeenCalledTimes(2);
+	});
+
+	it("should report what changed between two polls", async () => {
+		pingJava
+			.mockResolvedValueOnce(javaResponse({ sample: [steve] }))
+			.mockResolvedValueOnce(
+				javaResponse({ version: "1.21.6", motd: "Updated!", sample: [alex] })
+			);
+		monitor = createMonitor(["mc.example.com"], { interval: 1000 });
+		const events = record();
+
+		await vi.advanceTimersByTimeAsync(1000);
+
+		expect(events.slice(1)).toEqual([
+			[
+				"versionChange",
+				{ name: "1.21.6", protocol: 770 },
+				{ name: "1.21.5", protocol: 770 },
+			],
+			["motdChange", "Updated!", "A Minecraft Server"],
+			["playerJoin", alex],
+			["playerLeave", steve],
+		]);
+	});
+
+	it("should report a change in the player count", async () => {
+		pingJava
+			.mockResolvedValueOnce(javaResponse({ online: 3 }))
+			.mockResolvedValueOnce(javaResponse({ online: 5 }));
+		monitor = createMonitor(["mc.example.com"], { interval: 1000 });
+		const events = record();
+
+		await vi.advanceTimersByTimeAsync(1000);
+
+		expect(events.slice(1)).toEqual([["playerCountChange", 5, 3]]);
+	});
+
+	it("should only report a target offline after consecutive failures", async () => {
+		pingJava
+			.mockResolvedValueOnce(javaResponse())
+			.mockRejectedValue(new Error("Socket timeout"));
+		monitor = createMonitor(["mc.example.com"], {
+			interval: 1000,
+			offlineAfter: 2,
+			backoff: false,
+		});
+		const events = record();
+		const failure = vi.fn();
+		monitor.on("failure", failure);
+
+		await vi.advanceTimersByTimeAsync(1000);
+		expect(failure).toHaveBeenCalledWith(
+			{ host: "mc.example.com", edition: "java" },
+			expect.any(Error),
+			1
+		);
+		expect(events.map(([name]) => name)).toEqual(["online"]);
+
+		await vi.advanceTimersByTimeAsync(1000);
+		expect(events.map(([name]) => name)).toEqual(["online", "offline"]);
+		expect(events[1][1].message).toBe("Socket timeout");
+
+		// Not reported again while it stays offline
+		await vi.advanceTimersByTimeAsync(1000);
+		expect(events).toHaveLength(2);
+	});
+
+	it("should report a target online again once it recovers", async () => {
+		pingJava
+			.mockRejectedValueOnce(new Error("ECONNREFUSED"))
+			.mockResolvedValue(javaResponse());
+		monitor = createMonitor(["mc.example.com"], {
+			interval: 1000,
+			offlineAfter: 1,
+			backoff: false,
+		});
+		const events = record();
+
+		await vi.advanceTimersByTimeAsync(1000);
+
+		expect(events.map(([name]) => name)).toEqual(["offline", "online"]);
+	});
+
+	it("should back off exponentially from a failing target", async () => {
+		pingJava.mockRejectedValue(new Error("ECONNREFUSED"));
+		monitor = createMonitor(["mc.example.com"], {
+			interval: 1000,
+			backoff: { factor: 2, maxInterval: 5000 },
+		});
+
+		// Waits 2s, then 4s, then the 5s cap
+		await vi.advanceTimersByTimeAsync(0);
+		for (const [index, delay] of [2000, 4000, 5000, 5000].entries()) {
+			await vi.advanceTimersByTimeAsync(delay - 1);
+			expect(pingJava).toHaveBeenCalledTimes(index + 1);
+			await vi.advanceTimersByTimeAsync(1);
+			expect(pingJava).toHaveBeenCalledTimes(index + 2);
+		}
+	});
+
+	it("should spread polls with jitter", async () => {
+		vi.spyOn(Math, "random").mockReturnValue(0.5);
+		pingJava.mockResolvedValue(javaResponse());
+		monitor = createMonitor(["mc.example.com"], {
+			interval: 1000,
+			jitter: 200,
+		});
+
+		await vi.advanceTimersByTimeAsync(99);
+		expect(pingJava).not.toHaveBeenCalled();
+		await vi.advanceTimersByTimeAsync(1);
+		expect(pingJava).toHaveBeenCalledTimes(1);
+		await vi.advanceTimersByTimeAsync(1100);
+		expect(pingJava).toHaveBeenCalledTimes(2);
+	});
+
+	it("should ping Bedrock targets over a shared pinger", async () => {
+		pingBedrock.mockResolvedValue({
+			edition: "MCPE",
+			name: "Bedrock",
+			formattedName: { clean: "Bedrock" },
+			version: { protocol: 800, minecraft: "1.21.84" },
+			players: { online: 1, max: 10 },
+			latency: 5,
+		});
+		monitor = createMonitor(
+			[
+				{ host: "a.example.com", edition: "bedrock" },
+				{ host: "b.example.com", edition: "bedrock", port: 19133 },
+			],
+			{ interval: 1000 }
+		);
+		const online = vi.fn();
+		monitor.on("online", online);
+
+		await vi.advanceTimersByTimeAsync(0);
+
+		expect(createBedrockPinger).toHaveBeenCalledTimes(1);
+		expect(pingBedrock).toHaveBeenCalledWith("b.example.com", {
+			timeout: 5000,
+			signal: expect.any(AbortSignal),
+			port: 19133,
+		});
+		expect(online).toHaveBeenCalledTimes(2);
+	});
+
+	it("should stop polling and close the Bedrock pinger", async () => {
+		pingBedrock.mockResolvedValue(new Promise(() => {}));
+		pingJava.mockReturnValue(new Promise(() => {}));
+		monitor = createMonitor(
+			["mc.example.com", { host: "bedrock.example.com", edition: "bedrock" }],
+			{ interval: 1000 }
+		);
+		await vi.advanceTimersByTimeAsync(0);
+		const { signal } = pingJava.mock.calls[0][1];
+
+		monitor.stop();
+		await vi.advanceTimersByTimeAsync(10000);
+
+		expect(signal.aborted).toBe(true);
+		expect(closePinger).toHaveBeenCalled();
+		expect(pingJava).toHaveBeenCalledTimes(1);
+	});
+
+	it("should not warn about abort listeners with more than 10 targets", async () => {
+		const emitWarning = vi.spyOn(process, "emitWarning");
+		pingJava.mockImplementation(
+			(host, { signal }) =>
+				new Promise((resolve, reject) => {
+					signal.addEventListener("abort", () => reject(signal.reason), {
+						once: true,
+					});
+				})
+		);
+		monitor = createMonitor(
+			Array.from({ length: 15 }, (_, i) => `${i}.example.com`),
+			{ interval: 1000 }
+		);
+		await vi.advanceTimersByTimeAsync(0);
+
+		expect(pingJava).toHaveBeenCalledTimes(15);
+		expect(emitWarning).not.toHaveBeenCalled();
+		emitWarning.mockRestore();
+	});
+
+	it("should report a listener that throws as an error event", async () => {
+		pingJava.mockResolvedValue(javaResponse());
+		monitor = createMonitor(["mc.example.com"], { interval: 1000 });
+		const listenerError = new Error("oops");
+		monitor.on("online", () => {
+			throw listenerError;
+		});
+		const onError = vi.fn();
+		monitor.on("error", onError);
+
+		await vi.advanceTimersByTimeAsync(1000);
+
+		expect(onError).toHaveBeenCalledWith(listenerError);
+		expect(pingJava).toHaveBeenCalledTimes(2);
+	});
+
+	it("should keep polling when a listener throws without an error listener", async () => {
+		pingJava.mockResolvedValue(javaResponse());
+		monitor = createMonitor(["mc.example.com"], { interval: 1000 });
+		const onUpdate = vi.fn(() => {
+			throw new Error("oops");
+		});
+		monitor.on("update", onUpdate);
+
+		await vi.advanceTimersByTimeAsync(1000);
+
+		expect(onUpdate).toHaveBeenCalledTimes(2);
+	});
+
+	describe("errors", () => {
+		it("should throw on invalid arguments", () => {
+			expect(() => createMonitor(null)).toThrow(
+				"Targets argument must be an iterable."
+			);
+			expect(() => createMonitor([""])).toThrow("Host argument is required.");
+			expect(() => createMonitor([], { interval: 0 })).toThrow(
+				"Invalid interval: 0. Expected a positive number."
+			);
+			expect(() => createMonitor([], { offlineAfter: 0 })).toThrow(
+				"Invalid offlineAfter: 0. Expected a positive integer."
+			);
+		});
+	});
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect } from "vitest";
+import * as motd from "../lib/motd.js";
+
+const plain = {
+	color: undefined,
+	bold: false,
+	italic: false,
+	underlined: false,
+	strikethrough: false,
+	obfuscated: false,
+};
+
+describe("motd.js", () => {
+	it("should parse legacy formatting codes in a plain string", () => {
+		const spans = motd.flattenSpans(
+			motd.parseDescription("§aGreen §lBold§r Plain §cRed")
+		);
+		expect(spans).toEqual([
+			{ ...plain, color: "#55FF55", text: "Green " },
+			{ ...plain, color: "#55FF55", bold: true, text: "Bold" },
+			{ ...plain, text: " Plain " },
+			{ ...plain, color: "#FF5555", text: "Red" },
+		]);
+	});
+
+	it("should reset formatting when a color code follows a format code", () => {
+		const spans = motd.flattenSpans(
+			motd.parseDescription("§l§obold§einherits")
+		);
+		expect(spans).toEqual([
+			{ ...plain, bold: true, italic: true, text: "bold" },
+			{ ...plain, color: "#FFFF55", text: "inherits" },
+		]);
+	});
+
+	it("should resolve style inheritance through extra children", () => {
+		const spans = motd.flattenSpans(
+			motd.parseDescription({
+				text: "Hello ",
+				color: "gold",
+				bold: true,
+				extra: [
+					{ text: "World", bold: false, color: "#12abef" },
+					{ text: "!", italic: true },
+					"§nlegacy",
+				],
+			})
+		);
+		expect(spans).toEqual([
+			{ ...plain, color: "#FFAA00", bold: true, text: "Hello " },
+			{ ...plain, color: "#12ABEF", text: "World" },
+			{ ...plain, color: "#FFAA00", bold: true, italic: true, text: "!" },
+			{
+				...plain,
+				color: "#FFAA00",
+				bold: true,
+				underlined: true,
+				text: "legacy",
+			},
+		]);
+	});
+
+	it("should treat the first element of an array as the parent", () => {
+		const root = motd.parseDescription([
+			{ text: "A", color: "red" },
+			{ text: "B" },
+			{ text: "C", color: "blue" },
+		]);
+		expect(motd.flattenSpans(root)).toEqual([
+			{ ...plain, color: "#FF5555", text: "AB" },
+			{ ...plain, color: "#5555FF", text: "C" },
+		]);
+	});
+
+	it("should expand translations with their arguments", () => {
+		const formatted = motd.formatDescription({
+			translate: "chat.type.text",
+			fallback: "<%s> %2$s 100%%",
+			with: [{ text: "Notch", color: "yellow" }, "hi"],
+		});
+		expect(formatted.clean).toBe("<Notch> hi 100%");
+		expect(formatted.spans[1]).toEqual({
+			...plain,
+			color: "#FFFF55",
+			text: "Notch",
+		});
+	});
+
+	it("should fall back to the translation key", () => {
+		expect(
+			motd.formatDescription({ translate: "multiplayer.status.unknown" }).clean
+		).toBe("multiplayer.status.unknown");
+	});
+
+	it("should reject components nested too deeply", () => {
+		const nest = (depth, wrap) => {
+			let component = { text: "deep" };
+			for (let i = 0; i < depth; i++) component = wrap(component);
+			return component;
+		};
+		const extra = (child) => ({ text: "", extra: [child] });
+		const translate = (child) => ({ translate: "%s", with: [child] });
+
+		expect(motd.formatDescription(nest(512, extra)).clean).toBe("deep");
+		expect(() => motd.formatDescription(nest(513, extra))).toThrow(
+			expect.objectContaining({
+				name: "ProtocolError",
+				code: "MALFORMED_RESPONSE",
+				message: "Text component nested deeper than 512 levels.",
+			})
+		);
+		expect(() => motd.formatDescription(nest(513, translate))).toThrow(
+			"Text component nested deeper than 512 levels."
+		);
+		expect(() => motd.formatDescription(nest(513, (child) => [child]))).toThrow(
+			"Text component nested deeper than 512 levels."
+		);
+	});
+
+	it("should handle empty and missing descriptions", () => {
+		expect(motd.formatDescription(undefined)).toEqual({
+			clean: "",
+			spans: [],
+			ansi: "",
+			html: "",
+		});
+		expect(motd.formatDescription({ text: "" }).clean).toBe("");
+	});
+
+	it("should render ANSI escape codes", () => {
+		const spans = motd.flattenSpans(motd.parseDescription("§c§lHi§r there"));
+		expect(motd.toAnsi(spans)).toBe(
+			"\x1b[0;38;2;255;85;85;1mHi\x1b[0m there\x1b[0m"
+		);
+	});
+
+	it("should render escaped HTML", () => {
+		const spans = motd.flattenSpans(
+			motd.parseDescription({
+				text: "<b>&\n",
+				color: "aqua",
+				underlined: true,
+				strikethrough: true,
+				extra: [{ text: "x", obfuscated: true, color: "reset" }],
+			})
+		);
+		expect(motd.toHtml(spans)).toBe(
+			'<span style="color: #55FFFF; text-decoration: underline line-through">&lt;b&gt;&amp;<br></span>' +
+				'<span class="obfuscated" style="text-decoration: underline line-through">x</span>'
+		);
+	});
+
+	it("should use the Bedrock palette for Bedrock text", () => {
+		const formatted = motd.formatBedrockText("§l§gCoins §mRedstone§r §nCopper");
+		expect(formatted.clean).toBe("Coins Redstone Copper");
+		expect(formatted.spans).toEqual([
+			{ ...plain, color: "#DDD605", bold: true, text: "Coins " },
+			{ ...plain, color: "#971607", bold: true, text: "Redstone" },
+			{ ...plain, text: " " },
+			{ ...plain, color: "#B4684D", text: "Copper" },
+		]);
+	});
+});
@@ -0,0 +1,213 @@
+import { describe, it, expect } from "vitest";
+import {
+	PacketReader,
+	PacketWriter,
+	PacketError,
+	readFrame,
+	createFrameDecoder,
+	ERR_PACKET_BUFFER_UNDERFLOW,
+	ERR_PACKET_MALFORMED,
+	ERR_PACKET_INVALID_VALUE,
+} from "../lib/packet.js";
+import * as varint from "../lib/varint.js";
+
+describe("packet.js", () => {
+	describe("PacketWriter and PacketReader", () => {
+		it("should round-trip every type", () => {
+			const buffer = new PacketWriter()
+				.writeVarInt(-1)
+				.writeVarLong(-9223372036854775808n)
+				.writeBoolean(true)
+				.writeByte(-128)
+				.writeUnsignedByte(255)
+				.writeShort(-32768)
+				.writeUnsignedShort(25565)
+				.writeInt(-2147483648)
+				.writeLong(1234567890123456789n)
+				.writeString("Hello, wörld! ✨")
+				.writeUUID("069a79f444e94726a5befca90e38aaf5")
+				.writePosition({ x: -33554432, y: 2047, z: 33554431 })
+				.writeBytes(Buffer.from([1, 2, 3]))
+				.toBuffer();
+
+			const reader = new PacketReader(buffer);
+			expect(reader.readVarInt()).toBe(-1);
+			expect(reader.readVarLong()).toBe(-9223372036854775808n);
+			expect(reader.readBoolean()).toBe(true);
+			expect(reader.readByte()).toBe(-128);
+			expect(reader.readUnsignedByte()).toBe(255);
+			expect(reader.readShort()).toBe(-32768);
+			expect(reader.readUnsignedShort()).toBe(25565);
+			expect(reader.readInt()).toBe(-2147483648);
+			expect(reader.readLong()).toBe(1234567890123456789n);
+			expect(reader.readString()).toBe("Hello, wörld! ✨");
+			expect(reader.readUUID()).toBe("069a79f4-44e9-4726-a5be-fca90e38aaf5");
+			expect(reader.readPosition()).toEqual({
+				x: -33554432,
+				y: 2047,
+				z: 33554431,
+			});
+			expect(reader.readRemaining()).toEqual(Buffer.from([1, 2, 3]));
+			expect(reader.remaining).toBe(0);
+		});
+
+		it("should pack a Position as X, Z and Y", () => {
+			// The example from the protocol documentation
+			const buffer = new PacketWriter()
+				.writePosition({ x: 18357644, y: 831, z: -20882616 })
+				.toBuffer();
+
+			expect(buffer.toString("hex")).toBe("4607632c15b4833f");
+			expect(new PacketReader(buffer).readPosition()).toEqual({
+				x: 18357644,
+				y: 831,
+				z: -20882616,
+			});
+		});
+
+		it("should frame a packet with its length", () => {
+			const packet = new PacketWriter()
+				.writeVarInt(0x00)
+				.writeString("mc.example.com")
+				.toPacket();
+
+			expect(packet).toEqual(
+				varint.concatPackets([
+					varint.encodeVarInt(0x00),
+					varint.encodeVarInt(14),
+					Buffer.from("mc.example.com"),
+				])
+			);
+		});
+
+		it.each([
+			["a VarInt", (writer) => writer.writeVarInt(2 ** 31)],
+			["a VarLong", (writer) => writer.writeVarLong(2n ** 63n)],
+			["a Byte", (writer) => writer.writeByte(128)],
+			["an Unsigned Short", (writer) => writer.writeUnsignedShort(65536)],
+			["a Long", (writer) => writer.writeLong(-(2n ** 63n) - 1n)],
+			["a String", (writer) => writer.writeString("abc", 2)],
+			["a UUID", (writer) => writer.writeUUID("not-a-uuid")],
+			["a Position", (writer) => writer.writePosition({ x: 0, y: 2048, z: 0 })],
+		])("should reject an invalid value for %s", (_, write) => {
+			expect(() => write(new PacketWriter())).toThrow(
+				expect.objectContaining({
+					name: "PacketError",
+					code: ERR_PACKET_INVALID_VALUE,
+				})
+			);
+		});
+	});
+
+	describe("PacketReader", () => {
+		it.each([
+			["readVarInt", Buffer.from([0x80])],
+			["readVarLong", Buffer.from([0x80, 0x80])],
+			["readBoolean", Buffer.alloc(0)],
+			["readUnsignedShort", Buffer.from([0x01])],
+			["readLong", Buffer.alloc(7)],
+			["readUUID", Buffer.alloc(15)],
+			["readPosition", Buffer.alloc(4)],
+			["readString", Buffer.from([0x05, 0x61, 0x62])],
+		])(
+			"should report an underflow in %s and keep its place",
+			(method, buffer) => {
+				const reader = new PacketReader(buffer);
+
+				expect(() => reader[method]()).toThrow(
+					expect.objectContaining({ code: ERR_PACKET_BUFFER_UNDERFLOW })
+				);
+				expect(reader.offset).toBe(0);
+			}
+		);
+
+		it("should reject a String longer than the maximum", () => {
+			const buffer = new PacketWriter().writeString("abcdef").toBuffer();
+
+			expect(() => new PacketReader(buffer).readString(5)).toThrow(
+				"String of 6 characters is longer than the maximum of 5."
+			);
+			expect(() => new PacketReader(buffer).readString(1)).toThrow(
+				expect.objectContaining({ code: ERR_PACKET_MALFORMED })
+			);
+			expect(new PacketReader(buffer).readString(6)).toBe("abcdef");
+		});
+
+		it("should reject a malformed VarInt", () => {
+			expect(() =>
+				new PacketReader(Buffer.alloc(6, 0x80)).readVarInt()
+			).toThrow(expect.objectContaining({ code: ERR_PACKET_MALFORMED }));
+		});
+	});
+
+	describe("readFrame", () => {
+		const first = new PacketWriter().writeVarInt(0x00).toPacket();
+		const second = new PacketWriter()
+			.writeVarInt(0x01)
+			.writeLong(42n)
+			.toPacket();
+
+		it("should split the first packet off the buffer", () => {
+			const frame = readFrame(Buffer.concat([first, second]));
+
+			expect(frame.packet).toEqual(Buffer.from([0x00]));
+			expect(frame.remainder).toEqual(second);
+		});
+
+		it("should return null until the packet has fully arrived", () => {
+			expect(readFrame(Buffer.alloc(0))).toBeNull();
+			expect(readFrame(second.subarray(0, 5))).toBeNull();
+		});
+
+		it("should reject a length above the maximum", () => {
+			expect(() => readFrame(varint.encodeVarInt(2097152))).toThrow(
+				"Invalid packet length: 2097152. Expected at most 2097151 bytes."
+			);
+			expect(() => readFrame(second, 8)).toThrow(PacketError);
+		});
+	});
+
+	describe("createFrameDecoder", () => {
+		it("should split a stream of chunks into packets", async () => {
+			const packets = [
+				new PacketWriter().writeVarInt(0x00).writeString("a").toPacket(),
+				new PacketWriter().writeVarInt(0x01).writeLong(7n).toPacket(),
+				new PacketWriter()
+					.writeVarInt(0x02)
+					.writeBytes(Buffer.alloc(300))
+					.toPacket(),
+			];
+			const bytes = Buffer.concat(packets);
+			const decoder = createFrameDecoder();
+
+			// One byte at a time, then the rest at once
+			for (let i = 0; i < 10; i++) decoder.write(bytes.subarray(i, i + 1));
+			decoder.end(bytes.subarray(10));
+
+			const received = [];
+			for await (const packet of decoder) received.push(packet);
+
+			expect(received).toEqual(
+				packets.map((packet) => readFrame(packet).packet)
+			);
+		});
+
+		it("should fail on a bad length prefix", async () => {
+			const decoder = createFrameDecoder({ maxLength: 16 });
+			decoder.end(varint.encodeVarInt(17));
+
+			await expect(async () => {
+				for await (const packet of decoder) void packet;
+			}).rejects.toThrow("Invalid packet length: 17");
+		});
+
+		it("should fail if the stream ends in the middle of a packet", async () => {
+			const decoder = createFrameDecoder();
+			decoder.end(Buffer.from([0x05, 0x00]));
+
+			await expect(async () => {
+				for await (const packet of decoder) void packet;
+			}).rejects.toMatchObject({ code: ERR_PACKET_BUFFER_UNDERFLOW });
+		});
+	});
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { ping } from "../lib/ping.js";
+import { pingJava } from "../lib/java.js";
+import { pingBedrock } from "../lib/bedrock.js";
+import { AbortError, ProtocolError, TimeoutError } from "../lib/errors.js";
+
+vi.mock("../lib/java.js");
+vi.mock("../lib/bedrock.js");
+
+const javaResponse = {
+	version: { name: "1.21.5", protocol: 770 },
+	players: { max: 20, online: 3 },
+	description: "§aA Java Server",
+	formattedDescription: { clean: "A Java Server" },
+	latency: 12,
+};
+
+const bedrockResponse = {
+	edition: "MCPE",
+	name: "§bA Bedrock Server",
+	formattedName: { clean: "A Bedrock Server" },
+	version: { protocol: 800, minecraft: "1.21.84" },
+	players: { online: 1, max: 10 },
+	latency: 8,
+};
+
+describe("ping.js", () => {
+	beforeEach(() => {
+		vi.resetAllMocks();
+	});
+
+	it("should try both editions on their default ports", async () => {
+		pingJava.mockResolvedValue(javaResponse);
+		pingBedrock.mockRejectedValue(new Error("Socket timeout"));
+
+		await ping("play.example.com", { timeout: 1000 });
+
+		expect(pingJava).toHaveBeenCalledWith("play.example.com", {
+			timeout: 1000,
+			signal: expect.any(AbortSignal),
+		});
+		expect(pingBedrock).toHaveBeenCalledWith("play.example.com", {
+			timeout: 1000,
+			signal: expect.any(AbortSignal),
+		});
+	});
+
+	it("should use an explicit port for both editions", async () => {
+		pingJava.mockResolvedValue(javaResponse);
+		pingBedrock.mockResolvedValue(bedrockResponse);
+
+		await ping("play.example.com", { port: 25570 });
+
+		expect(pingJava).toHaveBeenCalledWith("play.example.com", {
+			port: 25570,
+			timeout: 5000,
+			signal: expect.any(AbortSignal),
+		});
+		expect(pingBedrock).toHaveBeenCalledWith("play.example.com", {
+			port: 25570,
+			timeout: 5000,
+			signal: expect.any(AbortSignal),
+		});
+	});
+
+	it("should pass the port of the address to both editions", async () => {
+		pingJava.mockResolvedValue(javaResponse);
+		pingBedrock.mockResolvedValue(bedrockResponse);
+
+		await ping(" play.example.com:25570 ");
+
+		const address = { host: "play.example.com", port: 25570 };
+		const attemptOptions = { timeout: 5000, signal: expect.any(AbortSignal) };
+		expect(pingJava).toHaveBeenCalledWith(address, attemptOptions);
+		expect(pingBedrock).toHaveBeenCalledWith(address, attemptOptions);
+	});
+
+	it("should normalize a Java response", async () => {
+		pingJava.mockResolvedValue(javaResponse);
+		pingBedrock.mockRejectedValue(new Error("Socket timeout"));
+
+		expect(await ping("play.example.com")).toEqual({
+			edition: "java",
+			name: "A Java Server",
+			version: { name: "1.21.5", protocol: 770 },
+			players: { online: 3, max: 20 },
+			latency: 12,
+			raw: javaResponse,
+		});
+	});
+
+	it("should normalize a Bedrock response", async () => {
+		pingJava.mockRejectedValue(new Error("ECONNREFUSED"));
+		pingBedrock.mockResolvedValue(bedrockResponse);
+
+		expect(await ping("play.example.com")).toEqual({
+			edition: "bedrock",
+			name: "A Bedrock Server",
+			version: { name: "1.21.84", protocol: 800 },
+			players: { online: 1, max: 10 },
+			latency: 8,
+			raw: bedrockResponse,
+		});
+	});
+
+	it("should resolve with whichever edition answers first", async () => {
+		let resolveJava;
+		pingJava.mockReturnValue(new Promise((resolve) => (resolveJava = resolve)));
+		pingBedrock.mockResolvedValue(bedrockResponse);
+
+		const result = await ping("play.example.com");
+		resolveJava(javaResponse);
+
+		expect(result.edition).toBe("bedrock");
+	});
+
+	it("should cancel the other edition once one answers", async () => {
+		pingJava.mockResolvedValue(javaResponse);
+		pingBedrock.mockImplementation(
+			(_, { signal }) =>
+				new Promise((_resolve, reject) => {
+					signal.addEventListener("abort", () =>
+						reject(new AbortError("The operation was aborted."))
+					);
+				})
+		);
+
+		const result = await ping("play.example.com");
+
+		expect(result.edition).toBe("java");
+		expect(pingBedrock.mock.calls[0][1].signal.aborted).toBe(true);
+	});
+
+	it("should default missing Java player counts to zero", async () => {
+		const { players, ...withoutPlayers } = javaResponse;
+		pingJava.mockResolvedValue(withoutPlayers);
+		pingBedrock.mockRejectedValue(new Error("Socket timeout"));
+
+		const result = await ping("play.example.com");
+		expect(result.players).toEqual({ online: 0, max: 0 });
+	});
+
+	describe("errors", () => {
+		it("should throw an error if host is not provided", async () => {
+			await expect(ping("")).rejects.toThrow("Host argument is required");
+		});
+
+		it("should reject with both reasons when neither edition answers", async () => {
+			pingJava.mockRejectedValue(new Error("ECONNREFUSED"));
+			pingBedrock.mockRejectedValue(new Error("Socket timeout"));
+
+			await expect(ping("play.example.com")).rejects.toThrow(
+				"Server did not answer as Java (ECONNREFUSED) or Bedrock (Socket timeout)."
+			);
+		});
+
+		it("should pass the signal on and reject once aborted", async () => {
+			const controller = new AbortController();
+			const hang = (_, { signal }) =>
+				new Promise((_resolve, reject) => {
+					signal.addEventListener("abort", () =>
+						reject(new AbortError("The operation was aborted."))
+					);
+				});
+			pingJava.mockImplementation(hang);
+			pingBedrock.mockImplementation(hang);
+
+			const pingPromise = ping("play.example.com", {
+				signal: controller.signal,
+			});
+			controller.abort();
+
+			await expect(pingPromise).rejects.toMatchObject({ code: "ABORTED" });
+			expect(pingJava.mock.calls[0][1].signal.aborted).toBe(true);
+			expect(pingBedrock.mock.calls[0][1].signal.aborted).toBe(true);
+		});
+
+		it("should keep the code of an edition that answered wrongly", async () => {
+			const javaError = new TimeoutError("Socket timeout", {
+				host: "play.example.com",
+				port: 25565,
+				phase: "connect",
+			});
+			const bedrockError = new ProtocolError(
+				"Unexpected packet ID",
+				undefined,
+				{
+					host: "play.example.com",
+					port: 19132,
+					phase: "read",
+				}
+			);
+			pingJava.mockRejectedValue(javaError);
+			pingBedrock.mockRejectedValue(bedrockError);
+
+			await expect(ping("play.example.com")).rejects.toMatchObject({
+				code: "PROTOCOL_ERROR",
+				port: 19132,
+				phase: "read",
+				cause: bedrockError,
+			});
+		});
+	});
+});
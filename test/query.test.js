@@ -0,0 +1,412 @@
+import dgram from "node:dgram";
+import { lookup } from "node:dns/promises";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { queryServer } from "../lib/query.js";
+
+vi.mock("node:dgram");
+vi.mock("node:dns/promises", () => ({ lookup: vi.fn() }));
+
+// The address every hostname resolves to
+const ADDRESS = "203.0.113.7";
+// Where the answers of the server come from
+const SERVER = { address: ADDRESS, port: 25565 };
+
+describe("query.js", () => {
+	let mockSocket;
+
+	beforeEach(() => {
+		// A store for event handlers, closed over by the mockSocket.
+		const handlers = {};
+
+		// Create a stateful mock socket to simulate EventEmitter.
+		mockSocket = {
+			send: vi.fn(),
+			close: vi.fn(),
+			on: vi.fn((event, handler) => {
+				handlers[event] = handler;
+			}),
+			emit: vi.fn((event, ...args) => {
+				if (handlers[event]) {
+					handlers[event](...args);
+				}
+			}),
+		};
+
+		dgram.createSocket = vi.fn().mockReturnValue(mockSocket);
+		lookup.mockResolvedValue({ address: ADDRESS, family: 4 });
+		vi.useFakeTimers();
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+		vi.useRealTimers();
+	});
+
+	// Waits until the given number of packets have been sent,
+	// flushing microtasks only so the fake clock does not move.
+	const waitForSend = async (times = 1) => {
+		for (let i = 0; i < 100; i++) {
+			if (mockSocket.send.mock.calls.length >= times) break;
+			await Promise.resolve();
+		}
+		expect(mockSocket.send).toHaveBeenCalledTimes(times);
+	};
+
+	// Reads the session ID from the handshake that was sent.
+	const getSessionId = () => mockSocket.send.mock.calls[0][0].readInt32BE(3);
+
+	it("should perform the handshake and parse a basic stat", async () => {
+		const pingPromise = queryServer("play.example.com", { port: 25565 });
+		await waitForSend();
+
+		const handshake = mockSocket.send.mock.calls[0][0];
+		expect(handshake).toEqual(
+			Buffer.from([0xfe, 0xfd, 0x09, ...handshake.subarray(3, 7)])
+		);
+		const sessionId = getSessionId();
+
+		mockSocket.emit(
+			"message",
+			createMockPacket(0x09, sessionId, Buffer.from("9513307\0")),
+			SERVER
+		);
+
+		const statRequest = mockSocket.send.mock.calls[1][0];
+		expect(statRequest.length).toBe(11);
+		expect(statRequest.readUInt8(2)).toBe(0x00);
+		expect(statRequest.readInt32BE(7)).toBe(9513307);
+
+		const hostPort = Buffer.alloc(2);
+		hostPort.writeUInt16LE(25565, 0);
+		const body = Buffer.concat([
+			Buffer.from("A Minecraft Server\0SMP\0world\0" + "2\0" + "20\0"),
+			hostPort,
+			Buffer.from("127.0.0.1\0"),
+		]);
+		mockSocket.emit("message", createMockPacket(0x00, sessionId, body), SERVER);
+
+		const result = await pingPromise;
+		expect(mockSocket.close).toHaveBeenCalled();
+		expect(result).toEqual({
+			motd: "A Minecraft Server",
+			gameType: "SMP",
+			map: "world",
+			players: { online: 2, max: 20 },
+			host: { ip: "127.0.0.1", port: 25565 },
+		});
+	});
+
+	it("should request and parse a full stat", async () => {
+		const pingPromise = queryServer("play.example.com", { full: true });
+		await waitForSend();
+		const sessionId = getSessionId();
+
+		// Tokens that overflow an int32 are wrapped around
+		mockSocket.emit(
+			"message",
+			createMockPacket(0x09, sessionId, Buffer.from("-2147483648\0")),
+			SERVER
+		);
+
+		const statRequest = mockSocket.send.mock.calls[1][0];
+		expect(statRequest.length).toBe(15);
+		expect(statRequest.readInt32BE(7)).toBe(-2147483648);
+
+		const kv = [
+			"hostname",
+			"A Minecraft Server",
+			"gametype",
+			"SMP",
+			"game_id",
+			"MINECRAFT",
+			"version",
+			"1.21.5",
+			"plugins",
+			"Paper on Bukkit 1.21.5: WorldEdit 7.3.0; EssentialsX 2.20.1",
+			"map",
+			"world",
+			"numplayers",
+			"2",
+			"maxplayers",
+			"20",
+			"hostport",
+			"25565",
+			"hostip",
+			"0.0.0.0",
+		];
+		const body = Buffer.concat([
+			Buffer.from("splitnum\0\x80\0", "latin1"),
+			Buffer.from(kv.join("\0") + "\0\0"),
+			Buffer.from("\x01player_\0\0", "latin1"),
+			Buffer.from("Notch\0jeb_\0\0"),
+		]);
+		mockSocket.emit("message", createMockPacket(0x00, sessionId, body), SERVER);
+
+		const result = await pingPromise;
+		expect(result).toEqual({
+			motd: "A Minecraft Server",
+			gameType: "SMP",
+			gameId: "MINECRAFT",
+			version: "1.21.5",
+			software: "Paper on Bukkit 1.21.5",
+			plugins: ["WorldEdit 7.3.0", "EssentialsX 2.20.1"],
+			map: "world",
+			players: { online: 2, max: 20, list: ["Notch", "jeb_"] },
+			host: { ip: "0.0.0.0", port: 25565 },
+			data: Object.fromEntries(
+				kv.flatMap((_, i) => (i % 2 === 0 ? [[kv[i], kv[i + 1]]] : []))
+			),
+		});
+	});
+
+	it("should parse a full stat from a Bedrock server without plugins", async () => {
+		const pingPromise = queryServer("play.example.com", {
+			port: 19132,
+			full: true,
+		});
+		await waitForSend();
+		const sessionId = getSessionId();
+		mockSocket.emit(
+			"message",
+			createMockPacket(0x09, sessionId, Buffer.from("1\0")),
+			{ ...SERVER, port: 19132 }
+		);
+
+		const body = Buffer.concat([
+			Buffer.from("splitnum\0\x80\0", "latin1"),
+			Buffer.from(
+				"hostname\0Dedicated Server\0game_id\0MINECRAFTPE\0plugins\0\0numplayers\0" +
+					"0\0maxplayers\0" +
+					"10\0\0"
+			),
+			Buffer.from("\x01player_\0\0", "latin1"),
+			Buffer.from("\0"),
+		]);
+		mockSocket.emit("message", createMockPacket(0x00, sessionId, body), {
+			...SERVER,
+			port: 19132,
+		});
+
+		const result = await pingPromise;
+		expect(result.gameId).toBe("MINECRAFTPE");
+		expect(result.software).toBeUndefined();
+		expect(result.plugins).toEqual([]);
+		expect(result.players).toEqual({ online: 0, max: 10, list: [] });
+	});
+
+	it("should ignore datagrams from another session or another sender", async () => {
+		const pingPromise = queryServer("play.example.com");
+		await waitForSend();
+		const sessionId = getSessionId();
+		const token = Buffer.from("1\0");
+
+		mockSocket.emit(
+			"message",
+			createMockPacket(0x09, sessionId ^ 1, token),
+			SERVER
+		);
+		mockSocket.emit("message", createMockPacket(0x09, sessionId, token), {
+			address: "198.51.100.1",
+			port: 25565,
+		});
+		mockSocket.emit("message", createMockPacket(0x09, sessionId, token), {
+			address: ADDRESS,
+			port: 25566,
+		});
+		expect(mockSocket.send).toHaveBeenCalledTimes(1);
+
+		mockSocket.emit(
+			"message",
+			createMockPacket(0x09, sessionId, token),
+			SERVER
+		);
+		expect(mockSocket.send).toHaveBeenCalledTimes(2);
+		mockSocket.emit(
+			"message",
+			createMockPacket(
+				0x00,
+				sessionId,
+				Buffer.from(
+					"A Minecraft Server\0SMP\0world\0" + "0\0" + "20\0\x00\x00\0"
+				)
+			),
+			SERVER
+		);
+
+		expect((await pingPromise).motd).toBe("A Minecraft Server");
+	});
+
+	describe("IPv6", () => {
+		it("should query an IPv6 literal over a udp6 socket", async () => {
+			const pingPromise = queryServer("[2001:db8::1]:25575");
+			pingPromise.catch(() => {});
+			await waitForSend();
+
+			expect(lookup).not.toHaveBeenCalled();
+			expect(dgram.createSocket).toHaveBeenCalledWith("udp6");
+			expect(mockSocket.send).toHaveBeenCalledWith(
+				expect.any(Buffer),
+				0,
+				7,
+				25575,
+				"2001:db8::1"
+			);
+		});
+
+		it("should pick the socket from the family the host resolves to", async () => {
+			lookup.mockResolvedValue({ address: "2001:db8::2", family: 6 });
+			const pingPromise = queryServer("play.example.com");
+			pingPromise.catch(() => {});
+			await waitForSend();
+
+			expect(lookup).toHaveBeenCalledWith("play.example.com");
+			expect(dgram.createSocket).toHaveBeenCalledWith("udp6");
+			expect(mockSocket.send).toHaveBeenCalledWith(
+				expect.any(Buffer),
+				0,
+				7,
+				25565,
+				"2001:db8::2"
+			);
+		});
+
+		it("should query a server listening on the IPv6 loopback", async () => {
+			vi.useRealTimers();
+			const actual = await vi.importActual("node:dgram");
+			dgram.createSocket = actual.createSocket;
+			const server = actual.createSocket("udp6");
+			server.on("message", (packet, remote) => {
+				const sessionId = packet.readInt32BE(3);
+				const reply =
+					packet.readUInt8(2) === 0x09
+						? createMockPacket(0x09, sessionId, Buffer.from("1\0"))
+						: createMockPacket(
+								0x00,
+								sessionId,
+								Buffer.from(
+									"IPv6 Server\0SMP\0world\0" + "0\0" + "8\0\0\0::1\0"
+								)
+							);
+				server.send(reply, remote.port, remote.address);
+			});
+			await new Promise((resolve) => server.bind(0, "::1", resolve));
+
+			try {
+				const result = await queryServer(`[::1]:${server.address().port}`, {
+					timeout: 1000,
+				});
+				expect(result.motd).toBe("IPv6 Server");
+				expect(result.players).toEqual({ online: 0, max: 8 });
+			} finally {
+				server.close();
+			}
+		});
+	});
+
+	describe("errors", () => {
+		it("should throw an error if host is not provided", async () => {
+			await expect(queryServer(null)).rejects.toThrow(
+				"Host argument is required"
+			);
+		});
+
+		it("should report a failed lookup as a DNS failure", async () => {
+			lookup.mockRejectedValue(
+				Object.assign(new Error("getaddrinfo ENOTFOUND"), {
+					code: "ENOTFOUND",
+				})
+			);
+
+			await expect(queryServer("play.example.com")).rejects.toMatchObject({
+				name: "DnsError",
+				code: "DNS_FAILURE",
+				host: "play.example.com",
+				phase: "dns",
+			});
+			expect(dgram.createSocket).not.toHaveBeenCalled();
+		});
+
+		it("should reject on socket timeout", async () => {
+			const pingPromise = queryServer("play.example.com", { timeout: 1000 });
+			await waitForSend();
+
+			vi.advanceTimersByTime(1000);
+
+			await expect(pingPromise).rejects.toThrow("Socket timeout");
+			await expect(pingPromise).rejects.toMatchObject({
+				code: "TIMEOUT",
+				host: "play.example.com",
+				port: 25565,
+				phase: "handshake",
+			});
+			expect(mockSocket.close).toHaveBeenCalled();
+		});
+
+		it("should abort the query and clean up", async () => {
+			const controller = new AbortController();
+			const pingPromise = queryServer("play.example.com", {
+				signal: controller.signal,
+			});
+			await waitForSend();
+
+			controller.abort();
+
+			await expect(pingPromise).rejects.toMatchObject({
+				code: "ABORTED",
+				phase: "handshake",
+			});
+			expect(mockSocket.close).toHaveBeenCalled();
+		});
+
+		it("should reject an invalid challenge token", async () => {
+			const pingPromise = queryServer("play.example.com");
+			await waitForSend();
+
+			mockSocket.emit(
+				"message",
+				createMockPacket(0x09, getSessionId(), Buffer.from("nope\0")),
+				SERVER
+			);
+
+			await expect(pingPromise).rejects.toThrow("Invalid challenge token");
+		});
+
+		it("should reject a truncated stat response", async () => {
+			const pingPromise = queryServer("play.example.com");
+			await waitForSend();
+			const sessionId = getSessionId();
+
+			mockSocket.emit(
+				"message",
+				createMockPacket(0x09, sessionId, Buffer.from("1\0")),
+				SERVER
+			);
+			mockSocket.emit(
+				"message",
+				createMockPacket(0x00, sessionId, Buffer.from("A Minecraft")),
+				SERVER
+			);
+
+			await expect(pingPromise).rejects.toThrow("unterminated string");
+			await expect(pingPromise).rejects.toMatchObject({
+				code: "MALFORMED_RESPONSE",
+				phase: "read",
+			});
+		});
+	});
+});
+
+/**
+ * Creates a mock Query response packet.
+ * Structure: [Type] [Session ID] [Payload]
+ * @param {number} type The response type
+ * @param {number} sessionId The session ID to echo
+ * @param {Buffer} payload The response payload
+ * @returns {Buffer}
+ */
+function createMockPacket(type, sessionId, payload) {
+	const header = Buffer.alloc(5);
+	header.writeUInt8(type, 0);
+	header.writeInt32BE(sessionId, 1);
+	return Buffer.concat([header, payload]);
+}
@@ -0,0 +1,175 @@
+import { describe, it, expect } from "vitest";
+import { validateJavaStatus } from "../lib/schema.js";
+
+const validStatus = {
+	version: { name: "1.21.5", protocol: 770 },
+	players: {
+		max: 20,
+		online: 1,
+		sample: [{ name: "Notch", id: "069a79f4-44e9-4726-a5be-fca90e38aaf5" }],
+	},
+	description: { text: "A Minecraft Server" },
+	favicon: "data:image/png;base64,iVBORw0KGgo=",
+	enforcesSecureChat: true,
+};
+
+describe("schema.js", () => {
+	it("should pass a valid response through untouched", () => {
+		const { response, warnings } = validateJavaStatus(validStatus);
+		expect(response).toEqual(validStatus);
+		expect(warnings).toEqual([]);
+	});
+
+	it("should keep fields it does not know", () => {
+		const { response } = validateJavaStatus({
+			...validStatus,
+			forgeData: { fmlNetworkVersion: 3 },
+		});
+		expect(response.forgeData).toEqual({ fmlNetworkVersion: 3 });
+	});
+
+	it("should remove the fields the library sets itself", () => {
+		const { response, warnings } = validateJavaStatus({
+			...validStatus,
+			latency: "fast",
+			srv: "none",
+			timings: [1, 2, 3],
+			forge: { mods: "all of them" },
+			warnings: 42,
+			formattedDescription: null,
+		});
+		expect(response).toEqual(validStatus);
+		expect(warnings).toEqual([]);
+	});
+
+	it("should not modify the original response", () => {
+		const raw = { ...validStatus, players: { max: "20", online: -1 } };
+		validateJavaStatus(raw);
+		expect(raw.players).toEqual({ max: "20", online: -1 });
+	});
+
+	describe("lenient mode", () => {
+		it("should coerce counts sent as strings", () => {
+			const { response, warnings } = validateJavaStatus({
+				...validStatus,
+				players: { max: "100", online: "5" },
+			});
+			expect(response.players).toEqual({ max: 100, online: 5 });
+			expect(warnings).toEqual([
+				'players.max should be a number, got "100"; coerced.',
+				'players.online should be a number, got "5"; coerced.',
+			]);
+		});
+
+		it("should clamp negative counts to zero", () => {
+			const { response, warnings } = validateJavaStatus({
+				...validStatus,
+				players: { max: 20, online: -3 },
+			});
+			expect(response.players).toEqual({ max: 20, online: 0 });
+			expect(warnings).toEqual([
+				"players.online should not be below 0, got -3; used 0.",
+			]);
+		});
+
+		it("should fill in a missing version", () => {
+			const { version, ...withoutVersion } = validStatus;
+			const { response, warnings } = validateJavaStatus(withoutVersion);
+			expect(response.version).toEqual({ name: "", protocol: -1 });
+			expect(warnings).toHaveLength(1);
+		});
+
+		it("should repair the version fields", () => {
+			const { response } = validateJavaStatus({
+				version: { name: 1.8, protocol: "47" },
+			});
+			expect(response.version).toEqual({ name: "1.8", protocol: 47 });
+		});
+
+		it("should remove sample entries with an invalid UUID or name", () => {
+			const { response, warnings } = validateJavaStatus({
+				...validStatus,
+				players: {
+					max: 20,
+					online: 3,
+					sample: [
+						{ name: "§aWelcome!", id: "00000000-0000-0000-0000-000000000000" },
+						{ name: "Steve", id: "not-a-uuid" },
+						{ id: "069a79f444e94726a5befca90e38aaf5" },
+						null,
+					],
+				},
+			});
+			expect(response.players.sample).toEqual([
+				{ name: "§aWelcome!", id: "00000000-0000-0000-0000-000000000000" },
+			]);
+			expect(warnings).toEqual([
+				'players.sample[1].id should be a UUID, got "not-a-uuid"; removed the entry.',
+				"players.sample[2].name should be a string, got nothing; removed the entry.",
+				"players.sample[3] should be an object, got null; removed.",
+			]);
+		});
+
+		it("should remove fields of the wrong type", () => {
+			const { response, warnings } = validateJavaStatus({
+				version: validStatus.version,
+				players: "lots",
+				description: null,
+				favicon: 42,
+				enforcesSecureChat: "yes",
+				preventsChatReports: 1,
+			});
+			expect(response).toEqual({ version: validStatus.version });
+			expect(warnings).toHaveLength(5);
+		});
+
+		it("should coerce a numeric description", () => {
+			const { response } = validateJavaStatus({
+				version: validStatus.version,
+				description: 2024,
+			});
+			expect(response.description).toBe("2024");
+		});
+	});
+
+	describe("strict mode", () => {
+		it("should accept a valid response", () => {
+			expect(validateJavaStatus(validStatus, { strict: true })).toEqual({
+				response: validStatus,
+				warnings: [],
+			});
+		});
+
+		it("should reject with every bad field", () => {
+			expect(() =>
+				validateJavaStatus(
+					{
+						version: { name: "1.21.5" },
+						players: { max: 20, online: "5" },
+					},
+					{ strict: true }
+				)
+			).toThrow(
+				'Invalid status response: version.protocol should be an integer, got nothing; players.online should be a number, got "5".'
+			);
+		});
+
+		it("should reject with a malformed response error", () => {
+			expect(() =>
+				validateJavaStatus(
+					{ players: { max: -1, online: 0 } },
+					{ strict: true }
+				)
+			).toThrow(expect.objectContaining({ code: "MALFORMED_RESPONSE" }));
+		});
+	});
+
+	it.each([null, [], "status", 42])("should reject %j in both modes", (raw) => {
+		expect(() => validateJavaStatus(raw)).toThrow(
+			"Invalid status response: expected a JSON object"
+		);
+		expect(() => validateJavaStatus(raw, { strict: true })).toThrow(
+			expect.objectContaining({ code: "MALFORMED_RESPONSE" })
+		);
+	});
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createSharedController, shareSignal } from "../lib/signal.js";
+
+describe("signal.js", () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it("should let any number of listeners wait on a shared signal", () => {
+		const emitWarning = vi.spyOn(process, "emitWarning");
+		const { signal } = createSharedController();
+
+		for (let i = 0; i < 20; i++) signal.addEventListener("abort", () => {});
+
+		expect(emitWarning).not.toHaveBeenCalled();
+	});
+
+	it("should abort the shared signal along with the caller's", () => {
+		const controller = new AbortController();
+		const shared = shareSignal(controller.signal);
+		const reason = new Error("stop");
+
+		expect(shared.signal).not.toBe(controller.signal);
+		expect(shared.signal.aborted).toBe(false);
+		controller.abort(reason);
+		expect(shared.signal.aborted).toBe(true);
+		expect(shared.signal.reason).toBe(reason);
+	});
+
+	it("should share a signal that is already aborted", () => {
+		const controller = new AbortController();
+		controller.abort();
+
+		expect(shareSignal(controller.signal).signal.aborted).toBe(true);
+	});
+
+	it("should stop following the caller's signal once unlinked", () => {
+		const controller = new AbortController();
+		const shared = shareSignal(controller.signal);
+
+		shared.unlink();
+		controller.abort();
+
+		expect(shared.signal.aborted).toBe(false);
+	});
+});
@@ -58,4 +58,37 @@ describe("varint.js", () => {
 		const decodedPayload = finalPacket.subarray(bytesRead);
 		expect(decodedPayload).toEqual(payload);
 	});
+
+	it("should encode and decode VarLongs symmetrically (round-trip)", () => {
+		const testValues = [
+			[0n, "00"],
+			[127n, "7f"],
+			[128n, "8001"],
+			[2147483647n, "ffffffff07"],
+			[9223372036854775807n, "ffffffffffffffff7f"],
+			[-1n, "ffffffffffffffffff01"],
+			[-9223372036854775808n, "80808080808080808001"],
+		];
+
+		testValues.forEach(([value, hex]) => {
+			const encoded = varint.encodeVarLong(value);
+			expect(encoded.toString("hex"), `Value ${value} encoding`).toBe(hex);
+			expect(varint.decodeVarLong(encoded, 0)).toEqual({
+				value,
+				bytesRead: encoded.length,
+			});
+		});
+	});
+
+	it("should reject truncated, malformed and oversized VarLongs", () => {
+		expect(() => varint.decodeVarLong(Buffer.from([0x80, 0x80]), 0)).toThrow(
+			expect.objectContaining({ code: varint.ERR_VARINT_BUFFER_UNDERFLOW })
+		);
+		expect(() => varint.decodeVarLong(Buffer.alloc(11, 0x80), 0)).toThrow(
+			expect.objectContaining({ code: varint.ERR_VARINT_MALFORMED })
+		);
+		expect(() => varint.encodeVarLong(2n ** 64n)).toThrow(
+			expect.objectContaining({ code: varint.ERR_VARINT_ENCODE_TOO_LARGE })
+		);
+	});
 });
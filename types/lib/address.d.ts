@@ -0,0 +1,51 @@
+/**
+ * Parses a server address the way users type it, e.g. in the vanilla client's address field.
+ * Accepts `host`, `host:port`, a bare IPv6 address, `[ipv6]:port` and `minecraft://host:port` URIs.
+ * Surrounding whitespace and a trailing dot on host names are ignored.
+ * @param {string} input - The address to parse.
+ * @returns {ParsedAddress}
+ * @throws {InvalidArgumentError} If the address is empty, the host is not a valid host name or IP address,
+ * or the port is not a number between 1 and 65535.
+ */
+export function parseAddress(input: string): ParsedAddress;
+export function toAddress(input: AddressInput): ParsedAddress;
+export function formatAddress({ host, port }: {
+    host: string;
+    port?: number;
+}): string;
+/**
+ * A server address, split and normalized.
+ */
+export type ParsedAddress = {
+    /**
+     * - The host name or IP address, without brackets or a trailing dot. Host names are lower-cased,
+     * and international ones are converted to Punycode. IPv6 addresses are written the way Node reports them, e.g. `::1`
+     * for `0:0:0:0:0:0:0:1`.
+     */
+    host: string;
+    /**
+     * - The port, only if the address had one.
+     */
+    port?: number;
+    /**
+     * - What kind of host it is.
+     */
+    type: "hostname" | "ipv4" | "ipv6";
+    /**
+     * - True for `localhost`, `127.0.0.0/8` and `::1`.
+     */
+    loopback: boolean;
+    /**
+     * - True for private, carrier-grade NAT and link-local ranges, e.g. `192.168.0.0/16` and `fc00::/7`.
+     * Host names are not resolved, so they are never private.
+     */
+    private: boolean;
+};
+/**
+ * The address argument of the ping functions: an address string to parse, or an address `parseAddress` returned.
+ * A port in the address takes precedence over the `port` option.
+ */
+export type AddressInput = string | {
+    host: string;
+    port?: number;
+};
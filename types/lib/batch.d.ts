@@ -0,0 +1,61 @@
+/**
+ * Pings many Java and Bedrock servers with a limit on how many run at once.
+ * Results are yielded as soon as each ping settles, in completion order.
+ * A failing target is reported as a rejected result and never stops the batch.
+ * @param {Iterable<string | PingTarget>} targets - The servers to ping.
+ * @param {PingManyOptions} [options={}] - Optional configuration.
+ * @returns {AsyncGenerator<PingManyResult, void, undefined>}
+ */
+export function pingMany(targets: Iterable<string | PingTarget>, options?: PingManyOptions): AsyncGenerator<PingManyResult, void, undefined>;
+export function normalizeTarget(target: string | PingTarget, defaultEdition: "java" | "bedrock"): PingTarget;
+/**
+ * A server to ping. A bare string is treated as a host of the default edition.
+ */
+export type PingTarget = {
+    /**
+     * - The server address to ping. A port in it, as in `play.example.com:25566`, takes precedence over `port`.
+     */
+    host: string;
+    /**
+     * - The server port. Defaults to the edition's default port.
+     */
+    port?: number;
+    /**
+     * - The edition of the server. Defaults to the batch's `edition` option.
+     */
+    edition?: "java" | "bedrock";
+};
+/**
+ * The outcome of pinging one target, shaped like a `Promise.allSettled` result.
+ */
+export type PingManyResult = {
+    target: PingTarget;
+    status: "fulfilled";
+    value: import("./java.js").JavaPingResponse | import("./bedrock.js").BedrockPingResponse;
+} | {
+    target: PingTarget;
+    status: "rejected";
+    reason: unknown;
+};
+export type PingManyOptions = {
+    /**
+     * - The maximum number of pings in flight at once.
+     */
+    concurrency?: number;
+    /**
+     * - The timeout in milliseconds for each ping.
+     */
+    timeout?: number;
+    /**
+     * - The edition of targets that do not specify one.
+     */
+    edition?: "java" | "bedrock";
+    /**
+     * - Aborts every ping of the batch. Pings that are cut short are reported as rejected with an `AbortError`.
+     */
+    signal?: AbortSignal;
+    /**
+     * - Resolves the SRV records and host names of every ping. Pass a `createCachingResolver()` to share DNS answers across the batch.
+     */
+    resolver?: import("./dns.js").MinepingResolver;
+};
@@ -1,10 +1,19 @@
+/**
+ * Creates a Bedrock pinger that multiplexes many outstanding pings over a single UDP socket per IP family.
+ * Pongs are matched to their pings by the sender's address and port plus the echoed timestamp,
+ * so thousands of servers can be pinged without opening a socket for each one.
+ * Sockets are opened on first use and stay open until `close()` is called.
+ * @returns {BedrockPinger}
+ */
+export function createBedrockPinger(): BedrockPinger;
 /**
  * Asynchronously pings a Minecraft Bedrock server.
- * @param {string} host - The IP address or hostname of the server.
+ * @param {import("./address.js").AddressInput} address - The server address, e.g. `play.example.com` or `[2001:db8::1]:19133`.
  * @param {BedrockPingOptions} [options={}] - Optional configuration.
  * @returns {Promise<BedrockPingResponse>} A promise that resolves with the server's parsed MOTD.
+ * @throws {MinepingError} If the arguments are invalid or the ping fails. The `code` tells why.
  */
-export function pingBedrock(host: string, options?: BedrockPingOptions): Promise<BedrockPingResponse>;
+export function pingBedrock(address: import("./address.js").AddressInput, options?: BedrockPingOptions): Promise<BedrockPingResponse>;
 /**
  * Representation of raw, semicolon-delimited MOTD string.
  * This struct directly mirrors the fields and order from the server response.
@@ -81,6 +90,14 @@ export type BedrockPingResponse = {
      * - The name of the world or level being hosted.
      */
     levelName: string;
+    /**
+     * - The name with its `§` codes parsed into styled spans and rendered as plain text, ANSI and HTML.
+     */
+    formattedName: import("./motd.js").FormattedText;
+    /**
+     * - The level name, formatted the same way as `formattedName`.
+     */
+    formattedLevelName: import("./motd.js").FormattedText;
     /**
      * - The default gamemode of the server.
      */
@@ -118,6 +135,27 @@ export type BedrockPingResponse = {
      * - True if the server is in editor mode. See [Minecraft Editor Mode Documentation](https://learn.microsoft.com/en-us/minecraft/creator/documents/bedrockeditor/editoroverview?view=minecraft-bedrock-stable) for more details.
      */
     isEditorModeEnabled?: boolean;
+    /**
+     * - Round-trip time in milliseconds, computed from the timestamp echoed in the pong.
+     */
+    latency: number;
+    /**
+     * - How long each phase of the ping took. Only present with the `timings` option.
+     */
+    timings?: BedrockPingTimings;
+};
+/**
+ * How long each phase of a Bedrock ping took, in milliseconds.
+ */
+export type BedrockPingTimings = {
+    /**
+     * - The A/AAAA lookup of the host. Missing when pinging an IP address.
+     */
+    dnsLookup?: number;
+    /**
+     * - From sending the Unconnected Ping until the pong arrived.
+     */
+    ping: number;
 };
 export type BedrockPingOptions = {
     /**
@@ -128,4 +166,34 @@ export type BedrockPingOptions = {
      * - The timeout in milliseconds for the request.
      */
     timeout?: number;
+    /**
+     * - The IP family to ping over. `auto` uses the first address the host resolves to.
+     */
+    family?: 4 | 6 | "auto";
+    /**
+     * - With `family: "auto"`, race IPv6 and IPv4 when the host has both A and AAAA records, and take the first pong.
+     */
+    happyEyeballs?: boolean;
+    /**
+     * - Stops waiting for the pong, rejecting with an `AbortError`.
+     */
+    signal?: AbortSignal;
+    /**
+     * - Whether to add a phase-by-phase `timings` breakdown to the response.
+     */
+    timings?: boolean;
+    /**
+     * - Resolves the host, e.g. a `createCachingResolver()`. Defaults to the system resolver.
+     */
+    resolver?: import("./dns.js").MinepingResolver;
+};
+export type BedrockPinger = {
+    /**
+     * - Pings a server over the shared socket.
+     */
+    ping: (address: import("./address.js").AddressInput, options?: BedrockPingOptions) => Promise<BedrockPingResponse>;
+    /**
+     * - Closes the socket and rejects every outstanding ping.
+     */
+    close: () => void;
 };
@@ -0,0 +1,99 @@
+/**
+ * Parses the command line.
+ * @param {string[]} argv - The arguments, without the node executable and script.
+ * @returns {CliOptions}
+ * @throws {InvalidArgumentError} If the command line is invalid.
+ */
+export function parseArguments(argv: string[]): CliOptions;
+/**
+ * Runs the `mineping` tool.
+ * Every host is pinged in parallel, and the results are printed in argument order.
+ * In watch mode, the hosts are pinged again at every interval until the signal is aborted,
+ * and the exit code is that of the last complete round.
+ * @param {string[]} argv - The arguments, without the node executable and script.
+ * @param {CliStreams} [streams={}] - Where to print, and how to stop.
+ * @returns {Promise<number>} The exit code, see `EXIT_CODES`.
+ */
+export function runCli(argv: string[], streams?: CliStreams): Promise<number>;
+export namespace EXIT_CODES {
+    let OK: number;
+    let ERROR: number;
+    let USAGE: number;
+    let OFFLINE: number;
+    let TIMEOUT: number;
+    let PROTOCOL: number;
+    let INTERRUPTED: number;
+}
+export function getExitCode(err: unknown): number;
+export type CliOptions = {
+    /**
+     * - The subcommand.
+     */
+    command: "java" | "bedrock" | "auto" | "query";
+    /**
+     * - The hosts to ping, in argument order.
+     */
+    targets: Array<{
+        host: string;
+        port?: number;
+    }>;
+    /**
+     * - The timeout in milliseconds for each ping.
+     */
+    timeout: number;
+    /**
+     * - The interval in milliseconds between two rounds, if watching.
+     */
+    watch?: number;
+    /**
+     * - How to print the results.
+     */
+    format: "text" | "json" | "ndjson";
+    /**
+     * - Whether to request the full stat of a query.
+     */
+    full: boolean;
+    /**
+     * - Whether to print the usage instead.
+     */
+    help: boolean;
+};
+/**
+ * The outcome of pinging one host. `result` is a `PingResult`, or a `QueryResponse` for `query`.
+ */
+export type CliRecord = {
+    host: string;
+    port?: number;
+    time: string;
+    online: true;
+    result: any;
+} | {
+    host: string;
+    port?: number;
+    time: string;
+    online: false;
+    error: {
+        code: string | null;
+        message: string;
+        phase: string | null;
+    };
+};
+export type CliStreams = {
+    /**
+     * - Where results are printed.
+     */
+    stdout?: {
+        write: (chunk: string) => unknown;
+        isTTY?: boolean;
+    };
+    /**
+     * - Where errors are printed.
+     */
+    stderr?: {
+        write: (chunk: string) => unknown;
+    };
+    /**
+     * - Stops the run, e.g. on SIGINT. In watch mode, this is the only way to end it.
+     */
+    signal?: AbortSignal;
+};
@@ -0,0 +1,82 @@
+/**
+ * Anything that resolves host names, such as `dns.promises`, a `dns.promises.Resolver` or `createCachingResolver()`.
+ * Both methods are optional, the system resolver is used for whichever one is missing.
+ * @typedef {object} MinepingResolver
+ * @property {(hostname: string) => Promise<import("node:dns").SrvRecord[]>} [resolveSrv] - Resolves the SRV records of a name.
+ * @property {(hostname: string, options: { all: true, family: 0 | 4 | 6 }) => Promise<import("node:dns").LookupAddress[]>} [lookup] - Resolves a host name to its IPv4 and IPv6 addresses, like `dns.promises.lookup`.
+ */
+/**
+ * @typedef {object} CachingResolverOptions
+ * @property {string[]} [servers] - The DNS servers to query, as accepted by `dns.setServers()`. Defaults to the system's servers.
+ * @property {number} [timeout=5000] - The timeout in milliseconds for each try of a query.
+ * @property {number} [tries=3] - The number of tries for each query.
+ * @property {number} [defaultTtl=60] - How long, in seconds, to cache answers that come without a TTL. Node.js does not report the TTL of SRV records, nor of names answered by the system resolver.
+ * @property {number} [maxTtl=3600] - The longest time, in seconds, to cache any answer, whatever its TTL.
+ * @property {number} [negativeTtl=30] - How long, in seconds, to remember that a name has no such record.
+ */
+/**
+ * A resolver with both methods, `clear()` to empty its cache and `size`, the number of answers in it.
+ * Expired answers are dropped on the next query that misses the cache.
+ * @typedef {MinepingResolver & { resolveSrv: NonNullable<MinepingResolver["resolveSrv"]>, lookup: NonNullable<MinepingResolver["lookup"]>, clear: () => void, readonly size: number }} CachingResolver
+ */
+/**
+ * Creates a resolver that caches SRV records and addresses for as long as their TTL allows.
+ * Concurrent queries for the same name share a single request.
+ * Names the DNS servers do not know, like `localhost`, fall back to the system resolver.
+ * @param {CachingResolverOptions} [options={}] - Optional configuration.
+ * @returns {CachingResolver}
+ */
+export function createCachingResolver(options?: CachingResolverOptions): CachingResolver;
+/**
+ * Anything that resolves host names, such as `dns.promises`, a `dns.promises.Resolver` or `createCachingResolver()`.
+ * Both methods are optional, the system resolver is used for whichever one is missing.
+ */
+export type MinepingResolver = {
+    /**
+     * - Resolves the SRV records of a name.
+     */
+    resolveSrv?: (hostname: string) => Promise<import("node:dns").SrvRecord[]>;
+    /**
+     * - Resolves a host name to its IPv4 and IPv6 addresses, like `dns.promises.lookup`.
+     */
+    lookup?: (hostname: string, options: {
+        all: true;
+        family: 0 | 4 | 6;
+    }) => Promise<import("node:dns").LookupAddress[]>;
+};
+export type CachingResolverOptions = {
+    /**
+     * - The DNS servers to query, as accepted by `dns.setServers()`. Defaults to the system's servers.
+     */
+    servers?: string[];
+    /**
+     * - The timeout in milliseconds for each try of a query.
+     */
+    timeout?: number;
+    /**
+     * - The number of tries for each query.
+     */
+    tries?: number;
+    /**
+     * - How long, in seconds, to cache answers that come without a TTL. Node.js does not report the TTL of SRV records, nor of names answered by the system resolver.
+     */
+    defaultTtl?: number;
+    /**
+     * - The longest time, in seconds, to cache any answer, whatever its TTL.
+     */
+    maxTtl?: number;
+    /**
+     * - How long, in seconds, to remember that a name has no such record.
+     */
+    negativeTtl?: number;
+};
+/**
+ * A resolver with both methods, `clear()` to empty its cache and `size`, the number of answers in it.
+ * Expired answers are dropped on the next query that misses the cache.
+ */
+export type CachingResolver = MinepingResolver & {
+    resolveSrv: NonNullable<MinepingResolver["resolveSrv"]>;
+    lookup: NonNullable<MinepingResolver["lookup"]>;
+    clear: () => void;
+    readonly size: number;
+};
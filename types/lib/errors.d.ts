@@ -0,0 +1,113 @@
+/**
+ * Creates the error a request rejects with when its signal is aborted.
+ * @param {AbortSignal} signal - The aborted signal. Its `reason`, if any, becomes the cause.
+ * @param {ErrorDetails} [details={}] - Where the request was aborted.
+ * @returns {AbortError}
+ */
+export function createAbortError(signal: AbortSignal, details?: ErrorDetails): AbortError;
+/**
+ * Turns any error raised during a ping into a `MinepingError`.
+ * Socket errors are classified by their `code`, and errors that already are a `MinepingError`
+ * only get the details they are missing.
+ * @param {unknown} err - The error to convert.
+ * @param {ErrorDetails} [details={}] - Where the request failed.
+ * @returns {MinepingError}
+ */
+export function toMinepingError(err: unknown, details?: ErrorDetails): MinepingError;
+export const ERR_TIMEOUT: "TIMEOUT";
+export const ERR_CONNECTION_REFUSED: "CONNECTION_REFUSED";
+export const ERR_CONNECTION_CLOSED: "CONNECTION_CLOSED";
+export const ERR_NETWORK_ERROR: "NETWORK_ERROR";
+export const ERR_DNS_FAILURE: "DNS_FAILURE";
+export const ERR_PROTOCOL_ERROR: "PROTOCOL_ERROR";
+export const ERR_MALFORMED_RESPONSE: "MALFORMED_RESPONSE";
+export const ERR_INVALID_ARGUMENT: "INVALID_ARGUMENT";
+export const ERR_PINGER_CLOSED: "PINGER_CLOSED";
+export const ERR_ABORTED: "ABORTED";
+/**
+ * The step of a ping that failed.
+ * @typedef {"dns" | "connect" | "handshake" | "read"} ErrorPhase
+ */
+/**
+ * @typedef {object} ErrorDetails
+ * @property {string} [host] - The resolved host the request was sent to.
+ * @property {number} [port] - The resolved port the request was sent to.
+ * @property {ErrorPhase} [phase] - The step of the ping that failed.
+ * @property {unknown} [cause] - The underlying error, if any.
+ */
+export class MinepingError extends Error {
+    /**
+     * @param {string} message The error message.
+     * @param {string} code The error code.
+     * @param {ErrorDetails} [details={}] Where and why the request failed.
+     */
+    constructor(message: string, code: string, details?: ErrorDetails);
+    code: string;
+    /** @type {string | undefined} */
+    host: string | undefined;
+    /** @type {number | undefined} */
+    port: number | undefined;
+    /** @type {ErrorPhase | undefined} */
+    phase: ErrorPhase | undefined;
+    /** @type {unknown} */
+    cause: unknown;
+}
+export class TimeoutError extends MinepingError {
+    /**
+     * @param {string} message The error message.
+     * @param {ErrorDetails} [details={}] Where and why the request failed.
+     */
+    constructor(message: string, details?: ErrorDetails);
+}
+export class ConnectionError extends MinepingError {
+}
+export class DnsError extends MinepingError {
+    /**
+     * @param {string} message The error message.
+     * @param {ErrorDetails} [details={}] Where and why the request failed.
+     */
+    constructor(message: string, details?: ErrorDetails);
+}
+export class ProtocolError extends MinepingError {
+    /**
+     * @param {string} message The error message.
+     * @param {string} [code=ERR_PROTOCOL_ERROR] The error code: PROTOCOL_ERROR or MALFORMED_RESPONSE.
+     * @param {ErrorDetails} [details={}] Where and why the request failed.
+     */
+    constructor(message: string, code?: string, details?: ErrorDetails);
+}
+export class InvalidArgumentError extends MinepingError {
+    /**
+     * @param {string} message The error message.
+     */
+    constructor(message: string);
+}
+export class AbortError extends MinepingError {
+    /**
+     * @param {string} message The error message.
+     * @param {ErrorDetails} [details={}] Where the request was aborted, and the signal's reason as the cause.
+     */
+    constructor(message: string, details?: ErrorDetails);
+}
+/**
+ * The step of a ping that failed.
+ */
+export type ErrorPhase = "dns" | "connect" | "handshake" | "read";
+export type ErrorDetails = {
+    /**
+     * - The resolved host the request was sent to.
+     */
+    host?: string;
+    /**
+     * - The resolved port the request was sent to.
+     */
+    port?: number;
+    /**
+     * - The step of the ping that failed.
+     */
+    phase?: ErrorPhase;
+    /**
+     * - The underlying error, if any.
+     */
+    cause?: unknown;
+};
@@ -0,0 +1,67 @@
+/**
+ * Creates a Prometheus exporter for Java and Bedrock servers. It serves:
+ * - `/metrics`: the metrics of the configured targets.
+ * - `/probe?target=host[:port]&edition=java|bedrock`: the metrics of the targets named in the query, in the style of
+ *   blackbox_exporter. `target` may be repeated.
+ *
+ * Targets are pinged when scraped, or answered from a cache with `cacheTtl`. A scrape that asks for
+ * `application/openmetrics-text` gets the OpenMetrics format.
+ * @param {ExporterOptions} [options={}] - Optional configuration.
+ * @returns {Exporter}
+ * @throws {InvalidArgumentError} If a configured target is invalid.
+ */
+export function createExporter(options?: ExporterOptions): Exporter;
+export type ExporterOptions = {
+    /**
+     * - The servers pinged on every scrape of `/metrics`.
+     */
+    targets?: Iterable<string | import("./batch.js").PingTarget>;
+    /**
+     * - The edition of targets that do not specify one, and of `/probe` requests without an `edition` parameter.
+     */
+    edition?: "java" | "bedrock";
+    /**
+     * - The timeout in milliseconds for each ping.
+     */
+    timeout?: number;
+    /**
+     * - The maximum number of pings in flight at once during a scrape.
+     */
+    concurrency?: number;
+    /**
+     * - How long in milliseconds to reuse the result of a ping across scrapes. `0` pings on every scrape.
+     */
+    cacheTtl?: number;
+    /**
+     * - Resolves the SRV records and host names of every ping.
+     */
+    resolver?: import("./dns.js").MinepingResolver;
+};
+/**
+ * The outcome of pinging one target during a scrape.
+ */
+export type ProbeOutcome = {
+    target: import("./batch.js").PingTarget;
+    result: import("./ping.js").PingResult;
+} | {
+    target: import("./batch.js").PingTarget;
+    error: unknown;
+};
+export type Exporter = {
+    /**
+     * - The underlying HTTP server.
+     */
+    server: import("node:http").Server;
+    /**
+     * - Pings the targets, the configured ones by default, and renders their metrics.
+     */
+    collect: (targets?: Iterable<string | import("./batch.js").PingTarget>) => Promise<string>;
+    /**
+     * - Starts serving `/metrics` and `/probe`. The port defaults to a free one.
+     */
+    listen: (port?: number, host?: string) => Promise<import("node:net").AddressInfo>;
+    /**
+     * - Stops the HTTP server.
+     */
+    close: () => Promise<void>;
+};
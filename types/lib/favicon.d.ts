@@ -0,0 +1,37 @@
+/**
+ * The outcome of decoding a favicon. A favicon that cannot be decoded is reported
+ * with `valid: false` and the reason in `warnings`, it never throws.
+ * @typedef {{ valid: true, data: Buffer, width: number, height: number, hash: string, warnings: string[] } | { valid: false, warnings: string[] }} DecodedFavicon
+ */
+/**
+ * Decodes a favicon data URI, such as `JavaPingResponse.favicon`, into PNG bytes.
+ * Checks the `data:image/png;base64,` prefix, the PNG signature and the image size from the IHDR chunk.
+ * A favicon that is not 64x64 is still decoded, with a warning, as the vanilla client would not show it.
+ * @param {unknown} favicon - The favicon data URI.
+ * @returns {DecodedFavicon} The PNG bytes, their size and a SHA-256 hash for change detection, or why they could not be decoded.
+ */
+export function decodeFavicon(favicon: unknown): DecodedFavicon;
+/**
+ * Decodes a favicon data URI and writes the PNG image to a file.
+ * A favicon that cannot be decoded is not written, and is reported like `decodeFavicon` does.
+ * @param {unknown} favicon - The favicon data URI.
+ * @param {string} path - Where to write the PNG file.
+ * @returns {Promise<DecodedFavicon>} The decoded favicon, once it has been written.
+ * @throws {Error} If the file cannot be written.
+ */
+export function saveFavicon(favicon: unknown, path: string): Promise<DecodedFavicon>;
+/**
+ * The outcome of decoding a favicon. A favicon that cannot be decoded is reported
+ * with `valid: false` and the reason in `warnings`, it never throws.
+ */
+export type DecodedFavicon = {
+    valid: true;
+    data: Buffer;
+    width: number;
+    height: number;
+    hash: string;
+    warnings: string[];
+} | {
+    valid: false;
+    warnings: string[];
+};
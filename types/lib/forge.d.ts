@@ -0,0 +1,61 @@
+/**
+ * Decodes the mod list of a modded server from its Status Response.
+ * Understands `modinfo` (FML1, Forge 1.7 to 1.12), `forgeData` (FML2, Forge 1.13 to 1.17)
+ * and `forgeData` with the compressed `d` string (FML3, Forge 1.18 and later, and NeoForge).
+ * @param {{ modinfo?: unknown, forgeData?: unknown }} response - The Status Response, e.g. a `JavaPingResponse`.
+ * @returns {ForgeModList | null} The mod list, or null if the server did not announce one.
+ * @throws {ProtocolError} If the mod list is malformed.
+ */
+export function decodeForgeData(response: {
+    modinfo?: unknown;
+    forgeData?: unknown;
+}): ForgeModList | null;
+export type ForgeMod = {
+    /**
+     * - The mod ID, e.g. `"jei"`.
+     */
+    modId: string;
+    /**
+     * - The mod version. Empty for server-only mods.
+     */
+    version: string;
+    /**
+     * - True if clients do not need the mod to join.
+     */
+    serverOnly: boolean;
+};
+export type ForgeChannel = {
+    /**
+     * - The channel name, e.g. `"jei:channel"`.
+     */
+    name: string;
+    /**
+     * - The channel version.
+     */
+    version: string;
+    /**
+     * - True if clients must have the channel to join.
+     */
+    required: boolean;
+};
+/**
+ * The mods and network channels a modded server announces.
+ */
+export type ForgeModList = {
+    /**
+     * - The FML network version: 1 for `modinfo`, 2 or 3 for `forgeData`.
+     */
+    fmlNetworkVersion: number;
+    /**
+     * - The mods the server runs.
+     */
+    mods: ForgeMod[];
+    /**
+     * - The network channels the server registers. Always empty for FML1.
+     */
+    channels: ForgeChannel[];
+    /**
+     * - True if the server cut the list short to keep the response small.
+     */
+    truncated: boolean;
+};
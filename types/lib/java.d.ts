@@ -1,11 +1,14 @@
 /**
  * Asynchronously Pings a Minecraft Java Edition server.
  * This function performs an SRV lookup and then attempts to connect and retrieve the server status.
- * @param {string} host - The server address to ping.
+ * An address with a port, like `play.example.com:25566`, is pinged on that port without an SRV lookup,
+ * as the vanilla client does.
+ * @param {import("./address.js").AddressInput} address - The server address to ping, e.g. `play.example.com` or `[2001:db8::1]:25566`.
  * @param {JavaPingOptions} [options={}] - Optional configuration.
  * @returns {Promise<JavaPingResponse>} A promise that resolves with the server's status.
+ * @throws {import("./errors.js").MinepingError} If the arguments are invalid or the ping fails. The `code` tells why.
  */
-export function pingJava(host: string, options?: JavaPingOptions): Promise<JavaPingResponse>;
+export function pingJava(address: import("./address.js").AddressInput, options?: JavaPingOptions): Promise<JavaPingResponse>;
 /**
  * Represents the structured and user-friendly response from a server ping.
  * The fields and their optionality are based on the protocol documentation.
@@ -35,7 +38,11 @@ export type JavaPingResponse = {
      */
     description?: object | string;
     /**
-     * - A Base64-encoded 64x64 PNG image data URI.
+     * - The description normalized into styled spans and rendered as plain text, ANSI and HTML.
+     */
+    formattedDescription: import("./motd.js").FormattedText;
+    /**
+     * - A Base64-encoded 64x64 PNG image data URI. Use `decodeFavicon` to check and decode it.
      */
     favicon?: string;
     /**
@@ -46,6 +53,73 @@ export type JavaPingResponse = {
      * - True if a mod is installed to disable chat reporting.
      */
     preventsChatReports?: boolean;
+    /**
+     * - Round-trip time of the Ping Request/Pong Response exchange in milliseconds (the whole exchange for legacy pings). Missing if the server did not answer the ping.
+     */
+    latency?: number;
+    /**
+     * - How long each phase of the ping took. Only present with the `timings` option.
+     */
+    timings?: JavaPingTimings;
+    /**
+     * - Which SRV target answered and which ones failed before it. Only present if the host has SRV records.
+     */
+    srv?: JavaSrvReport;
+    /**
+     * - The mods and channels of a Forge or NeoForge server, decoded from `modinfo` or `forgeData`. Only present if the server announced them.
+     */
+    forge?: import("./forge.js").ForgeModList;
+    /**
+     * - One message per field of the response that was coerced or removed because it did not match these types. Only present if any was.
+     */
+    warnings?: string[];
+};
+export type JavaSrvReport = {
+    /**
+     * - The SRV target that answered.
+     */
+    target: {
+        host: string;
+        port: number;
+    };
+    /**
+     * - The targets tried before it, in order, with the error each one failed with.
+     */
+    failed: Array<{
+        host: string;
+        port: number;
+        error: import("./errors.js").MinepingError;
+    }>;
+};
+/**
+ * How long each phase of a Java ping took, in milliseconds.
+ * A phase is missing if it was skipped or never completed.
+ */
+export type JavaPingTimings = {
+    /**
+     * - The SRV record lookup.
+     */
+    srvLookup?: number;
+    /**
+     * - The A/AAAA lookup of the host to connect to. Missing when connecting to an IP address.
+     */
+    dnsLookup?: number;
+    /**
+     * - Establishing the TCP connection.
+     */
+    connect?: number;
+    /**
+     * - From the connection until the first byte of the response.
+     */
+    firstByte?: number;
+    /**
+     * - From the connection until the whole status response has arrived.
+     */
+    response?: number;
+    /**
+     * - The Ping Request/Pong Response round trip. Missing for legacy pings.
+     */
+    ping?: number;
 };
 export type JavaPingOptions = {
     /**
@@ -53,11 +127,98 @@ export type JavaPingOptions = {
      */
     port?: number;
     /**
-     * - The connection timeout in milliseconds.
+     * - The connection timeout in milliseconds, for the whole ping after the SRV lookup.
+     * It is shared by the SRV targets and, with `legacy: "fallback"`, by the modern and legacy ping of each target:
+     * every attempt gets an equal part of the time left, so one that hangs leaves time for the others.
      */
     timeout?: number;
     /**
      * - The protocol version to use in the handshake. `-1` is for auto-detection.
      */
     protocolVersion?: number;
+    /**
+     * - Whether to use the pre-1.7 legacy Server List Ping: never, only after the modern ping fails, or exclusively.
+     */
+    legacy?: "never" | "fallback" | "only";
+    /**
+     * - Aborts the SRV lookup and the connection, rejecting with an `AbortError`.
+     */
+    signal?: AbortSignal;
+    /**
+     * - The timeout in milliseconds for each try of the SRV lookup and for the A/AAAA lookup. Defaults to `timeout`.
+     */
+    dnsTimeout?: number;
+    /**
+     * - The timeout in milliseconds for establishing the TCP connection.
+     */
+    connectTimeout?: number;
+    /**
+     * - The timeout in milliseconds for the response once connected.
+     */
+    readTimeout?: number;
+    /**
+     * - Whether to add a phase-by-phase `timings` breakdown to the response.
+     */
+    timings?: boolean;
+    /**
+     * - Resolves the SRV record and the host to connect to, e.g. a `createCachingResolver()`. Defaults to the system resolver.
+     */
+    resolver?: import("./dns.js").MinepingResolver;
+    /**
+     * - Whether to reject a status response with fields that do not match `JavaPingResponse`, instead of repairing them and listing them in `warnings`.
+     */
+    strict?: boolean;
 };
+/**
+ * The options shared by the modern and the legacy request.
+ */
+export type RequestOptions = {
+    /**
+     * - The overall connection timeout in milliseconds
+     */
+    timeout: number;
+    /**
+     * - The timeout in milliseconds for the A/AAAA lookup
+     */
+    dnsTimeout?: number;
+    /**
+     * - The timeout in milliseconds for the TCP connection
+     */
+    connectTimeout?: number;
+    /**
+     * - The timeout in milliseconds for the response once connected
+     */
+    readTimeout?: number;
+    /**
+     * - Aborts the request
+     */
+    signal?: AbortSignal;
+    /**
+     * - Filled in as the phases complete
+     */
+    timings: JavaPingTimings;
+    /**
+     * - Resolves the host to connect to, instead of the system resolver
+     */
+    lookup?: SocketLookup;
+};
+/**
+ * What a request got from a server. The latency is kept apart from the status, so the server cannot set it.
+ */
+export type StatusResult = {
+    /**
+     * - The status as the server sent it, not yet validated
+     */
+    status: object;
+    /**
+     * - The measured latency, missing if the server did not answer the ping
+     */
+    latency?: number;
+};
+/**
+ * The callback-style lookup function accepted by `net.createConnection`.
+ */
+export type SocketLookup = (hostname: string, options: {
+    family?: number;
+    all?: boolean;
+}, callback: (err: Error | null, address?: string | import("node:dns").LookupAddress[], family?: number) => void) => void;
@@ -0,0 +1,131 @@
+/**
+ * Starts a mock Java server that answers the Handshake, Status Request and Ping Request
+ * packets of the Server List Ping, or misbehaves in one of the ways real servers and proxies do.
+ * It listens on a real loopback socket, so pings against it exercise the whole network path.
+ * @param {JavaStatusServerOptions} [options={}] - Optional configuration.
+ * @returns {Promise<JavaStatusServer>} A promise that resolves once the server is listening.
+ * @throws {InvalidArgumentError} If the behavior is unknown.
+ */
+export function createJavaStatusServer(options?: JavaStatusServerOptions): Promise<JavaStatusServer>;
+/**
+ * Starts a mock Bedrock server that answers Unconnected Ping packets (0x01 and 0x02)
+ * with an Unconnected Pong, or misbehaves in one of the ways real servers and networks do.
+ * It listens on a real loopback socket, so pings against it exercise the whole network path.
+ * @param {BedrockPongServerOptions} [options={}] - Optional configuration.
+ * @returns {Promise<BedrockPongServer>} A promise that resolves once the socket is bound.
+ * @throws {InvalidArgumentError} If the behavior is unknown.
+ */
+export function createBedrockPongServer(options?: BedrockPongServerOptions): Promise<BedrockPongServer>;
+/**
+ * How the mock Bedrock server answers:
+ * - `normal`: like a vanilla server.
+ * - `drop`: ignores every ping, as if the datagrams were lost.
+ * - `garbage`: echoes the timestamp, followed by random bytes instead of the GUID, magic and MOTD.
+ * - `shortMotd`: sends only the first three fields of the MOTD.
+ */
+export type BedrockServerBehavior = "normal" | "drop" | "garbage" | "shortMotd";
+export type BedrockPongServerOptions = {
+    /**
+     * - The semicolon-delimited MOTD to send. Defaults to a vanilla 1.21.84 server announcing its own GUID and port.
+     */
+    motd?: string;
+    /**
+     * - The server GUID to send. Defaults to a random one.
+     */
+    guid?: bigint;
+    /**
+     * - How long to wait before answering each ping, in milliseconds.
+     */
+    latencyMs?: number;
+    /**
+     * - How to answer, see `BedrockServerBehavior`.
+     */
+    behavior?: BedrockServerBehavior;
+    /**
+     * - The address to listen on. An IPv6 address opens a udp6 socket.
+     */
+    host?: string;
+    /**
+     * - The port to listen on. `0` picks a free port.
+     */
+    port?: number;
+};
+/**
+ * A mock Bedrock server listening on a loopback socket.
+ */
+export type BedrockPongServer = {
+    /**
+     * - The address the server listens on.
+     */
+    host: string;
+    /**
+     * - The port the server listens on.
+     */
+    port: number;
+    /**
+     * - The server GUID sent in every pong.
+     */
+    guid: bigint;
+    /**
+     * - The underlying UDP socket.
+     */
+    socket: import("node:dgram").Socket;
+    /**
+     * - Closes the socket.
+     */
+    close: () => Promise<void>;
+};
+/**
+ * How the mock Java server answers:
+ * - `normal`: like a vanilla server.
+ * - `fragmented`: writes every response one byte at a time.
+ * - `wrongPacketId`: answers the Status Request with packet ID 0x05.
+ * - `oversizedLength`: prefixes the Status Response with a length far above the protocol limit.
+ * - `truncatedJson`: sends a well-framed Status Response holding only half of the JSON.
+ * - `hang`: accepts the connection and never answers.
+ * - `closeEarly`: closes the connection as soon as the Status Request arrives.
+ */
+export type JavaServerBehavior = "normal" | "fragmented" | "wrongPacketId" | "oversizedLength" | "truncatedJson" | "hang" | "closeEarly";
+export type JavaStatusServerOptions = {
+    /**
+     * - The Status Response payload, as an object or a raw JSON string. Defaults to a vanilla 1.21.5 server with no players online.
+     */
+    status?: object | string;
+    /**
+     * - How long to wait before answering each packet, in milliseconds.
+     */
+    latencyMs?: number;
+    /**
+     * - How to answer, see `JavaServerBehavior`.
+     */
+    behavior?: JavaServerBehavior;
+    /**
+     * - The address to listen on.
+     */
+    host?: string;
+    /**
+     * - The port to listen on. `0` picks a free port.
+     */
+    port?: number;
+};
+/**
+ * A mock Java server listening on a loopback socket.
+ */
+export type JavaStatusServer = {
+    /**
+     * - The address the server listens on.
+     */
+    host: string;
+    /**
+     * - The port the server listens on.
+     */
+    port: number;
+    /**
+     * - The underlying TCP server.
+     */
+    server: import("node:net").Server;
+    /**
+     * - Drops every open connection and stops listening.
+     */
+    close: () => Promise<void>;
+};
@@ -0,0 +1,89 @@
+/**
+ * Creates a monitor that pings every target at a regular interval and reports what changes.
+ * Polls start right away. A failing target is polled less and less often, and is only reported
+ * offline after `offlineAfter` consecutive failures, so a single lost ping does not cause a flap.
+ * Player joins and leaves are diffed from `players.sample`, which most servers cap at 12 players.
+ * @param {Iterable<string | import("./batch.js").PingTarget>} targets - The servers to monitor.
+ * @param {MonitorOptions} [options={}] - Optional configuration.
+ * @returns {Monitor}
+ * @throws {InvalidArgumentError} If a target or an option is invalid.
+ */
+export function createMonitor(targets: Iterable<string | import("./batch.js").PingTarget>, options?: MonitorOptions): Monitor;
+export type MonitorBackoffOptions = {
+    /**
+     * - How much longer to wait after each consecutive failure.
+     */
+    factor?: number;
+    /**
+     * - The longest time in milliseconds to wait between two polls of a failing target.
+     */
+    maxInterval?: number;
+};
+export type MonitorOptions = {
+    /**
+     * - The time in milliseconds between two polls of a target.
+     */
+    interval?: number;
+    /**
+     * - A random delay of up to this many milliseconds added to every poll, so targets do not all poll at once.
+     */
+    jitter?: number;
+    /**
+     * - How failing targets back off, or `false` to keep polling them at `interval`.
+     */
+    backoff?: MonitorBackoffOptions | false;
+    /**
+     * - The number of consecutive failures after which a target is reported offline.
+     */
+    offlineAfter?: number;
+    /**
+     * - The timeout in milliseconds for each ping.
+     */
+    timeout?: number;
+    /**
+     * - The edition of targets that do not specify one.
+     */
+    edition?: "java" | "bedrock";
+    /**
+     * - Resolves the SRV records and host names of every ping.
+     */
+    resolver?: import("./dns.js").MinepingResolver;
+};
+/**
+ * What the monitor knows about a target.
+ */
+export type MonitorState = {
+    /**
+     * - The target.
+     */
+    target: import("./batch.js").PingTarget;
+    /**
+     * - `unknown` until the first success or until `offlineAfter` failures.
+     */
+    status: "unknown" | "online" | "offline";
+    /**
+     * - The number of consecutive failed polls.
+     */
+    failures: number;
+    /**
+     * - The result of the last successful poll.
+     */
+    last: import("./ping.js").PingResult | null;
+};
+/**
+ * A monitor polling its targets until `stop()` is called. It emits, with the target as the first argument:
+ * - `online(target, result)`: the target answered for the first time, or again after being offline.
+ * - `offline(target, error)`: the target failed `offlineAfter` polls in a row.
+ * - `update(target, result)`: the target answered a poll.
+ * - `failure(target, error, failures)`: a poll failed, with the number of consecutive failures so far.
+ * - `playerJoin(target, player)` and `playerLeave(target, player)`: a player appeared in or left `players.sample`.
+ * - `playerCountChange(target, online, previous)`: the number of online players changed.
+ * - `versionChange(target, version, previous)`: the version name or protocol changed.
+ * - `motdChange(target, motd, previous)`: the MOTD changed, as plain text.
+ * - `error(err)`: a listener of another event threw. Without an `error` listener, this is ignored.
+ */
+export type Monitor = EventEmitter & {
+    stop: () => void;
+    getStates: () => MonitorState[];
+};
+import { EventEmitter } from "node:events";
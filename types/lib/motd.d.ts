@@ -0,0 +1,156 @@
+/**
+ * Normalizes a server description into a tree of styled nodes with inheritance resolved.
+ * Accepts plain strings with legacy `§` codes, text component objects and component arrays.
+ * @param {unknown} description - The raw description, e.g. `JavaPingResponse.description`.
+ * @param {MotdParseOptions} [options={}] - Optional configuration.
+ * @returns {MotdNode} The root node.
+ * @throws {ProtocolError} If components are nested more than 512 levels deep.
+ */
+export function parseDescription(description: unknown, options?: MotdParseOptions): MotdNode;
+/**
+ * Flattens a node tree into a list of spans in rendering order.
+ * Empty spans are dropped and adjacent spans with the same style are merged.
+ * @param {MotdNode} root - The root node.
+ * @returns {MotdSpan[]}
+ */
+export function flattenSpans(root: MotdNode): MotdSpan[];
+/**
+ * Renders spans as plain text.
+ * @param {MotdSpan[]} spans - The spans to render.
+ * @returns {string}
+ */
+export function toPlainText(spans: MotdSpan[]): string;
+/**
+ * Renders spans as text with 24-bit ANSI escape codes for terminals.
+ * Obfuscated text has no terminal equivalent and is rendered as is.
+ * @param {MotdSpan[]} spans - The spans to render.
+ * @returns {string}
+ */
+export function toAnsi(spans: MotdSpan[]): string;
+/**
+ * Renders spans as escaped HTML, one `<span>` with inline styles per span.
+ * Line breaks become `<br>` and obfuscated spans get the `obfuscated` class.
+ * @param {MotdSpan[]} spans - The spans to render.
+ * @returns {string}
+ */
+export function toHtml(spans: MotdSpan[]): string;
+/**
+ * Parses a description and renders it in every supported format.
+ * @param {unknown} description - The raw description, e.g. `JavaPingResponse.description`.
+ * @param {MotdParseOptions} [options={}] - Optional configuration.
+ * @returns {FormattedText}
+ * @throws {ProtocolError} If components are nested more than 512 levels deep.
+ */
+export function formatDescription(description: unknown, options?: MotdParseOptions): FormattedText;
+/**
+ * Parses Bedrock Edition text, such as a server name or level name, and renders it in every supported format.
+ * Uses the Bedrock palette, including the Minecoin and material colors.
+ * @param {string} text - The text with legacy `§` codes.
+ * @returns {FormattedText}
+ */
+export function formatBedrockText(text: string): FormattedText;
+/**
+ * The named colors of the Java Edition palette, keyed by name.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const NAMED_COLORS: Readonly<Record<string, string>>;
+/**
+ * The Java Edition legacy color codes, keyed by the character following `§`.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const JAVA_COLOR_CODES: Readonly<Record<string, string>>;
+/**
+ * The Bedrock Edition legacy color codes, keyed by the character following `§`.
+ * Extends the Java Edition codes with the Minecoin and material colors.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const BEDROCK_COLOR_CODES: Readonly<Record<string, string>>;
+/**
+ * The set of legacy `§` codes understood by one edition.
+ * @typedef {object} LegacyFormatting
+ * @property {Readonly<Record<string, string>>} colors - Color codes and their `#RRGGBB` colors.
+ * @property {Readonly<Record<string, "bold" | "italic" | "underlined" | "strikethrough" | "obfuscated">>} formats - Formatting codes and the style property they turn on.
+ * @property {boolean} colorResetsFormatting - Whether a color code also clears active formatting.
+ */
+/**
+ * The legacy codes of Java Edition.
+ * @type {Readonly<LegacyFormatting>}
+ */
+export const JAVA_FORMATTING: Readonly<LegacyFormatting>;
+/**
+ * The legacy codes of Bedrock Edition.
+ * `§m` and `§n` are material colors there, so it has no strikethrough or underline,
+ * and formatting stays active across color changes.
+ * @type {Readonly<LegacyFormatting>}
+ */
+export const BEDROCK_FORMATTING: Readonly<LegacyFormatting>;
+/**
+ * The set of legacy `§` codes understood by one edition.
+ */
+export type LegacyFormatting = {
+    /**
+     * - Color codes and their `#RRGGBB` colors.
+     */
+    colors: Readonly<Record<string, string>>;
+    /**
+     * - Formatting codes and the style property they turn on.
+     */
+    formats: Readonly<Record<string, "bold" | "italic" | "underlined" | "strikethrough" | "obfuscated">>;
+    /**
+     * - Whether a color code also clears active formatting.
+     */
+    colorResetsFormatting: boolean;
+};
+/**
+ * A fully resolved style, with everything inherited from parent components already applied.
+ */
+export type MotdStyle = {
+    /**
+     * - The text color as a `#RRGGBB` hex string, or undefined for the default color.
+     */
+    color?: string;
+    bold: boolean;
+    italic: boolean;
+    underlined: boolean;
+    strikethrough: boolean;
+    obfuscated: boolean;
+};
+/**
+ * A run of text sharing a single style.
+ */
+export type MotdSpan = MotdStyle & {
+    text: string;
+};
+/**
+ * A node of the normalized component tree. Its text is rendered before its children.
+ */
+export type MotdNode = MotdSpan & {
+    children: MotdNode[];
+};
+/**
+ * Every rendering of a piece of formatted text.
+ */
+export type FormattedText = {
+    /**
+     * - The text with all formatting removed.
+     */
+    clean: string;
+    /**
+     * - The styled spans, in order.
+     */
+    spans: MotdSpan[];
+    /**
+     * - The text with ANSI escape codes for terminals.
+     */
+    ansi: string;
+    /**
+     * - The text as escaped HTML `<span>` elements.
+     */
+    html: string;
+};
+export type MotdParseOptions = {
+    /**
+     * - The legacy `§` codes to recognize. Defaults to `JAVA_FORMATTING`.
+     */
+    formatting?: LegacyFormatting;
+};
@@ -0,0 +1,265 @@
+/**
+ * Splits the first packet off a buffer of received bytes.
+ * @param {Buffer} buffer The bytes received so far.
+ * @param {number} [maxLength=2097151] The largest packet to accept, in bytes.
+ * @returns {{ packet: Buffer, remainder: Buffer } | null} The packet without its length prefix and the bytes after it,
+ * or null if the packet has not fully arrived yet.
+ * @throws {PacketError} If the length prefix is malformed or above `maxLength`.
+ */
+export function readFrame(buffer: Buffer, maxLength?: number): {
+    packet: Buffer;
+    remainder: Buffer;
+} | null;
+/**
+ * Creates a stream that splits the bytes of a TCP connection into packets.
+ * Write the received chunks to it, e.g. with `socket.pipe(decoder)`, and read one Buffer per packet,
+ * without its length prefix. The stream fails with a `PacketError` on a bad length prefix,
+ * or if it ends in the middle of a packet.
+ * @param {FrameDecoderOptions} [options={}] - Optional configuration.
+ * @returns {Transform}
+ */
+export function createFrameDecoder(options?: FrameDecoderOptions): Transform;
+export const ERR_PACKET_BUFFER_UNDERFLOW: "PACKET_BUFFER_UNDERFLOW";
+export const ERR_PACKET_MALFORMED: "PACKET_MALFORMED";
+export const ERR_PACKET_INVALID_VALUE: "PACKET_INVALID_VALUE";
+export const MAX_PACKET_LENGTH: 2097151;
+export const MAX_STRING_LENGTH: 32767;
+export class PacketError extends Error {
+    /**
+     * @param {string} message The error message.
+     * @param {string} code The error code: PACKET_BUFFER_UNDERFLOW, PACKET_MALFORMED or PACKET_INVALID_VALUE.
+     * @param {unknown} [cause] The underlying error, if any.
+     */
+    constructor(message: string, code: string, cause?: unknown);
+    code: string;
+    /** @type {unknown} */
+    cause: unknown;
+}
+/**
+ * Reads the fields of a packet in order, moving a cursor forward.
+ * Reading past the end throws a `PacketError` with the `PACKET_BUFFER_UNDERFLOW` code, and leaves the cursor where it was.
+ */
+export class PacketReader {
+    /**
+     * @param {Buffer} buffer The packet to read, usually without its length prefix.
+     * @param {number} [offset=0] Where to start reading.
+     */
+    constructor(buffer: Buffer, offset?: number);
+    /** @type {Buffer} */
+    buffer: Buffer;
+    /** @type {number} */
+    offset: number;
+    /**
+     * The number of bytes left to read.
+     * @returns {number}
+     */
+    get remaining(): number;
+    /**
+     * Moves the cursor past a field of the given length, and returns where the field starts.
+     * @param {number} length The length of the field in bytes.
+     * @param {string} [type="a field"] The name of the type in the message.
+     * @returns {number}
+     * @throws {PacketError} If fewer bytes are left.
+     */
+    skip(length: number, type?: string): number;
+    /**
+     * Reads a VarInt.
+     * @returns {number}
+     * @throws {PacketError} If the buffer ends early or the VarInt is malformed.
+     */
+    readVarInt(): number;
+    /**
+     * Reads a VarLong.
+     * @returns {bigint}
+     * @throws {PacketError} If the buffer ends early or the VarLong is malformed.
+     */
+    readVarLong(): bigint;
+    /**
+     * Reads a Boolean. Any byte other than 0 is true.
+     * @returns {boolean}
+     */
+    readBoolean(): boolean;
+    /**
+     * Reads a signed Byte.
+     * @returns {number}
+     */
+    readByte(): number;
+    /**
+     * Reads an Unsigned Byte.
+     * @returns {number}
+     */
+    readUnsignedByte(): number;
+    /**
+     * Reads a big-endian signed Short.
+     * @returns {number}
+     */
+    readShort(): number;
+    /**
+     * Reads a big-endian Unsigned Short, such as a port.
+     * @returns {number}
+     */
+    readUnsignedShort(): number;
+    /**
+     * Reads a big-endian signed Int.
+     * @returns {number}
+     */
+    readInt(): number;
+    /**
+     * Reads a big-endian signed Long.
+     * @returns {bigint}
+     */
+    readLong(): bigint;
+    /**
+     * Reads a String: a VarInt byte length, then UTF-8.
+     * @param {number} [maxLength=32767] The longest string to accept, in UTF-16 code units, like the vanilla codec.
+     * @returns {string}
+     * @throws {PacketError} If the buffer ends early, or the string is longer than `maxLength`.
+     */
+    readString(maxLength?: number): string;
+    /**
+     * Reads a UUID: two big-endian Longs.
+     * @returns {string} The UUID in its dashed form, e.g. `069a79f4-44e9-4726-a5be-fca90e38aaf5`.
+     */
+    readUUID(): string;
+    /**
+     * Reads a Position, packed in a Long as X (26 bits), Z (26 bits) and Y (12 bits), the layout since 1.14.
+     * @returns {Position}
+     */
+    readPosition(): Position;
+    /**
+     * Reads raw bytes.
+     * @param {number} length The number of bytes.
+     * @returns {Buffer} A view of the packet, not a copy.
+     */
+    readBytes(length: number): Buffer;
+    /**
+     * Reads every byte that is left.
+     * @returns {Buffer} A view of the packet, not a copy.
+     */
+    readRemaining(): Buffer;
+}
+/**
+ * Builds a packet field by field. Every `write` method returns the writer, so calls can be chained.
+ */
+export class PacketWriter {
+    /** @type {Buffer[]} */
+    chunks: Buffer[];
+    /**
+     * Appends raw bytes.
+     * @param {Buffer} bytes
+     * @returns {this}
+     */
+    writeBytes(bytes: Buffer): this;
+    /**
+     * Appends a VarInt.
+     * @param {number} value A signed 32-bit integer.
+     * @returns {this}
+     * @throws {PacketError} If the value does not fit in 32 bits.
+     */
+    writeVarInt(value: number): this;
+    /**
+     * Appends a VarLong.
+     * @param {bigint | number} value A signed 64-bit integer.
+     * @returns {this}
+     * @throws {PacketError} If the value does not fit in 64 bits.
+     */
+    writeVarLong(value: bigint | number): this;
+    /**
+     * Appends a Boolean.
+     * @param {boolean} value
+     * @returns {this}
+     */
+    writeBoolean(value: boolean): this;
+    /**
+     * Appends a signed Byte.
+     * @param {number} value
+     * @returns {this}
+     */
+    writeByte(value: number): this;
+    /**
+     * Appends an Unsigned Byte.
+     * @param {number} value
+     * @returns {this}
+     */
+    writeUnsignedByte(value: number): this;
+    /**
+     * Appends a big-endian signed Short.
+     * @param {number} value
+     * @returns {this}
+     */
+    writeShort(value: number): this;
+    /**
+     * Appends a big-endian Unsigned Short, such as a port.
+     * @param {number} value
+     * @returns {this}
+     */
+    writeUnsignedShort(value: number): this;
+    /**
+     * Appends a big-endian signed Int.
+     * @param {number} value
+     * @returns {this}
+     */
+    writeInt(value: number): this;
+    /**
+     * Appends a big-endian signed Long.
+     * @param {bigint | number} value
+     * @returns {this}
+     */
+    writeLong(value: bigint | number): this;
+    /**
+     * Appends a String: a VarInt byte length, then UTF-8.
+     * @param {string} value
+     * @param {number} [maxLength=32767] The longest string to accept, in UTF-16 code units.
+     * @returns {this}
+     * @throws {PacketError} If the string is longer than `maxLength`.
+     */
+    writeString(value: string, maxLength?: number): this;
+    /**
+     * Appends a UUID.
+     * @param {string} value The UUID, with or without dashes.
+     * @returns {this}
+     * @throws {PacketError} If it is not a UUID.
+     */
+    writeUUID(value: string): this;
+    /**
+     * Appends a Position, packed the way `PacketReader.readPosition` reads it.
+     * @param {Position} position
+     * @returns {this}
+     * @throws {PacketError} If a coordinate is out of range.
+     */
+    writePosition({ x, y, z }: Position): this;
+    /**
+     * Returns the fields written so far.
+     * @returns {Buffer}
+     */
+    toBuffer(): Buffer;
+    /**
+     * Returns the fields written so far, prefixed with their length, ready to be sent.
+     * @returns {Buffer}
+     */
+    toPacket(): Buffer;
+}
+/**
+ * A block position in the world.
+ */
+export type Position = {
+    /**
+     * - Between -33554432 and 33554431.
+     */
+    x: number;
+    /**
+     * - Between -2048 and 2047.
+     */
+    y: number;
+    /**
+     * - Between -33554432 and 33554431.
+     */
+    z: number;
+};
+export type FrameDecoderOptions = {
+    /**
+     * - The largest packet to accept, in bytes. A longer length prefix fails the stream.
+     */
+    maxLength?: number;
+};
+import { Transform } from "node:stream";
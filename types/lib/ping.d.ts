@@ -0,0 +1,67 @@
+/**
+ * Pings a server whose edition is unknown.
+ * Java (with its SRV lookup) and Bedrock are tried in parallel, and the first one to answer wins.
+ * @param {import("./address.js").AddressInput} address - The server address to ping, e.g. `play.example.com` or `play.example.com:25566`.
+ * @param {PingOptions} [options={}] - Optional configuration.
+ * @returns {Promise<PingResult>} A promise that resolves with the normalized status and the raw response.
+ * @throws {MinepingError} If neither edition answers. It carries the code, target and phase of the attempt that got
+ * furthest: one where the server answered but misbehaved, otherwise the Java attempt.
+ */
+export function ping(address: import("./address.js").AddressInput, options?: PingOptions): Promise<PingResult>;
+export function summarizeJava(raw: import("./java.js").JavaPingResponse): PingResult;
+export function summarizeBedrock(raw: import("./bedrock.js").BedrockPingResponse): PingResult;
+/**
+ * The fields every edition reports, normalized to the same shape.
+ */
+export type PingSummary = {
+    /**
+     * - The server name without formatting codes. The MOTD for Java, the first MOTD line for Bedrock.
+     */
+    name: string;
+    /**
+     * - The game version name and protocol number.
+     */
+    version: {
+        name: string;
+        protocol: number;
+    };
+    /**
+     * - Current and maximum player counts.
+     */
+    players: {
+        online: number;
+        max: number;
+    };
+    /**
+     * - Round-trip time in milliseconds, if it could be measured.
+     */
+    latency?: number;
+};
+/**
+ * The result of an auto-detected ping. `edition` tells which raw response is attached.
+ */
+export type PingResult = PingSummary & ({
+    edition: "java";
+    raw: import("./java.js").JavaPingResponse;
+} | {
+    edition: "bedrock";
+    raw: import("./bedrock.js").BedrockPingResponse;
+});
+export type PingOptions = {
+    /**
+     * - The port to try for both editions. Defaults to 25565 (after the SRV lookup) for Java and 19132 for Bedrock.
+     */
+    port?: number;
+    /**
+     * - The timeout in milliseconds for each attempt.
+     */
+    timeout?: number;
+    /**
+     * - Aborts both attempts, rejecting with an `AbortError`.
+     */
+    signal?: AbortSignal;
+    /**
+     * - Resolves the SRV record and host names for both attempts.
+     */
+    resolver?: import("./dns.js").MinepingResolver;
+};
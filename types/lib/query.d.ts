@@ -0,0 +1,80 @@
+/**
+ * Asynchronously queries a Minecraft server using the Query protocol.
+ * The server must have `enable-query=true` in its `server.properties`.
+ * @param {import("./address.js").AddressInput} address - The server address, e.g. `play.example.com` or `play.example.com:25575`.
+ * @param {QueryOptions} [options={}] - Optional configuration.
+ * @returns {Promise<QueryResponse>} A promise that resolves with the server's stat.
+ * @throws {import("./errors.js").MinepingError} If the arguments are invalid or the query fails. The `code` tells why.
+ */
+export function queryServer(address: import("./address.js").AddressInput, options?: QueryOptions): Promise<QueryResponse>;
+/**
+ * Represents the structured and user-friendly response from a server query.
+ * Fields marked as full-only are only present when the full stat was requested.
+ */
+export type QueryResponse = {
+    /**
+     * - The server's Message of the Day (`hostname`).
+     */
+    motd: string;
+    /**
+     * - The game type, always "SMP".
+     */
+    gameType: string;
+    /**
+     * - The game ID, "MINECRAFT" for Java and "MINECRAFTPE" for Bedrock. Full-only.
+     */
+    gameId?: string;
+    /**
+     * - The server's version name. Full-only.
+     */
+    version?: string;
+    /**
+     * - The server software, e.g. "CraftBukkit on Bukkit 1.2.5-R4.0". Full-only.
+     */
+    software?: string;
+    /**
+     * - The installed plugins with their versions, e.g. "WorldEdit 5.3". Full-only.
+     */
+    plugins?: string[];
+    /**
+     * - The name of the default world.
+     */
+    map: string;
+    /**
+     * - Player counts and, for the full stat, the names of every online player.
+     */
+    players: {
+        online: number;
+        max: number;
+        list?: string[];
+    };
+    /**
+     * - The address the server is bound to.
+     */
+    host: {
+        ip: string;
+        port: number;
+    };
+    /**
+     * - Every key/value pair from the full stat, including non-standard ones. Full-only.
+     */
+    data?: Record<string, string>;
+};
+export type QueryOptions = {
+    /**
+     * - The server's query port.
+     */
+    port?: number;
+    /**
+     * - The timeout in milliseconds for the whole exchange, including the lookup of a hostname.
+     */
+    timeout?: number;
+    /**
+     * - Whether to request the full stat instead of the basic stat.
+     */
+    full?: boolean;
+    /**
+     * - Aborts the query, rejecting with an `AbortError`.
+     */
+    signal?: AbortSignal;
+};
@@ -0,0 +1,28 @@
+/**
+ * Checks a raw Status Response and brings it in line with `JavaPingResponse`.
+ * In lenient mode, numbers sent as strings are coerced, negative counts are clamped to zero,
+ * and fields that cannot be repaired are removed, with a warning for each change.
+ * In strict mode, any bad field rejects the response. Unknown fields are kept in both modes,
+ * except those the library sets itself, such as `latency` and `formattedDescription`, which are always removed.
+ * @param {unknown} raw - The parsed JSON of the Status Response.
+ * @param {ValidationOptions} [options={}] - Optional configuration.
+ * @returns {ValidationResult}
+ * @throws {ProtocolError} If the response is not an object, or in strict mode if any field is bad.
+ */
+export function validateJavaStatus(raw: unknown, options?: ValidationOptions): ValidationResult;
+export type ValidationOptions = {
+    /**
+     * - Whether to reject a response with any bad field, instead of repairing it.
+     */
+    strict?: boolean;
+};
+export type ValidationResult = {
+    /**
+     * - The response, with every bad field coerced or removed.
+     */
+    response: object;
+    /**
+     * - One message per field that had to be repaired.
+     */
+    warnings: string[];
+};
@@ -0,0 +1,16 @@
+/**
+ * Creates an AbortController whose signal any number of pings may listen to at once.
+ * Each ping in flight adds an abort listener, and Node.js warns about a leak past 10 listeners on a signal.
+ * @returns {AbortController}
+ */
+export function createSharedController(): AbortController;
+/**
+ * Follows the signal of a caller with a shared signal, so that a batch adds one listener to the caller's signal
+ * however many pings it runs at once.
+ * @param {AbortSignal} signal - The signal of the caller.
+ * @returns {{ signal: AbortSignal, unlink: () => void }} The shared signal, and a function that stops following the caller's.
+ */
+export function shareSignal(signal: AbortSignal): {
+    signal: AbortSignal;
+    unlink: () => void;
+};
@@ -36,6 +36,26 @@ export function decodeVarInt(buffer: Buffer, offset?: number): {
     value: number;
     bytesRead: number;
 };
+/**
+ * Encodes a 64-bit integer into a VarLong buffer.
+ * VarLongs are never longer than 10 bytes. Negative values are encoded as their two's complement.
+ * @param {bigint | number} value The integer to encode
+ * @returns {Buffer} The encoded VarLong as a buffer
+ * @throws {VarIntError} if the value does not fit in 64 bits
+ */
+export function encodeVarLong(value: bigint | number): Buffer;
+/**
+ * Decodes a VarLong from a buffer.
+ * Returns the decoded value as a signed 64-bit BigInt and the number of bytes it consumed.
+ * @param {Buffer} buffer The buffer to read from
+ * @param {number} [offset=0] The starting offset in the buffer
+ * @returns {{ value: bigint, bytesRead: number }}
+ * @throws {VarIntError} if the buffer is too short or the VarLong is malformed
+ */
+export function decodeVarLong(buffer: Buffer, offset?: number): {
+    value: bigint;
+    bytesRead: number;
+};
 export const ERR_VARINT_BUFFER_UNDERFLOW: "VARINT_BUFFER_UNDERFLOW";
 export const ERR_VARINT_MALFORMED: "VARINT_MALFORMED";
 export const ERR_VARINT_ENCODE_TOO_LARGE: "VARINT_ENCODE_TOO_LARGE";